@@ -0,0 +1,31 @@
+// Bearer-token check for the api/admin/ endpoints.
+//
+// Set ADMIN_API_TOKEN (long random string) in the deployment and send it as
+//   Authorization: Bearer <token>
+// Without ADMIN_API_TOKEN every admin request is refused.
+
+import crypto from 'node:crypto';
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+export const bearerToken = (req) => {
+  const header = String((req.headers && req.headers.authorization) || '');
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : '';
+};
+
+// Constant-time compare (hashing first makes both sides the same length)
+export const isAdminRequest = (req) => {
+  const expected = process.env.ADMIN_API_TOKEN || '';
+  const given = bearerToken(req);
+  if (!expected || !given) return false;
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+};
+
+// 401 with the challenge header; returns false so handlers can `if (!requireAdmin(req, res)) return;`
+export const requireAdmin = (req, res) => {
+  if (isAdminRequest(req)) return true;
+  res.setHeader('WWW-Authenticate', 'Bearer realm="leenelite-admin"');
+  res.status(401).json({ ok: false, error: 'unauthorized' });
+  return false;
+};
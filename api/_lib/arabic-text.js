@@ -0,0 +1,205 @@
+// Arabic text for the PDF writer (api/_lib/pdf.js), which draws glyphs one
+// after the other from left to right and knows nothing about scripts:
+// - shapeArabic(): letters -> contextual presentation forms (isolated, final,
+//   initial, medial) + the lam-alef ligatures. Harakat are dropped.
+// - visualOrder(): a reduced Unicode bidi algorithm for one line (strong
+//   types, numbers, neutrals, mirrored brackets) -> characters in display order.
+// The font has to map the Arabic Presentation Forms (DejaVu Sans does).
+
+// [isolated, final, initial, medial]; two entries = joins on the right only
+const FORMS = {
+  0x0621: [0xfe80],
+  0x0622: [0xfe81, 0xfe82],
+  0x0623: [0xfe83, 0xfe84],
+  0x0624: [0xfe85, 0xfe86],
+  0x0625: [0xfe87, 0xfe88],
+  0x0626: [0xfe89, 0xfe8a, 0xfe8b, 0xfe8c],
+  0x0627: [0xfe8d, 0xfe8e],
+  0x0628: [0xfe8f, 0xfe90, 0xfe91, 0xfe92],
+  0x0629: [0xfe93, 0xfe94],
+  0x062a: [0xfe95, 0xfe96, 0xfe97, 0xfe98],
+  0x062b: [0xfe99, 0xfe9a, 0xfe9b, 0xfe9c],
+  0x062c: [0xfe9d, 0xfe9e, 0xfe9f, 0xfea0],
+  0x062d: [0xfea1, 0xfea2, 0xfea3, 0xfea4],
+  0x062e: [0xfea5, 0xfea6, 0xfea7, 0xfea8],
+  0x062f: [0xfea9, 0xfeaa],
+  0x0630: [0xfeab, 0xfeac],
+  0x0631: [0xfead, 0xfeae],
+  0x0632: [0xfeaf, 0xfeb0],
+  0x0633: [0xfeb1, 0xfeb2, 0xfeb3, 0xfeb4],
+  0x0634: [0xfeb5, 0xfeb6, 0xfeb7, 0xfeb8],
+  0x0635: [0xfeb9, 0xfeba, 0xfebb, 0xfebc],
+  0x0636: [0xfebd, 0xfebe, 0xfebf, 0xfec0],
+  0x0637: [0xfec1, 0xfec2, 0xfec3, 0xfec4],
+  0x0638: [0xfec5, 0xfec6, 0xfec7, 0xfec8],
+  0x0639: [0xfec9, 0xfeca, 0xfecb, 0xfecc],
+  0x063a: [0xfecd, 0xfece, 0xfecf, 0xfed0],
+  0x0641: [0xfed1, 0xfed2, 0xfed3, 0xfed4],
+  0x0642: [0xfed5, 0xfed6, 0xfed7, 0xfed8],
+  0x0643: [0xfed9, 0xfeda, 0xfedb, 0xfedc],
+  0x0644: [0xfedd, 0xfede, 0xfedf, 0xfee0],
+  0x0645: [0xfee1, 0xfee2, 0xfee3, 0xfee4],
+  0x0646: [0xfee5, 0xfee6, 0xfee7, 0xfee8],
+  0x0647: [0xfee9, 0xfeea, 0xfeeb, 0xfeec],
+  0x0648: [0xfeed, 0xfeee],
+  0x0649: [0xfeef, 0xfef0],
+  0x064a: [0xfef1, 0xfef2, 0xfef3, 0xfef4],
+  // Persian letters used in Gulf company names
+  0x067e: [0xfb56, 0xfb57, 0xfb58, 0xfb59],
+  0x0686: [0xfb7a, 0xfb7b, 0xfb7c, 0xfb7d],
+  0x0698: [0xfb8a, 0xfb8b],
+  0x06a9: [0xfb8e, 0xfb8f, 0xfb90, 0xfb91],
+  0x06af: [0xfb92, 0xfb93, 0xfb94, 0xfb95],
+  0x06cc: [0xfbfc, 0xfbfd, 0xfbfe, 0xfbff]
+};
+
+// Lam + alef variant -> [isolated, final]
+const LAM_ALEF = {
+  0x0622: [0xfef5, 0xfef6],
+  0x0623: [0xfef7, 0xfef8],
+  0x0625: [0xfef9, 0xfefa],
+  0x0627: [0xfefb, 0xfefc]
+};
+
+const LAM = 0x0644;
+const TATWEEL = 0x0640;
+
+const isHaraka = (cp) => (cp >= 0x064b && cp <= 0x065f) || cp === 0x0670;
+const joinsBefore = (cp) => cp === TATWEEL || (FORMS[cp] && FORMS[cp].length === 4);
+const joinsAfter = (cp) => cp === TATWEEL || (FORMS[cp] && FORMS[cp].length > 1);
+
+export const hasArabic = (text) => /[\u0600-\u06ff\ufb50-\ufdff\ufe70-\ufeff]/.test(String(text || ''));
+
+/**
+ * Contextual forms in logical order ("لين" -> "ﻟﻴﻦ").
+ * @param {string} text
+ * @returns {string}
+ */
+export const shapeArabic = (text) => {
+  const cps = Array.from(String(text || ''))
+    .map((ch) => ch.codePointAt(0))
+    .filter((cp) => !isHaraka(cp));
+  const out = [];
+  for (let i = 0; i < cps.length; i++) {
+    const cp = cps[i];
+    const forms = FORMS[cp];
+    if (!forms) {
+      out.push(cp);
+      continue;
+    }
+    const prev = i > 0 ? cps[i - 1] : 0;
+    const joinPrev = joinsBefore(prev);
+
+    if (cp === LAM && LAM_ALEF[cps[i + 1]]) {
+      out.push(LAM_ALEF[cps[i + 1]][joinPrev ? 1 : 0]);
+      i += 1;
+      continue;
+    }
+
+    const joinNext = forms.length === 4 && i + 1 < cps.length && joinsAfter(cps[i + 1]);
+    if (joinPrev && joinNext) out.push(forms[3]);
+    else if (joinPrev) out.push(forms[1]);
+    else if (joinNext) out.push(forms[2]);
+    else out.push(forms[0]);
+  }
+  return String.fromCodePoint(...out);
+};
+
+// --- Bidi (one line, no embeddings/overrides) --------------------------------
+
+const MIRROR = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<', '«': '»', '»': '«' };
+
+const bidiType = (ch) => {
+  const cp = ch.codePointAt(0);
+  if (cp >= 0x30 && cp <= 0x39) return 'EN';
+  if ((cp >= 0x0660 && cp <= 0x0669) || (cp >= 0x06f0 && cp <= 0x06f9)) return 'AN';
+  if ((cp >= 0x0590 && cp <= 0x08ff) || (cp >= 0xfb1d && cp <= 0xfdff) || (cp >= 0xfe70 && cp <= 0xfefe)) return 'R';
+  if (ch === '+' || ch === '-') return 'ES';
+  if (ch === '#' || ch === '$' || ch === '%' || ch === '°' || ch === '٪') return 'ET';
+  if (ch === ',' || ch === '.' || ch === ':' || ch === '/' || ch === '\u00a0') return 'CS';
+  if (/\s/.test(ch)) return 'WS';
+  if (/[\p{L}\p{M}]/u.test(ch)) return 'L';
+  return 'ON';
+};
+
+// "auto" = direction of the first strong character (ltr without one)
+export const baseDirection = (text, dir = 'auto') => {
+  if (dir === 'rtl' || dir === 'ltr') return dir;
+  for (const ch of String(text || '')) {
+    const type = bidiType(ch);
+    if (type === 'R') return 'rtl';
+    if (type === 'L') return 'ltr';
+  }
+  return 'ltr';
+};
+
+/**
+ * Characters of one line in display (left-to-right) order.
+ * @param {string} text  logical order, already shaped
+ * @param {'ltr'|'rtl'|'auto'} dir  paragraph direction
+ * @returns {string}
+ */
+export const visualOrder = (text, dir = 'auto') => {
+  const chars = Array.from(String(text || ''));
+  if (!chars.length) return '';
+  const base = baseDirection(text, dir) === 'rtl' ? 1 : 0;
+  const types = chars.map(bidiType);
+
+  // W4/W5: separators and terminators inside or next to numbers become numbers
+  for (let i = 0; i < types.length; i++) {
+    const prev = types[i - 1];
+    const next = types[i + 1];
+    if ((types[i] === 'ES' || types[i] === 'CS') && prev === 'EN' && next === 'EN') types[i] = 'EN';
+    else if (types[i] === 'CS' && prev === 'AN' && next === 'AN') types[i] = 'AN';
+  }
+  for (let i = 0; i < types.length; i++) {
+    if (types[i] !== 'ET') continue;
+    let j = i;
+    while (types[j] === 'ET') j++;
+    let k = i - 1;
+    while (k >= 0 && types[k] === 'ET') k--;
+    if (types[j] === 'EN' || types[k] === 'EN') for (let m = k + 1; m < j; m++) types[m] = 'EN';
+  }
+  // W7: numbers after Latin text are Latin
+  let lastStrong = base ? 'R' : 'L';
+  for (let i = 0; i < types.length; i++) {
+    if (types[i] === 'L' || types[i] === 'R') lastStrong = types[i];
+    else if (types[i] === 'EN' && lastStrong === 'L') types[i] = 'L';
+  }
+
+  // N1/N2: neutrals between two equal directions take it, otherwise the base (numbers count as R)
+  const strong = (type) => (type === 'L' ? 'L' : type === 'R' || type === 'EN' || type === 'AN' ? 'R' : null);
+  for (let i = 0; i < types.length; i++) {
+    if (strong(types[i])) continue;
+    let j = i;
+    while (j < types.length && !strong(types[j])) j++;
+    const before = i > 0 ? strong(types[i - 1]) : base ? 'R' : 'L';
+    const after = j < types.length ? strong(types[j]) : base ? 'R' : 'L';
+    const resolved = before === after ? before : base ? 'R' : 'L';
+    for (let m = i; m < j; m++) types[m] = resolved === 'R' ? 'R' : 'L';
+    i = j - 1;
+  }
+
+  // I1/I2: embedding levels
+  const levels = types.map((type) => {
+    if (base === 0) return type === 'R' ? 1 : type === 'EN' || type === 'AN' ? 2 : 0;
+    return type === 'L' || type === 'EN' || type === 'AN' ? 2 : 1;
+  });
+
+  // L2: reverse every run at each level, highest first
+  const order = chars.map((_, i) => i);
+  const max = Math.max(...levels);
+  for (let level = max; level >= 1; level--) {
+    for (let i = 0; i < order.length; i++) {
+      if (levels[order[i]] < level) continue;
+      let j = i;
+      while (j < order.length && levels[order[j]] >= level) j++;
+      const run = order.slice(i, j).reverse();
+      order.splice(i, run.length, ...run);
+      i = j;
+    }
+  }
+
+  // L4: mirrored glyphs for right-to-left brackets
+  return order.map((i) => (levels[i] % 2 && MIRROR[chars[i]] ? MIRROR[chars[i]] : chars[i])).join('');
+};
@@ -0,0 +1,248 @@
+// Booking confirmation / pro-forma quotation as a PDF, English and Arabic on one page.
+//
+// renderBookingPdf(booking, { exhibition, categories, siteUrl, contactEmail }) -> Promise<Buffer>
+// - Pro-forma quotation when the booking carries a server estimate (quote.total,
+//   js/quote.js), otherwise a confirmation that the request was received.
+// - Every row is "English label | value | Arabic label"; values keep their own
+//   direction (an Arabic company name is shaped and reads right to left).
+// Attached to the visitor's email by api/reserve and served by api/booking-pdf
+// (signed link, bookingPdfUrl()).
+// Fonts: api/_lib/fonts/ (DejaVu Sans, see LICENSE.txt there).
+
+import { promises as fs } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { baseDirection } from './arabic-text.js';
+import { getExhibition, loadCatalog } from './exhibitions.js';
+import { getFormConfig } from './form-config.js';
+import { createPdf } from './pdf.js';
+import { signToken } from './tokens.js';
+
+const FONT_DIR = new URL('./fonts/', import.meta.url);
+
+// The download link in the reserve modal; the visitor may come back to it
+const PDF_LINK_TTL_DAYS = 90;
+
+const BRAND = {
+  gold: '#d3b44e',
+  dark: '#0b0b0b',
+  text: '#1a1a1a',
+  muted: '#6b6b6b',
+  border: '#e8e2cf',
+  tint: '#faf6ea'
+};
+
+// Page grid (points): English label | value | Arabic label
+const MARGIN = 40;
+const COL_VALUE = 190;
+const COL_AR = 420;
+
+const TYPES = {
+  space_only: { en: 'Space Only', ar: 'مساحة فقط' },
+  furnished: { en: 'Furnished Space', ar: 'مساحة مجهزة' }
+};
+
+const STATUS = {
+  received: { en: 'Received', ar: 'تم الاستلام' },
+  under_review: { en: 'Under review', ar: 'قيد المراجعة' },
+  allocated: { en: 'Allocated', ar: 'تم التخصيص' },
+  declined: { en: 'Declined', ar: 'مرفوض' }
+};
+
+let fontsRequest = null;
+
+// Read once per function instance
+const loadFonts = () => {
+  if (!fontsRequest) {
+    fontsRequest = Promise.all([
+      fs.readFile(fileURLToPath(new URL('DejaVuSans.ttf', FONT_DIR))),
+      fs.readFile(fileURLToPath(new URL('DejaVuSans-Bold.ttf', FONT_DIR)))
+    ])
+      .then(([regular, bold]) => ({
+        regular: { name: 'DejaVuSans', data: regular },
+        bold: { name: 'DejaVuSans-Bold', data: bold }
+      }))
+      .catch((err) => {
+        fontsRequest = null;
+        throw err;
+      });
+  }
+  return fontsRequest;
+};
+
+// "12,345.00 SAR" (Latin digits in both languages, like the emails)
+const amount = (value, currency) =>
+  `${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency || 'SAR'}`;
+
+// Calendar date in Riyadh
+const riyadhDate = (iso) => new Date(iso || Date.now()).toLocaleDateString('en-CA', { timeZone: 'Asia/Riyadh' });
+
+export const bookingPdfKind = (booking) => (booking.quote && booking.quote.total != null ? 'proforma' : 'confirmation');
+
+export const bookingPdfFilename = (booking) =>
+  `LeenElite-${bookingPdfKind(booking) === 'proforma' ? 'Proforma' : 'Booking'}-${booking.reference}.pdf`;
+
+/**
+ * @param {object} booking  stored booking (api/_lib/bookings.js)
+ * @param {object} [context]
+ * @param {object} [context.exhibition]  catalog entry (exhibitions.json) or null
+ * @param {object} [context.categories]  catalog "categories" map
+ * @param {string} [context.siteUrl]
+ * @param {string} [context.contactEmail]
+ * @returns {Promise<Buffer>}
+ */
+export const renderBookingPdf = async (booking, { exhibition = null, categories = {}, siteUrl = '', contactEmail = '' } = {}) => {
+  const kind = bookingPdfKind(booking);
+  const title =
+    kind === 'proforma'
+      ? { en: 'Pro-forma Quotation', ar: 'عرض سعر مبدئي' }
+      : { en: 'Booking Request Confirmation', ar: 'تأكيد استلام طلب الحجز' };
+
+  const pdf = createPdf({ fonts: await loadFonts(), title: `${title.en} ${booking.reference}`, author: 'Leen Elite' });
+  pdf.addPage();
+  const right = pdf.width - MARGIN;
+  const valueWidth = COL_AR - COL_VALUE - 14;
+
+  const footer = pdf.height - 30;
+
+  // --- Header band ---------------------------------------------------------------
+  pdf.rect(0, 0, pdf.width, 80, { fill: BRAND.dark });
+  pdf.rect(0, 80, pdf.width, 3, { fill: BRAND.gold });
+  pdf.text('LEEN ELITE', MARGIN, 42, { font: 'bold', size: 22, color: BRAND.gold });
+  pdf.text('لين إليت', right, 42, { font: 'bold', size: 22, color: BRAND.gold, align: 'right', dir: 'rtl' });
+  pdf.text('Integrated Event Services', MARGIN, 62, { size: 9, color: '#cfcfcf' });
+  pdf.text('حلول متكاملة للفعاليات', right, 62, { size: 9, color: '#cfcfcf', align: 'right', dir: 'rtl' });
+
+  // --- Title -----------------------------------------------------------------------
+  let top = 116;
+  pdf.text(title.en, MARGIN, top, { font: 'bold', size: 16, color: BRAND.text });
+  pdf.text(title.ar, right, top, { font: 'bold', size: 16, color: BRAND.text, align: 'right', dir: 'rtl' });
+  top += 20;
+  pdf.text(booking.reference, pdf.width / 2, top, { font: 'bold', size: 12, color: BRAND.gold, align: 'center' });
+  top += 10;
+
+  // Long company names or notes can push the rest onto a second page
+  const room = (height) => {
+    if (top + height <= footer - 20) return;
+    pdf.addPage();
+    top = MARGIN;
+  };
+
+  // --- Rows --------------------------------------------------------------------------
+  // row: { en, ar, value: string | string[], bold, amount, fill }
+  const row = ({ en, ar, value, bold = false, isAmount = false, fill = null }) => {
+    const values = (Array.isArray(value) ? value : [value]).map((v) => String(v ?? '').trim() || '—');
+    const lines = values.flatMap((v) => pdf.wrap(v, valueWidth, { size: 10, font: bold ? 'bold' : 'regular' }));
+    const height = Math.max(19, lines.length * 13 + 6);
+    room(height);
+    if (fill) pdf.rect(MARGIN, top, right - MARGIN, height, { fill });
+    const font = bold ? 'bold' : 'regular';
+    pdf.text(en, MARGIN + 6, top + 13, { size: 9, color: BRAND.muted, font });
+    pdf.text(ar, right - 6, top + 13, { size: 9, color: BRAND.muted, font, align: 'right', dir: 'rtl' });
+    lines.forEach((lineText, i) => {
+      const baseline = top + 13 + i * 13;
+      if (isAmount) pdf.text(lineText, COL_AR - 14, baseline, { size: 10, font, color: BRAND.text, align: 'right', dir: 'ltr' });
+      else if (baseDirection(lineText) === 'rtl') pdf.text(lineText, COL_AR - 14, baseline, { size: 10, font, color: BRAND.text, align: 'right' });
+      else pdf.text(lineText, COL_VALUE, baseline, { size: 10, font, color: BRAND.text });
+    });
+    top += height;
+    pdf.line(MARGIN, top, right, top, { color: BRAND.border });
+  };
+
+  const section = (en, ar) => {
+    room(40);
+    top += 18;
+    pdf.text(en, MARGIN, top, { font: 'bold', size: 11, color: BRAND.gold });
+    pdf.text(ar, right, top, { font: 'bold', size: 11, color: BRAND.gold, align: 'right', dir: 'rtl' });
+    top += 6;
+    pdf.line(MARGIN, top, right, top, { color: BRAND.gold, width: 1 });
+  };
+
+  const status = STATUS[booking.status] || { en: booking.status, ar: booking.status };
+  const category = categories[booking.category];
+  const type = TYPES[booking.type];
+  const quote = kind === 'proforma' ? booking.quote : null;
+
+  section('Booking', 'الحجز');
+  row({ en: 'Booking reference', ar: 'رقم الحجز', value: booking.reference, bold: true });
+  row({ en: 'Date issued', ar: 'تاريخ الإصدار', value: riyadhDate() });
+  row({ en: 'Request received', ar: 'تاريخ الطلب', value: riyadhDate(booking.created_at) });
+  row({ en: 'Status', ar: 'الحالة', value: [status.en, status.ar] });
+  if (exhibition) row({ en: 'Exhibition', ar: 'المعرض', value: [exhibition.name.en, exhibition.name.ar] });
+
+  section('Company', 'الشركة');
+  row({ en: 'Company', ar: 'اسم الشركة', value: booking.company });
+  row({ en: 'Contact person', ar: 'الشخص المسؤول', value: booking.full_name });
+  row({ en: 'Email', ar: 'البريد الإلكتروني', value: booking.email });
+  row({ en: 'Phone', ar: 'رقم الجوال', value: booking.phone });
+  row({ en: 'City', ar: 'المدينة', value: booking.city });
+  row({ en: 'Commercial Registration (CR)', ar: 'السجل التجاري', value: booking.cr });
+  row({ en: 'VAT number', ar: 'الرقم الضريبي', value: booking.vat });
+
+  section('Space', 'المساحة');
+  row({ en: 'Booth category', ar: 'فئة المساحة', value: category ? [category.en, category.ar] : booking.category });
+  row({ en: 'Participation type', ar: 'نوع المشاركة', value: type ? [type.en, type.ar] : booking.type });
+  if (booking.booths && booking.booths.length) row({ en: 'Booths', ar: 'الأجنحة', value: booking.booths.join(', ') });
+  row({
+    en: 'Requested size',
+    ar: 'المساحة المطلوبة',
+    value: quote && quote.min_applied ? `${booking.size} m² (billed: ${quote.billable_size} m²)` : `${booking.size} m²`
+  });
+
+  if (quote) {
+    const c = quote.currency;
+    section('Price breakdown', 'تفاصيل السعر');
+    row({ en: `Space (${quote.billable_size} m² × ${amount(quote.rate, c)})`, ar: 'قيمة المساحة', value: amount(quote.space, c), isAmount: true });
+    if (quote.furnishing) {
+      row({ en: `Furnishing (${quote.billable_size} m² × ${amount(quote.furnished_rate, c)})`, ar: 'التجهيز', value: amount(quote.furnishing, c), isAmount: true });
+    }
+    if (quote.discount) {
+      const code = booking.promo ? ` (${booking.promo.code})` : '';
+      row({ en: `Discount${code}`, ar: 'الخصم', value: `-${amount(quote.discount, c)}`, isAmount: true });
+    }
+    row({ en: 'Subtotal', ar: 'المجموع قبل الضريبة', value: amount(quote.subtotal, c), isAmount: true });
+    row({
+      en: `VAT (${Math.round(quote.vat_rate * 100)}%)`,
+      ar: `ضريبة القيمة المضافة (${Math.round(quote.vat_rate * 100)}%)`,
+      value: amount(quote.vat, c),
+      isAmount: true
+    });
+    row({ en: 'Estimated total', ar: 'الإجمالي التقديري', value: amount(quote.total, c), isAmount: true, bold: true, fill: BRAND.tint });
+  }
+
+  // --- Notes (English left, Arabic right) ---------------------------------------------
+  const notes =
+    kind === 'proforma'
+      ? {
+          en: 'This pro-forma quotation is based on the current rate card and is not a tax invoice. Space number and exact location are confirmed by our team after review, subject to availability.',
+          ar: 'هذا عرض سعر مبدئي وفق قائمة الأسعار الحالية وليس فاتورة ضريبية. يتم تأكيد رقم المساحة وموقعها بعد مراجعة الطلب من فريقنا وفقًا للتوافر.'
+        }
+      : {
+          en: 'This document confirms that we received your booking request. It is not a contract or an invoice; our team will contact you to confirm your space.',
+          ar: 'يؤكد هذا المستند استلام طلب الحجز، وهو ليس عقدًا أو فاتورة؛ سيتواصل معك فريقنا لتأكيد المساحة.'
+        };
+  const half = (right - MARGIN - 20) / 2;
+  const enLines = pdf.wrap(notes.en, half, { size: 8 });
+  const arLines = pdf.wrap(notes.ar, half, { size: 8, dir: 'rtl' });
+  room(20 + Math.max(enLines.length, arLines.length) * 11);
+  top += 20;
+  enLines.forEach((lineText, i) => pdf.text(lineText, MARGIN, top + i * 11, { size: 8, color: BRAND.muted }));
+  arLines.forEach((lineText, i) => pdf.text(lineText, right, top + i * 11, { size: 8, color: BRAND.muted, align: 'right', dir: 'rtl' }));
+
+  // --- Footer (last page) -------------------------------------------------------------------
+  pdf.line(MARGIN, footer - 14, right, footer - 14, { color: BRAND.gold });
+  const contact = [String(siteUrl || '').replace(/^https?:\/\//, ''), contactEmail].filter(Boolean).join('  ·  ');
+  pdf.text(`Leen Elite${contact ? `  ·  ${contact}` : ''}`, MARGIN, footer, { size: 8, color: BRAND.muted });
+  pdf.text('لين إليت', right, footer, { size: 8, color: BRAND.muted, align: 'right', dir: 'rtl' });
+
+  return pdf.toBuffer();
+};
+
+// Render with the booking's exhibition and the site contact details
+export const bookingPdf = async (booking) => {
+  const cfg = getFormConfig();
+  const [exhibition, { categories }] = await Promise.all([booking.exhibition ? getExhibition(booking.exhibition) : null, loadCatalog()]);
+  return renderBookingPdf(booking, { exhibition, categories, siteUrl: cfg.site_url, contactEmail: cfg.to_email });
+};
+
+export const bookingPdfUrl = (booking) =>
+  `${getFormConfig().site_url}/api/booking-pdf?token=${signToken('booking_pdf', { r: booking.reference }, PDF_LINK_TTL_DAYS * 86400)}`;
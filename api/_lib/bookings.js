@@ -0,0 +1,223 @@
+// Space booking requests with human-friendly references (LE-2026-000123).
+//
+// Record: { reference, status, email, full_name, company, phone, phone_country, phone_local,
+//           city, cr, vat, size, type, category, notes, exhibition, booths: [id], quote, promo, attachments,
+//           waitlist, lang, page, ip, admin_notified, history: [{ status, at }], created_at, updated_at }
+// status: see BOOKING_STATUSES ('received' on creation)
+// booths: floor-plan booths held for the booking (api/_lib/floorplans.js)
+// quote: server estimate (js/quote.js) + { client_total, mismatch } or null
+// promo: applied promo code { code, type, value, label, discount } or null (api/_lib/promo-codes.js)
+// attachments: uploaded documents [{ id, kind, name, type, size }] (api/_lib/uploads.js)
+// waitlist: id of the waitlist entry whose offer the booking took up, or null (api/_lib/waitlist.js)
+
+import validation from '../../js/form-validation.js';
+import { holdBooths, parseBooths, setBoothState } from './floorplans.js';
+import { getFormConfig } from './form-config.js';
+import { redeemPromo, releasePromo } from './promo-codes.js';
+import { getStorage } from './storage.js';
+import { attachUploads, releaseUploads } from './uploads.js';
+import { claimOffer, releaseOffer } from './waitlist.js';
+
+const COLLECTION = 'bookings';
+const COUNTERS = 'counters';
+
+export const BOOKING_STATUSES = ['received', 'under_review', 'allocated', 'declined'];
+
+const REFERENCE_RE = /^LE-\d{4}-\d{6}$/;
+
+// Accepts lower case, spaces and Arabic-Indic digits ("le-٢٠٢٦-000123 ")
+export const normalizeReference = (value) =>
+  validation.normalizeDigits(value).replace(/\s+/g, '').toUpperCase();
+
+export const isReference = (value) => REFERENCE_RE.test(normalizeReference(value));
+
+// Sequence per calendar year, incremented atomically through storage.update()
+const nextReference = async () => {
+  const year = new Date().getFullYear();
+  const counter = await getStorage().update(COUNTERS, `booking-${year}`, (current) => ({
+    value: ((current && current.value) || 0) + 1
+  }));
+  return `LE-${year}-${String(counter.value).padStart(6, '0')}`;
+};
+
+export const getBooking = (reference) => getStorage().get(COLLECTION, normalizeReference(reference));
+
+export const listBookings = () => getStorage().list(COLLECTION);
+
+const BOOKING_FIELDS = [
+  'full_name',
+  'company',
+  'email',
+  'phone',
+  'phone_country',
+  'phone_local',
+  'city',
+  'cr',
+  'vat',
+  'size',
+  'type',
+  'category',
+  'notes',
+  'exhibition'
+];
+
+/**
+ * A waitlist offer is claimed, booths are held, the promo code use is counted
+ * and the uploads are claimed before the booking is stored, so two requests
+ * can never get the same offer, booth, upload or the last use of a code; a
+ * conflict (or a failed write) gives all of them back and stores nothing.
+ *
+ * @param {object} values  normalized "reserve" values from js/form-validation.js
+ * @param {object} meta    { lang, page, ip, quote, promo, attachments, waitlist }
+ * @returns {Promise<{ ok: true, booking: object } | { ok: false, error: 'booth_taken' | 'promo_exhausted' | 'invalid_offer' | 'invalid_attachment', booths?: string[] }>}
+ */
+export const createBooking = async (
+  values,
+  { lang = '', page = '', ip = '', quote = null, promo = null, attachments = [], waitlist = null } = {}
+) => {
+  const reference = await nextReference();
+  const booths = parseBooths(values.booths);
+  const uploadIds = attachments.map((file) => file.id);
+
+  // Undo the claims made so far, newest first
+  const claims = [];
+  const giveBack = async () => {
+    for (const release of claims.reverse()) await release();
+  };
+
+  if (waitlist) {
+    const claimed = await claimOffer(waitlist, reference);
+    if (!claimed.ok) return { ok: false, error: claimed.error };
+    claims.push(() => releaseOffer(waitlist, reference));
+  }
+  if (booths.length) {
+    const hold = await holdBooths(values.exhibition, booths, reference);
+    if (!hold.ok) {
+      await giveBack();
+      return { ok: false, error: 'booth_taken', booths: hold.taken };
+    }
+    claims.push(() => setBoothState(values.exhibition, reference, null));
+  }
+  if (promo) {
+    const redeemed = await redeemPromo(promo.code);
+    if (!redeemed.ok) {
+      await giveBack();
+      return { ok: false, error: redeemed.error };
+    }
+    claims.push(() => releasePromo(promo.code));
+  }
+  if (uploadIds.length) {
+    const attached = await attachUploads(uploadIds, reference);
+    if (!attached.ok) {
+      await giveBack();
+      return { ok: false, error: attached.error };
+    }
+    claims.push(() => releaseUploads(uploadIds, reference));
+  }
+
+  const now = new Date().toISOString();
+  const booking = {
+    reference,
+    status: 'received',
+    ...Object.fromEntries(BOOKING_FIELDS.map((field) => [field, values[field] ?? ''])),
+    email: String(values.email || '').toLowerCase(),
+    booths,
+    quote,
+    promo,
+    attachments,
+    waitlist,
+    lang,
+    page,
+    ip,
+    admin_notified: false,
+    history: [{ status: 'received', at: now }],
+    created_at: now,
+    updated_at: now
+  };
+  try {
+    await getStorage().put(COLLECTION, booking.reference, booking);
+  } catch (err) {
+    await giveBack();
+    throw err;
+  }
+  return { ok: true, booking };
+};
+
+// Apply a change to a stored booking; returns the updated booking or null
+export const updateBooking = async (reference, changes) => {
+  const id = normalizeReference(reference);
+  const existing = await getBooking(id);
+  if (!existing) return null;
+  return getStorage().update(COLLECTION, id, (current) => ({
+    ...current,
+    ...changes,
+    updated_at: new Date().toISOString()
+  }));
+};
+
+/**
+ * Move a booking to another status (api/admin/bookings). The floor plan
+ * follows: allocated books the booths, declined frees them and gives the
+ * promo code use back. Re-opening a declined booking holds its booths and
+ * counts the use again first, and changes nothing when someone else took the
+ * booths or the last use meanwhile.
+ *
+ * @returns {Promise<{ ok: true, booking: object } | { ok: false, error: 'not_found' | 'booth_taken' | 'promo_exhausted', booths?: string[] }>}
+ */
+export const setBookingStatus = async (reference, status) => {
+  if (!BOOKING_STATUSES.includes(status)) throw new Error(`Invalid booking status: ${status}`);
+  const existing = await getBooking(reference);
+  if (!existing) return { ok: false, error: 'not_found' };
+  const holdsBooths = Boolean(existing.exhibition && (existing.booths || []).length);
+  const promoCode = existing.promo && existing.promo.code;
+  const reopened = existing.status === 'declined' && status !== 'declined';
+
+  if (holdsBooths && status !== 'declined') {
+    const hold = await holdBooths(existing.exhibition, existing.booths, existing.reference);
+    if (!hold.ok) return { ok: false, error: 'booth_taken', booths: hold.taken };
+  }
+  if (promoCode && reopened) {
+    const redeemed = await redeemPromo(promoCode);
+    if (!redeemed.ok) {
+      if (holdsBooths) await setBoothState(existing.exhibition, existing.reference, null);
+      return { ok: false, error: redeemed.error };
+    }
+  }
+
+  const booking = await getStorage().update(COLLECTION, existing.reference, (current) => {
+    if (current.status === status) return current;
+    const at = new Date().toISOString();
+    return { ...current, status, history: [...(current.history || []), { status, at }], updated_at: at };
+  });
+
+  if (holdsBooths) {
+    const state = status === 'declined' ? null : status === 'allocated' ? 'booked' : 'pending';
+    await setBoothState(booking.exhibition, booking.reference, state);
+  }
+  if (promoCode && status === 'declined' && existing.status !== 'declined') await releasePromo(promoCode);
+  return { ok: true, booking };
+};
+
+// Both the reference and the email must match, so references cannot be enumerated
+export const findBooking = async (reference, email) => {
+  if (!isReference(reference)) return null;
+  const booking = await getBooking(reference);
+  if (!booking) return null;
+  return booking.email === String(email || '').trim().toLowerCase() ? booking : null;
+};
+
+// Public view for the status lookup
+export const bookingStatusView = (booking) => ({
+  reference: booking.reference,
+  status: booking.status,
+  company: booking.company,
+  booths: booking.booths || [],
+  created_at: booking.created_at,
+  updated_at: booking.updated_at
+});
+
+// Link to the lookup on the exhibitions page (reference prefilled)
+export const bookingStatusUrl = (booking) => {
+  const lang = String(booking.lang || '').toLowerCase().startsWith('ar') ? 'ar' : 'en';
+  return `${getFormConfig().site_url}/${lang}/upcoming-exhibitions.html?ref=${encodeURIComponent(booking.reference)}#booking-status`;
+};
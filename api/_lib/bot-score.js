@@ -0,0 +1,127 @@
+// Bot score for form submissions.
+//
+// Signals (weights add up; at BOT_THRESHOLD or above the submission is dropped
+// silently, exactly like a filled honeypot):
+// - honeypot:           the hidden "website" field is filled
+// - too_fast:           submitted less than min_fill_seconds after the form rendered
+// - invalid_form_token: render token forged, from another purpose, issued for
+//                       another form or to another IP
+// - missing_form_token: no render token; every page that posts to api/ renders
+//                       its forms with JS and fetches one
+// - no_form_token:      no render token where the deployment opted out
+//                       (FORM_TOKEN_OPTIONAL, pages that cannot fetch one) – a hint only
+// - expired_form_token: render token older than FORM_TOKEN_TTL – a hint only
+// - disposable_email:   address on a throwaway-mailbox domain
+//
+// js/script.js fetches a signed render timestamp from api/form-token?form=…
+// when a form is shown and sends it back as `form_token`. The token names the
+// form and the IP it was issued to, so one fetched token cannot be replayed
+// for other forms or from other machines.
+
+import crypto from 'node:crypto';
+import { signToken, verifyToken } from './tokens.js';
+
+export const BOT_THRESHOLD = 60;
+
+const WEIGHTS = {
+  honeypot: 100,
+  too_fast: 60,
+  disposable_email: 60,
+  invalid_form_token: 60,
+  missing_form_token: 60,
+  no_form_token: 20,
+  expired_form_token: 20
+};
+
+// Long-lived enough for a tab left open; an expired token only adds a hint.
+const FORM_TOKEN_TTL = 12 * 60 * 60;
+
+// Forms that render with a token (the reserve modal posts to api/reserve and api/waitlist)
+export const FORM_TOKEN_FORMS = ['contact', 'reserve', 'subscribe', 'profile_access'];
+
+// The IP is kept as a short hash, not in clear text in the page
+const ipTag = (ip) => (ip ? crypto.createHash('sha256').update(String(ip)).digest('hex').slice(0, 16) : '');
+
+const DISPOSABLE_DOMAINS = new Set([
+  '10minutemail.com',
+  '20minutemail.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'guerrillamailblock.com',
+  'sharklasers.com',
+  'grr.la',
+  'mailinator.com',
+  'mailinator.net',
+  'maildrop.cc',
+  'mailnesia.com',
+  'mintemail.com',
+  'yopmail.com',
+  'yopmail.net',
+  'yopmail.fr',
+  'trashmail.com',
+  'trashmail.de',
+  'temp-mail.org',
+  'tempmail.com',
+  'tempmailo.com',
+  'tempr.email',
+  'temp-mail.io',
+  'tmpmail.org',
+  'throwawaymail.com',
+  'getnada.com',
+  'nada.email',
+  'dispostable.com',
+  'fakeinbox.com',
+  'mohmal.com',
+  'emailondeck.com',
+  'mailcatch.com',
+  'spamgourmet.com',
+  'mytemp.email',
+  'moakt.com',
+  'burnermail.io',
+  'discard.email',
+  'inboxkitten.com',
+  'mail.tm',
+  'mailpoof.com',
+  'spambox.us'
+]);
+
+export const issueFormToken = (form, ip) => signToken('form_render', { t: Date.now(), f: form, a: ipTag(ip) });
+
+// Checks the domain and its parents (foo.mailinator.com is still mailinator)
+export const isDisposableEmail = (email, extraDomains = []) => {
+  const domain = String(email || '').trim().toLowerCase().split('@')[1] || '';
+  if (!domain) return false;
+  const parts = domain.split('.');
+  for (let i = 0; i < parts.length - 1; i += 1) {
+    const candidate = parts.slice(i).join('.');
+    if (DISPOSABLE_DOMAINS.has(candidate) || extraDomains.includes(candidate)) return true;
+  }
+  return false;
+};
+
+/**
+ * @param {object} data     raw request body
+ * @param {object} cfg      getFormConfig()
+ * @param {object} context  { form (one of FORM_TOKEN_FORMS), ip (clientIp) }
+ * @returns {{ score: number, reasons: string[], isBot: boolean }}
+ */
+export const botScore = (data, cfg, { form, ip } = {}) => {
+  const reasons = [];
+
+  if (data[cfg.honeypot_field]) reasons.push('honeypot');
+
+  const token = String(data.form_token || '');
+  if (!token) reasons.push(cfg.form_token_optional ? 'no_form_token' : 'missing_form_token');
+  else {
+    const payload = verifyToken('form_render', token);
+    const age = payload ? Date.now() - payload.t : NaN;
+    if (!payload || !Number.isFinite(age) || payload.f !== form || payload.a !== ipTag(ip)) reasons.push('invalid_form_token');
+    else if (age > FORM_TOKEN_TTL * 1000) reasons.push('expired_form_token');
+    else if (age < cfg.min_fill_seconds * 1000) reasons.push('too_fast');
+  }
+
+  if (isDisposableEmail(data.email, cfg.blocked_domains)) reasons.push('disposable_email');
+
+  const score = reasons.reduce((sum, reason) => sum + WEIGHTS[reason], 0);
+  return { score, reasons, isBot: score >= BOT_THRESHOLD };
+};
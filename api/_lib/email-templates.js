@@ -0,0 +1,490 @@
+// Leen Elite – Email templates (Vercel / Node)
+//
+// Every message type is a template that returns its subject and content per
+// language. renderEmail() turns that into:
+// - html: branded layout, one section per language with its own lang/dir
+//         (Arabic sections are dir="rtl"), primary language first
+// - text: plaintext alternative, languages separated by "---" like the PHP mails
+//
+// Content is a list of blocks built with the helpers below (heading,
+// paragraph, fields, quote, button, signoff). Each block renders to both
+// formats, so the two alternatives never drift apart.
+
+import validation from '../../js/form-validation.js';
+
+const BRAND = {
+  name: 'Leen Elite',
+  gold: '#d3b44e',
+  dark: '#0b0b0b',
+  surface: '#121212',
+  text: '#1a1a1a',
+  muted: '#6b6b6b',
+  border: '#e8e2cf',
+  fontEn: "Inter, 'Segoe UI', Roboto, Arial, sans-serif",
+  fontAr: "Cairo, 'Noto Sans Arabic', Tahoma, Arial, sans-serif"
+};
+
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const nl2br = (value) => escapeHtml(value).replace(/\r\n|\r|\n/g, '<br>');
+
+// Same rule as the PHP handlers: lang starting with "ar", or an /ar/ page
+export const primaryLang = (lang, page = '') =>
+  String(lang || '').toLowerCase().startsWith('ar') || String(page || '').includes('/ar/') ? 'ar' : 'en';
+
+const dirFor = (lang) => (lang === 'ar' ? 'rtl' : 'ltr');
+
+// Price estimates (js/quote.js): "12,345.00 SAR", Latin digits in both languages
+const amount = (value, currency) =>
+  `${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency || 'SAR'}`;
+
+const hasEstimate = (q) => !!(q && q.total != null);
+
+// "EARLY10 – 10% off (1,550.00 SAR)" for the admin email (api/_lib/promo-codes.js)
+const promoLine = (promo, currency) => {
+  const off = promo.type === 'percent' ? `${promo.value}% off` : `${amount(promo.value, currency)} off`;
+  return `${promo.code} – ${off}${promo.discount != null ? ` (${amount(promo.discount, currency)})` : ''}`;
+};
+
+// "CR certificate" -> "cr.pdf (PDF, 1.2 MB) – https://…/api/admin/uploads?id=…" (api/_lib/uploads.js)
+const attachmentRow = (file, siteUrl) => {
+  const kind = validation.FILES.kinds[file.kind];
+  const size = file.size >= 1024 * 1024 ? `${(file.size / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(file.size / 1024))} KB`;
+  return [
+    kind ? kind.label.en : file.kind,
+    `${file.name} (${String(file.type).split('/').pop().toUpperCase()}, ${size}) – ${siteUrl}/api/admin/uploads?id=${file.id}`
+  ];
+};
+
+// --- Blocks ------------------------------------------------------------------
+
+export const heading = (text) => ({
+  text: `${text}\n`,
+  html: () => `<h1 style="margin:0 0 16px;font-size:20px;line-height:1.4;color:${BRAND.text};">${escapeHtml(text)}</h1>`
+});
+
+export const paragraph = (text) => ({
+  text: `${text}\n`,
+  html: () => `<p style="margin:0 0 16px;font-size:15px;line-height:1.7;color:${BRAND.text};">${nl2br(text)}</p>`
+});
+
+// rows: [label, value] pairs. Values are user input, so they get dir="auto"
+// (an Arabic company name inside an English admin mail still reads correctly).
+export const fields = (rows) => ({
+  text: rows.map(([label, value]) => `${label}: ${value}\n`).join(''),
+  html: (dir) => {
+    const align = dir === 'rtl' ? 'right' : 'left';
+    const cells = rows
+      .map(
+        ([label, value]) =>
+          `<tr><th scope="row" style="padding:8px 12px;text-align:${align};vertical-align:top;white-space:nowrap;font-weight:600;color:${BRAND.muted};border-bottom:1px solid ${BRAND.border};">${escapeHtml(label)}</th>` +
+          `<td dir="auto" style="padding:8px 12px;text-align:${align};color:${BRAND.text};border-bottom:1px solid ${BRAND.border};">${nl2br(value)}</td></tr>`
+      )
+      .join('');
+    return `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin:0 0 16px;border-collapse:collapse;font-size:14px;">${cells}</table>`;
+  }
+});
+
+// Multi-line user text (contact message, notes)
+export const quote = (label, value) => ({
+  text: `${label}:\n${value}\n`,
+  html: (dir) => {
+    const side = dir === 'rtl' ? 'right' : 'left';
+    return (
+      `<p style="margin:0 0 8px;font-size:14px;font-weight:600;color:${BRAND.muted};">${escapeHtml(label)}</p>` +
+      `<div dir="auto" style="margin:0 0 16px;padding:12px 16px;border-${side}:3px solid ${BRAND.gold};background:#faf7ee;font-size:15px;line-height:1.7;color:${BRAND.text};">${nl2br(value)}</div>`
+    );
+  }
+});
+
+export const button = (label, url) => ({
+  text: `${label}:\n${url}\n`,
+  html: () =>
+    `<p style="margin:0 0 16px;"><a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 24px;border-radius:10px;background:${BRAND.gold};color:${BRAND.dark};font-weight:700;text-decoration:none;">${escapeHtml(label)}</a></p>` +
+    `<p style="margin:0 0 16px;font-size:12px;line-height:1.6;color:${BRAND.muted};word-break:break-all;">${escapeHtml(url)}</p>`
+});
+
+// Small print of subscriber emails: preference center + unsubscribe
+// (api/_lib/subscribers.js manageUrls())
+export const manageLinks = (lang, { preferencesUrl, unsubscribeUrl }) => {
+  const labels =
+    lang === 'ar'
+      ? { preferences: 'إدارة تفضيلات البريد', unsubscribe: 'إلغاء الاشتراك' }
+      : { preferences: 'Manage email preferences', unsubscribe: 'Unsubscribe' };
+  const link = (label, url) => `<a href="${escapeHtml(url)}" style="color:${BRAND.muted};">${escapeHtml(label)}</a>`;
+  return {
+    text: `${labels.preferences}: ${preferencesUrl}\n${labels.unsubscribe}: ${unsubscribeUrl}\n`,
+    html: () =>
+      `<p style="margin:0 0 16px;font-size:12px;line-height:1.6;color:${BRAND.muted};">` +
+      `${link(labels.preferences, preferencesUrl)} · ${link(labels.unsubscribe, unsubscribeUrl)}</p>`
+  };
+};
+
+export const signoff = (lang) =>
+  paragraph(lang === 'ar' ? `مع التحية،\n${BRAND.name}` : `Regards,\n${BRAND.name}`);
+
+// --- Layout ------------------------------------------------------------------
+
+const section = (lang, blocks) => {
+  const dir = dirFor(lang);
+  const font = lang === 'ar' ? BRAND.fontAr : BRAND.fontEn;
+  const align = dir === 'rtl' ? 'right' : 'left';
+  return (
+    `<div lang="${lang}" dir="${dir}" style="text-align:${align};font-family:${font};">` +
+    blocks.map((b) => b.html(dir)).join('') +
+    '</div>'
+  );
+};
+
+const layout = ({ lang, title, sections, siteUrl }) => {
+  const divider = `<hr style="margin:24px 0;border:0;border-top:1px solid ${BRAND.border};">`;
+  return `<!DOCTYPE html>
+<html lang="${lang}" dir="${dirFor(lang)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="color-scheme" content="light">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f1e8;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f1e8;">
+<tr><td align="center" style="padding:24px 12px;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border-radius:14px;overflow:hidden;">
+<tr><td align="center" style="padding:20px 24px;background:${BRAND.dark};border-bottom:3px solid ${BRAND.gold};">
+<a href="${escapeHtml(siteUrl)}" style="text-decoration:none;"><img src="${escapeHtml(siteUrl)}/images/logo.png" width="140" alt="${BRAND.name}" style="display:block;border:0;max-width:140px;height:auto;"></a>
+</td></tr>
+<tr><td style="padding:28px 24px;">
+${sections.join(divider)}
+</td></tr>
+<tr><td align="center" style="padding:16px 24px;background:${BRAND.surface};font-family:${BRAND.fontEn};font-size:12px;line-height:1.6;color:#bdbdbd;">
+<a href="${escapeHtml(siteUrl)}" style="color:${BRAND.gold};text-decoration:none;">${escapeHtml(siteUrl.replace(/^https?:\/\//, ''))}</a>
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>
+`;
+};
+
+// --- Templates ---------------------------------------------------------------
+// Each returns { subject: string | { en, ar }, content: { en?: blocks, ar?: blocks } }.
+// Admin notifications are English only, like the PHP handlers.
+
+const TEMPLATES = {
+  contact_admin: (d) => ({
+    subject: 'Leen Elite – New Contact Lead',
+    content: {
+      en: [
+        heading('New contact form submission'),
+        fields([
+          ['Name', d.name],
+          ['Email', d.email],
+          ['Phone', d.phone]
+        ]),
+        quote('Message', d.message),
+        fields([
+          ['Language', d.lang],
+          ['Page', d.page],
+          ['Date (server)', d.date],
+          ['IP', d.ip]
+        ])
+      ]
+    }
+  }),
+
+  contact_user: (d) => ({
+    subject: { en: 'Leen Elite – We received your message', ar: 'Leen Elite – تم استلام رسالتك' },
+    content: {
+      en: [
+        paragraph(`Hello ${d.name},`),
+        paragraph('Thanks for contacting Leen Elite. We received your message and will get back to you as soon as possible.'),
+        quote('Your message summary', d.message),
+        signoff('en')
+      ],
+      ar: [
+        paragraph(`مرحبًا ${d.name}،`),
+        paragraph('شكرًا لتواصلك مع لين إيليت. تم استلام رسالتك وسنقوم بالرد عليك في أقرب وقت ممكن.'),
+        quote('ملخص رسالتك', d.message),
+        signoff('ar')
+      ]
+    }
+  }),
+
+  reserve_admin: (d) => ({
+    subject: `Leen Elite – New Space Booking Request (${d.reference})`,
+    content: {
+      en: [
+        heading('New space booking request'),
+        fields([
+          ['Booking Reference', d.reference],
+          ...(d.exhibitionName ? [['Exhibition', d.exhibitionName.en]] : []),
+          ...(d.booths ? [['Booths', d.booths]] : []),
+          ['Full Name', d.full_name],
+          ['Company', d.company],
+          ['Email', d.email],
+          ['Phone', d.phone],
+          ...(d.phone_country || d.phone_local
+            ? [
+                ['Phone Country', d.phone_country],
+                ['Phone Local', d.phone_local]
+              ]
+            : []),
+          ['City', d.city],
+          ['CR', d.cr || '-'],
+          ['VAT', d.vat || '-'],
+          ['Space Size', d.size],
+          ['Participation Type', d.type],
+          ['Space Category', d.category],
+          ['Notes', d.notes || '-'],
+          ...(d.promo ? [['Promo Code', promoLine(d.promo, d.quote && d.quote.currency)]] : []),
+          ...(d.waitlistPosition ? [['Waitlist', `Offer taken up (queue position #${d.waitlistPosition})`]] : [])
+        ]),
+        ...(d.quote
+          ? [
+              fields([
+                [
+                  'Estimate (server)',
+                  hasEstimate(d.quote)
+                    ? `${amount(d.quote.total, d.quote.currency)} (subtotal ${amount(d.quote.subtotal, d.quote.currency)}, VAT ${amount(d.quote.vat, d.quote.currency)})`
+                    : 'n/a (no rate for this request)'
+                ],
+                ['Estimate (form)', d.quote.client_total != null ? amount(d.quote.client_total, d.quote.currency) : '-'],
+                ['Estimate Check', d.quote.mismatch ? 'MISMATCH – the form showed a different price, please review' : 'ok']
+              ])
+            ]
+          : []),
+        ...(d.attachments && d.attachments.length
+          ? [
+              paragraph('Attachments (download with the admin token):'),
+              fields(d.attachments.map((file) => attachmentRow(file, d.siteUrl)))
+            ]
+          : []),
+        fields([
+          ['Privacy Consent', 'yes'],
+          ['Saudi Requirements Applied', d.isKsa ? 'yes' : 'no'],
+          ['Language', d.lang],
+          ['Page', d.page],
+          ['Date (server)', d.date],
+          ['IP', d.ip]
+        ])
+      ]
+    }
+  }),
+
+  reserve_user: (d) => ({
+    subject: {
+      en: `Leen Elite – We received your booking request (${d.reference})`,
+      ar: `Leen Elite – تم استلام طلب الحجز (${d.reference})`
+    },
+    content: {
+      en: [
+        paragraph(`Hello ${d.full_name},`),
+        paragraph(
+          'Thanks for your space booking request with Leen Elite. We received your request and our team will contact you shortly.'
+        ),
+        heading('Request summary'),
+        fields([
+          ['Booking reference', d.reference],
+          ...(d.exhibitionName ? [['Exhibition', d.exhibitionName.en]] : []),
+          ...(d.booths ? [['Booths', d.booths]] : []),
+          ['Name', d.full_name],
+          ['Company', d.company],
+          ['City', d.city],
+          ['Space size', `${d.size} m²`],
+          ['Participation type', d.type],
+          ['Space category', d.category],
+          ...(hasEstimate(d.quote)
+            ? [['Estimated price', `${amount(d.quote.total, d.quote.currency)}${d.quote.vat ? ' (incl. VAT)' : ''}`]]
+            : [])
+        ]),
+        ...(hasEstimate(d.quote) ? [paragraph('The price is an estimate; our team confirms the final amount with your allocation.')] : []),
+        ...(d.pdfAttached
+          ? [paragraph(hasEstimate(d.quote) ? 'Your pro-forma quotation is attached as a PDF.' : 'Your booking confirmation is attached as a PDF.')]
+          : []),
+        ...(d.notes ? [quote('Notes', d.notes)] : []),
+        paragraph('Keep your booking reference. You can check the status of your request at any time:'),
+        button('Check booking status', d.statusUrl),
+        signoff('en')
+      ],
+      ar: [
+        paragraph(`مرحبًا ${d.full_name}،`),
+        paragraph('شكرًا لتقديم طلب حجز المساحة لدى لين إيليت. تم استلام طلبك وسيتواصل معك فريقنا قريبًا.'),
+        heading('ملخص الطلب'),
+        fields([
+          ['رقم الحجز', d.reference],
+          ...(d.exhibitionName ? [['المعرض', d.exhibitionName.ar || d.exhibitionName.en]] : []),
+          ...(d.booths ? [['الأجنحة', d.booths]] : []),
+          ['الاسم', d.full_name],
+          ['الشركة', d.company],
+          ['المدينة', d.city],
+          ['المساحة', `${d.size} م²`],
+          ['نوع المشاركة', d.type],
+          ['تصنيف المساحة', d.category],
+          ...(hasEstimate(d.quote)
+            ? [['السعر التقديري', `${amount(d.quote.total, d.quote.currency)}${d.quote.vat ? ' (شامل الضريبة)' : ''}`]]
+            : [])
+        ]),
+        ...(hasEstimate(d.quote) ? [paragraph('السعر تقديري، ويؤكد فريقنا المبلغ النهائي مع تخصيص المساحة.')] : []),
+        ...(d.pdfAttached
+          ? [paragraph(hasEstimate(d.quote) ? 'مرفق عرض السعر المبدئي بصيغة PDF.' : 'مرفق تأكيد الحجز بصيغة PDF.')]
+          : []),
+        ...(d.notes ? [quote('ملاحظات', d.notes)] : []),
+        paragraph('احتفظ برقم الحجز. يمكنك متابعة حالة طلبك في أي وقت:'),
+        button('متابعة حالة الحجز', d.statusUrl),
+        signoff('ar')
+      ]
+    }
+  }),
+
+  waitlist_admin: (d) => ({
+    subject: `Leen Elite – Waitlist: ${d.categoryName.en} (#${d.position})`,
+    content: {
+      en: [
+        heading('New waitlist entry (sold-out category)'),
+        fields([
+          ['Exhibition', d.exhibitionName.en],
+          ['Space Category', d.categoryName.en],
+          ['Queue Position', `#${d.position} (${d.place} waiting incl. this one)`],
+          ['Full Name', d.full_name],
+          ['Company', d.company],
+          ['Email', d.email],
+          ['Phone', d.phone],
+          ['City', d.city],
+          ['CR', d.cr || '-'],
+          ['VAT', d.vat || '-'],
+          ['Space Size', d.size],
+          ['Participation Type', d.type],
+          ['Notes', d.notes || '-']
+        ]),
+        paragraph('When a space frees up, offer it to the next company with POST /api/admin/waitlist.'),
+        fields([
+          ['Language', d.lang],
+          ['Page', d.page],
+          ['Date (server)', d.date],
+          ['IP', d.ip]
+        ])
+      ]
+    }
+  }),
+
+  waitlist_user: (d) => ({
+    subject: { en: 'Leen Elite – You are on the waitlist', ar: 'Leen Elite – تمت إضافتك إلى قائمة الانتظار' },
+    content: {
+      en: [
+        paragraph(`Hello ${d.full_name},`),
+        paragraph(
+          `The ${d.categoryName.en} category of ${d.exhibitionName.en} is sold out, so we added ${d.company} to its waitlist. You are number ${d.place} in line.`
+        ),
+        paragraph('If a space becomes available we email the companies on the list in order, with a link to book it.'),
+        signoff('en')
+      ],
+      ar: [
+        paragraph(`مرحبًا ${d.full_name}،`),
+        paragraph(
+          `اكتمل حجز فئة «${d.categoryName.ar || d.categoryName.en}» في ${d.exhibitionName.ar || d.exhibitionName.en}، لذا أضفنا ${d.company} إلى قائمة الانتظار. ترتيبك في القائمة: ${d.place}.`
+        ),
+        paragraph('عند توفر مساحة نراسل الشركات المسجلة في القائمة بالترتيب مع رابط للحجز.'),
+        signoff('ar')
+      ]
+    }
+  }),
+
+  waitlist_offer: (d) => ({
+    subject: { en: 'Leen Elite – A space is available for you', ar: 'Leen Elite – تتوفر مساحة لك' },
+    content: {
+      en: [
+        paragraph(`Hello ${d.full_name},`),
+        paragraph(
+          `Good news: a space in the ${d.categoryName.en} category of ${d.exhibitionName.en} has become available, and ${d.company} is next on the waitlist.`
+        ),
+        paragraph(`The offer is reserved for you until ${d.expires} (Riyadh time). Use the link below to send your booking request:`),
+        button('Book your space', d.offerUrl),
+        paragraph('If you no longer need the space, you can ignore this email and we will offer it to the next company.'),
+        signoff('en')
+      ],
+      ar: [
+        paragraph(`مرحبًا ${d.full_name}،`),
+        paragraph(
+          `يسعدنا إبلاغك بتوفر مساحة في فئة «${d.categoryName.ar || d.categoryName.en}» في ${d.exhibitionName.ar || d.exhibitionName.en}، و${d.company} هي التالية في قائمة الانتظار.`
+        ),
+        paragraph(`العرض محجوز لك حتى ${d.expires} (بتوقيت الرياض). استخدم الرابط التالي لإرسال طلب الحجز:`),
+        button('احجز مساحتك', d.offerUrl),
+        paragraph('إذا لم تعد بحاجة إلى المساحة يمكنك تجاهل هذه الرسالة وسنعرضها على الشركة التالية.'),
+        signoff('ar')
+      ]
+    }
+  }),
+
+  subscribe_confirm: (d) => ({
+    subject: { en: 'Leen Elite – Please confirm your subscription', ar: 'Leen Elite – يرجى تأكيد الاشتراك' },
+    content: {
+      en: [
+        paragraph('Hello,'),
+        paragraph('Thanks for subscribing to the Leen Elite newsletter. Please confirm your email address (the link is valid for 7 days).'),
+        button('Confirm subscription', d.confirmUrl),
+        paragraph('If you did not subscribe, you can ignore this message.'),
+        signoff('en'),
+        manageLinks('en', d)
+      ],
+      ar: [
+        paragraph('مرحبًا،'),
+        paragraph('شكرًا لاشتراكك في نشرة لين إيليت. يرجى تأكيد بريدك الإلكتروني (الرابط صالح لمدة 7 أيام).'),
+        button('تأكيد الاشتراك', d.confirmUrl),
+        paragraph('يمكنك تجاهل هذه الرسالة إذا لم تقم بالاشتراك.'),
+        signoff('ar'),
+        manageLinks('ar', d)
+      ]
+    }
+  }),
+
+  subscribe_admin: (d) => ({
+    subject: 'Leen Elite – New Subscription',
+    content: {
+      en: [
+        heading('New newsletter subscription (confirmed)'),
+        fields([
+          ['Email', d.email],
+          ['Language', d.lang],
+          ['Page', d.page],
+          ['Source', d.source],
+          ['Date (server)', d.date],
+          ['IP', d.ip]
+        ])
+      ]
+    }
+  })
+};
+
+/**
+ * Render one message type.
+ *
+ * @param {string} name    template name (see TEMPLATES)
+ * @param {object} data    template fields
+ * @param {object} opts    { lang, page, siteUrl } – lang/page pick the primary language
+ * @returns {{ subject: string, text: string, html: string, lang: 'en'|'ar' }}
+ */
+export const renderEmail = (name, data, { lang = '', page = '', siteUrl = '' } = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+
+  const { subject, content } = template({ date: new Date().toISOString(), ...data });
+  const available = Object.keys(content);
+  const wanted = primaryLang(lang, page);
+  const primary = available.includes(wanted) ? wanted : available[0];
+  const order = [primary, ...available.filter((l) => l !== primary)];
+  const title = typeof subject === 'string' ? subject : subject[primary];
+
+  return {
+    subject: title,
+    lang: primary,
+    text: order.map((l) => content[l].map((b) => b.text).join('\n')).join('\n\n---\n\n'),
+    html: layout({ lang: primary, title, siteUrl, sections: order.map((l) => section(l, content[l])) })
+  };
+};
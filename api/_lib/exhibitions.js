@@ -0,0 +1,98 @@
+// Exhibitions catalog (exhibitions.json at the site root).
+//
+// The same file is served as-is to static hosts (runtime-config.json points
+// the page at /exhibitions.json there) and through api/exhibitions on Vercel.
+//
+// Exhibition: { id, status?, name: {en, ar}, summary: {en, ar}, start_date, end_date (YYYY-MM-DD or null = TBA),
+//               venue: {en, ar} | null, city: { id, en, ar, country? } | null, cover, categories: [key],
+//               brochure: { url, title: {en, ar} } | null, floorplan: URL of floorplans/<id>.json | null,
+//               pricing: see js/quote.js | null, booking_open, sold_out: [key],
+//               hours: { open: 'HH:MM', close: 'HH:MM' } | null }
+// categories: keys of the catalog's "categories" map (same values as the reserve form)
+// sold_out: categories that are fully allocated; the form offers the waitlist
+//           for them instead (api/waitlist, api/_lib/waitlist.js)
+// hours: daily opening hours in Riyadh for calendar entries (js/calendar.js);
+//        null = all-day entries
+// status: "tba" while the dates, venue and city are not announced; the build
+//         (scripts/structured-data.mjs) writes no event markup for it and
+//         fails on any other exhibition without them
+
+import { promises as fs } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const CATALOG_FILE = fileURLToPath(new URL('../../exhibitions.json', import.meta.url));
+
+let catalogRequest = null;
+
+// Read once per function instance (the file only changes with a deployment)
+export const loadCatalog = () => {
+  if (!catalogRequest) {
+    catalogRequest = fs
+      .readFile(CATALOG_FILE, 'utf8')
+      .then((raw) => {
+        const parsed = JSON.parse(raw);
+        return {
+          categories: (parsed && parsed.categories) || {},
+          exhibitions: Array.isArray(parsed && parsed.exhibitions) ? parsed.exhibitions : []
+        };
+      })
+      .catch((err) => {
+        catalogRequest = null;
+        throw err;
+      });
+  }
+  return catalogRequest;
+};
+
+export const getExhibition = async (id) => {
+  const { exhibitions } = await loadCatalog();
+  return exhibitions.find((exhibition) => exhibition.id === String(id || '').trim()) || null;
+};
+
+const MONTH_RE = /^\d{4}-\d{2}$/;
+
+// An exhibition is "in" a month when its dates overlap it; TBA dates match no month
+const inMonth = (exhibition, month) => {
+  if (!exhibition.start_date) return false;
+  const start = exhibition.start_date.slice(0, 7);
+  const end = (exhibition.end_date || exhibition.start_date).slice(0, 7);
+  return start <= month && month <= end;
+};
+
+// Ended exhibitions drop out the day after end_date (UTC)
+const hasEnded = (exhibition, today) => !!exhibition.end_date && exhibition.end_date < today;
+
+/**
+ * @param {object[]} exhibitions
+ * @param {object}   filter  { city, month (YYYY-MM), category, include_past }
+ */
+export const filterExhibitions = (exhibitions, { city = '', month = '', category = '', include_past = false } = {}) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const cityId = String(city || '').trim().toLowerCase();
+  const monthKey = MONTH_RE.test(String(month || '')) ? month : '';
+  const categoryKey = String(category || '').trim().toLowerCase();
+
+  return exhibitions
+    .filter((exhibition) => include_past || !hasEnded(exhibition, today))
+    .filter((exhibition) => !cityId || (exhibition.city && String(exhibition.city.id).toLowerCase() === cityId))
+    .filter((exhibition) => !monthKey || inMonth(exhibition, monthKey))
+    .filter((exhibition) => !categoryKey || (exhibition.categories || []).includes(categoryKey))
+    .sort((a, b) => {
+      // Dated exhibitions first (soonest first), TBA last
+      if (!a.start_date || !b.start_date) return a.start_date ? -1 : b.start_date ? 1 : 0;
+      return a.start_date.localeCompare(b.start_date);
+    });
+};
+
+export const isSoldOut = (exhibition, category) => !!exhibition && (exhibition.sold_out || []).includes(category);
+
+// Booking rules for api/reserve: the exhibition must exist, be open and offer
+// the category, and the category must not be sold out (unless a waitlist offer
+// for it is being taken up)
+export const checkExhibitionBooking = async (id, category, { waitlistOffer = false } = {}) => {
+  const exhibition = await getExhibition(id);
+  if (!exhibition || exhibition.booking_open === false) return { ok: false, error: 'invalid_exhibition' };
+  if (category && !(exhibition.categories || []).includes(category)) return { ok: false, error: 'category_unavailable' };
+  if (category && !waitlistOffer && isSoldOut(exhibition, category)) return { ok: false, error: 'category_sold_out' };
+  return { ok: true, exhibition };
+};
@@ -0,0 +1,119 @@
+// Booth floor plans per exhibition (floorplans/<exhibition>.json) plus live
+// availability from the booth holds of stored bookings.
+//
+// Plan: { exhibition, width, height, labels: [{ text: {en, ar}, x, y }],
+//         booths: [{ id, category, size (m²), x, y, w, h, status? }] }
+// A booth's status in the file is optional; "blocked" keeps it off sale.
+//
+// Holds (storage collection "booth_holds", one document per exhibition):
+//   { booths: { A1: { reference, state: 'pending' | 'booked' } } }
+// Served status: available | pending (requested) | booked (allocated) | blocked
+
+import { promises as fs } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { getStorage } from './storage.js';
+
+const HOLDS = 'booth_holds';
+const SAFE_ID = /^[a-z0-9-]+$/;
+
+const planFile = (exhibition) => fileURLToPath(new URL(`../../floorplans/${exhibition}.json`, import.meta.url));
+
+const plans = new Map();
+
+// Read once per function instance; null when the exhibition has no plan
+export const loadFloorplan = async (exhibition) => {
+  const id = String(exhibition || '').trim();
+  if (!SAFE_ID.test(id)) return null;
+  if (!plans.has(id)) {
+    const request = fs
+      .readFile(planFile(id), 'utf8')
+      .then((raw) => JSON.parse(raw))
+      .catch((err) => {
+        plans.delete(id);
+        if (err && err.code === 'ENOENT') return null;
+        throw err;
+      });
+    plans.set(id, request);
+  }
+  return plans.get(id);
+};
+
+// "a1, A2" / ['a1'] -> ['A1', 'A2'] (unique, upper case)
+export const parseBooths = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return Array.from(new Set(list.map((b) => String(b).trim().toUpperCase()).filter(Boolean)));
+};
+
+const getHolds = async (exhibition) => (await getStorage().get(HOLDS, exhibition)) || { booths: {} };
+
+/**
+ * Plan with the current status of every booth.
+ * @returns {Promise<object|null>}
+ */
+export const floorplanView = async (exhibition) => {
+  const plan = await loadFloorplan(exhibition);
+  if (!plan) return null;
+  const holds = (await getHolds(plan.exhibition || exhibition)).booths || {};
+  return {
+    ...plan,
+    booths: (plan.booths || []).map((booth) => {
+      const hold = holds[booth.id];
+      const status = booth.status === 'blocked' ? 'blocked' : hold ? hold.state : 'available';
+      return { ...booth, status };
+    })
+  };
+};
+
+/**
+ * Check a booth selection against the plan (existence, blocked, one category).
+ * @returns {Promise<{ ok: true, booths: object[], size: number, category: string } | { ok: false, error: string, booths?: string[] }>}
+ */
+export const checkBooths = async (exhibition, ids) => {
+  const plan = await loadFloorplan(exhibition);
+  if (!plan) return { ok: false, error: 'invalid_booth' };
+  const byId = new Map((plan.booths || []).map((booth) => [booth.id, booth]));
+  const booths = ids.map((id) => byId.get(id));
+  const unknown = ids.filter((id, i) => !booths[i] || booths[i].status === 'blocked');
+  if (unknown.length) return { ok: false, error: 'invalid_booth', booths: unknown };
+
+  const categories = new Set(booths.map((booth) => booth.category));
+  if (categories.size !== 1) return { ok: false, error: 'invalid_booth', booths: ids };
+
+  return {
+    ok: true,
+    booths,
+    size: booths.reduce((sum, booth) => sum + Number(booth.size || 0), 0),
+    category: booths[0].category
+  };
+};
+
+/**
+ * Hold booths for a booking. All or nothing: when any booth is already held
+ * nothing changes and the taken ids come back.
+ * @returns {Promise<{ ok: boolean, taken: string[] }>}
+ */
+export const holdBooths = async (exhibition, ids, reference) => {
+  let taken = [];
+  await getStorage().update(HOLDS, exhibition, (current) => {
+    const doc = current || { booths: {} };
+    taken = ids.filter((id) => doc.booths[id] && doc.booths[id].reference !== reference);
+    if (taken.length) return doc;
+    ids.forEach((id) => {
+      doc.booths[id] = { reference, state: 'pending' };
+    });
+    return doc;
+  });
+  return { ok: !taken.length, taken };
+};
+
+// state 'booked' after allocation; null releases the booths (declined)
+export const setBoothState = (exhibition, reference, state) =>
+  getStorage().update(HOLDS, exhibition, (current) => {
+    const doc = current || { booths: {} };
+    Object.keys(doc.booths).forEach((id) => {
+      if (doc.booths[id].reference !== reference) return;
+      if (state) doc.booths[id].state = state;
+      else delete doc.booths[id];
+    });
+    return doc;
+  });
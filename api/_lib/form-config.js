@@ -0,0 +1,61 @@
+// Leen Elite – Form configuration (Vercel / Node)
+// Mirrors config/form-config.php so the api/ handlers and the PHP endpoints
+// share the same defaults. Override per deployment with environment variables.
+
+const env = (key, fallback = '') => {
+  const v = process.env[key];
+  return v === undefined || v === '' ? fallback : String(v);
+};
+
+const envFlag = (key, fallback) => {
+  const v = env(key, '').toLowerCase();
+  if (v === '') return fallback;
+  return ['1', 'true', 'yes', 'on'].includes(v);
+};
+
+const smtpEncryption = () => {
+  const v = env('SMTP_ENCRYPTION', 'tls').toLowerCase();
+  return v === 'none' ? '' : v;
+};
+
+export const getFormConfig = () => ({
+  // Where leads should be sent
+  to_email: env('FORM_TO_EMAIL', 'info@leenelite.com'),
+
+  // Sender identity (should be same domain to reduce spam)
+  from_email: env('FORM_FROM_EMAIL', 'info@leenelite.com'),
+  from_name: env('FORM_FROM_NAME', 'Leen Elite'),
+
+  // SMTP (Google Workspace SMTP relay), same keys as config/form-config.php.
+  // Off by default: Vercel egress IPs cannot be allowlisted on the relay, so
+  // production deployments set SMTP_ENABLED=true together with SMTP_AUTH
+  // (username/password) or point SMTP_HOST at a relay that accepts them.
+  smtp: {
+    enabled: envFlag('SMTP_ENABLED', false),
+    host: env('SMTP_HOST', 'smtp-relay.gmail.com'),
+    port: Number(env('SMTP_PORT', '587')),
+    encryption: smtpEncryption(), // tls = STARTTLS, ssl = implicit TLS, none = plain
+    auth: envFlag('SMTP_AUTH', false),
+    username: env('SMTP_USERNAME'),
+    password: env('SMTP_PASSWORD'),
+    timeout: Number(env('SMTP_TIMEOUT', '20')),
+    // Used in EHLO. Prefer your real domain.
+    helo: env('SMTP_HELO', 'leenelite.com')
+  },
+
+  // Public site origin used in emailed links (confirm, unsubscribe, …)
+  site_url: env('SITE_URL', 'https://www.leenelite.com').replace(/\/+$/, ''),
+
+  // Basic anti-spam
+  honeypot_field: env('FORM_HONEYPOT_FIELD', 'website'),
+
+  // Bot score (api/_lib/bot-score.js): forms sent faster than this after
+  // rendering count as bots; extra throwaway domains, comma separated.
+  min_fill_seconds: Number(env('FORM_MIN_FILL_SECONDS', '3')),
+  // A missing render token marks a bot unless the pages cannot fetch one
+  form_token_optional: envFlag('FORM_TOKEN_OPTIONAL', false),
+  blocked_domains: env('FORM_BLOCKED_DOMAINS')
+    .split(',')
+    .map((d) => d.trim().toLowerCase())
+    .filter(Boolean)
+});
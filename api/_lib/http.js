@@ -0,0 +1,76 @@
+// Small request helpers shared by the api/ handlers.
+
+// Vercel parses JSON bodies for us; other runtimes may hand over a raw string.
+export const readJsonBody = (req) => {
+  const body = req.body;
+  if (body && typeof body === 'object') return body;
+  if (typeof body === 'string' && body.trim()) {
+    try {
+      const parsed = JSON.parse(body);
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+  return {};
+};
+
+const headerList = (req, name) =>
+  String((req.headers && req.headers[name]) || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+// Client address for rate limits and the lead log. The client controls every
+// X-Forwarded-For value except the one our own proxy appended (the last), so
+// the first one is never trusted. On Vercel the edge sets x-vercel-forwarded-for
+// and x-real-ip itself; elsewhere those headers could come from the client.
+export const clientIp = (req) => {
+  if (process.env.VERCEL) {
+    const edge = headerList(req, 'x-vercel-forwarded-for')[0] || headerList(req, 'x-real-ip')[0];
+    if (edge) return edge;
+  }
+  const fwd = headerList(req, 'x-forwarded-for');
+  if (fwd.length) return fwd[fwd.length - 1];
+  return String((req.socket && req.socket.remoteAddress) || '');
+};
+
+// Reply with the summary of a LeenEliteValidation result (same codes as the PHP handlers)
+export const sendValidationError = (res, result) => {
+  const body = { ok: false, error: result.error };
+  if (result.error === 'missing_fields') body.fields = result.fields;
+  res.status(400).json(body);
+};
+
+// 429 with Retry-After (seconds), for a failed rateLimit() result
+export const sendRateLimited = (res, limit) => {
+  res.setHeader('Retry-After', String(limit.retryAfter));
+  res.status(429).json({ ok: false, error: 'rate_limited', retry_after: limit.retryAfter });
+};
+
+/**
+ * Raw request body as a Buffer (multipart uploads). Reads the stream unless the
+ * runtime already buffered it; stops with an error code past maxBytes.
+ * @returns {Promise<{ ok: true, body: Buffer } | { ok: false, error: 'payload_too_large' }>}
+ */
+export const readRawBody = async (req, maxBytes) => {
+  if (Buffer.isBuffer(req.body)) {
+    return req.body.length > maxBytes ? { ok: false, error: 'payload_too_large' } : { ok: true, body: req.body };
+  }
+  if (typeof req.body === 'string') {
+    const body = Buffer.from(req.body, 'binary');
+    return body.length > maxBytes ? { ok: false, error: 'payload_too_large' } : { ok: true, body };
+  }
+
+  const declared = Number((req.headers && req.headers['content-length']) || 0);
+  if (declared > maxBytes) return { ok: false, error: 'payload_too_large' };
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) return { ok: false, error: 'payload_too_large' };
+    chunks.push(chunk);
+  }
+  return { ok: true, body: Buffer.concat(chunks) };
+};
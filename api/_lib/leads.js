@@ -0,0 +1,174 @@
+// Append-only lead log for the sales team (api/admin/leads).
+//
+// One record per accepted submission of contact, reserve, waitlist and subscribe, stored
+// next to the emails so no lead lives only in the inbox, plus one per opening
+// of the gated Company Profile (profile_access). Records are never updated or
+// deleted from here.
+//
+// Record: { id, form, created_at, name, company, email, phone, city, category,
+//           size, type, message, exhibition, booths, promo_code, quote_total, reference, source, lang, page, ip }
+// lang: 'en' | 'ar' (same rule as the emails: lang field, or an /ar/ page)
+
+import crypto from 'node:crypto';
+import { primaryLang } from './email-templates.js';
+import { getStorage } from './storage.js';
+
+const COLLECTION = 'leads';
+
+export const LEAD_FORMS = ['contact', 'reserve', 'waitlist', 'subscribe', 'profile_access'];
+
+// Column order of the CSV export
+export const LEAD_COLUMNS = [
+  'created_at',
+  'form',
+  'exhibition',
+  'booths',
+  'promo_code',
+  'quote_total',
+  'reference',
+  'name',
+  'company',
+  'email',
+  'phone',
+  'city',
+  'category',
+  'size',
+  'type',
+  'message',
+  'source',
+  'lang',
+  'page'
+];
+
+// Sortable by time, unique within the same millisecond
+const leadId = (now) => `${now.toISOString().replace(/[-:.TZ]/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * @param {string} form    one of LEAD_FORMS
+ * @param {object} values  normalized values from js/form-validation.js
+ * @param {object} meta    { lang, page, ip, source, reference, quote_total }
+ */
+export const recordLead = async (
+  form,
+  values,
+  { lang = '', page = '', ip = '', source = '', reference = '', quote_total = '' } = {}
+) => {
+  if (!LEAD_FORMS.includes(form)) throw new Error(`Unknown lead form: ${form}`);
+  const now = new Date();
+  const get = (key) => String(values[key] ?? '').trim();
+  const lead = {
+    id: leadId(now),
+    form,
+    created_at: now.toISOString(),
+    // contact sends "name", reserve "full_name"
+    name: get('name') || get('full_name'),
+    company: get('company'),
+    email: get('email').toLowerCase(),
+    phone: get('phone'),
+    city: get('city'),
+    category: get('category'),
+    size: get('size'),
+    type: get('type'),
+    // contact "message", reserve "notes"
+    message: get('message') || get('notes'),
+    exhibition: get('exhibition'),
+    booths: get('booths'),
+    promo_code: get('promo_code'),
+    quote_total,
+    reference,
+    source,
+    lang: primaryLang(lang, page),
+    page,
+    ip
+  };
+  await getStorage().put(COLLECTION, lead.id, lead);
+  return lead;
+};
+
+// Dates are YYYY-MM-DD (UTC days, both ends inclusive) or full ISO timestamps
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseBound = (value, end) => {
+  const v = String(value || '').trim();
+  if (!v) return null;
+  const time = Date.parse(DAY_RE.test(v) ? `${v}T00:00:00Z` : v);
+  if (Number.isNaN(time)) return undefined;
+  // "to=2026-03-31" includes the whole day
+  return end && DAY_RE.test(v) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+};
+
+const listParam = (value) =>
+  String(value || '')
+    .split(',')
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Turn query parameters into a filter. Every parameter is optional; list
+ * parameters accept comma separated values.
+ *
+ *   form=contact,reserve  from=2026-01-01  to=2026-01-31  lang=ar
+ *   city=Riyadh  category=sponsors  exhibition=leen-world-2026
+ *
+ * @returns {{ ok: true, filter: object } | { ok: false, error: string, field: string }}
+ */
+export const parseLeadFilter = (query = {}) => {
+  const forms = listParam(query.form);
+  if (forms.some((f) => !LEAD_FORMS.includes(f))) return { ok: false, error: 'invalid_filter', field: 'form' };
+
+  const langs = listParam(query.lang);
+  if (langs.some((l) => l !== 'en' && l !== 'ar')) return { ok: false, error: 'invalid_filter', field: 'lang' };
+
+  const from = parseBound(query.from, false);
+  if (from === undefined) return { ok: false, error: 'invalid_filter', field: 'from' };
+  const to = parseBound(query.to, true);
+  if (to === undefined) return { ok: false, error: 'invalid_filter', field: 'to' };
+
+  return {
+    ok: true,
+    filter: {
+      forms,
+      langs,
+      from,
+      to,
+      cities: listParam(query.city),
+      categories: listParam(query.category),
+      exhibitions: listParam(query.exhibition)
+    }
+  };
+};
+
+const matches = (lead, { forms = [], langs = [], from = null, to = null, cities = [], categories = [], exhibitions = [] }) => {
+  const time = Date.parse(lead.created_at);
+  if (forms.length && !forms.includes(lead.form)) return false;
+  if (langs.length && !langs.includes(lead.lang)) return false;
+  if (from !== null && time < from) return false;
+  if (to !== null && time > to) return false;
+  if (cities.length && !cities.includes(String(lead.city || '').toLowerCase())) return false;
+  if (categories.length && !categories.includes(String(lead.category || '').toLowerCase())) return false;
+  if (exhibitions.length && !exhibitions.includes(String(lead.exhibition || '').toLowerCase())) return false;
+  return true;
+};
+
+// Newest first
+export const listLeads = async (filter = {}) => {
+  const leads = await getStorage().list(COLLECTION);
+  return leads
+    .filter((lead) => matches(lead, filter))
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)) || String(b.id).localeCompare(String(a.id)));
+};
+
+// Cells starting with = + - @ are formulas in Excel; phone numbers ("+966 5…") stay as they are
+const FORMULA_RE = /^[=@\t\r]|^[+-](?![\d\s()]*$)/;
+
+const csvCell = (value) => {
+  let v = String(value ?? '');
+  if (FORMULA_RE.test(v)) v = `'${v}`;
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+};
+
+// UTF-8 BOM so Excel opens Arabic names correctly; CRLF rows (RFC 4180)
+export const leadsToCsv = (leads) => {
+  const rows = [LEAD_COLUMNS, ...leads.map((lead) => LEAD_COLUMNS.map((column) => lead[column]))];
+  return `\uFEFF${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,65 @@
+// Minimal multipart/form-data parser for small uploads (api/upload).
+//
+// The whole body is in memory already (readRawBody caps it), so this only
+// splits it: parseMultipart(body, contentType) ->
+//   { ok: true, fields: { name: value }, files: [{ field, filename, type, data }] }
+//   { ok: false, error: 'invalid_multipart' }
+
+const boundaryOf = (contentType) => {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(String(contentType || ''));
+  return match ? (match[1] || match[2]).trim() : '';
+};
+
+// Content-Disposition: form-data; name="file"; filename="cr.pdf"
+const dispositionParam = (header, key) => {
+  const match = new RegExp(`;\\s*${key}="([^"]*)"`, 'i').exec(header) || new RegExp(`;\\s*${key}=([^;]+)`, 'i').exec(header);
+  return match ? match[1].trim() : null;
+};
+
+const parseHeaders = (raw) => {
+  const headers = {};
+  raw.split('\r\n').forEach((line) => {
+    const i = line.indexOf(':');
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  });
+  return headers;
+};
+
+export const parseMultipart = (body, contentType) => {
+  const boundary = boundaryOf(contentType);
+  if (!/^multipart\/form-data/i.test(String(contentType || '')) || !boundary) return { ok: false, error: 'invalid_multipart' };
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  if (start === -1) return { ok: false, error: 'invalid_multipart' };
+
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // "--" after the delimiter closes the body
+    if (body.slice(partStart, partStart + 2).toString() === '--') break;
+    const next = body.indexOf(delimiter, partStart);
+    if (next === -1) return { ok: false, error: 'invalid_multipart' };
+
+    // Part = CRLF headers CRLF CRLF data CRLF
+    const part = body.slice(partStart + 2, next - 2);
+    const split = part.indexOf('\r\n\r\n');
+    if (split === -1) return { ok: false, error: 'invalid_multipart' };
+
+    const headers = parseHeaders(part.slice(0, split).toString('utf8'));
+    const data = part.slice(split + 4);
+    const disposition = headers['content-disposition'] || '';
+    const name = dispositionParam(disposition, 'name');
+    const filename = dispositionParam(disposition, 'filename');
+
+    if (name) {
+      if (filename !== null) files.push({ field: name, filename, type: headers['content-type'] || '', data });
+      else fields[name] = data.toString('utf8');
+    }
+    start = next;
+  }
+
+  return { ok: true, fields, files };
+};
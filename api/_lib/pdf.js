@@ -0,0 +1,252 @@
+// Minimal PDF writer for generated documents (booking confirmation / pro-forma).
+//
+// No dependencies: TrueType fonts are embedded as subsets (api/_lib/ttf.js,
+// Type0 / Identity-H, with a ToUnicode map so text can be copied and searched)
+// and Arabic is shaped and put in display order before drawing
+// (api/_lib/arabic-text.js). Streams are deflated with node:zlib.
+//
+//   const pdf = createPdf({ fonts: { regular: { name, data }, bold: { name, data } }, title });
+//   pdf.addPage();
+//   pdf.text('Total', 40, 120, { font: 'bold', size: 12, color: '#d3b44e' });
+//   pdf.text('الإجمالي', 555, 120, { align: 'right', dir: 'rtl' });
+//   const buffer = pdf.toBuffer();
+//
+// Coordinates are points from the top-left corner of an A4 page; y is the
+// text baseline.
+
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+import { hasArabic, shapeArabic, visualOrder } from './arabic-text.js';
+import { parseTtf } from './ttf.js';
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+const num = (n) => String(Math.round(n * 100) / 100);
+
+// '#d3b44e' -> '0.827 0.706 0.306'
+const rgb = (hex) => {
+  const value = String(hex || '#000000').replace('#', '');
+  const full = value.length === 3 ? value.replace(/./g, '$&$&') : value;
+  return [0, 2, 4].map((i) => num(parseInt(full.slice(i, i + 2), 16) / 255)).join(' ');
+};
+
+// PDF text string: ASCII as a literal, anything else as UTF-16BE hex
+const pdfString = (value) => {
+  const text = String(value ?? '');
+  if (/^[\x20-\x7e]*$/.test(text)) return `(${text.replace(/[\\()]/g, '\\$&')})`;
+  const utf16 = Buffer.from(`\ufeff${text}`, 'utf16le').swap16();
+  return `<${utf16.toString('hex')}>`;
+};
+
+const hex4 = (n) => n.toString(16).padStart(4, '0');
+
+const utf16Hex = (text) => Buffer.from(text, 'utf16le').swap16().toString('hex');
+
+const toUnicodeCmap = (entries) => {
+  const blocks = [];
+  for (let i = 0; i < entries.length; i += 100) {
+    const chunk = entries.slice(i, i + 100);
+    blocks.push(`${chunk.length} beginbfchar\n${chunk.map(([gid, text]) => `<${hex4(gid)}> <${utf16Hex(text)}>`).join('\n')}\nendbfchar`);
+  }
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange',
+    '<0000> <FFFF>',
+    'endcodespacerange',
+    ...blocks,
+    'endcmap',
+    'CMapName currentdict /CMap defineresource pop',
+    'end',
+    'end'
+  ].join('\n');
+};
+
+/**
+ * @param {object} options
+ * @param {object} options.fonts  { <key>: { name, data: Buffer (TrueType) } }, the first one is the default
+ * @param {string} [options.title]
+ * @param {string} [options.author]
+ */
+export const createPdf = ({ fonts, title = '', author = '' }) => {
+  const faces = {};
+  Object.entries(fonts).forEach(([key, font], i) => {
+    faces[key] = { key, name: String(font.name).replace(/[^A-Za-z0-9-]/g, ''), ttf: parseTtf(font.data), resource: `F${i + 1}`, used: new Map(), drawn: false };
+  });
+  const defaultFace = Object.keys(faces)[0];
+  const pages = [];
+  let page = null;
+
+  const faceFor = (key) => faces[key] || faces[defaultFace];
+
+  // Logical text -> characters in display order
+  const displayText = (text, dir) => {
+    const value = String(text ?? '').replace(/\s+/g, ' ');
+    if (!hasArabic(value) && dir !== 'rtl') return value;
+    return visualOrder(shapeArabic(value), dir);
+  };
+
+  const glyphsOf = (face, visual) =>
+    Array.from(visual).map((ch) => {
+      const gid = face.ttf.glyphFor(ch.codePointAt(0));
+      // Copy/paste gives the base letters, not the presentation forms
+      if (gid && !face.used.has(gid)) face.used.set(gid, ch.normalize('NFKC'));
+      return gid;
+    });
+
+  const glyphsWidth = (face, gids, size) => gids.reduce((sum, gid) => sum + face.ttf.advance(gid), 0) * (size / face.ttf.unitsPerEm);
+
+  const measure = (text, { font = defaultFace, size = 10, dir = 'auto' } = {}) => {
+    const face = faceFor(font);
+    return Array.from(displayText(text, dir)).reduce((sum, ch) => sum + face.ttf.advance(face.ttf.glyphFor(ch.codePointAt(0))), 0) * (size / face.ttf.unitsPerEm);
+  };
+
+  const addPage = () => {
+    page = { ops: [] };
+    pages.push(page);
+    return page;
+  };
+
+  const y = (top) => A4.height - top;
+
+  /**
+   * @param {string} text
+   * @param {number} x     left edge (align left), right edge (right) or centre (center)
+   * @param {number} top   baseline, from the top of the page
+   * @param {object} [opts] { font, size, color, align: 'left' | 'right' | 'center', dir: 'auto' | 'ltr' | 'rtl' }
+   * @returns {number} width of the drawn text
+   */
+  const text = (value, x, top, { font = defaultFace, size = 10, color = '#000000', align = 'left', dir = 'auto' } = {}) => {
+    if (!page) addPage();
+    const face = faceFor(font);
+    const gids = glyphsOf(face, displayText(value, dir));
+    if (!gids.length) return 0;
+    face.drawn = true;
+    const width = glyphsWidth(face, gids, size);
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    page.ops.push(
+      `BT ${rgb(color)} rg /${face.resource} ${num(size)} Tf 1 0 0 1 ${num(left)} ${num(y(top))} Tm <${gids.map(hex4).join('')}> Tj ET`
+    );
+    return width;
+  };
+
+  // Rectangle from its top-left corner; { fill, stroke, lineWidth }
+  const rect = (x, top, width, height, { fill = null, stroke = null, lineWidth = 0.5 } = {}) => {
+    if (!page) addPage();
+    const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+    page.ops.push(
+      `${fill ? `${rgb(fill)} rg ` : ''}${stroke ? `${rgb(stroke)} RG ${num(lineWidth)} w ` : ''}${num(x)} ${num(y(top + height))} ${num(width)} ${num(height)} re ${paint}`
+    );
+  };
+
+  const line = (x1, top1, x2, top2, { color = '#000000', width = 0.5 } = {}) => {
+    if (!page) addPage();
+    page.ops.push(`${rgb(color)} RG ${num(width)} w ${num(x1)} ${num(y(top1))} m ${num(x2)} ${num(y(top2))} l S`);
+  };
+
+  // Word wrap in logical order; each line is drawn (and reordered) on its own
+  const wrap = (value, maxWidth, opts = {}) => {
+    const lines = [];
+    String(value ?? '')
+      .split(/\r\n|\r|\n/)
+      .forEach((paragraph) => {
+        let current = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+          const candidate = current ? `${current} ${word}` : word;
+          if (current && measure(candidate, opts) > maxWidth) {
+            lines.push(current);
+            current = word;
+          } else current = candidate;
+        });
+        lines.push(current);
+      });
+    return lines;
+  };
+
+  const toBuffer = () => {
+    const objects = [];
+    const reserve = () => objects.push(null);
+    const set = (id, body) => {
+      objects[id - 1] = body;
+    };
+    const add = (body) => objects.push(body);
+    const stream = (dict, data, compress = true) => {
+      const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1');
+      const body = compress ? zlib.deflateSync(bytes) : bytes;
+      return Buffer.concat([
+        Buffer.from(`<< ${dict}${compress ? ' /Filter /FlateDecode' : ''} /Length ${body.length} >>\nstream\n`, 'latin1'),
+        body,
+        Buffer.from('\nendstream', 'latin1')
+      ]);
+    };
+
+    reserve(); // 1 catalog
+    reserve(); // 2 pages
+
+    const fontRefs = Object.values(faces)
+      .filter((face) => face.drawn)
+      .map((face) => {
+        const ttf = face.ttf;
+        const scale = 1000 / ttf.unitsPerEm;
+        const gids = [...face.used.keys()].sort((a, b) => a - b);
+        const subsetTag = crypto
+          .createHash('sha1')
+          .update(gids.join(','))
+          .digest()
+          .subarray(0, 6)
+          .reduce((s, b) => s + String.fromCharCode(65 + (b % 26)), '');
+        const baseFont = `${subsetTag}+${face.name}`;
+
+        // /Length1 = size of the font program before compression
+        const program = ttf.subset(gids);
+        const fontFile = add(stream(`/Length1 ${program.length}`, program));
+
+        const descriptor = add(
+          `<< /Type /FontDescriptor /FontName /${baseFont} /Flags 32 /FontBBox [${ttf.bbox.map((v) => num(v * scale)).join(' ')}]` +
+            ` /ItalicAngle ${num(ttf.italicAngle)} /Ascent ${num(ttf.ascent * scale)} /Descent ${num(ttf.descent * scale)}` +
+            ` /CapHeight ${num(ttf.capHeight * scale)} /StemV ${ttf.weight >= 600 ? 120 : 80} /FontFile2 ${fontFile} 0 R >>`
+        );
+        const widths = gids.map((gid) => `${gid} [${num(ttf.advance(gid) * scale)}]`).join(' ');
+        const cidFont = add(
+          `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${baseFont} /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >>` +
+            ` /FontDescriptor ${descriptor} 0 R /DW ${num(ttf.advance(0) * scale)} /W [${widths}] /CIDToGIDMap /Identity >>`
+        );
+        const toUnicode = add(stream('', toUnicodeCmap(gids.map((gid) => [gid, face.used.get(gid)]))));
+        const font = add(
+          `<< /Type /Font /Subtype /Type0 /BaseFont /${baseFont} /Encoding /Identity-H /DescendantFonts [${cidFont} 0 R] /ToUnicode ${toUnicode} 0 R >>`
+        );
+        return `/${face.resource} ${font} 0 R`;
+      });
+
+    const pageIds = pages.map((p) => {
+      const contents = add(stream('', Buffer.from(p.ops.join('\n'), 'latin1')));
+      return add(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(A4.width)} ${num(A4.height)}] /Resources << /Font << ${fontRefs.join(' ')} >> >> /Contents ${contents} 0 R >>`
+      );
+    });
+
+    set(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    set(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    const now = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const info = add(`<< /Title ${pdfString(title)} /Author ${pdfString(author)} /Producer (Leen Elite) /CreationDate (D:${now}Z) >>`);
+
+    const chunks = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = objects.map((body, i) => {
+      const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'), Buffer.from('\nendobj\n', 'latin1')]);
+      chunks.push(chunk);
+      const at = offset;
+      offset += chunk.length;
+      return at;
+    });
+    const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`, ...offsets.map((at) => `${String(at).padStart(10, '0')} 00000 n \n`)].join('');
+    chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${offset}\n%%EOF\n`, 'latin1'));
+    return Buffer.concat(chunks);
+  };
+
+  return { addPage, text, rect, line, measure, wrap, toBuffer, width: A4.width, height: A4.height };
+};
@@ -0,0 +1,118 @@
+// Early-bird / partner promo codes for space bookings.
+//
+// Codes are kept out of the public files: set PROMO_CODES to a JSON array,
+//   [{ code: 'EARLY10', type: 'percent' | 'fixed', value: 10,
+//      starts: '2026-01-01', ends: '2026-03-31T23:59',      // Asia/Riyadh, optional
+//      max_uses: 50,                                        // optional
+//      categories: ['local_beauty'], exhibitions: ['leen-world-2026'],  // optional
+//      label: { en, ar } }]                                 // optional
+// Dates without a time cover the whole day (starts 00:00, ends 23:59:59).
+// percent = off the subtotal; fixed = amount in the exhibition's currency, never
+// more than the subtotal (js/quote.js applies it before VAT).
+//
+// Uses (storage collection "promo_usage", one document per code):
+//   { count }  counted when a booking is stored, given back when it is declined
+
+import { getStorage } from './storage.js';
+
+const USAGE = 'promo_usage';
+
+// Asia/Riyadh has no daylight saving time
+const RIYADH_OFFSET = '+03:00';
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MINUTE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+// 'EARLY-10 ' -> 'EARLY-10'
+export const normalizePromoCode = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+// Riyadh wall-clock date/time -> epoch ms (NaN when unset or malformed)
+const riyadhTime = (value, endOfDay) => {
+  const raw = String(value || '').trim();
+  if (DAY_RE.test(raw)) return Date.parse(`${raw}T${endOfDay ? '23:59:59.999' : '00:00:00'}${RIYADH_OFFSET}`);
+  if (MINUTE_RE.test(raw)) return Date.parse(`${raw}:${endOfDay ? '59.999' : '00'}${RIYADH_OFFSET}`);
+  return NaN;
+};
+
+let cached = null;
+
+// Parsed once per function instance; a malformed variable disables every code
+export const loadPromoCodes = () => {
+  const raw = process.env.PROMO_CODES || '';
+  if (cached && cached.raw === raw) return cached.codes;
+  let codes = [];
+  try {
+    const parsed = raw ? JSON.parse(raw) : [];
+    codes = (Array.isArray(parsed) ? parsed : [])
+      .filter((promo) => promo && promo.code && (promo.type === 'percent' || promo.type === 'fixed') && Number(promo.value) > 0)
+      .map((promo) => ({ ...promo, code: normalizePromoCode(promo.code), value: Number(promo.value) }));
+  } catch {
+    codes = [];
+  }
+  cached = { raw, codes };
+  return codes;
+};
+
+const usageCount = async (code) => {
+  const doc = await getStorage().get(USAGE, code);
+  return (doc && doc.count) || 0;
+};
+
+// What the form and the booking keep about an applied code
+export const promoView = (promo) => ({
+  code: promo.code,
+  type: promo.type,
+  value: promo.value,
+  label: promo.label || null
+});
+
+/**
+ * Check a code for an exhibition + category at a point in time.
+ * @returns {Promise<{ ok: true, promo: object } | { ok: false, error: string }>}
+ *   errors: invalid_promo | promo_not_started | promo_expired | promo_exhausted | promo_not_applicable
+ */
+export const checkPromo = async (code, { exhibition = '', category = '', now = Date.now() } = {}) => {
+  const key = normalizePromoCode(code);
+  const promo = loadPromoCodes().find((entry) => entry.code === key);
+  if (!promo) return { ok: false, error: 'invalid_promo' };
+
+  const starts = riyadhTime(promo.starts, false);
+  const ends = riyadhTime(promo.ends, true);
+  if (starts && now < starts) return { ok: false, error: 'promo_not_started' };
+  if (ends && now > ends) return { ok: false, error: 'promo_expired' };
+
+  const exhibitions = Array.isArray(promo.exhibitions) ? promo.exhibitions : [];
+  if (exhibitions.length && !exhibitions.includes(exhibition)) return { ok: false, error: 'promo_not_applicable' };
+  const categories = Array.isArray(promo.categories) ? promo.categories : [];
+  if (categories.length && category && !categories.includes(category)) return { ok: false, error: 'promo_not_applicable' };
+
+  if (promo.max_uses && (await usageCount(promo.code)) >= Number(promo.max_uses)) return { ok: false, error: 'promo_exhausted' };
+
+  return { ok: true, promo: promoView(promo) };
+};
+
+/**
+ * Count one use. Atomic against max_uses: when the cap was reached in the
+ * meantime nothing changes and promo_exhausted comes back.
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+export const redeemPromo = async (code) => {
+  const promo = loadPromoCodes().find((entry) => entry.code === normalizePromoCode(code));
+  if (!promo) return { ok: false, error: 'invalid_promo' };
+  const cap = Number(promo.max_uses) || 0;
+  let full = false;
+  await getStorage().update(USAGE, promo.code, (current) => {
+    const doc = current || { count: 0 };
+    full = !!cap && doc.count >= cap;
+    if (!full) doc.count += 1;
+    return doc;
+  });
+  return full ? { ok: false, error: 'promo_exhausted' } : { ok: true };
+};
+
+// Give a use back (the booking was declined or could not be stored after all)
+export const releasePromo = (code) =>
+  getStorage().update(USAGE, normalizePromoCode(code), (current) => {
+    const doc = current || { count: 0 };
+    doc.count = Math.max(0, doc.count - 1);
+    return doc;
+  });
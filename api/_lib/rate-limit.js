@@ -0,0 +1,112 @@
+// Token-bucket rate limiting shared by the api/ handlers.
+//
+// Every key (per IP, per email) owns a bucket of `capacity` tokens that refills
+// one token every `refillEvery` seconds. A request takes one token; an empty
+// bucket means 429 rate_limited with Retry-After.
+//
+// Store contract (async, swappable like storage.js):
+//   take(key, policy) -> { ok, remaining, retryAfter }
+//
+// The default store is process-local memory. On Vercel every function instance
+// has its own memory, so limits are per instance; register a shared store
+// (Redis, KV, …) with setRateLimitStore() when that matters.
+
+import crypto from 'node:crypto';
+
+// capacity = burst size, refillEvery = seconds per regained token
+export const POLICIES = {
+  contact: { ip: { capacity: 5, refillEvery: 60 }, email: { capacity: 3, refillEvery: 600 } },
+  reserve: { ip: { capacity: 5, refillEvery: 60 }, email: { capacity: 3, refillEvery: 600 } },
+  waitlist: { ip: { capacity: 5, refillEvery: 60 }, email: { capacity: 3, refillEvery: 600 } },
+  subscribe: { ip: { capacity: 5, refillEvery: 60 }, email: { capacity: 3, refillEvery: 3600 } },
+  // Company Profile gate (api/profile-access); a new token every session is normal
+  profile_access: { ip: { capacity: 5, refillEvery: 60 }, email: { capacity: 5, refillEvery: 600 } },
+  // Reference + email lookups (api/booking-status)
+  lookup: { ip: { capacity: 10, refillEvery: 30 } },
+  // Live promo code checks (api/promo); slow enough to make guessing codes pointless
+  promo: { ip: { capacity: 10, refillEvery: 30 } },
+  // Booking documents (api/upload); three per booking, a few retries
+  upload: { ip: { capacity: 10, refillEvery: 60 } },
+  // Links from emails (confirm, preferences, unsubscribe)
+  manage: { ip: { capacity: 20, refillEvery: 6 } },
+  form_token: { ip: { capacity: 30, refillEvery: 2 } },
+  // api/admin/ (checked before the bearer token)
+  admin: { ip: { capacity: 20, refillEvery: 3 } }
+};
+
+const MAX_KEYS = 10000;
+
+export const createMemoryRateLimitStore = () => {
+  const buckets = new Map();
+
+  const refill = (bucket, policy, now) => {
+    const elapsed = Math.max(0, now - bucket.updated) / 1000;
+    bucket.tokens = Math.min(policy.capacity, bucket.tokens + elapsed / policy.refillEvery);
+    bucket.updated = now;
+  };
+
+  // Forget buckets that are full again, so the Map does not grow forever
+  const sweep = (now) => {
+    buckets.forEach((bucket, key) => {
+      refill(bucket, bucket.policy, now);
+      if (bucket.tokens >= bucket.policy.capacity) buckets.delete(key);
+    });
+  };
+
+  return {
+    async take(key, policy) {
+      const now = Date.now();
+      if (buckets.size > MAX_KEYS) sweep(now);
+
+      const bucket = buckets.get(key) || { tokens: policy.capacity, updated: now, policy };
+      bucket.policy = policy;
+      refill(bucket, policy, now);
+
+      if (bucket.tokens < 1) {
+        buckets.set(key, bucket);
+        return { ok: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) * policy.refillEvery) };
+      }
+
+      bucket.tokens -= 1;
+      buckets.set(key, bucket);
+      return { ok: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+  };
+};
+
+let current = null;
+
+export const getRateLimitStore = () => {
+  if (!current) current = createMemoryRateLimitStore();
+  return current;
+};
+
+export const setRateLimitStore = (store) => {
+  current = store || null;
+};
+
+// Emails are hashed so the store never holds addresses in clear text
+const emailKey = (email) =>
+  crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex').slice(0, 32);
+
+/**
+ * Take one token from every bucket that applies to this request.
+ *
+ * @param {string} name   policy name (see POLICIES)
+ * @param {object} keys   { ip, email } – missing keys are skipped
+ * @returns {Promise<{ ok: boolean, retryAfter: number }>}
+ */
+export const rateLimit = async (name, { ip, email } = {}) => {
+  const policy = POLICIES[name];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${name}`);
+
+  const store = getRateLimitStore();
+  const checks = [];
+  if (policy.ip && ip) checks.push(store.take(`${name}:ip:${ip}`, policy.ip));
+  if (policy.email && email) checks.push(store.take(`${name}:email:${emailKey(email)}`, policy.email));
+
+  const results = await Promise.all(checks);
+  const blocked = results.filter((r) => !r.ok);
+  if (!blocked.length) return { ok: true, retryAfter: 0 };
+  return { ok: false, retryAfter: Math.max(...blocked.map((r) => r.retryAfter)) };
+};
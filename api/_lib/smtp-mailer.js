@@ -0,0 +1,324 @@
+// Minimal SMTP mailer for the api/ handlers (Node port of lib/smtp_mailer.php).
+// - Google Workspace SMTP relay with STARTTLS, same settings as config/form-config.php.
+// - Optional SMTP AUTH (PLAIN/LOGIN) for hosts that cannot be IP-allowlisted (Vercel).
+// - UTF-8 safe subjects and display names (Arabic/English).
+
+import net from 'node:net';
+import tls from 'node:tls';
+import crypto from 'node:crypto';
+
+export const encodeHeaderUtf8 = (text) => {
+  // RFC 2047 encoded-word using Base64, only when non-ASCII is present.
+  const s = String(text ?? '');
+  if (/[^\x20-\x7E]/.test(s)) return `=?UTF-8?B?${Buffer.from(s, 'utf8').toString('base64')}?=`;
+  return s;
+};
+
+const formatAddress = (email, name) => (name ? `${encodeHeaderUtf8(name)} <${email}>` : email);
+
+export const buildHeaders = (headers) =>
+  Object.entries(headers)
+    .map(([k, v]) => [String(k).trim(), String(v ?? '').trim()])
+    .filter(([k, v]) => k !== '' && v !== '')
+    .map(([k, v]) => `${k}: ${v}`)
+    .join('\r\n');
+
+// Normalize line endings and dot-stuffing
+export const normalizeBody = (body) =>
+  String(body ?? '')
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n/g, '\r\n')
+    .replace(/^\./gm, '..');
+
+// Base64 wrapped at 76 characters (RFC 2045)
+const base64Lines = (buf) => buf.toString('base64').replace(/.{1,76}/g, '$&\r\n').trimEnd();
+
+// Base64 text body (CRLF line endings)
+const base64Body = (content) =>
+  base64Lines(Buffer.from(String(content ?? '').replace(/\r\n|\r/g, '\n').replace(/\n/g, '\r\n'), 'utf8'));
+
+// Attachment file names: ASCII without quotes, RFC 2047 otherwise
+const attachmentName = (name) => encodeHeaderUtf8(String(name || 'attachment').replace(/["\\\r\n]/g, '_'));
+
+/**
+ * Build the full RFC 5322 message (headers + body) that goes after DATA.
+ * With msg.html the message is multipart/alternative (plaintext first, so
+ * clients that cannot render HTML show the text part). With msg.attachments
+ * ([{ filename, contentType, content: Buffer }]) that body is wrapped in
+ * multipart/mixed with the files after it.
+ *
+ * @param {object} msg { fromEmail, fromName, to, subject, text, html, headers, attachments, helo }
+ */
+export const buildMessage = (msg) => {
+  const headers = {
+    Date: new Date().toUTCString(),
+    From: formatAddress(msg.fromEmail, msg.fromName),
+    To: msg.to,
+    Subject: encodeHeaderUtf8(msg.subject),
+    'Message-ID': `<${crypto.randomBytes(16).toString('hex')}@${msg.helo || 'localhost'}>`,
+    'MIME-Version': '1.0'
+  };
+
+  let content;
+  if (!msg.html) {
+    content = {
+      headers: { 'Content-Type': 'text/plain; charset=UTF-8', 'Content-Transfer-Encoding': '8bit' },
+      body: normalizeBody(msg.text)
+    };
+  } else {
+    const boundary = `=_leenelite_${crypto.randomBytes(12).toString('hex')}`;
+    const part = (type, text) =>
+      `--${boundary}\r\nContent-Type: ${type}; charset=UTF-8\r\nContent-Transfer-Encoding: base64\r\n\r\n${base64Body(text)}\r\n`;
+    content = {
+      headers: { 'Content-Type': `multipart/alternative; boundary="${boundary}"` },
+      body:
+        'This is a multi-part message in MIME format.\r\n\r\n' +
+        part('text/plain', msg.text) +
+        part('text/html', msg.html) +
+        `--${boundary}--`
+    };
+  }
+
+  const attachments = msg.attachments || [];
+  if (!attachments.length) {
+    Object.assign(headers, content.headers, msg.headers);
+    return `${buildHeaders(headers)}\r\n\r\n${content.body}`;
+  }
+
+  const mixed = `=_leenelite_${crypto.randomBytes(12).toString('hex')}`;
+  Object.assign(headers, { 'Content-Type': `multipart/mixed; boundary="${mixed}"` }, msg.headers);
+  const files = attachments.map((file) => {
+    const name = attachmentName(file.filename);
+    return (
+      `--${mixed}\r\nContent-Type: ${file.contentType || 'application/octet-stream'}; name="${name}"\r\n` +
+      `Content-Transfer-Encoding: base64\r\nContent-Disposition: attachment; filename="${name}"\r\n\r\n` +
+      `${base64Lines(Buffer.from(file.content))}\r\n`
+    );
+  });
+
+  return (
+    `${buildHeaders(headers)}\r\n\r\n` +
+    'This is a multi-part message in MIME format.\r\n\r\n' +
+    `--${mixed}\r\n${buildHeaders(content.headers)}\r\n\r\n${content.body}\r\n` +
+    files.join('') +
+    `--${mixed}--`
+  );
+};
+
+// Reads complete SMTP replies (multi-line replies have a hyphen after the code).
+const createReplyReader = () => {
+  let buffer = '';
+  let lines = [];
+  const ready = [];
+  const waiting = [];
+  let failure = null;
+
+  const flush = () => {
+    while (ready.length && waiting.length) waiting.shift().resolve(ready.shift());
+    if (failure) while (waiting.length) waiting.shift().reject(failure);
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let idx;
+    while ((idx = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, idx + 1);
+      buffer = buffer.slice(idx + 1);
+      lines.push(line);
+      if (/^\d{3}(\s|$)/.test(line)) {
+        const text = lines.join('');
+        ready.push({ code: Number(text.slice(0, 3)) || 0, text });
+        lines = [];
+      }
+    }
+    flush();
+  };
+
+  return {
+    attach(socket) {
+      socket.on('data', onData);
+      return () => socket.removeListener('data', onData);
+    },
+    fail(err) {
+      failure = failure || err;
+      flush();
+    },
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        flush();
+      });
+    }
+  };
+};
+
+// Same timeout as the PHP mailer's stream_socket_client(): a host that never
+// answers (or never finishes the implicit TLS handshake) fails instead of hanging
+const connect = (cfg) =>
+  new Promise((resolve, reject) => {
+    const options = { host: cfg.host, port: cfg.port, servername: cfg.host };
+    const socket = cfg.encryption === 'ssl' ? tls.connect(options) : net.connect(options);
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error('connect timeout'));
+    }, cfg.timeout * 1000);
+    const onError = (err) => {
+      clearTimeout(timer);
+      reject(err);
+    };
+    socket.once('error', onError);
+    socket.once(cfg.encryption === 'ssl' ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      socket.removeListener('error', onError);
+      resolve(socket);
+    });
+  });
+
+const upgradeToTls = (socket, host) =>
+  new Promise((resolve, reject) => {
+    // Rely on the system CA store; do not disable verification.
+    const secure = tls.connect({ socket, servername: host, rejectUnauthorized: true });
+    secure.once('error', reject);
+    secure.once('secureConnect', () => {
+      secure.removeListener('error', reject);
+      resolve(secure);
+    });
+  });
+
+/**
+ * Send a single email via SMTP.
+ *
+ * @param {object} smtpCfg  { host, port, encryption ('tls' | 'ssl' | ''), auth, username, password, timeout, helo }
+ * @param {object} msg      { fromEmail, fromName, to, subject, text, html, headers, attachments }
+ * @returns {Promise<{ ok: boolean, error: string, debug: string }>} same error codes as the PHP mailer
+ */
+export const sendSmtp = async (smtpCfg, msg) => {
+  const cfg = {
+    host: String(smtpCfg.host || ''),
+    port: Number(smtpCfg.port || 587),
+    timeout: Number(smtpCfg.timeout || 20),
+    helo: String(smtpCfg.helo || 'localhost'),
+    encryption: String(smtpCfg.encryption ?? 'tls').toLowerCase(),
+    auth: !!smtpCfg.auth,
+    username: String(smtpCfg.username || ''),
+    password: String(smtpCfg.password || '')
+  };
+
+  if (cfg.host === '') return { ok: false, error: 'smtp_no_host', debug: 'SMTP host missing' };
+
+  let socket;
+  try {
+    socket = await connect(cfg);
+  } catch (err) {
+    return { ok: false, error: 'smtp_connect_failed', debug: `connect err=${err && err.message}` };
+  }
+
+  const reader = createReplyReader();
+  let detach = reader.attach(socket);
+
+  const arm = (sock) => {
+    sock.setTimeout(cfg.timeout * 1000, () => {
+      reader.fail(new Error('timeout'));
+      sock.destroy();
+    });
+    sock.on('error', (err) => reader.fail(err));
+    sock.on('close', () => reader.fail(new Error('connection closed')));
+  };
+  arm(socket);
+
+  const expect = async (okCodes) => {
+    const reply = await reader.next();
+    return { ok: okCodes.includes(reply.code), ...reply };
+  };
+
+  const cmd = (line, okCodes) => {
+    socket.write(`${line}\r\n`);
+    return expect(okCodes);
+  };
+
+  const fail = (error, debug) => {
+    socket.destroy();
+    return { ok: false, error, debug: String(debug || '') };
+  };
+
+  try {
+    // 220 greeting
+    let r = await expect([220]);
+    if (!r.ok) return fail('smtp_bad_greeting', r.text);
+
+    // EHLO (HELO fallback)
+    r = await cmd(`EHLO ${cfg.helo}`, [250]);
+    if (!r.ok) {
+      const r2 = await cmd(`HELO ${cfg.helo}`, [250]);
+      if (!r2.ok) return fail('smtp_helo_failed', `${r.text}\n${r2.text}`);
+    }
+
+    // STARTTLS if requested
+    if (cfg.encryption === 'tls') {
+      r = await cmd('STARTTLS', [220]);
+      if (!r.ok) return fail('smtp_starttls_failed', r.text);
+
+      detach();
+      try {
+        socket = await upgradeToTls(socket, cfg.host);
+      } catch (err) {
+        return fail('smtp_tls_negotiation_failed', `TLS negotiation failed: ${err && err.message}`);
+      }
+      detach = reader.attach(socket);
+      arm(socket);
+
+      // EHLO again over TLS
+      r = await cmd(`EHLO ${cfg.helo}`, [250]);
+      if (!r.ok) return fail('smtp_ehlo_after_tls_failed', r.text);
+    }
+
+    // AUTH (only when configured; the Workspace relay uses IP allowlisting)
+    if (cfg.auth) {
+      const plain = Buffer.from(`\0${cfg.username}\0${cfg.password}`, 'utf8').toString('base64');
+      r = await cmd(`AUTH PLAIN ${plain}`, [235]);
+      if (!r.ok) {
+        r = await cmd('AUTH LOGIN', [334]);
+        if (r.ok) r = await cmd(Buffer.from(cfg.username, 'utf8').toString('base64'), [334]);
+        if (r.ok) r = await cmd(Buffer.from(cfg.password, 'utf8').toString('base64'), [235]);
+        if (!r.ok) return fail('smtp_auth_failed', r.text);
+      }
+    }
+
+    // MAIL FROM (envelope)
+    r = await cmd(`MAIL FROM:<${msg.fromEmail}>`, [250]);
+    if (!r.ok) return fail('smtp_mail_from_failed', r.text);
+
+    // RCPT TO
+    r = await cmd(`RCPT TO:<${msg.to}>`, [250, 251]);
+    if (!r.ok) return fail('smtp_rcpt_to_failed', r.text);
+
+    // DATA
+    r = await cmd('DATA', [354]);
+    if (!r.ok) return fail('smtp_data_failed', r.text);
+
+    r = await cmd(`${buildMessage({ ...msg, helo: cfg.helo })}\r\n.`, [250]);
+    if (!r.ok) return fail('smtp_message_rejected', r.text);
+
+    // QUIT (best-effort)
+    try {
+      await cmd('QUIT', [221, 250]);
+    } catch {
+      // ignore
+    }
+    socket.end();
+    return { ok: true, error: '', debug: '' };
+  } catch (err) {
+    return fail('smtp_connection_lost', err && err.message);
+  }
+};
+
+/**
+ * Send one email with the sender identity and SMTP settings from getFormConfig().
+ *
+ * When SMTP is disabled nothing is sent and the result carries skipped: true,
+ * so handlers can keep the demo-safe behaviour on previews without a relay.
+ */
+export const sendMail = async (cfg, { to, subject, text, html, headers, attachments }) => {
+  if (!cfg.smtp || !cfg.smtp.enabled) return { ok: false, skipped: true, error: 'smtp_disabled', debug: '' };
+  return sendSmtp(cfg.smtp, { fromEmail: cfg.from_email, fromName: cfg.from_name, to, subject, text, html, headers, attachments });
+};
@@ -0,0 +1,215 @@
+// In-process SMTP sink for local runs and tests.
+//
+// Speaks just enough SMTP for smtp-mailer.js (no TLS, no AUTH) and keeps every
+// accepted message in memory so a test can assert on exactly what was sent:
+//
+//   const sink = await startSmtpSink();
+//   Object.assign(process.env, sink.env);   // SMTP_ENABLED, SMTP_HOST, SMTP_PORT, SMTP_ENCRYPTION
+//   …call a handler…
+//   sink.messages[0].subject  // decoded
+//   sink.messages[0].text / .html  // decoded parts of multipart/alternative
+//   sink.messages[0].attachments   // [{ filename, type, content: Buffer }] (multipart/mixed)
+//   await sink.close();
+//
+// Options:
+//   rejectRecipients: addresses answered with 550 (to exercise send_failed paths)
+
+import net from 'node:net';
+
+// Decode RFC 2047 Base64/Q encoded-words back to UTF-8
+export const decodeHeader = (value) =>
+  String(value || '').replace(/=\?UTF-8\?([BQ])\?([^?]*)\?=/gi, (_, enc, text) =>
+    enc.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64').toString('utf8')
+      : Buffer.from(
+          text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))),
+          'latin1'
+        ).toString('utf8')
+  );
+
+const parseHeaders = (head) => {
+  // Unfold continuation lines, keep the last value per (lower-cased) name
+  const headers = {};
+  head
+    .replace(/\r\n[ \t]+/g, ' ')
+    .split('\r\n')
+    .forEach((line) => {
+      const idx = line.indexOf(':');
+      if (idx > 0) headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+    });
+  return headers;
+};
+
+const splitEntity = (raw) => {
+  const split = raw.indexOf('\r\n\r\n');
+  return split === -1 ? { head: raw, body: '' } : { head: raw.slice(0, split), body: raw.slice(split + 4) };
+};
+
+const decodeBody = (headers, body) =>
+  String(headers['content-transfer-encoding'] || '').toLowerCase() === 'base64'
+    ? Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8')
+    : body;
+
+// Decoded text/plain and text/html parts (single-part or multipart/alternative)
+// and attachments (multipart/mixed)
+const parseParts = (headers, body) => {
+  const type = String(headers['content-type'] || 'text/plain').toLowerCase();
+  const boundary = (String(headers['content-type'] || '').match(/boundary="?([^";]+)"?/i) || [])[1];
+  const disposition = String(headers['content-disposition'] || '');
+  if (/^attachment/i.test(disposition)) {
+    return {
+      text: '',
+      html: '',
+      attachments: [
+        {
+          filename: decodeHeader((disposition.match(/filename="([^"]*)"/i) || [])[1] || ''),
+          type: type.split(';')[0].trim(),
+          content: Buffer.from(body.replace(/\s+/g, ''), 'base64')
+        }
+      ]
+    };
+  }
+  if (!type.startsWith('multipart/') || !boundary) {
+    const decoded = decodeBody(headers, body);
+    return type.startsWith('text/html') ? { text: '', html: decoded, attachments: [] } : { text: decoded, html: '', attachments: [] };
+  }
+
+  const parts = { text: '', html: '', attachments: [] };
+  body
+    .split(`--${boundary}`)
+    .slice(1)
+    .filter((chunk) => !chunk.startsWith('--'))
+    .forEach((chunk) => {
+      const entity = splitEntity(chunk.replace(/^\r\n/, '').replace(/\r\n$/, ''));
+      const partHeaders = parseHeaders(entity.head);
+      const decoded = parseParts(partHeaders, entity.body);
+      parts.text = parts.text || decoded.text;
+      parts.html = parts.html || decoded.html;
+      parts.attachments.push(...decoded.attachments);
+    });
+  return parts;
+};
+
+const parseMessage = (envelope, raw) => {
+  const { head, body } = splitEntity(raw);
+  const headers = parseHeaders(head);
+  const parts = parseParts(headers, body);
+
+  return {
+    from: envelope.from,
+    to: envelope.to.slice(),
+    raw,
+    headers,
+    subject: decodeHeader(headers.subject),
+    body: body.replace(/\r\n/g, '\n'),
+    text: parts.text.replace(/\r\n/g, '\n'),
+    html: parts.html.replace(/\r\n/g, '\n'),
+    attachments: parts.attachments
+  };
+};
+
+export const startSmtpSink = ({ port = 0, host = '127.0.0.1', rejectRecipients = [] } = {}) =>
+  new Promise((resolve, reject) => {
+    const messages = [];
+    const sockets = new Set();
+    const rejected = new Set(rejectRecipients.map((a) => String(a).toLowerCase()));
+
+    const server = net.createServer((socket) => {
+      sockets.add(socket);
+      socket.on('close', () => sockets.delete(socket));
+      socket.on('error', () => {});
+
+      let buffer = '';
+      let inData = false;
+      let dataLines = [];
+      let envelope = { from: '', to: [] };
+
+      const reply = (line) => socket.write(`${line}\r\n`);
+
+      const onLine = (line) => {
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(parseMessage(envelope, dataLines.join('\r\n')));
+            envelope = { from: '', to: [] };
+            reply('250 2.0.0 OK queued');
+            return;
+          }
+          // Undo dot-stuffing
+          dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+          return;
+        }
+
+        const verb = line.slice(0, 4).toUpperCase();
+        const arg = line.slice(4).trim();
+        const address = (line.match(/<([^>]*)>/) || [])[1] || '';
+
+        if (verb === 'EHLO') {
+          reply(`250-smtp-sink Hello ${arg}`);
+          reply('250-8BITMIME');
+          reply('250 SMTPUTF8');
+        } else if (verb === 'HELO') reply('250 smtp-sink');
+        else if (verb === 'MAIL') {
+          envelope = { from: address, to: [] };
+          reply('250 2.1.0 OK');
+        } else if (verb === 'RCPT') {
+          if (rejected.has(address.toLowerCase())) reply('550 5.1.1 Recipient rejected');
+          else {
+            envelope.to.push(address);
+            reply('250 2.1.5 OK');
+          }
+        } else if (verb === 'DATA') {
+          if (!envelope.to.length) reply('554 5.5.1 No valid recipients');
+          else {
+            inData = true;
+            dataLines = [];
+            reply('354 End data with <CR><LF>.<CR><LF>');
+          }
+        } else if (verb === 'RSET') {
+          envelope = { from: '', to: [] };
+          reply('250 OK');
+        } else if (verb === 'NOOP') reply('250 OK');
+        else if (verb === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else reply('502 5.5.2 Command not implemented');
+      };
+
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let idx;
+        while ((idx = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, idx);
+          buffer = buffer.slice(idx + 2);
+          onLine(line);
+        }
+      });
+
+      reply('220 smtp-sink ESMTP ready');
+    });
+
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        host,
+        port: address.port,
+        messages,
+        // Environment for getFormConfig() so the handlers deliver here
+        env: {
+          SMTP_ENABLED: 'true',
+          SMTP_HOST: host,
+          SMTP_PORT: String(address.port),
+          SMTP_ENCRYPTION: 'none',
+          SMTP_AUTH: 'false'
+        },
+        reset() {
+          messages.length = 0;
+        },
+        close() {
+          sockets.forEach((s) => s.destroy());
+          return new Promise((done) => server.close(() => done()));
+        }
+      });
+    });
+  });
@@ -0,0 +1,145 @@
+// Pluggable storage for the api/ handlers.
+//
+// Adapter contract (all methods async):
+//   get(collection, id)       -> document or null
+//   put(collection, id, doc)  -> doc (insert or replace)
+//   list(collection)          -> array of documents
+//   update(collection, id, fn) -> fn(current doc or null) returns the new doc;
+//                                 read + write happen without interleaving
+//                                 (counters, status changes)
+//
+// Adapters:
+// - json:   one JSON file per collection in STORAGE_DIR (dev, tests, SiteGround-style hosts)
+// - memory: process-local Map (unit tests, throwaway previews)
+//
+// Production deployments can register their own adapter with setStorage().
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SAFE_NAME = /^[a-z0-9_-]+$/i;
+
+const assertCollection = (collection) => {
+  if (!SAFE_NAME.test(String(collection || ''))) throw new Error(`Invalid collection name: ${collection}`);
+};
+
+// Serialize work per collection so concurrent requests in one process never
+// interleave a read-modify-write cycle.
+const createQueue = () => {
+  const queues = new Map();
+  return (collection, fn) => {
+    const prev = queues.get(collection) || Promise.resolve();
+    const next = prev.then(fn, fn);
+    queues.set(collection, next.catch(() => {}));
+    return next;
+  };
+};
+
+export const createMemoryStorage = () => {
+  const collections = new Map();
+  const exclusive = createQueue();
+  const bucket = (collection) => {
+    assertCollection(collection);
+    if (!collections.has(collection)) collections.set(collection, new Map());
+    return collections.get(collection);
+  };
+
+  return {
+    async get(collection, id) {
+      const doc = bucket(collection).get(String(id));
+      return doc ? structuredClone(doc) : null;
+    },
+    async put(collection, id, doc) {
+      bucket(collection).set(String(id), structuredClone(doc));
+      return doc;
+    },
+    async list(collection) {
+      return Array.from(bucket(collection).values(), (doc) => structuredClone(doc));
+    },
+    async update(collection, id, fn) {
+      return exclusive(collection, async () => {
+        const current = bucket(collection).get(String(id));
+        const doc = await fn(current ? structuredClone(current) : null);
+        bucket(collection).set(String(id), structuredClone(doc));
+        return doc;
+      });
+    }
+  };
+};
+
+export const createJsonFileStorage = ({ dir }) => {
+  const exclusive = createQueue();
+
+  const fileFor = (collection) => {
+    assertCollection(collection);
+    return path.join(dir, `${collection}.json`);
+  };
+
+  const readAll = async (collection) => {
+    try {
+      const raw = await fs.readFile(fileFor(collection), 'utf8');
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (err) {
+      if (err && err.code === 'ENOENT') return {};
+      throw err;
+    }
+  };
+
+  const writeAll = async (collection, data) => {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(collection);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2), 'utf8');
+    await fs.rename(tmp, file);
+  };
+
+  return {
+    async get(collection, id) {
+      const all = await readAll(collection);
+      return all[String(id)] || null;
+    },
+    async put(collection, id, doc) {
+      return exclusive(collection, async () => {
+        const all = await readAll(collection);
+        all[String(id)] = doc;
+        await writeAll(collection, all);
+        return doc;
+      });
+    },
+    async list(collection) {
+      return Object.values(await readAll(collection));
+    },
+    async update(collection, id, fn) {
+      return exclusive(collection, async () => {
+        const all = await readAll(collection);
+        const doc = await fn(all[String(id)] || null);
+        all[String(id)] = doc;
+        await writeAll(collection, all);
+        return doc;
+      });
+    }
+  };
+};
+
+// Default location: the private storage/ folder at the project root (blocked
+// by .htaccess). Vercel functions can only write to /tmp.
+const defaultDir = () => {
+  if (process.env.STORAGE_DIR) return process.env.STORAGE_DIR;
+  if (process.env.VERCEL) return '/tmp/leenelite-storage';
+  return fileURLToPath(new URL('../../storage/', import.meta.url));
+};
+
+let current = null;
+
+export const getStorage = () => {
+  if (current) return current;
+  const adapter = String(process.env.STORAGE_ADAPTER || 'json').toLowerCase();
+  current = adapter === 'memory' ? createMemoryStorage() : createJsonFileStorage({ dir: defaultDir() });
+  return current;
+};
+
+export const setStorage = (adapter) => {
+  current = adapter || null;
+};
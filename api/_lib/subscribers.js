@@ -0,0 +1,167 @@
+// Newsletter subscribers: double opt-in on top of the storage adapter.
+//
+// Record: { id, email, status, topics, lang, page, source, created_at, updated_at, confirmed_at, unsubscribed_at }
+// status: 'pending' (waiting for the confirmation link) | 'active' | 'unsubscribed'
+// topics: per-topic opt-ins, see TOPICS (all on by default)
+
+import crypto from 'node:crypto';
+import { getStorage } from './storage.js';
+import { signToken, verifyToken } from './tokens.js';
+import { getFormConfig } from './form-config.js';
+
+const COLLECTION = 'subscribers';
+const CONFIRM_TTL = 7 * 24 * 60 * 60; // 7 days
+
+// Same topics the newsletter popup advertises: Updates • Events • Exhibitions • Offers
+export const TOPICS = ['updates', 'events', 'exhibitions', 'offers'];
+
+const defaultTopics = () => Object.fromEntries(TOPICS.map((t) => [t, true]));
+
+// Keep only known topics, coerced to booleans; missing topics keep their current value
+export const normalizeTopics = (input, current = defaultTopics()) => {
+  const out = { ...defaultTopics(), ...current };
+  if (!input || typeof input !== 'object') return out;
+  TOPICS.forEach((t) => {
+    if (t in input) out[t] = input[t] === true || input[t] === 'true' || input[t] === 1 || input[t] === '1' || input[t] === 'on';
+  });
+  return out;
+};
+
+export const subscriberId = (email) =>
+  crypto.createHash('sha256').update(String(email || '').trim().toLowerCase()).digest('hex').slice(0, 32);
+
+export const getSubscriber = (id) => getStorage().get(COLLECTION, id);
+
+export const saveSubscriber = (subscriber) => {
+  subscriber.updated_at = new Date().toISOString();
+  return getStorage().put(COLLECTION, subscriber.id, subscriber);
+};
+
+/**
+ * Idempotent: an active subscriber stays active (no new email), a pending or
+ * unsubscribed one goes (back) to pending and gets a fresh confirmation link.
+ *
+ * @returns {Promise<{ subscriber: object, needsConfirmation: boolean }>}
+ */
+export const subscribe = async ({ email, lang = '', page = '', source = '' }) => {
+  const id = subscriberId(email);
+  const now = new Date().toISOString();
+  const existing = await getSubscriber(id);
+
+  if (existing && existing.status === 'active') {
+    return { subscriber: existing, needsConfirmation: false };
+  }
+
+  const subscriber = existing || { id, email, created_at: now, confirmed_at: null };
+  subscriber.status = 'pending';
+  subscriber.topics = normalizeTopics(null, subscriber.topics);
+  subscriber.lang = lang || subscriber.lang || '';
+  subscriber.page = page || subscriber.page || '';
+  subscriber.source = source || subscriber.source || '';
+
+  await saveSubscriber(subscriber);
+  return { subscriber, needsConfirmation: true };
+};
+
+export const confirmationUrl = (subscriber) => {
+  const token = signToken('subscribe_confirm', { id: subscriber.id }, CONFIRM_TTL);
+  return `${getFormConfig().site_url}/api/subscribe/confirm?token=${encodeURIComponent(token)}`;
+};
+
+// Returns { subscriber, activated }, or null for an invalid/expired link.
+// activated is false when the link is opened again after confirming.
+export const confirmSubscription = async (token) => {
+  const payload = verifyToken('subscribe_confirm', token);
+  if (!payload) return null;
+
+  const subscriber = await getSubscriber(payload.id);
+  // An old link must not re-activate someone who unsubscribed since
+  if (!subscriber || subscriber.status === 'unsubscribed') return null;
+
+  if (subscriber.status !== 'pending') return { subscriber, activated: false };
+
+  subscriber.status = 'active';
+  subscriber.confirmed_at = new Date().toISOString();
+  await saveSubscriber(subscriber);
+  return { subscriber, activated: true };
+};
+
+// --- Preference center / unsubscribe -----------------------------------------
+
+// Manage links go into every subscriber email (subscriberMail()), so they do
+// not expire. The token only proves access to one subscriber record.
+export const manageToken = (subscriber) => signToken('subscriber_manage', { id: subscriber.id });
+
+export const subscriberFromManageToken = async (token) => {
+  const payload = verifyToken('subscriber_manage', token);
+  if (!payload) return null;
+  return getSubscriber(payload.id);
+};
+
+export const manageUrls = (subscriber) => {
+  const { site_url: site } = getFormConfig();
+  const lang = String(subscriber.lang || '').toLowerCase().startsWith('ar') ? 'ar' : 'en';
+  const token = encodeURIComponent(manageToken(subscriber));
+  return {
+    preferences: `${site}/${lang}/preferences.html?token=${token}`,
+    unsubscribe: `${site}/api/unsubscribe?token=${token}`
+  };
+};
+
+// Headers for newsletter emails: RFC 2369 List-Unsubscribe + RFC 8058 one-click
+export const listUnsubscribeHeaders = (subscriber) => {
+  const { to_email: mailbox } = getFormConfig();
+  const { unsubscribe } = manageUrls(subscriber);
+  return {
+    'List-Unsubscribe': `<${unsubscribe}>, <mailto:${mailbox}?subject=unsubscribe>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+};
+
+/**
+ * What every email to a subscriber carries: the links for the template's
+ * manageLinks() block and the List-Unsubscribe headers for sendMail().
+ * @returns {{ links: { preferencesUrl: string, unsubscribeUrl: string }, headers: object }}
+ */
+export const subscriberMail = (subscriber) => {
+  const urls = manageUrls(subscriber);
+  return {
+    links: { preferencesUrl: urls.preferences, unsubscribeUrl: urls.unsubscribe },
+    headers: listUnsubscribeHeaders(subscriber)
+  };
+};
+
+export const unsubscribe = async (subscriber) => {
+  if (subscriber.status !== 'unsubscribed') {
+    subscriber.status = 'unsubscribed';
+    subscriber.unsubscribed_at = new Date().toISOString();
+    await saveSubscriber(subscriber);
+  }
+  return subscriber;
+};
+
+// The manage token proves mailbox ownership, so re-subscribing from the
+// preference center does not need another confirmation round-trip.
+export const resubscribe = async (subscriber) => {
+  if (subscriber.status !== 'active') {
+    subscriber.status = 'active';
+    subscriber.confirmed_at = subscriber.confirmed_at || new Date().toISOString();
+    subscriber.unsubscribed_at = null;
+    await saveSubscriber(subscriber);
+  }
+  return subscriber;
+};
+
+export const updateTopics = async (subscriber, topics) => {
+  subscriber.topics = normalizeTopics(topics, subscriber.topics);
+  await saveSubscriber(subscriber);
+  return subscriber;
+};
+
+// Public view for the preference page (never expose ids or timestamps we do not need)
+export const preferencesView = (subscriber) => ({
+  email: subscriber.email,
+  status: subscriber.status,
+  lang: subscriber.lang || '',
+  topics: normalizeTopics(null, subscriber.topics)
+});
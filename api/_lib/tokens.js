@@ -0,0 +1,54 @@
+// Signed, expiring tokens for links we email out (confirmation, unsubscribe, …).
+//
+// Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256)
+// Payload keys: p (purpose), exp (unix seconds, optional) + caller data.
+//
+// Set TOKEN_SECRET in every deployment. Without it a random per-process secret
+// is used, so links stop working after a restart (safe, but only for dev).
+
+import crypto from 'node:crypto';
+
+let fallbackSecret = null;
+
+const secret = () => {
+  if (process.env.TOKEN_SECRET) return process.env.TOKEN_SECRET;
+  if (!fallbackSecret) fallbackSecret = crypto.randomBytes(32).toString('hex');
+  return fallbackSecret;
+};
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+const sign = (data) => b64url(crypto.createHmac('sha256', secret()).update(data).digest());
+
+/**
+ * @param {string} purpose   e.g. 'subscribe_confirm'
+ * @param {object} data      small JSON-safe payload
+ * @param {number} [ttlSeconds] omit for non-expiring tokens
+ */
+export const signToken = (purpose, data = {}, ttlSeconds) => {
+  const payload = { ...data, p: purpose };
+  if (ttlSeconds) payload.exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const body = b64url(JSON.stringify(payload));
+  return `${body}.${sign(body)}`;
+};
+
+// Returns the payload, or null when the token is malformed, forged, expired
+// or was issued for another purpose.
+export const verifyToken = (purpose, token) => {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+
+  const expected = Buffer.from(sign(body));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!payload || payload.p !== purpose) return null;
+  if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) return null;
+  return payload;
+};
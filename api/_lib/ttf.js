@@ -0,0 +1,225 @@
+// TrueType reader + subsetter for the PDF writer (api/_lib/pdf.js).
+//
+// parseTtf(buffer) -> { unitsPerEm, ascent, descent, capHeight, bbox, italicAngle, weight,
+//                       numGlyphs, glyphFor(codePoint), advance(glyphId), subset(glyphIds) }
+// subset() keeps the glyph ids (unused glyphs are emptied, composite parts are
+// kept), so the PDF can address glyphs with CIDToGIDMap /Identity and only the
+// outlines that are drawn end up in the file.
+
+const tag = (buf, offset) => buf.toString('latin1', offset, offset + 4);
+
+const readTables = (buf) => {
+  const count = buf.readUInt16BE(4);
+  const tables = {};
+  for (let i = 0; i < count; i++) {
+    const rec = 12 + i * 16;
+    tables[tag(buf, rec)] = { offset: buf.readUInt32BE(rec + 8), length: buf.readUInt32BE(rec + 12) };
+  }
+  return tables;
+};
+
+// cmap format 4 (BMP) and 12 (full range), Windows Unicode subtables
+const readCmap = (buf, table) => {
+  const map = new Map();
+  const count = buf.readUInt16BE(table.offset + 2);
+  const subtables = [];
+  for (let i = 0; i < count; i++) {
+    const rec = table.offset + 4 + i * 8;
+    const platform = buf.readUInt16BE(rec);
+    const encoding = buf.readUInt16BE(rec + 2);
+    const offset = table.offset + buf.readUInt32BE(rec + 4);
+    if (platform === 3 && (encoding === 1 || encoding === 10)) subtables.push({ offset, format: buf.readUInt16BE(offset) });
+    if (platform === 0) subtables.push({ offset, format: buf.readUInt16BE(offset) });
+  }
+
+  const full = subtables.find((sub) => sub.format === 12);
+  if (full) {
+    const groups = buf.readUInt32BE(full.offset + 12);
+    for (let i = 0; i < groups; i++) {
+      const rec = full.offset + 16 + i * 12;
+      const start = buf.readUInt32BE(rec);
+      const end = buf.readUInt32BE(rec + 4);
+      const glyph = buf.readUInt32BE(rec + 8);
+      for (let cp = start; cp <= end; cp++) map.set(cp, glyph + (cp - start));
+    }
+    return map;
+  }
+
+  const bmp = subtables.find((sub) => sub.format === 4);
+  if (!bmp) throw new Error('TrueType font without a Unicode cmap');
+  const o = bmp.offset;
+  const segCount = buf.readUInt16BE(o + 6) / 2;
+  const ends = o + 14;
+  const starts = ends + segCount * 2 + 2;
+  const deltas = starts + segCount * 2;
+  const ranges = deltas + segCount * 2;
+  for (let s = 0; s < segCount; s++) {
+    const end = buf.readUInt16BE(ends + s * 2);
+    const start = buf.readUInt16BE(starts + s * 2);
+    const delta = buf.readInt16BE(deltas + s * 2);
+    const rangeOffset = buf.readUInt16BE(ranges + s * 2);
+    for (let cp = start; cp <= end && cp !== 0xffff; cp++) {
+      let glyph;
+      if (!rangeOffset) glyph = (cp + delta) & 0xffff;
+      else {
+        const at = ranges + s * 2 + rangeOffset + (cp - start) * 2;
+        glyph = buf.readUInt16BE(at);
+        if (glyph) glyph = (glyph + delta) & 0xffff;
+      }
+      if (glyph) map.set(cp, glyph);
+    }
+  }
+  return map;
+};
+
+// Composite glyph flags
+const ARG_WORDS = 0x0001;
+const HAS_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const HAS_XY_SCALE = 0x0040;
+const HAS_2X2 = 0x0080;
+
+const checksum = (buf) => {
+  let sum = 0;
+  for (let i = 0; i < buf.length; i += 4) sum = (sum + buf.readUInt32BE(i)) >>> 0;
+  return sum;
+};
+
+const pad4 = (buf) => (buf.length % 4 ? Buffer.concat([buf, Buffer.alloc(4 - (buf.length % 4))]) : buf);
+
+export const parseTtf = (buf) => {
+  if (buf.readUInt32BE(0) !== 0x00010000 && tag(buf, 0) !== 'true') throw new Error('Not a TrueType (glyf) font');
+  const tables = readTables(buf);
+  ['head', 'hhea', 'maxp', 'hmtx', 'loca', 'glyf', 'cmap'].forEach((name) => {
+    if (!tables[name]) throw new Error(`TrueType font without a ${name} table`);
+  });
+  const slice = (name) => buf.subarray(tables[name].offset, tables[name].offset + tables[name].length);
+
+  const head = slice('head');
+  const hhea = slice('hhea');
+  const unitsPerEm = head.readUInt16BE(18);
+  const longLoca = head.readInt16BE(50) === 1;
+  const numGlyphs = slice('maxp').readUInt16BE(4);
+  const numHMetrics = hhea.readUInt16BE(34);
+  const hmtx = slice('hmtx');
+  const loca = slice('loca');
+  const glyf = slice('glyf');
+  const cmap = readCmap(buf, tables.cmap);
+
+  const os2 = tables['OS/2'] ? slice('OS/2') : null;
+  const post = tables.post ? slice('post') : null;
+  const ascent = hhea.readInt16BE(4);
+  const descent = hhea.readInt16BE(6);
+
+  const glyphRange = (id) =>
+    longLoca ? [loca.readUInt32BE(id * 4), loca.readUInt32BE(id * 4 + 4)] : [loca.readUInt16BE(id * 2) * 2, loca.readUInt16BE(id * 2 + 2) * 2];
+
+  const advance = (id) => hmtx.readUInt16BE(Math.min(id, numHMetrics - 1) * 4);
+
+  // Glyph ids used by a composite glyph (accents on letters, lam-alef, …)
+  const components = (id) => {
+    const [start, end] = glyphRange(id);
+    if (end - start < 10 || glyf.readInt16BE(start) >= 0) return [];
+    const parts = [];
+    let at = start + 10;
+    let flags;
+    do {
+      flags = glyf.readUInt16BE(at);
+      parts.push(glyf.readUInt16BE(at + 2));
+      at += 4 + (flags & ARG_WORDS ? 4 : 2);
+      if (flags & HAS_SCALE) at += 2;
+      else if (flags & HAS_XY_SCALE) at += 4;
+      else if (flags & HAS_2X2) at += 8;
+    } while (flags & MORE_COMPONENTS);
+    return parts;
+  };
+
+  /**
+   * A smaller font with the same glyph ids. Hinting tables are kept as they
+   * are; cmap/name/post are left out (the PDF maps glyphs itself).
+   * @param {Iterable<number>} glyphIds
+   * @returns {Buffer}
+   */
+  const subset = (glyphIds) => {
+    const keep = new Set([0]);
+    const queue = [...glyphIds];
+    while (queue.length) {
+      const id = queue.pop();
+      if (keep.has(id) || id >= numGlyphs) continue;
+      keep.add(id);
+      queue.push(...components(id));
+    }
+    components(0).forEach((id) => keep.add(id));
+
+    const glyphs = [];
+    const offsets = Buffer.alloc((numGlyphs + 1) * 4);
+    let size = 0;
+    for (let id = 0; id < numGlyphs; id++) {
+      offsets.writeUInt32BE(size, id * 4);
+      if (!keep.has(id)) continue;
+      const [start, end] = glyphRange(id);
+      const data = pad4(glyf.subarray(start, end));
+      glyphs.push(data);
+      size += data.length;
+    }
+    offsets.writeUInt32BE(size, numGlyphs * 4);
+
+    const newHead = Buffer.from(head);
+    newHead.writeUInt32BE(0, 8); // checkSumAdjustment, set below
+    newHead.writeInt16BE(1, 50); // long loca offsets
+
+    const out = {
+      head: newHead,
+      hhea: Buffer.from(hhea),
+      maxp: Buffer.from(slice('maxp')),
+      hmtx: Buffer.from(hmtx),
+      loca: offsets,
+      glyf: Buffer.concat(glyphs)
+    };
+    ['cvt ', 'fpgm', 'prep'].forEach((name) => {
+      if (tables[name]) out[name] = Buffer.from(slice(name));
+    });
+
+    const names = Object.keys(out).sort();
+    const headerSize = 12 + names.length * 16;
+    const header = Buffer.alloc(headerSize);
+    header.writeUInt32BE(0x00010000, 0);
+    header.writeUInt16BE(names.length, 4);
+    const entrySelector = Math.floor(Math.log2(names.length));
+    header.writeUInt16BE(2 ** entrySelector * 16, 6);
+    header.writeUInt16BE(entrySelector, 8);
+    header.writeUInt16BE(names.length * 16 - 2 ** entrySelector * 16, 10);
+
+    let offset = headerSize;
+    const bodies = names.map((name, i) => {
+      const data = out[name];
+      const padded = pad4(data);
+      const rec = 12 + i * 16;
+      header.write(name, rec, 4, 'latin1');
+      header.writeUInt32BE(checksum(padded), rec + 4);
+      header.writeUInt32BE(offset, rec + 8);
+      header.writeUInt32BE(data.length, rec + 12);
+      offset += padded.length;
+      return padded;
+    });
+
+    const font = Buffer.concat([header, ...bodies]);
+    const headAt = header.readUInt32BE(12 + names.indexOf('head') * 16 + 8);
+    font.writeUInt32BE((0xb1b0afba - checksum(font)) >>> 0, headAt + 8);
+    return font;
+  };
+
+  return {
+    unitsPerEm,
+    ascent,
+    descent,
+    capHeight: os2 && os2.readUInt16BE(0) >= 2 ? os2.readInt16BE(88) : ascent,
+    bbox: [head.readInt16BE(36), head.readInt16BE(38), head.readInt16BE(40), head.readInt16BE(42)],
+    italicAngle: post ? post.readInt32BE(4) / 65536 : 0,
+    weight: os2 ? os2.readUInt16BE(4) : 400,
+    numGlyphs,
+    glyphFor: (codePoint) => cmap.get(codePoint) || 0,
+    advance,
+    subset
+  };
+};
@@ -0,0 +1,197 @@
+// Booking documents (CR certificate, VAT certificate, company logo).
+//
+// api/upload stores a file before the booking exists and answers with its id;
+// api/reserve sends the ids back as "attachments", checks them and the booking
+// claims them (attachUploads) before it is stored. Files nobody claims within UPLOAD_TTL_HOURS are dropped.
+//
+// Metadata (storage collection "uploads"):
+//   { id, kind, name, type, ext, size, sha256, status: 'pending' | 'attached' | 'expired',
+//     reference, ip, created_at, attached_at }
+// Bytes go to an upload store, never to the public tree:
+//   write(id, buffer), read(id) -> Buffer | null, remove(id)
+// Default: UPLOAD_DIR, else storage/uploads/ (blocked by .htaccess), /tmp on Vercel.
+// Vercel's /tmp does not outlive the function instance; register a durable
+// store (S3, Blob, …) with setUploadStore() for production.
+
+import crypto from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import validation from '../../js/form-validation.js';
+import { getStorage } from './storage.js';
+
+const COLLECTION = 'uploads';
+const UPLOAD_TTL_HOURS = 24;
+const ID_RE = /^[a-f0-9]{32}$/;
+
+export const createFileUploadStore = ({ dir }) => {
+  const fileFor = (id) => {
+    if (!ID_RE.test(String(id))) throw new Error(`Invalid upload id: ${id}`);
+    return path.join(dir, id);
+  };
+  return {
+    async write(id, data) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(id), data);
+    },
+    async read(id) {
+      try {
+        return await fs.readFile(fileFor(id));
+      } catch (err) {
+        if (err && err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async remove(id) {
+      await fs.rm(fileFor(id), { force: true });
+    }
+  };
+};
+
+const defaultDir = () => {
+  if (process.env.UPLOAD_DIR) return process.env.UPLOAD_DIR;
+  if (process.env.VERCEL) return '/tmp/leenelite-uploads';
+  return fileURLToPath(new URL('../../storage/uploads/', import.meta.url));
+};
+
+let store = null;
+
+export const getUploadStore = () => {
+  if (!store) store = createFileUploadStore({ dir: defaultDir() });
+  return store;
+};
+
+export const setUploadStore = (adapter) => {
+  store = adapter || null;
+};
+
+// Keep the visitor's file name for the admin, without paths or control
+// characters, and with the extension of the detected type ("logo.pdf" that is a PNG -> "logo.png")
+const safeName = (filename, ext) => {
+  const base = String(filename || '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f"<>]/g, '')
+    .replace(/\.[^.]*$/, '')
+    .trim()
+    .slice(0, 120);
+  return `${base || 'document'}.${ext}`;
+};
+
+// What the form, the booking and the emails see
+export const uploadView = (upload) => ({
+  id: upload.id,
+  kind: upload.kind,
+  name: upload.name,
+  type: upload.type,
+  size: upload.size
+});
+
+/**
+ * Check and store one file.
+ * @returns {Promise<{ ok: true, upload: object } | { ok: false, error: 'invalid_kind' | 'invalid_file_type' | 'file_too_large' }>}
+ */
+export const saveUpload = async ({ kind, filename, data, ip = '' }) => {
+  if (!Object.prototype.hasOwnProperty.call(validation.FILES.kinds, kind)) return { ok: false, error: 'invalid_kind' };
+  if (!data || !data.length) return { ok: false, error: 'invalid_file_type' };
+  if (data.length > validation.FILES.max_bytes) return { ok: false, error: 'file_too_large' };
+
+  // The real type from the file signature; the name and the browser's type are ignored
+  const detected = validation.detectFileType(data);
+  if (!detected) return { ok: false, error: 'invalid_file_type' };
+
+  const upload = {
+    id: crypto.randomBytes(16).toString('hex'),
+    kind,
+    name: safeName(filename, detected.ext),
+    type: detected.type,
+    ext: detected.ext,
+    size: data.length,
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    status: 'pending',
+    reference: '',
+    ip,
+    created_at: new Date().toISOString(),
+    attached_at: null
+  };
+  await getUploadStore().write(upload.id, data);
+  await getStorage().put(COLLECTION, upload.id, upload);
+  return { ok: true, upload };
+};
+
+const isFresh = (upload, now = Date.now()) => now - Date.parse(upload.created_at) < UPLOAD_TTL_HOURS * 3600 * 1000;
+
+/**
+ * Uploads a booking may claim: pending, not expired, one per kind.
+ * @param {string[]} ids
+ * @returns {Promise<{ ok: true, uploads: object[] } | { ok: false, error: 'invalid_attachment' }>}
+ */
+export const checkUploads = async (ids) => {
+  const uploads = await Promise.all(ids.map((id) => (ID_RE.test(id) ? getStorage().get(COLLECTION, id) : null)));
+  const kinds = new Set();
+  const valid = uploads.every((upload) => {
+    if (!upload || upload.status !== 'pending' || !isFresh(upload) || kinds.has(upload.kind)) return false;
+    kinds.add(upload.kind);
+    return true;
+  });
+  return valid ? { ok: true, uploads } : { ok: false, error: 'invalid_attachment' };
+};
+
+/**
+ * Link uploads to a booking. Each upload is checked and attached in the same
+ * storage update, so two bookings can never claim one file; when any of them
+ * is no longer pending the ones already claimed go back and nothing is linked.
+ * @returns {Promise<{ ok: true } | { ok: false, error: 'invalid_attachment' }>}
+ */
+export const attachUploads = async (ids, reference) => {
+  const now = new Date().toISOString();
+  const claimed = [];
+  for (const id of ids) {
+    let ok = false;
+    if (ID_RE.test(id)) {
+      await getStorage().update(COLLECTION, id, (current) => {
+        ok = Boolean(current && current.status === 'pending' && isFresh(current));
+        return ok ? { ...current, status: 'attached', reference, attached_at: now } : current;
+      });
+    }
+    if (!ok) {
+      await releaseUploads(claimed, reference);
+      return { ok: false, error: 'invalid_attachment' };
+    }
+    claimed.push(id);
+  }
+  return { ok: true };
+};
+
+// Back to pending (the booking could not be stored after all)
+export const releaseUploads = (ids, reference) =>
+  Promise.all(
+    ids.map((id) =>
+      getStorage().update(COLLECTION, id, (current) =>
+        current && current.reference === reference ? { ...current, status: 'pending', reference: '', attached_at: null } : current
+      )
+    )
+  );
+
+// Bytes + metadata for the admin download; null when gone
+export const readUpload = async (id) => {
+  if (!ID_RE.test(String(id || ''))) return null;
+  const upload = await getStorage().get(COLLECTION, id);
+  if (!upload || upload.status === 'expired') return null;
+  const data = await getUploadStore().read(id);
+  return data ? { upload, data } : null;
+};
+
+export const listUploads = async (reference) =>
+  (await getStorage().list(COLLECTION)).filter((upload) => upload.reference === reference && upload.status === 'attached');
+
+// Drop files that were never claimed (called from api/upload)
+export const purgeStaleUploads = async () => {
+  const now = Date.now();
+  const stale = (await getStorage().list(COLLECTION)).filter((upload) => upload.status === 'pending' && !isFresh(upload, now));
+  for (const upload of stale) {
+    await getUploadStore().remove(upload.id);
+    await getStorage().update(COLLECTION, upload.id, (current) => ({ ...current, status: 'expired' }));
+  }
+  return stale.length;
+};
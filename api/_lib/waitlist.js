@@ -0,0 +1,186 @@
+// Waitlist for sold-out space categories (exhibitions.json "sold_out").
+//
+// One queue per exhibition + category. api/waitlist adds companies in the order
+// they ask; api/admin/waitlist offers a freed space to the next one waiting by
+// email. The offer link carries a signed token that lets api/reserve book the
+// sold-out category once, for that exhibition and category only.
+//
+// Record (storage collection "waitlist"):
+//   { id, exhibition, category, position, status, full_name, company, email, phone, phone_country,
+//     phone_local, city, cr, vat, size, type, notes, lang, page, ip, reference,
+//     created_at, offered_at, offer_expires_at, booked_at }
+// position: 1, 2, 3, … per queue, never reused (counter "waitlist-<exhibition>-<category>")
+// status: see WAITLIST_STATUSES
+//   waiting -> offered (admin) -> booked (api/reserve with the offer link)
+//   offered -> expired after OFFER_HOURS; the admin then offers the space to the next company
+
+import crypto from 'node:crypto';
+import { getFormConfig } from './form-config.js';
+import { getStorage } from './storage.js';
+import { signToken, verifyToken } from './tokens.js';
+
+const COLLECTION = 'waitlist';
+const COUNTERS = 'counters';
+const OFFER_HOURS = 72;
+
+export const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'expired'];
+
+const ENTRY_FIELDS = [
+  'full_name',
+  'company',
+  'phone',
+  'phone_country',
+  'phone_local',
+  'city',
+  'cr',
+  'vat',
+  'size',
+  'type',
+  'notes'
+];
+
+const inQueue = (entry, exhibition, category) => entry.exhibition === exhibition && entry.category === category;
+
+const byPosition = (a, b) =>
+  a.exhibition.localeCompare(b.exhibition) || a.category.localeCompare(b.category) || a.position - b.position;
+
+const isLive = (entry, now = Date.now()) => entry.status === 'offered' && Date.parse(entry.offer_expires_at) > now;
+
+// Offers nobody took up in time; their companies keep their place in the history only
+const expireOffers = async (entries) => {
+  const now = Date.now();
+  const stale = entries.filter((entry) => entry.status === 'offered' && !isLive(entry, now));
+  for (const entry of stale) {
+    Object.assign(
+      entry,
+      await getStorage().update(COLLECTION, entry.id, (current) => (isLive(current, now) ? current : { ...current, status: 'expired' }))
+    );
+  }
+  return entries;
+};
+
+/**
+ * Entries of one queue (or all queues), oldest first; stale offers are marked expired.
+ * @param {object} [filter]  { exhibition, category, status }
+ */
+export const listWaitlist = async ({ exhibition = '', category = '', status = '' } = {}) => {
+  const entries = await expireOffers(await getStorage().list(COLLECTION));
+  return entries
+    .filter((entry) => !exhibition || entry.exhibition === exhibition)
+    .filter((entry) => !category || entry.category === category)
+    .filter((entry) => !status || entry.status === status)
+    .sort(byPosition);
+};
+
+// 1 = next in line (companies still waiting ahead of this one + 1)
+const placeInQueue = (entry, entries) =>
+  entries.filter((other) => inQueue(other, entry.exhibition, entry.category) && other.status === 'waiting' && other.position < entry.position)
+    .length + 1;
+
+/**
+ * Join the queue of a sold-out category. Asking again with the same email
+ * while still waiting (or holding an offer) keeps the existing entry. The
+ * check and the new entry happen inside the queue's counter update, so two
+ * requests sent at once cannot both join.
+ *
+ * @param {object} values  normalized "waitlist" values from js/form-validation.js
+ * @param {object} meta    { lang, page, ip }
+ * @returns {Promise<{ entry: object, place: number, existing: boolean }>}
+ */
+export const joinWaitlist = async (values, { lang = '', page = '', ip = '' } = {}) => {
+  const email = String(values.email || '').toLowerCase();
+  let joined = null;
+
+  await getStorage().update(COUNTERS, `waitlist-${values.exhibition}-${values.category}`, async (current) => {
+    const entries = await getStorage().list(COLLECTION);
+    const existing = entries.find(
+      (entry) => inQueue(entry, values.exhibition, values.category) && entry.email === email && ['waiting', 'offered'].includes(entry.status)
+    );
+    if (existing) {
+      joined = { entry: existing, place: placeInQueue(existing, entries), existing: true };
+      return current;
+    }
+
+    const counter = { value: ((current && current.value) || 0) + 1 };
+    const entry = {
+      id: crypto.randomBytes(12).toString('hex'),
+      exhibition: values.exhibition,
+      category: values.category,
+      position: counter.value,
+      status: 'waiting',
+      ...Object.fromEntries(ENTRY_FIELDS.map((field) => [field, values[field] ?? ''])),
+      email,
+      lang,
+      page,
+      ip,
+      reference: '',
+      created_at: new Date().toISOString(),
+      offered_at: null,
+      offer_expires_at: null,
+      booked_at: null
+    };
+    await getStorage().put(COLLECTION, entry.id, entry);
+    joined = { entry, place: placeInQueue(entry, [...entries, entry]), existing: false };
+    return counter;
+  });
+
+  return joined;
+};
+
+/**
+ * Offer a freed space to the next company waiting in a queue.
+ * @returns {Promise<{ ok: true, entry: object, token: string } | { ok: false, error: 'waitlist_empty' }>}
+ */
+export const offerNext = async (exhibition, category) => {
+  const waiting = await listWaitlist({ exhibition, category, status: 'waiting' });
+  for (const candidate of waiting) {
+    const offeredAt = new Date();
+    const expiresAt = new Date(offeredAt.getTime() + OFFER_HOURS * 3600 * 1000);
+    // Atomic: two admins offering at the same time reach different companies
+    const entry = await getStorage().update(COLLECTION, candidate.id, (current) =>
+      current && current.status === 'waiting'
+        ? { ...current, status: 'offered', offered_at: offeredAt.toISOString(), offer_expires_at: expiresAt.toISOString() }
+        : current
+    );
+    if (entry && entry.status === 'offered' && entry.offered_at === offeredAt.toISOString()) {
+      return { ok: true, entry, token: signToken('waitlist_offer', { w: entry.id }, OFFER_HOURS * 3600) };
+    }
+  }
+  return { ok: false, error: 'waitlist_empty' };
+};
+
+// Booking form for the offered category (the catalog opens it from the query string)
+export const waitlistOfferUrl = (entry, token) => {
+  const lang = String(entry.lang || '').toLowerCase().startsWith('ar') ? 'ar' : 'en';
+  const query = new URLSearchParams({ offer: token, exhibition: entry.exhibition, category: entry.category });
+  return `${getFormConfig().site_url}/${lang}/upcoming-exhibitions.html?${query}`;
+};
+
+/**
+ * An offer link api/reserve may take up: signed, still open, for this exhibition and category.
+ * @returns {Promise<{ ok: true, entry: object } | { ok: false, error: 'invalid_offer' }>}
+ */
+export const checkOffer = async (token, { exhibition, category }) => {
+  const payload = verifyToken('waitlist_offer', token);
+  const entry = payload ? await getStorage().get(COLLECTION, String(payload.w || '')) : null;
+  if (!entry || !isLive(entry) || !inQueue(entry, exhibition, category)) return { ok: false, error: 'invalid_offer' };
+  return { ok: true, entry };
+};
+
+// Take up an offer for a booking (api/_lib/bookings.js); only one booking gets it
+export const claimOffer = async (id, reference) => {
+  const now = new Date().toISOString();
+  const entry = await getStorage().update(COLLECTION, id, (current) =>
+    current && isLive(current) ? { ...current, status: 'booked', reference, booked_at: now } : current
+  );
+  return entry && entry.status === 'booked' && entry.reference === reference ? { ok: true, entry } : { ok: false, error: 'invalid_offer' };
+};
+
+// The booking failed after the claim (booth or promo code taken): the offer stays open
+export const releaseOffer = async (id, reference) => {
+  await getStorage().update(COLLECTION, id, (current) =>
+    current && current.status === 'booked' && current.reference === reference
+      ? { ...current, status: 'offered', reference: '', booked_at: null }
+      : current
+  );
+};
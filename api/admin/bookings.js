@@ -0,0 +1,90 @@
+// Leen Elite – Booking requests for the sales team
+//
+// GET  /api/admin/bookings?status=received&exhibition=leen-world-2026
+//   -> { ok, count, bookings }   (filters optional, newest first)
+// GET  /api/admin/bookings?reference=LE-2026-000123
+//   -> { ok, booking } | 404 not_found
+// POST /api/admin/bookings { reference, status }
+//   Moves a booking to received | under_review | allocated | declined (the
+//   status the visitor sees in the booking status lookup). Declining frees
+//   the booths the request held (spam, abandoned requests) and gives its promo
+//   code use back; allocating books the booths.
+//   -> { ok, booking } | 400 invalid_status | 404 not_found
+//      | 409 booth_taken / promo_exhausted (re-opened, but the booths or the
+//        last use of the code went to another booking)
+//   Authorization: Bearer <ADMIN_API_TOKEN>
+
+import { requireAdmin } from '../_lib/admin-auth.js';
+import { BOOKING_STATUSES, getBooking, isReference, listBookings, setBookingStatus } from '../_lib/bookings.js';
+import { clientIp, readJsonBody, sendRateLimited } from '../_lib/http.js';
+import { rateLimit } from '../_lib/rate-limit.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    // Limit before the token check so guessing is slow too
+    const limit = await rateLimit('admin', { ip: clientIp(req) });
+    if (!limit.ok) {
+      sendRateLimited(res, limit);
+      return;
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    if (req.method === 'GET') {
+      const query = req.query || {};
+      const reference = String(query.reference || '').trim();
+      if (reference) {
+        const booking = isReference(reference) ? await getBooking(reference) : null;
+        if (!booking) {
+          res.status(404).json({ ok: false, error: 'not_found' });
+          return;
+        }
+        res.status(200).json({ ok: true, booking });
+        return;
+      }
+
+      const status = String(query.status || '').trim();
+      if (status && !BOOKING_STATUSES.includes(status)) {
+        res.status(400).json({ ok: false, error: 'invalid_filter', field: 'status' });
+        return;
+      }
+      const exhibition = String(query.exhibition || '').trim();
+      const bookings = (await listBookings())
+        .filter((booking) => (!status || booking.status === status) && (!exhibition || booking.exhibition === exhibition))
+        .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+      res.status(200).json({ ok: true, count: bookings.length, bookings });
+      return;
+    }
+
+    const data = readJsonBody(req);
+    const reference = String(data.reference || '').trim();
+    const status = String(data.status || '').trim();
+    const missing = [!reference && 'reference', !status && 'status'].filter(Boolean);
+    if (missing.length) {
+      res.status(400).json({ ok: false, error: 'missing_fields', fields: missing });
+      return;
+    }
+    if (!BOOKING_STATUSES.includes(status)) {
+      res.status(400).json({ ok: false, error: 'invalid_status', statuses: BOOKING_STATUSES });
+      return;
+    }
+
+    const result = isReference(reference) ? await setBookingStatus(reference, status) : { ok: false, error: 'not_found' };
+    if (!result.ok) {
+      const code = result.error === 'not_found' ? 404 : 409;
+      res.status(code).json({ ok: false, error: result.error, ...(result.booths ? { booths: result.booths } : {}) });
+      return;
+    }
+
+    res.status(200).json({ ok: true, booking: result.booking });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
@@ -0,0 +1,55 @@
+// Leen Elite – Lead export for the sales team
+//
+// GET /api/admin/leads            -> { ok, count, leads }
+// GET /api/admin/leads?format=csv -> leads-YYYY-MM-DD.csv (UTF-8 with BOM)
+//   Authorization: Bearer <ADMIN_API_TOKEN>
+//
+// Filters (optional, comma separated lists):
+//   form=contact,reserve,waitlist,subscribe,profile_access  from=YYYY-MM-DD  to=YYYY-MM-DD  lang=en,ar
+//   city=Riyadh  category=sponsors  exhibition=leen-world-2026
+
+import { requireAdmin } from '../_lib/admin-auth.js';
+import { clientIp, sendRateLimited } from '../_lib/http.js';
+import { leadsToCsv, listLeads, parseLeadFilter } from '../_lib/leads.js';
+import { rateLimit } from '../_lib/rate-limit.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    // Limit before the token check so guessing is slow too
+    const limit = await rateLimit('admin', { ip: clientIp(req) });
+    if (!limit.ok) {
+      sendRateLimited(res, limit);
+      return;
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    const query = req.query || {};
+    const parsed = parseLeadFilter(query);
+    if (!parsed.ok) {
+      res.status(400).json({ ok: false, error: parsed.error, field: parsed.field });
+      return;
+    }
+
+    const leads = await listLeads(parsed.filter);
+
+    if (String(query.format || '').toLowerCase() === 'csv') {
+      const day = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="leads-${day}.csv"`);
+      res.status(200).send(leadsToCsv(leads));
+      return;
+    }
+
+    res.status(200).json({ ok: true, count: leads.length, leads });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
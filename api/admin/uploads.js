@@ -0,0 +1,63 @@
+// Leen Elite – Booking documents for the sales team
+//
+// GET /api/admin/uploads?id=<upload id>            -> the file (Content-Disposition: attachment)
+// GET /api/admin/uploads?reference=LE-2026-000123  -> { ok, count, uploads }
+//   Authorization: Bearer <ADMIN_API_TOKEN>
+//
+// The admin notification links every attachment here.
+
+import { requireAdmin } from '../_lib/admin-auth.js';
+import { normalizeReference } from '../_lib/bookings.js';
+import { clientIp, sendRateLimited } from '../_lib/http.js';
+import { rateLimit } from '../_lib/rate-limit.js';
+import { listUploads, readUpload, uploadView } from '../_lib/uploads.js';
+
+// ASCII fallback + RFC 5987 name for Arabic file names
+const disposition = (name) =>
+  `attachment; filename="${name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    // Limit before the token check so guessing is slow too
+    const limit = await rateLimit('admin', { ip: clientIp(req) });
+    if (!limit.ok) {
+      sendRateLimited(res, limit);
+      return;
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    const query = req.query || {};
+
+    if (query.id) {
+      const file = await readUpload(String(query.id));
+      if (!file) {
+        res.status(404).json({ ok: false, error: 'not_found' });
+        return;
+      }
+      // Stored types are the detected ones; never let the browser sniff
+      res.setHeader('Content-Type', file.upload.type);
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.setHeader('Content-Disposition', disposition(file.upload.name));
+      res.status(200).send(file.data);
+      return;
+    }
+
+    if (query.reference) {
+      const uploads = await listUploads(normalizeReference(query.reference));
+      res.status(200).json({ ok: true, count: uploads.length, uploads: uploads.map(uploadView) });
+      return;
+    }
+
+    res.status(400).json({ ok: false, error: 'missing_fields', fields: ['id'] });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
@@ -0,0 +1,99 @@
+// Leen Elite – Waitlist queues for the sales team
+//
+// GET  /api/admin/waitlist?exhibition=leen-world-2026&category=sponsors&status=waiting
+//   -> { ok, count, entries }   (filters optional, oldest first)
+// POST /api/admin/waitlist { exhibition, category }
+//   A space was freed: offers it to the next company waiting in that queue by
+//   email. The link opens the booking form with the category bookable for
+//   72 hours. -> { ok, entry, offer_url, mail_sent } | 404 waitlist_empty
+//   Authorization: Bearer <ADMIN_API_TOKEN>
+
+import { requireAdmin } from '../_lib/admin-auth.js';
+import { renderEmail } from '../_lib/email-templates.js';
+import { getExhibition, loadCatalog } from '../_lib/exhibitions.js';
+import { getFormConfig } from '../_lib/form-config.js';
+import { clientIp, readJsonBody, sendRateLimited } from '../_lib/http.js';
+import { rateLimit } from '../_lib/rate-limit.js';
+import { sendMail } from '../_lib/smtp-mailer.js';
+import { WAITLIST_STATUSES, listWaitlist, offerNext, waitlistOfferUrl } from '../_lib/waitlist.js';
+
+// "2026-03-01 18:30" in Riyadh
+const riyadhTime = (iso) =>
+  new Date(iso).toLocaleString('sv-SE', { timeZone: 'Asia/Riyadh', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    // Limit before the token check so guessing is slow too
+    const limit = await rateLimit('admin', { ip: clientIp(req) });
+    if (!limit.ok) {
+      sendRateLimited(res, limit);
+      return;
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    if (req.method === 'GET') {
+      const query = req.query || {};
+      const status = String(query.status || '').trim();
+      if (status && !WAITLIST_STATUSES.includes(status)) {
+        res.status(400).json({ ok: false, error: 'invalid_filter', field: 'status' });
+        return;
+      }
+      const entries = await listWaitlist({
+        exhibition: String(query.exhibition || '').trim(),
+        category: String(query.category || '').trim(),
+        status
+      });
+      res.status(200).json({ ok: true, count: entries.length, entries });
+      return;
+    }
+
+    const data = readJsonBody(req);
+    const exhibitionId = String(data.exhibition || '').trim();
+    const category = String(data.category || '').trim();
+    const missing = [!exhibitionId && 'exhibition', !category && 'category'].filter(Boolean);
+    if (missing.length) {
+      res.status(400).json({ ok: false, error: 'missing_fields', fields: missing });
+      return;
+    }
+    const exhibition = await getExhibition(exhibitionId);
+    if (!exhibition) {
+      res.status(400).json({ ok: false, error: 'invalid_exhibition' });
+      return;
+    }
+
+    const offer = await offerNext(exhibitionId, category);
+    if (!offer.ok) {
+      res.status(404).json({ ok: false, error: offer.error });
+      return;
+    }
+
+    const cfg = getFormConfig();
+    const { entry } = offer;
+    const { categories } = await loadCatalog();
+    const offerUrl = waitlistOfferUrl(entry, offer.token);
+    const mail = renderEmail(
+      'waitlist_offer',
+      {
+        ...entry,
+        exhibitionName: exhibition.name,
+        categoryName: categories[category] || { en: category, ar: '' },
+        expires: riyadhTime(entry.offer_expires_at),
+        offerUrl
+      },
+      { lang: entry.lang, page: entry.page, siteUrl: cfg.site_url }
+    );
+    const sent = await sendMail(cfg, { to: entry.email, ...mail, headers: { 'Reply-To': cfg.to_email } });
+
+    res.status(200).json({ ok: true, entry, offer_url: offerUrl, mail_sent: sent.ok });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
@@ -0,0 +1,45 @@
+// Leen Elite – Booking confirmation / pro-forma PDF
+//
+// GET /api/booking-pdf?token=…  -> application/pdf (Content-Disposition: attachment)
+//
+// The signed link comes back from api/reserve as pdf_url (the download in the
+// reserve modal's success state). The PDF is rendered again from the stored
+// booking, so it shows the current status. Bad or expired links answer not_found.
+
+import { bookingPdf, bookingPdfFilename } from './_lib/booking-pdf.js';
+import { getBooking } from './_lib/bookings.js';
+import { clientIp, sendRateLimited } from './_lib/http.js';
+import { rateLimit } from './_lib/rate-limit.js';
+import { verifyToken } from './_lib/tokens.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    const limit = await rateLimit('lookup', { ip: clientIp(req) });
+    if (!limit.ok) {
+      sendRateLimited(res, limit);
+      return;
+    }
+
+    const payload = verifyToken('booking_pdf', (req.query || {}).token);
+    const booking = payload ? await getBooking(payload.r) : null;
+    if (!booking) {
+      res.status(404).json({ ok: false, error: 'not_found' });
+      return;
+    }
+
+    const pdf = await bookingPdf(booking);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Disposition', `attachment; filename="${bookingPdfFilename(booking)}"`);
+    res.status(200).send(pdf);
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
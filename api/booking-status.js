@@ -0,0 +1,49 @@
+// Leen Elite – Booking status lookup
+//
+// GET  /api/booking-status?reference=…&email=…
+// POST /api/booking-status { reference, email }
+//   -> { ok, reference, status, company, created_at, updated_at }
+//   status: 'received' | 'under_review' | 'allocated' | 'declined'
+//
+// Unknown references and wrong emails both answer not_found.
+
+import validation from '../js/form-validation.js';
+import { bookingStatusView, findBooking } from './_lib/bookings.js';
+import { clientIp, readJsonBody, sendRateLimited, sendValidationError } from './_lib/http.js';
+import { rateLimit } from './_lib/rate-limit.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    const limit = await rateLimit('lookup', { ip: clientIp(req) });
+    if (!limit.ok) {
+      sendRateLimited(res, limit);
+      return;
+    }
+
+    const input = req.method === 'POST' ? readJsonBody(req) : req.query || {};
+
+    // Rules live in js/form-validation.js (shared with the lookup form)
+    const result = validation.validate('booking_status', input);
+    if (!result.ok) {
+      sendValidationError(res, result);
+      return;
+    }
+
+    const booking = await findBooking(result.values.reference, result.values.email);
+    if (!booking) {
+      res.status(404).json({ ok: false, error: 'not_found' });
+      return;
+    }
+
+    res.status(200).json({ ok: true, ...bookingStatusView(booking) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
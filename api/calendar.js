@@ -0,0 +1,46 @@
+// Leen Elite – Exhibition dates as iCalendar (.ics)
+//
+// GET /api/calendar?id=leen-world-2026&lang=ar  -> text/calendar (one exhibition, attachment)
+// GET /api/calendar?lang=en                     -> text/calendar (every dated exhibition that has not ended)
+// Built by js/calendar.js, the same module the catalog cards use for their
+// download and Google / Outlook links. Exhibitions with TBA dates answer not_found.
+
+import calendar from '../js/calendar.js';
+import { filterExhibitions, getExhibition, loadCatalog } from './_lib/exhibitions.js';
+import { getFormConfig } from './_lib/form-config.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    const query = req.query || {};
+    const lang = String(query.lang || '').toLowerCase() === 'ar' ? 'ar' : 'en';
+    const id = String(query.id || '').trim();
+
+    let exhibitions;
+    let filename;
+    if (id) {
+      const exhibition = await getExhibition(id);
+      if (!exhibition || !calendar.eventTimes(exhibition)) {
+        res.status(404).json({ ok: false, error: 'not_found' });
+        return;
+      }
+      exhibitions = [exhibition];
+      filename = calendar.fileName(exhibition);
+    } else {
+      exhibitions = filterExhibitions((await loadCatalog()).exhibitions).filter((exhibition) => calendar.eventTimes(exhibition));
+      filename = 'leen-elite-exhibitions.ics';
+    }
+
+    const ics = calendar.toIcs(exhibitions, { lang, siteUrl: getFormConfig().site_url });
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(ics);
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
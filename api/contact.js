@@ -0,0 +1,75 @@
+// Leen Elite – Contact form endpoint (Vercel)
+// Same rules and error codes as contact.php (SiteGround / Apache).
+
+import validation from '../js/form-validation.js';
+import { botScore } from './_lib/bot-score.js';
+import { getFormConfig } from './_lib/form-config.js';
+import { renderEmail } from './_lib/email-templates.js';
+import { clientIp, readJsonBody, sendRateLimited } from './_lib/http.js';
+import { recordLead } from './_lib/leads.js';
+import { rateLimit } from './_lib/rate-limit.js';
+import { sendMail } from './_lib/smtp-mailer.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    const cfg = getFormConfig();
+    const data = readJsonBody(req);
+    const ip = clientIp(req);
+
+    const ipLimit = await rateLimit('contact', { ip });
+    if (!ipLimit.ok) {
+      sendRateLimited(res, ipLimit);
+      return;
+    }
+
+    if (botScore(data, cfg, { form: 'contact', ip }).isBot) {
+      // spam bot (honeypot, too fast, disposable email, …)
+      res.status(200).json({ ok: true });
+      return;
+    }
+
+    // contact.php checks for empty fields before the email format and answers
+    // with the error code only
+    const result = validation.validate('contact', data);
+    if (!result.ok) {
+      res.status(400).json({ ok: false, error: result.fields.length ? 'missing_fields' : result.error });
+      return;
+    }
+
+    const emailLimit = await rateLimit('contact', { email: result.values.email });
+    if (!emailLimit.ok) {
+      sendRateLimited(res, emailLimit);
+      return;
+    }
+
+    const get = (key) => String(data[key] ?? '').trim();
+    const meta = { lang: get('lang'), page: get('page'), siteUrl: cfg.site_url };
+
+    // Lead log for the sales team (api/admin/leads)
+    await recordLead('contact', result.values, { lang: meta.lang, page: meta.page, ip });
+    const admin = renderEmail('contact_admin', { ...result.values, ...meta, ip }, meta);
+    const user = renderEmail('contact_user', result.values, meta);
+
+    // --- Send admin notification ---------------------------------------------
+    const sentAdmin = await sendMail(cfg, { to: cfg.to_email, ...admin, headers: { 'Reply-To': result.values.email } });
+
+    // Without SMTP (previews) the request is still validated like contact.php,
+    // but nothing is sent.
+    if (!sentAdmin.ok && !sentAdmin.skipped) {
+      res.status(500).json({ ok: false, error: 'send_failed' });
+      return;
+    }
+
+    // --- Auto-reply to visitor (best-effort) ----------------------------------
+    const sentUser = await sendMail(cfg, { to: result.values.email, ...user, headers: { 'Reply-To': cfg.to_email } });
+
+    res.status(200).json({ ok: true, user_mail_sent: sentUser.ok });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
@@ -0,0 +1,31 @@
+// Leen Elite – Exhibitions catalog
+//
+// GET /api/exhibitions?city=riyadh&month=2026-03&category=sponsors
+//   -> { ok, categories, exhibitions }
+// All filters are optional; ended exhibitions are left out unless include_past=1.
+// Static hosts serve /exhibitions.json instead (same shape, unfiltered).
+
+import { filterExhibitions, loadCatalog } from './_lib/exhibitions.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    const query = req.query || {};
+    const { categories, exhibitions } = await loadCatalog();
+    const list = filterExhibitions(exhibitions, {
+      city: query.city,
+      month: query.month,
+      category: query.category,
+      include_past: ['1', 'true', 'yes'].includes(String(query.include_past || '').toLowerCase())
+    });
+
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.status(200).json({ ok: true, categories, exhibitions: list });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
@@ -0,0 +1,30 @@
+// Leen Elite – Booth floor plan with live availability
+//
+// GET /api/floorplan?exhibition=leen-world-2026
+//   -> { ok, plan: { width, height, labels, booths: [{ id, category, size, x, y, w, h, status }] } }
+//   status: 'available' | 'pending' | 'booked' | 'blocked'
+// Static hosts serve floorplans/<exhibition>.json instead (plan statuses only).
+
+import { floorplanView } from './_lib/floorplans.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    // Availability changes with every booking
+    res.setHeader('Cache-Control', 'no-store');
+
+    const plan = await floorplanView((req.query || {}).exhibition);
+    if (!plan) {
+      res.status(404).json({ ok: false, error: 'not_found' });
+      return;
+    }
+
+    res.status(200).json({ ok: true, plan });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
@@ -0,0 +1,39 @@
+// Leen Elite – Form render token (bot score)
+//
+// GET /api/form-token?form=contact -> { ok, token } | 400 invalid_form
+//   form: contact | subscribe | reserve | profile_access
+// js/script.js requests one when a form is shown and posts it back as
+// `form_token`; the form handlers use it to spot submissions that are too fast.
+// The token only counts for that form and the IP that fetched it.
+
+import { FORM_TOKEN_FORMS, issueFormToken } from './_lib/bot-score.js';
+import { clientIp, sendRateLimited } from './_lib/http.js';
+import { rateLimit } from './_lib/rate-limit.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    const ip = clientIp(req);
+    const limit = await rateLimit('form_token', { ip });
+    if (!limit.ok) {
+      sendRateLimited(res, limit);
+      return;
+    }
+
+    const form = String((req.query || {}).form || '');
+    if (!FORM_TOKEN_FORMS.includes(form)) {
+      res.status(400).json({ ok: false, error: 'invalid_form', forms: FORM_TOKEN_FORMS });
+      return;
+    }
+
+    res.status(200).json({ ok: true, token: issueFormToken(form, ip) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
@@ -0,0 +1,60 @@
+// Leen Elite – Newsletter preference center
+//
+// GET  /api/preferences?token=…                   -> { ok, email, status, lang, topics, available_topics }
+// POST /api/preferences { token, action, topics }  -> same shape after the change
+//   action: 'update' (default) | 'unsubscribe' | 'resubscribe'
+
+import { clientIp, readJsonBody, sendRateLimited } from './_lib/http.js';
+import { rateLimit } from './_lib/rate-limit.js';
+import {
+  TOPICS,
+  subscriberFromManageToken,
+  updateTopics,
+  unsubscribe,
+  resubscribe,
+  preferencesView
+} from './_lib/subscribers.js';
+
+const ACTIONS = ['update', 'unsubscribe', 'resubscribe'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    const limit = await rateLimit('manage', { ip: clientIp(req) });
+    if (!limit.ok) {
+      sendRateLimited(res, limit);
+      return;
+    }
+
+    const body = req.method === 'POST' ? readJsonBody(req) : {};
+    const token = String((req.method === 'POST' ? body.token : req.query && req.query.token) || '');
+
+    let subscriber = await subscriberFromManageToken(token);
+    if (!subscriber) {
+      res.status(400).json({ ok: false, error: 'invalid_token' });
+      return;
+    }
+
+    if (req.method === 'POST') {
+      const action = String(body.action || 'update');
+      if (!ACTIONS.includes(action)) {
+        res.status(400).json({ ok: false, error: 'invalid_action' });
+        return;
+      }
+
+      if (action === 'unsubscribe') subscriber = await unsubscribe(subscriber);
+      if (action === 'resubscribe') subscriber = await resubscribe(subscriber);
+      if (body.topics) subscriber = await updateTopics(subscriber, body.topics);
+    }
+
+    res.status(200).json({ ok: true, ...preferencesView(subscriber), available_topics: TOPICS });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
@@ -0,0 +1,91 @@
+// Leen Elite – Company Profile access gate
+//
+// POST /api/profile-access { full_name, company, email, lang, page, form_token }
+//   -> { ok, token, expires_at }
+// GET  /api/profile-access?token=…
+//   -> { ok, expires_at }, or 400 invalid_token when it is forged or expired
+//
+// js/profile-viewer.js asks for these details before it shows the pages of a
+// gated profile (data-gate="lead") and keeps the token for the browser
+// session; api/profile-file serves the pages and the PDF only with it. Every
+// accepted request is logged as a profile_access lead (api/admin/leads), so
+// sales can see who opened the profile.
+
+import validation from '../js/form-validation.js';
+import { botScore } from './_lib/bot-score.js';
+import { getFormConfig } from './_lib/form-config.js';
+import { clientIp, readJsonBody, sendRateLimited, sendValidationError } from './_lib/http.js';
+import { recordLead } from './_lib/leads.js';
+import { rateLimit } from './_lib/rate-limit.js';
+import { signToken, verifyToken } from './_lib/tokens.js';
+
+// Long enough to read the profile in one sitting
+const ACCESS_TTL = 2 * 60 * 60;
+
+const expiresAt = (payload) => new Date(payload.exp * 1000).toISOString();
+
+const accessToken = (email) => {
+  const token = signToken('profile_access', { e: email }, ACCESS_TTL);
+  return { token, expires_at: expiresAt(verifyToken('profile_access', token)) };
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const ip = clientIp(req);
+
+    if (req.method === 'GET') {
+      const limit = await rateLimit('lookup', { ip });
+      if (!limit.ok) {
+        sendRateLimited(res, limit);
+        return;
+      }
+
+      const payload = verifyToken('profile_access', (req.query || {}).token);
+      if (!payload) {
+        res.status(400).json({ ok: false, error: 'invalid_token' });
+        return;
+      }
+      res.status(200).json({ ok: true, expires_at: expiresAt(payload) });
+      return;
+    }
+
+    const data = readJsonBody(req);
+
+    const ipLimit = await rateLimit('profile_access', { ip });
+    if (!ipLimit.ok) {
+      sendRateLimited(res, ipLimit);
+      return;
+    }
+
+    const result = validation.validate('profile_access', data);
+    if (!result.ok) {
+      sendValidationError(res, result);
+      return;
+    }
+
+    // Bots get a token too, so the check is not given away, just no lead record
+    if (botScore(data, getFormConfig(), { form: 'profile_access', ip }).isBot) {
+      res.status(200).json({ ok: true, ...accessToken(result.values.email) });
+      return;
+    }
+
+    const emailLimit = await rateLimit('profile_access', { email: result.values.email });
+    if (!emailLimit.ok) {
+      sendRateLimited(res, emailLimit);
+      return;
+    }
+
+    const get = (key) => String(data[key] ?? '').trim();
+    await recordLead('profile_access', result.values, { lang: get('lang'), page: get('page'), ip });
+
+    res.status(200).json({ ok: true, ...accessToken(result.values.email) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
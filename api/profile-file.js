@@ -0,0 +1,75 @@
+// Leen Elite – Company Profile files behind the access gate
+//
+// GET /api/profile-file?profile=en&file=page-001.webp&token=…
+//   file: manifest.json | page-NNN.webp (or @2x, png, jpg) | company-profile.pdf
+//   -> the file (no-store, noindex); the PDF as a download
+//   -> 400 invalid_token (no token, forged or expired), 404 not_found
+//
+// The files live in api/_lib/profile/<profile>/, which Vercel never serves as
+// static files. The token is the one api/profile-access hands out after the
+// gate, so nobody gets a page or the PDF without leaving their details first.
+// js/profile-viewer.js adds it to every page and download URL. profile-file.php
+// is the same handler for Apache.
+
+import { promises as fs } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { verifyToken } from './_lib/tokens.js';
+
+const PROFILE_DIR = new URL('./_lib/profile/', import.meta.url);
+const PROFILE_RE = /^(en|ar)$/;
+const FILE_RE = /^(manifest\.json|company-profile\.pdf|page-\d{1,4}(@2x)?\.(webp|png|jpe?g))$/;
+
+const TYPES = {
+  json: 'application/json; charset=utf-8',
+  pdf: 'application/pdf',
+  webp: 'image/webp',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg'
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('X-Robots-Tag', 'noindex, noarchive, nosnippet');
+
+    const query = req.query || {};
+    if (!verifyToken('profile_access', query.token)) {
+      res.status(400).json({ ok: false, error: 'invalid_token' });
+      return;
+    }
+
+    const profile = String(query.profile || '');
+    const file = String(query.file || '');
+    if (!PROFILE_RE.test(profile) || !FILE_RE.test(file)) {
+      res.status(404).json({ ok: false, error: 'not_found' });
+      return;
+    }
+
+    let data;
+    try {
+      data = await fs.readFile(fileURLToPath(new URL(`${profile}/${file}`, PROFILE_DIR)));
+    } catch (err) {
+      if (err && err.code === 'ENOENT') {
+        res.status(404).json({ ok: false, error: 'not_found' });
+        return;
+      }
+      throw err;
+    }
+
+    const ext = file.slice(file.lastIndexOf('.') + 1);
+    res.setHeader('Content-Type', TYPES[ext]);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (ext === 'pdf') {
+      res.setHeader('Content-Disposition', `attachment; filename="LeenElite-Company-Profile-${profile.toUpperCase()}.pdf"`);
+    }
+    res.status(200).send(data);
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
@@ -0,0 +1,52 @@
+// Leen Elite – Promo code check for the booking form
+//
+// GET  /api/promo?code=…&exhibition=…&category=…
+// POST /api/promo { code, exhibition, category }
+//   -> { ok, code, type: 'percent' | 'fixed', value, label }
+//
+// Errors: invalid_promo | promo_not_started | promo_expired | promo_exhausted |
+// promo_not_applicable. api/reserve checks the code again when the booking arrives.
+
+import validation from '../js/form-validation.js';
+import { clientIp, readJsonBody, sendRateLimited, sendValidationError } from './_lib/http.js';
+import { checkPromo } from './_lib/promo-codes.js';
+import { rateLimit } from './_lib/rate-limit.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    const limit = await rateLimit('promo', { ip: clientIp(req) });
+    if (!limit.ok) {
+      sendRateLimited(res, limit);
+      return;
+    }
+
+    const input = req.method === 'POST' ? readJsonBody(req) : req.query || {};
+
+    // Rules live in js/form-validation.js (shared with the reserve modal)
+    const result = validation.validate('promo', input);
+    if (!result.ok) {
+      sendValidationError(res, result);
+      return;
+    }
+
+    const check = await checkPromo(result.values.code, {
+      exhibition: result.values.exhibition,
+      category: result.values.category
+    });
+    if (!check.ok) {
+      res.status(400).json({ ok: false, error: check.error });
+      return;
+    }
+
+    res.status(200).json({ ok: true, ...check.promo });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
@@ -0,0 +1,219 @@
+// Leen Elite – Reserve/Booking request endpoint (Vercel)
+// Same rules and error codes as reserve.php (SiteGround / Apache); also stores
+// the request and returns its booking reference (api/_lib/bookings.js).
+
+import validation from '../js/form-validation.js';
+import quoteEngine from '../js/quote.js';
+import { bookingPdf, bookingPdfFilename, bookingPdfUrl } from './_lib/booking-pdf.js';
+import { bookingStatusUrl, createBooking, updateBooking } from './_lib/bookings.js';
+import { botScore } from './_lib/bot-score.js';
+import { checkExhibitionBooking } from './_lib/exhibitions.js';
+import { checkBooths, parseBooths } from './_lib/floorplans.js';
+import { getFormConfig } from './_lib/form-config.js';
+import { renderEmail } from './_lib/email-templates.js';
+import { clientIp, readJsonBody, sendRateLimited, sendValidationError } from './_lib/http.js';
+import { recordLead } from './_lib/leads.js';
+import { checkPromo } from './_lib/promo-codes.js';
+import { rateLimit } from './_lib/rate-limit.js';
+import { sendMail } from './_lib/smtp-mailer.js';
+import { checkUploads, uploadView } from './_lib/uploads.js';
+import { checkOffer } from './_lib/waitlist.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    const cfg = getFormConfig();
+    const data = readJsonBody(req);
+    const ip = clientIp(req);
+
+    const ipLimit = await rateLimit('reserve', { ip });
+    if (!ipLimit.ok) {
+      sendRateLimited(res, ipLimit);
+      return;
+    }
+
+    // Honeypot + render timing + disposable email (spam bots)
+    if (botScore(data, cfg, { form: 'reserve', ip }).isBot) {
+      res.status(200).json({ ok: true });
+      return;
+    }
+
+    // Rules live in js/form-validation.js (shared with the booking modal)
+    const result = validation.validate('reserve', data);
+    if (!result.ok) {
+      sendValidationError(res, result);
+      return;
+    }
+
+    const emailLimit = await rateLimit('reserve', { email: result.values.email });
+    if (!emailLimit.ok) {
+      sendRateLimited(res, emailLimit);
+      return;
+    }
+
+    // Booths from the floor plan decide size and category
+    const booths = parseBooths(result.values.booths);
+    if (booths.length) {
+      const check = result.values.exhibition ? await checkBooths(result.values.exhibition, booths) : { ok: false, error: 'invalid_booth' };
+      if (!check.ok) {
+        res.status(400).json({ ok: false, error: check.error, booths: check.booths || booths });
+        return;
+      }
+      result.values.size = String(check.size);
+      result.values.category = check.category;
+    }
+
+    // Waitlist offer link (api/admin/waitlist): books this sold-out category once
+    let offer = null;
+    if (result.values.offer) {
+      const check = await checkOffer(result.values.offer, { exhibition: result.values.exhibition, category: result.values.category });
+      if (!check.ok) {
+        res.status(400).json({ ok: false, error: check.error });
+        return;
+      }
+      offer = check.entry;
+    }
+
+    // Requests opened from a catalog card name the exhibition (exhibitions.json)
+    let exhibition = null;
+    if (result.values.exhibition) {
+      const check = await checkExhibitionBooking(result.values.exhibition, result.values.category, { waitlistOffer: !!offer });
+      if (!check.ok) {
+        res.status(400).json({ ok: false, error: check.error });
+        return;
+      }
+      exhibition = check.exhibition;
+    }
+    const exhibitionName = exhibition ? exhibition.name : null;
+
+    // Promo code: checked again (window, category, uses); the use is counted with the booking
+    let promo = null;
+    if (result.values.promo_code) {
+      const check = await checkPromo(result.values.promo_code, {
+        exhibition: result.values.exhibition,
+        category: result.values.category
+      });
+      if (!check.ok) {
+        res.status(400).json({ ok: false, error: check.error });
+        return;
+      }
+      promo = check.promo;
+    }
+
+    // Price estimate: always recomputed from the rate table (js/quote.js); the
+    // figure the form showed is only compared, and a difference is flagged.
+    const quote = exhibition
+      ? quoteEngine.compute(exhibition.pricing, {
+          category: result.values.category,
+          type: result.values.type,
+          size: result.values.size,
+          ksa: validation.isKsa(result.values),
+          discount: promo
+        })
+      : null;
+    const sentTotal = data.quote && typeof data.quote === 'object' ? data.quote.total : null;
+    const quoteRecord = quote || sentTotal != null
+      ? {
+          ...(quote || {}),
+          client_total: sentTotal,
+          mismatch: sentTotal != null && (!quote || !quoteEngine.sameTotal(sentTotal, quote.total))
+        }
+      : null;
+
+    const promoRecord = promo ? { ...promo, discount: quote ? quote.discount : null } : null;
+
+    // Documents uploaded through api/upload: still pending, one per kind
+    let attachments = [];
+    if (result.values.attachments) {
+      const check = await checkUploads(result.values.attachments.split(','));
+      if (!check.ok) {
+        res.status(400).json({ ok: false, error: check.error, field: 'attachments' });
+        return;
+      }
+      attachments = check.uploads.map(uploadView);
+    }
+
+    const get = (key) => String(data[key] ?? '').trim();
+    const meta = { lang: get('lang'), page: get('page'), siteUrl: cfg.site_url };
+
+    // Store first: the booking reference is what the exhibitor keeps, so once
+    // the request is saved a failed notification no longer fails the request.
+    const created = await createBooking(result.values, {
+      lang: meta.lang,
+      page: meta.page,
+      ip,
+      quote: quoteRecord,
+      promo: promoRecord,
+      attachments,
+      waitlist: offer ? offer.id : null
+    });
+    if (!created.ok && created.error === 'invalid_attachment') {
+      // Claimed by a parallel request since the check above
+      res.status(400).json({ ok: false, error: created.error, field: 'attachments' });
+      return;
+    }
+    if (!created.ok) {
+      // Booth, last code use or the waitlist offer taken between loading the form and submitting
+      res.status(409).json({ ok: false, error: created.error, booths: created.booths });
+      return;
+    }
+    const booking = created.booking;
+    const ref = {
+      reference: booking.reference,
+      statusUrl: bookingStatusUrl(booking),
+      exhibitionName,
+      quote: quoteRecord,
+      promo: promoRecord,
+      attachments,
+      waitlistPosition: offer ? offer.position : null
+    };
+    await recordLead('reserve', result.values, {
+      lang: meta.lang,
+      page: meta.page,
+      ip,
+      reference: booking.reference,
+      quote_total: quote ? quote.total : ''
+    });
+
+    // Confirmation / pro-forma PDF for the visitor; without it the email still goes out
+    let pdf = null;
+    try {
+      pdf = await bookingPdf(booking);
+    } catch (err) {
+      pdf = null;
+    }
+
+    const admin = renderEmail(
+      'reserve_admin',
+      { ...result.values, ...meta, ...ref, ip, isKsa: validation.isKsa(result.values) },
+      meta
+    );
+    const user = renderEmail('reserve_user', { ...result.values, ...ref, pdfAttached: !!pdf }, meta);
+
+    // --- Send admin notification ---------------------------------------------
+    const sentAdmin = await sendMail(cfg, { to: cfg.to_email, ...admin, headers: { 'Reply-To': result.values.email } });
+    if (sentAdmin.ok) await updateBooking(booking.reference, { admin_notified: true });
+
+    // --- Confirmation email to visitor (best-effort) --------------------------
+    const sentUser = await sendMail(cfg, {
+      to: result.values.email,
+      ...user,
+      headers: { 'Reply-To': cfg.to_email },
+      attachments: pdf ? [{ filename: bookingPdfFilename(booking), contentType: 'application/pdf', content: pdf }] : []
+    });
+
+    res.status(200).json({
+      ok: true,
+      reference: booking.reference,
+      quote,
+      user_mail_sent: sentUser.ok,
+      pdf_url: pdf ? bookingPdfUrl(booking) : null
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
@@ -1,3 +1,13 @@
+import validation from '../js/form-validation.js';
+import { botScore } from './_lib/bot-score.js';
+import { getFormConfig } from './_lib/form-config.js';
+import { renderEmail } from './_lib/email-templates.js';
+import { clientIp, readJsonBody, sendRateLimited } from './_lib/http.js';
+import { recordLead } from './_lib/leads.js';
+import { rateLimit } from './_lib/rate-limit.js';
+import { sendMail } from './_lib/smtp-mailer.js';
+import { confirmationUrl, subscribe, subscriberMail } from './_lib/subscribers.js';
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     res.status(405).json({ ok: false, error: 'method_not_allowed' });
@@ -5,23 +15,65 @@ export default async function handler(req, res) {
   }
 
   try {
-    const body = req.body || {};
-    const email = String(body.email || '').trim().toLowerCase();
+    const cfg = getFormConfig();
+    const body = readJsonBody(req);
+
+    const ip = clientIp(req);
+
+    const ipLimit = await rateLimit('subscribe', { ip });
+    if (!ipLimit.ok) {
+      sendRateLimited(res, ipLimit);
+      return;
+    }
+
+    // Honeypot + render timing + disposable email: look like a normal signup
+    if (botScore(body, cfg, { form: 'subscribe', ip }).isBot) {
+      res.status(200).json({ ok: true, status: 'pending' });
+      return;
+    }
 
-    const valid = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email);
-    if (!valid) {
+    // Rules live in js/form-validation.js (shared with the newsletter popup)
+    const result = validation.validate('subscribe', body);
+    if (!result.ok) {
       res.status(400).json({ ok: false, error: 'invalid_email' });
       return;
     }
 
-    // Demo-safe default:
-    // In Vercel, this endpoint returns success to validate UX without exposing PDF/profile
-    // or requiring vendor keys in the repository.
-    //
-    // Production (optional): connect an email service provider (Resend/SendGrid/etc.)
-    // with environment variables, then send to: info@leenelite.com
+    const emailLimit = await rateLimit('subscribe', { email: result.values.email });
+    if (!emailLimit.ok) {
+      sendRateLimited(res, emailLimit);
+      return;
+    }
+
+    const get = (key) => String(body[key] ?? '').trim();
+
+    // Every signup goes to the lead log, repeats included (api/admin/leads)
+    await recordLead('subscribe', result.values, { lang: get('lang'), page: get('page'), ip, source: get('source') });
+
+    // Double opt-in: store as pending, the confirmation link activates it.
+    // Repeat subscriptions are idempotent (active stays active).
+    const { subscriber, needsConfirmation } = await subscribe({
+      email: result.values.email,
+      lang: get('lang'),
+      page: get('page'),
+      source: get('source')
+    });
+
+    // Confirmation email with the activation link (best-effort; the visitor can
+    // simply subscribe again to get a new link). Like every subscriber email it
+    // carries the preference / unsubscribe links and List-Unsubscribe headers.
+    let sentUser = { ok: false };
+    if (needsConfirmation) {
+      const { links, headers } = subscriberMail(subscriber);
+      const mail = renderEmail(
+        'subscribe_confirm',
+        { confirmUrl: confirmationUrl(subscriber), ...links },
+        { lang: subscriber.lang, page: subscriber.page, siteUrl: cfg.site_url }
+      );
+      sentUser = await sendMail(cfg, { to: subscriber.email, ...mail, headers: { 'Reply-To': cfg.to_email, ...headers } });
+    }
 
-    res.status(200).json({ ok: true });
+    res.status(200).json({ ok: true, status: subscriber.status, user_mail_sent: sentUser.ok });
   } catch (err) {
     res.status(500).json({ ok: false, error: 'server_error' });
   }
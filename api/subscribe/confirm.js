@@ -0,0 +1,55 @@
+// Leen Elite – Newsletter confirmation link (double opt-in)
+//
+// GET  /api/subscribe/confirm?token=…  -> activates, then redirects to the home page
+//      of the subscriber's language with ?subscription=confirmed|invalid
+// POST /api/subscribe/confirm { token } -> JSON (for scripted clients)
+
+import { getFormConfig } from '../_lib/form-config.js';
+import { renderEmail } from '../_lib/email-templates.js';
+import { clientIp, readJsonBody, sendRateLimited } from '../_lib/http.js';
+import { rateLimit } from '../_lib/rate-limit.js';
+import { sendMail } from '../_lib/smtp-mailer.js';
+import { confirmSubscription } from '../_lib/subscribers.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    const limit = await rateLimit('manage', { ip: clientIp(req) });
+    if (!limit.ok) {
+      sendRateLimited(res, limit);
+      return;
+    }
+
+    const token = req.method === 'GET' ? String((req.query && req.query.token) || '') : String(readJsonBody(req).token || '');
+    const confirmed = await confirmSubscription(token);
+    const subscriber = confirmed && confirmed.subscriber;
+
+    // Notify the site owner once per confirmed address (best-effort)
+    if (confirmed && confirmed.activated) {
+      const cfg = getFormConfig();
+      const notice = renderEmail('subscribe_admin', { ...subscriber, ip: clientIp(req) }, { siteUrl: cfg.site_url });
+      await sendMail(cfg, { to: cfg.to_email, ...notice, headers: { 'Reply-To': subscriber.email } });
+    }
+
+    if (req.method === 'POST') {
+      if (!subscriber) {
+        res.status(400).json({ ok: false, error: 'invalid_token' });
+        return;
+      }
+      res.status(200).json({ ok: true, status: subscriber.status });
+      return;
+    }
+
+    const lang = subscriber && String(subscriber.lang || '').toLowerCase().startsWith('ar') ? 'ar' : 'en';
+    const state = subscriber ? 'confirmed' : 'invalid';
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Location', `/${lang}/index.html?subscription=${state}`);
+    res.status(302).end();
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
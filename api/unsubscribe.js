@@ -0,0 +1,49 @@
+// Leen Elite – Newsletter unsubscribe link (List-Unsubscribe target)
+//
+// POST /api/unsubscribe?token=…  -> one-click unsubscribe (RFC 8058). Mail clients
+//      send the body "List-Unsubscribe=One-Click"; the token is in the URL.
+// GET  /api/unsubscribe?token=…  -> redirects to the preference page. A GET never
+//      changes anything, so link scanners cannot unsubscribe people.
+
+import { clientIp, readJsonBody, sendRateLimited } from './_lib/http.js';
+import { rateLimit } from './_lib/rate-limit.js';
+import { subscriberFromManageToken, unsubscribe } from './_lib/subscribers.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    const limit = await rateLimit('manage', { ip: clientIp(req) });
+    if (!limit.ok) {
+      sendRateLimited(res, limit);
+      return;
+    }
+
+    const query = req.query || {};
+    const body = req.method === 'POST' ? readJsonBody(req) : {};
+    const token = String(query.token || body.token || '');
+    const subscriber = await subscriberFromManageToken(token);
+
+    if (req.method === 'GET') {
+      const lang = subscriber && String(subscriber.lang || '').toLowerCase().startsWith('ar') ? 'ar' : 'en';
+      res.setHeader('Location', `/${lang}/preferences.html?token=${encodeURIComponent(token)}`);
+      res.status(302).end();
+      return;
+    }
+
+    if (!subscriber) {
+      res.status(400).json({ ok: false, error: 'invalid_token' });
+      return;
+    }
+
+    await unsubscribe(subscriber);
+    res.status(200).json({ ok: true, status: 'unsubscribed' });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
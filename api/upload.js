@@ -0,0 +1,74 @@
+// Leen Elite – Booking documents (CR certificate, VAT certificate, logo)
+//
+// POST /api/upload  multipart/form-data: kind=cr_certificate|vat_certificate|logo, file=<PDF, PNG or JPG>
+//   -> { ok, id, kind, name, type, size }
+//
+// The file type comes from its first bytes, not from the name or the browser.
+// The id goes back with the booking (api/reserve "attachments"); unclaimed
+// files are dropped after a day. Limits and types: FILES in js/form-validation.js.
+//
+// Errors: invalid_multipart | invalid_kind | missing_file | invalid_file_type |
+// file_too_large (also for bodies past the limit)
+
+import validation from '../js/form-validation.js';
+import { clientIp, readRawBody, sendRateLimited } from './_lib/http.js';
+import { parseMultipart } from './_lib/multipart.js';
+import { rateLimit } from './_lib/rate-limit.js';
+import { purgeStaleUploads, saveUpload, uploadView } from './_lib/uploads.js';
+
+// Room for the multipart headers around one file
+const MAX_BODY = validation.FILES.max_bytes + 64 * 1024;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    const ip = clientIp(req);
+    const limit = await rateLimit('upload', { ip });
+    if (!limit.ok) {
+      sendRateLimited(res, limit);
+      return;
+    }
+
+    const raw = await readRawBody(req, MAX_BODY);
+    if (!raw.ok) {
+      res.status(413).json({ ok: false, error: 'file_too_large' });
+      return;
+    }
+
+    const parsed = parseMultipart(raw.body, req.headers && req.headers['content-type']);
+    if (!parsed.ok) {
+      res.status(400).json({ ok: false, error: parsed.error });
+      return;
+    }
+
+    const file = parsed.files.find((part) => part.field === 'file');
+    if (!file) {
+      res.status(400).json({ ok: false, error: 'missing_file' });
+      return;
+    }
+
+    const saved = await saveUpload({
+      kind: String(parsed.fields.kind || '').trim(),
+      filename: file.filename,
+      data: file.data,
+      ip
+    });
+    if (!saved.ok) {
+      res.status(saved.error === 'file_too_large' ? 413 : 400).json({ ok: false, error: saved.error });
+      return;
+    }
+
+    // Housekeeping rides along with uploads (no cron on static hosts)
+    await purgeStaleUploads().catch(() => {});
+
+    res.status(200).json({ ok: true, ...uploadView(saved.upload) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
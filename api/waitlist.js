@@ -0,0 +1,99 @@
+// Leen Elite – Waitlist for a sold-out space category (Vercel)
+//
+// POST /api/waitlist { full_name, company, email, phone…, exhibition, category, … }
+//   -> { ok, position, place, existing }
+// The reserve modal sends this instead of a booking request when the picked
+// category is listed in the exhibition's "sold_out" (exhibitions.json).
+// position: number in the queue (api/_lib/waitlist.js); place: companies still
+// waiting up to and including this one. Joining again keeps the first entry.
+
+import validation from '../js/form-validation.js';
+import { botScore } from './_lib/bot-score.js';
+import { getExhibition, isSoldOut, loadCatalog } from './_lib/exhibitions.js';
+import { getFormConfig } from './_lib/form-config.js';
+import { renderEmail } from './_lib/email-templates.js';
+import { clientIp, readJsonBody, sendRateLimited, sendValidationError } from './_lib/http.js';
+import { recordLead } from './_lib/leads.js';
+import { rateLimit } from './_lib/rate-limit.js';
+import { sendMail } from './_lib/smtp-mailer.js';
+import { joinWaitlist } from './_lib/waitlist.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+
+  try {
+    const cfg = getFormConfig();
+    const data = readJsonBody(req);
+    const ip = clientIp(req);
+
+    const ipLimit = await rateLimit('waitlist', { ip });
+    if (!ipLimit.ok) {
+      sendRateLimited(res, ipLimit);
+      return;
+    }
+
+    // Honeypot + render timing + disposable email (spam bots)
+    if (botScore(data, cfg, { form: 'reserve', ip }).isBot) {
+      res.status(200).json({ ok: true });
+      return;
+    }
+
+    // Rules live in js/form-validation.js (the booking modal's fields)
+    const result = validation.validate('waitlist', data);
+    if (!result.ok) {
+      sendValidationError(res, result);
+      return;
+    }
+
+    const emailLimit = await rateLimit('waitlist', { email: result.values.email });
+    if (!emailLimit.ok) {
+      sendRateLimited(res, emailLimit);
+      return;
+    }
+
+    const exhibition = await getExhibition(result.values.exhibition);
+    if (!exhibition || exhibition.booking_open === false) {
+      res.status(400).json({ ok: false, error: 'invalid_exhibition' });
+      return;
+    }
+    if (!(exhibition.categories || []).includes(result.values.category)) {
+      res.status(400).json({ ok: false, error: 'category_unavailable' });
+      return;
+    }
+    // Open categories are booked, not queued
+    if (!isSoldOut(exhibition, result.values.category)) {
+      res.status(400).json({ ok: false, error: 'category_available' });
+      return;
+    }
+
+    const get = (key) => String(data[key] ?? '').trim();
+    const meta = { lang: get('lang'), page: get('page'), siteUrl: cfg.site_url };
+
+    const { entry, place, existing } = await joinWaitlist(result.values, { lang: meta.lang, page: meta.page, ip });
+    if (existing) {
+      res.status(200).json({ ok: true, position: entry.position, place, existing: true });
+      return;
+    }
+    await recordLead('waitlist', result.values, { lang: meta.lang, page: meta.page, ip });
+
+    const { categories } = await loadCatalog();
+    const names = {
+      exhibitionName: exhibition.name,
+      categoryName: categories[entry.category] || { en: entry.category, ar: '' },
+      position: entry.position,
+      place
+    };
+    const admin = renderEmail('waitlist_admin', { ...result.values, ...meta, ...names, ip }, meta);
+    const user = renderEmail('waitlist_user', { ...result.values, ...names }, meta);
+
+    await sendMail(cfg, { to: cfg.to_email, ...admin, headers: { 'Reply-To': result.values.email } });
+    const sentUser = await sendMail(cfg, { to: result.values.email, ...user, headers: { 'Reply-To': cfg.to_email } });
+
+    res.status(200).json({ ok: true, position: entry.position, place, existing: false, user_mail_sent: sentUser.ok });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
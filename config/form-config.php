@@ -26,4 +26,9 @@ return [
 
   // Basic anti-spam
   'honeypot_field' => 'website',
+
+  // Signs the Company Profile access tokens (profile-access.php, profile-file.php).
+  // Set a long random value (or the TOKEN_SECRET environment variable); while it
+  // is empty the profile stays closed.
+  'token_secret' => getenv('TOKEN_SECRET') ?: '',
 ];
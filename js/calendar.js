@@ -0,0 +1,246 @@
+/**
+ * Leen Elite – Exhibition dates for calendars (shared by the browser and the Node API)
+ *
+ * From a catalog entry (exhibitions.json):
+ *   start_date / end_date  YYYY-MM-DD (null = TBA: no calendar entry, no countdown)
+ *   hours                  { open: '16:00', close: '23:00' } daily opening hours, or null = all-day
+ * Times are Asia/Riyadh (UTC+3 all year, no daylight saving time).
+ *
+ * - toIcs():       RFC 5545 calendar (one event per exhibition, with VTIMEZONE)
+ * - googleUrl() / outlookUrl(): "add to calendar" links, built without any request
+ * - countdown():   { state: 'upcoming' | 'live' | 'ended', days, hours } for the catalog cards
+ *
+ * The browser loads this file with a classic <script> (window.LeenEliteCalendar);
+ * api/calendar.js imports it for the .ics downloads.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.LeenEliteCalendar = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const TIME_ZONE = 'Asia/Riyadh';
+  const OFFSET = '+03:00';
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+  const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const pick = (value, lang) => (value && typeof value === 'object' ? value[lang] || value.en || '' : String(value || ''));
+
+  const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+  const compact = (text) => text.replace(/[-:]/g, '');
+
+  /**
+   * Start and end of an exhibition, or null while its dates are TBA.
+   * Timed: opening on the first day to closing on the last day (a closing
+   * time before the opening time means after midnight). All-day: the end is
+   * the day after end_date, as calendars expect.
+   * @returns {{ allDay: boolean, start: Date, end: Date, startLocal: string, endLocal: string } | null}
+   *   startLocal / endLocal: '2026-03-10T16:00:00' in Riyadh, or '2026-03-10' for all-day events
+   */
+  const eventTimes = (exhibition) => {
+    const first = exhibition && exhibition.start_date;
+    if (!DATE_RE.test(String(first || ''))) return null;
+    const last = DATE_RE.test(String(exhibition.end_date || '')) && exhibition.end_date >= first ? exhibition.end_date : first;
+    const hours = exhibition.hours || null;
+
+    if (hours && TIME_RE.test(hours.open) && TIME_RE.test(hours.close)) {
+      const closeDay = hours.close <= hours.open ? addDays(last, 1) : last;
+      const startLocal = `${first}T${hours.open}:00`;
+      const endLocal = `${closeDay}T${hours.close}:00`;
+      return {
+        allDay: false,
+        start: new Date(`${startLocal}${OFFSET}`),
+        end: new Date(`${endLocal}${OFFSET}`),
+        startLocal,
+        endLocal
+      };
+    }
+
+    const endLocal = addDays(last, 1);
+    return {
+      allDay: true,
+      start: new Date(`${first}T00:00:00${OFFSET}`),
+      end: new Date(`${endLocal}T00:00:00${OFFSET}`),
+      startLocal: first,
+      endLocal
+    };
+  };
+
+  // "Riyadh Front Exhibition Center, Riyadh" in one language
+  const location = (exhibition, lang) =>
+    [pick(exhibition.venue, lang), pick(exhibition.city, lang)].filter(Boolean).join(lang === 'ar' ? '، ' : ', ');
+
+  // Both languages, the page language first
+  const description = (exhibition, { lang = 'en', url = '' } = {}) => {
+    const langs = lang === 'ar' ? ['ar', 'en'] : ['en', 'ar'];
+    const parts = langs
+      .map((l) => [pick(exhibition.name, l), pick(exhibition.summary, l), location(exhibition, l)].filter(Boolean).join('\n'))
+      .filter(Boolean);
+    return (url ? parts.concat(url) : parts).join('\n\n');
+  };
+
+  const pageUrl = (siteUrl, lang) => (siteUrl ? `${siteUrl}/${lang}/upcoming-exhibitions.html` : '');
+
+  // --- iCalendar (RFC 5545) ----------------------------------------------------
+
+  // TEXT values: backslash, semicolon, comma and line breaks are escaped
+  const escapeText = (value) =>
+    String(value == null ? '' : value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r\n|\r|\n/g, '\\n');
+
+  const utf8Length = (ch) => {
+    const cp = ch.codePointAt(0);
+    return cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+  };
+
+  // Lines longer than 75 octets continue on the next line after a space;
+  // folds never split a UTF-8 character (Arabic is 2 octets per letter)
+  const fold = (line) => {
+    const out = [];
+    let current = '';
+    let octets = 0;
+    Array.from(line).forEach((ch) => {
+      const size = utf8Length(ch);
+      const limit = out.length ? 74 : 75;
+      if (octets + size > limit) {
+        out.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += ch;
+      octets += size;
+    });
+    out.push(current);
+    return out.join('\r\n ');
+  };
+
+  const utcStamp = (date) => `${compact(date.toISOString().slice(0, 19))}Z`;
+
+  const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIME_ZONE}`,
+    `X-LIC-LOCATION:${TIME_ZONE}`,
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0300',
+    'TZOFFSETTO:+0300',
+    'TZNAME:+03',
+    'DTSTART:19700101T000000',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+
+  const eventLines = (exhibition, times, { lang, siteUrl, now, domain }) => {
+    const url = pageUrl(siteUrl, lang);
+    const when = times.allDay
+      ? [`DTSTART;VALUE=DATE:${compact(times.startLocal)}`, `DTEND;VALUE=DATE:${compact(times.endLocal)}`]
+      : [`DTSTART;TZID=${TIME_ZONE}:${compact(times.startLocal)}`, `DTEND;TZID=${TIME_ZONE}:${compact(times.endLocal)}`];
+    const where = location(exhibition, lang);
+    return [
+      'BEGIN:VEVENT',
+      `UID:${exhibition.id}@${domain}`,
+      `DTSTAMP:${utcStamp(now)}`,
+      ...when,
+      `SUMMARY;LANGUAGE=${lang}:${escapeText(pick(exhibition.name, lang))}`,
+      ...(where ? [`LOCATION;LANGUAGE=${lang}:${escapeText(where)}`] : []),
+      `DESCRIPTION:${escapeText(description(exhibition, { lang, url }))}`,
+      ...(url ? [`URL:${url}`] : []),
+      'STATUS:CONFIRMED',
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ];
+  };
+
+  /**
+   * @param {object|object[]} exhibitions  one catalog entry or a list (TBA entries are left out)
+   * @param {object} [opts]  { lang: 'en' | 'ar', siteUrl: 'https://www.leenelite.com', now: Date }
+   * @returns {string}  CRLF line endings, folded
+   */
+  const toIcs = (exhibitions, { lang = 'en', siteUrl = '', now = new Date() } = {}) => {
+    const list = (Array.isArray(exhibitions) ? exhibitions : [exhibitions])
+      .map((exhibition) => ({ exhibition, times: eventTimes(exhibition) }))
+      .filter((entry) => entry.times);
+    const domain = String(siteUrl || '').replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '') || 'leenelite.com';
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:-//Leen Elite//Exhibitions//${lang === 'ar' ? 'AR' : 'EN'}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:Leen Elite',
+      `X-WR-TIMEZONE:${TIME_ZONE}`,
+      // Required for every TZID an event refers to
+      ...(list.some((entry) => !entry.times.allDay) ? VTIMEZONE : []),
+      ...list.reduce((all, entry) => all.concat(eventLines(entry.exhibition, entry.times, { lang, siteUrl, now, domain })), []),
+      'END:VCALENDAR'
+    ];
+    return `${lines.map(fold).join('\r\n')}\r\n`;
+  };
+
+  // "leen-world-2026.ics"
+  const fileName = (exhibition) => `${String(exhibition.id || 'exhibition').replace(/[^a-z0-9-]/gi, '-')}.ics`;
+
+  // --- Add-to-calendar links -------------------------------------------------
+
+  const query = (params) =>
+    Object.keys(params)
+      .filter((key) => params[key] !== '' && params[key] != null)
+      .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+      .join('&');
+
+  // Google Calendar "create event" page; times in Riyadh (ctz)
+  const googleUrl = (exhibition, { lang = 'en', siteUrl = '' } = {}) => {
+    const times = eventTimes(exhibition);
+    if (!times) return '';
+    return `https://calendar.google.com/calendar/render?${query({
+      action: 'TEMPLATE',
+      text: pick(exhibition.name, lang),
+      dates: `${compact(times.startLocal)}/${compact(times.endLocal)}`,
+      ctz: times.allDay ? '' : TIME_ZONE,
+      details: description(exhibition, { lang, url: pageUrl(siteUrl, lang) }),
+      location: location(exhibition, lang)
+    })}`;
+  };
+
+  // Outlook on the web: outlook.com accounts, or Microsoft 365 with office: true
+  const outlookUrl = (exhibition, { lang = 'en', siteUrl = '', office = false } = {}) => {
+    const times = eventTimes(exhibition);
+    if (!times) return '';
+    const host = office ? 'https://outlook.office.com' : 'https://outlook.live.com';
+    return `${host}/calendar/0/action/compose?${query({
+      rru: 'addevent',
+      subject: pick(exhibition.name, lang),
+      startdt: times.allDay ? times.startLocal : `${times.startLocal}${OFFSET}`,
+      enddt: times.allDay ? times.endLocal : `${times.endLocal}${OFFSET}`,
+      allday: times.allDay ? 'true' : 'false',
+      body: description(exhibition, { lang, url: pageUrl(siteUrl, lang) }),
+      location: location(exhibition, lang)
+    })}`;
+  };
+
+  // --- Countdown ---------------------------------------------------------------
+
+  /**
+   * @param {{ start: Date|string, end: Date|string }} times  e.g. from eventTimes()
+   * @param {Date} [now]
+   * @returns {{ state: 'upcoming' | 'live' | 'ended', days: number, hours: number }}
+   *   days / hours (rounded down) until the opening while upcoming, 0 otherwise
+   */
+  const countdown = (times, now = new Date()) => {
+    const start = new Date(times.start).getTime();
+    const end = new Date(times.end).getTime();
+    const at = now.getTime();
+    if (at >= end) return { state: 'ended', days: 0, hours: 0 };
+    if (at >= start) return { state: 'live', days: 0, hours: 0 };
+    const left = start - at;
+    return { state: 'upcoming', days: Math.floor(left / DAY_MS), hours: Math.floor((left % DAY_MS) / (60 * 60 * 1000)) };
+  };
+
+  return { TIME_ZONE, eventTimes, toIcs, fileName, googleUrl, outlookUrl, countdown };
+});
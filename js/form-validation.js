@@ -0,0 +1,434 @@
+/*
+ * Leen Elite – Shared form validation (browser + api/)
+ *
+ * One declarative schema per form (contact, reserve, waitlist, booking_status, promo, subscribe, profile_access). The browser
+ * loads this file with a classic <script> (exposes window.LeenEliteValidation);
+ * the Node handlers in api/ import it as a CommonJS module.
+ *
+ * Field rule keys:
+ * - label:     { en, ar } used in "X is required." messages
+ * - required:  true, or the name of a condition (see CONDITIONS)
+ * - normalize: list of transforms applied before checks (see NORMALIZERS)
+ * - checks:    list of { kind, ..., error, message }. `error` is the JSON error
+ *              code the server returns (same codes as the PHP handlers) and
+ *              `message` picks the bilingual text from MESSAGES.
+ * - checkEmpty: run the checks on an empty value too, instead of reporting it
+ *              as missing (reserve.php answers invalid_size for an empty size)
+ *
+ * The summary error follows the PHP precedence: the first failed format check
+ * (in schema order) wins, otherwise `missing_fields` with the list of fields.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.LeenEliteValidation = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DIGIT_MAP = {
+    '٠': '0', '١': '1', '٢': '2', '٣': '3', '٤': '4', '٥': '5', '٦': '6', '٧': '7', '٨': '8', '٩': '9',
+    '۰': '0', '۱': '1', '۲': '2', '۳': '3', '۴': '4', '۵': '5', '۶': '6', '۷': '7', '۸': '8', '۹': '9'
+  };
+
+  // Convert Arabic-Indic and Eastern Arabic-Indic digits to Latin digits
+  const normalizeDigits = (value) => String(value == null ? '' : value).replace(/[٠-٩۰-۹]/g, (d) => DIGIT_MAP[d] || d);
+
+  const EMAIL_RE = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)+$/;
+
+  const NORMALIZERS = {
+    trim: (v) => v.trim(),
+    digits: (v) => normalizeDigits(v),
+    digits_only: (v) => normalizeDigits(v).replace(/\D/g, ''),
+    collapse_spaces: (v) => v.replace(/\s+/g, ' '),
+    lowercase: (v) => v.toLowerCase(),
+    uppercase: (v) => v.toUpperCase(),
+    no_spaces: (v) => v.replace(/\s+/g, ''),
+    // "12,5" -> "12.5" (decimal comma, as number_gt and reserve.php read it)
+    decimal: (v) => v.replace(',', '.')
+  };
+
+  // Same rule as the PHP truthy() helper: true, 1, yes, on
+  const truthy = (v) => {
+    if (typeof v === 'boolean') return v;
+    const s = String(v == null ? '' : v).trim().toLowerCase();
+    return ['1', 'true', 'yes', 'on'].indexOf(s) !== -1;
+  };
+
+  // Named conditions for conditional requirements
+  const CONDITIONS = {
+    // CR + VAT are required only for Saudi phone numbers
+    ksa: (values) => values.phone_country === '+966' || String(values.phone || '').indexOf('+966') === 0
+  };
+
+  const CHECKS = {
+    email: (v) => EMAIL_RE.test(v),
+    pattern: (v, check) => new RegExp(check.pattern).test(v),
+    length: (v, check) => v.length >= (check.min || 0) && v.length <= (check.max || Infinity),
+    digit_count: (v, check) => {
+      const n = v.replace(/\D/g, '').length;
+      return n >= (check.min || 0) && n <= (check.max || Infinity);
+    },
+    number_gt: (v, check) => {
+      const num = Number(v.replace(',', '.'));
+      return Number.isFinite(num) && num > check.value;
+    },
+    truthy: (v) => truthy(v),
+    when: (v, check, values) => !CONDITIONS[check.condition](values) || CHECKS[check.then.kind](v, check.then, values)
+  };
+
+  const MESSAGES = {
+    required: { en: '{label} is required.', ar: '{label} مطلوب.' },
+    email: { en: 'Email address is invalid.', ar: 'البريد الإلكتروني غير صحيح.' },
+    phone: { en: 'Please enter a valid phone number.', ar: 'يرجى إدخال رقم جوال صحيح.' },
+    cr_length: { en: 'Commercial Registration must be exactly 10 digits.', ar: 'السجل التجاري يجب أن يتكون من 10 أرقام.' },
+    cr_start: { en: 'Commercial Registration must start with 1, 2, or 7.', ar: 'يجب أن يبدأ السجل التجاري بـ 1 أو 2 أو 7.' },
+    cr_input: {
+      en: 'Only 10 digits are allowed and it must start with 1, 2, or 7.',
+      ar: 'يُسمح بـ 10 أرقام فقط ويجب أن يبدأ بـ 1 أو 2 أو 7.'
+    },
+    vat: { en: 'VAT number must be 15 digits.', ar: 'الرقم الضريبي يجب أن يتكون من 15 رقمًا.' },
+    size: { en: 'Please enter a number greater than 0.', ar: 'يرجى إدخال رقم أكبر من 0.' },
+    privacy: { en: 'Please agree to the Privacy Policy before submitting.', ar: 'يرجى الموافقة على سياسة الخصوصية قبل الإرسال.' },
+    reference: { en: 'Booking reference looks like LE-2026-000123.', ar: 'رقم الحجز يكون بالشكل LE-2026-000123.' },
+    booth: { en: 'Please pick booths from the floor plan.', ar: 'يرجى اختيار الأجنحة من المخطط.' },
+    // Server-side only (api/_lib/rate-limit.js), shown by the forms
+    rate_limited: {
+      en: 'Too many attempts. Please wait a few minutes and try again.',
+      ar: 'محاولات كثيرة جدًا. يرجى الانتظار بضع دقائق ثم المحاولة مرة أخرى.'
+    },
+    // Server-side only (api/_lib/exhibitions.js): category closed for the chosen exhibition
+    category_unavailable: {
+      en: 'This space category is no longer available for this exhibition. Please choose another one.',
+      ar: 'فئة المساحة هذه لم تعد متاحة لهذا المعرض. يرجى اختيار فئة أخرى.'
+    },
+    // Server-side only (api/_lib/exhibitions.js + api/_lib/waitlist.js): sold-out categories and their waitlist
+    category_sold_out: {
+      en: 'This space category is sold out. You can join the waitlist instead.',
+      ar: 'فئة المساحة هذه مكتملة الحجز. يمكنك الانضمام إلى قائمة الانتظار بدلًا من ذلك.'
+    },
+    category_available: {
+      en: 'This space category is open again. Please send a booking request instead.',
+      ar: 'فئة المساحة هذه متاحة مجددًا. يرجى إرسال طلب حجز بدلًا من ذلك.'
+    },
+    invalid_offer: {
+      en: 'This waitlist offer has expired or was already used. Please contact us.',
+      ar: 'انتهت صلاحية عرض قائمة الانتظار هذا أو تم استخدامه. يرجى التواصل معنا.'
+    },
+    // Server-side only (api/_lib/floorplans.js): someone else holds the booth
+    booth_taken: {
+      en: 'Some of the booths you picked were just requested by someone else. Please choose other booths.',
+      ar: 'بعض الأجنحة التي اخترتها طُلبت للتو من جهة أخرى. يرجى اختيار أجنحة أخرى.'
+    },
+    // Promo codes (format check here, the rest from api/_lib/promo-codes.js)
+    invalid_promo: { en: 'This promo code is not valid.', ar: 'رمز الخصم غير صالح.' },
+    promo_not_started: { en: 'This promo code is not active yet.', ar: 'رمز الخصم غير مفعل بعد.' },
+    promo_expired: { en: 'This promo code has expired.', ar: 'انتهت صلاحية رمز الخصم.' },
+    promo_exhausted: { en: 'This promo code has reached its usage limit.', ar: 'تم استنفاد الحد الأقصى لاستخدام رمز الخصم.' },
+    promo_not_applicable: {
+      en: 'This promo code does not apply to this exhibition or space category.',
+      ar: 'رمز الخصم لا ينطبق على هذا المعرض أو فئة المساحة.'
+    },
+    // Booking documents (see FILES)
+    invalid_file_type: { en: 'Please upload a PDF, PNG or JPG file.', ar: 'يرجى رفع ملف بصيغة PDF أو PNG أو JPG.' },
+    file_too_large: { en: 'Files can be up to 4 MB.', ar: 'الحد الأقصى لحجم الملف 4 ميجابايت.' },
+    invalid_attachment: {
+      en: 'One of your documents is no longer available. Please upload it again.',
+      ar: 'أحد المستندات المرفوعة لم يعد متاحًا. يرجى رفعه مرة أخرى.'
+    }
+  };
+
+  // Booking documents (api/upload.js + the reserve modal). The type comes from
+  // the first bytes of the file, never from its name. One file per request, so
+  // max_bytes stays below the 4.5 MB request limit of Vercel functions.
+  const FILES = {
+    max_bytes: 4 * 1024 * 1024,
+    kinds: {
+      cr_certificate: { label: { en: 'CR certificate', ar: 'شهادة السجل التجاري' } },
+      vat_certificate: { label: { en: 'VAT certificate', ar: 'شهادة التسجيل الضريبي' } },
+      logo: { label: { en: 'Company logo', ar: 'شعار الشركة' } }
+    },
+    types: [
+      { type: 'application/pdf', ext: 'pdf', signature: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+      { type: 'image/png', ext: 'png', signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+      { type: 'image/jpeg', ext: 'jpg', signature: [0xff, 0xd8, 0xff] }
+    ]
+  };
+
+  // First bytes of a file (Uint8Array or Buffer) -> { type, ext } or null
+  const detectFileType = (bytes) => {
+    const match = FILES.types.find((t) => bytes && bytes.length >= t.signature.length && t.signature.every((b, i) => bytes[i] === b));
+    return match ? { type: match.type, ext: match.ext } : null;
+  };
+
+  const SCHEMAS = {
+    contact: {
+      name: { label: { en: 'Name', ar: 'الاسم' }, required: true, normalize: ['trim'] },
+      email: {
+        label: { en: 'Email', ar: 'البريد الإلكتروني' },
+        required: true,
+        normalize: ['trim'],
+        checks: [{ kind: 'email', error: 'invalid_email', message: 'email' }]
+      },
+      phone: { label: { en: 'Phone', ar: 'رقم الجوال' }, required: true, normalize: ['trim'] },
+      message: { label: { en: 'Message', ar: 'الرسالة' }, required: true, normalize: ['trim'] }
+    },
+
+    reserve: {
+      full_name: { label: { en: 'Full Name', ar: 'الاسم الكامل' }, required: true, normalize: ['trim'] },
+      company: { label: { en: 'Company Name', ar: 'اسم الشركة' }, required: true, normalize: ['trim'] },
+      email: {
+        label: { en: 'Email', ar: 'البريد الإلكتروني' },
+        required: true,
+        normalize: ['trim'],
+        checks: [{ kind: 'email', error: 'invalid_email', message: 'email' }]
+      },
+      phone_country: { label: { en: 'Country code', ar: 'رمز الدولة' }, normalize: ['digits', 'trim'] },
+      phone_local: {
+        label: { en: 'Phone', ar: 'رقم الجوال' },
+        normalize: ['digits_only'],
+        checks: [
+          // Most countries: 6-14 digits for the national number
+          { kind: 'pattern', pattern: '^\\d{6,14}$', error: 'invalid_phone', message: 'phone' },
+          // KSA mobile: 5XXXXXXXX
+          {
+            kind: 'when',
+            condition: 'ksa',
+            then: { kind: 'pattern', pattern: '^5\\d{8}$' },
+            error: 'invalid_phone',
+            message: 'phone'
+          }
+        ]
+      },
+      phone: {
+        label: { en: 'Phone', ar: 'رقم الجوال' },
+        required: true,
+        normalize: ['digits', 'trim', 'collapse_spaces'],
+        // Allow + and spaces, but enforce digit length
+        checks: [{ kind: 'digit_count', min: 6, max: 16, error: 'invalid_phone', message: 'phone' }]
+      },
+      city: { label: { en: 'City', ar: 'المدينة' }, required: true, normalize: ['trim'] },
+      size: {
+        label: { en: 'Space Size', ar: 'حجم المساحة' },
+        required: true,
+        normalize: ['digits', 'trim', 'decimal'],
+        checkEmpty: true,
+        checks: [{ kind: 'number_gt', value: 0, error: 'invalid_size', message: 'size' }]
+      },
+      cr: {
+        label: { en: 'Commercial Registration', ar: 'السجل التجاري' },
+        required: 'ksa',
+        normalize: ['digits_only'],
+        checks: [
+          { kind: 'length', min: 10, max: 10, error: 'invalid_cr', message: 'cr_length' },
+          { kind: 'pattern', pattern: '^[127]', error: 'invalid_cr', message: 'cr_start' }
+        ]
+      },
+      vat: {
+        label: { en: 'VAT Number', ar: 'الرقم الضريبي' },
+        required: 'ksa',
+        normalize: ['digits_only'],
+        checks: [{ kind: 'pattern', pattern: '^\\d{15}$', error: 'invalid_vat', message: 'vat' }]
+      },
+      type: { label: { en: 'Participation Type', ar: 'نوع المشاركة' }, required: true, normalize: ['trim'] },
+      category: { label: { en: 'Space Category', ar: 'فئة المساحة' }, required: true, normalize: ['trim'] },
+      notes: { label: { en: 'Notes', ar: 'ملاحظات' }, normalize: ['trim'] },
+      // Exhibition id from exhibitions.json (set when a catalog card opens the form)
+      exhibition: { label: { en: 'Exhibition', ar: 'المعرض' }, normalize: ['trim'] },
+      // Booth ids from the floor plan, comma separated ("L3,L4")
+      booths: {
+        label: { en: 'Booths', ar: 'الأجنحة' },
+        normalize: ['no_spaces', 'uppercase'],
+        checks: [{ kind: 'pattern', pattern: '^[A-Z0-9-]+(,[A-Z0-9-]+)*$', error: 'invalid_booth', message: 'booth' }]
+      },
+      promo_code: {
+        label: { en: 'Promo Code', ar: 'رمز الخصم' },
+        normalize: ['no_spaces', 'uppercase'],
+        checks: [{ kind: 'pattern', pattern: '^[A-Z0-9-]{3,32}$', error: 'invalid_promo', message: 'invalid_promo' }]
+      },
+      // Waitlist offer token from the offer email (api/_lib/waitlist.js); books a sold-out category
+      offer: {
+        label: { en: 'Waitlist offer', ar: 'عرض قائمة الانتظار' },
+        normalize: ['trim'],
+        checks: [{ kind: 'pattern', pattern: '^[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+$', error: 'invalid_offer', message: 'invalid_offer' }]
+      },
+      // Upload ids from api/upload, comma separated (one per document kind)
+      attachments: {
+        label: { en: 'Documents', ar: 'المستندات' },
+        normalize: ['no_spaces', 'lowercase'],
+        checks: [{ kind: 'pattern', pattern: '^[a-f0-9]{32}(,[a-f0-9]{32}){0,2}$', error: 'invalid_attachment', message: 'invalid_attachment' }]
+      },
+      privacy_consent: {
+        label: { en: 'Privacy consent', ar: 'الموافقة على الخصوصية' },
+        required: true,
+        checks: [{ kind: 'truthy', error: 'missing_fields', message: 'privacy' }]
+      }
+    },
+
+    // Booking status lookup (api/booking-status.js)
+    booking_status: {
+      reference: {
+        label: { en: 'Booking reference', ar: 'رقم الحجز' },
+        required: true,
+        normalize: ['digits', 'no_spaces', 'uppercase'],
+        checks: [{ kind: 'pattern', pattern: '^LE-\\d{4}-\\d{6}$', error: 'invalid_reference', message: 'reference' }]
+      },
+      email: {
+        label: { en: 'Email', ar: 'البريد الإلكتروني' },
+        required: true,
+        normalize: ['trim', 'lowercase'],
+        checks: [{ kind: 'email', error: 'invalid_email', message: 'email' }]
+      }
+    },
+
+    // Live promo code check (api/promo.js)
+    promo: {
+      code: {
+        label: { en: 'Promo Code', ar: 'رمز الخصم' },
+        required: true,
+        normalize: ['no_spaces', 'uppercase'],
+        checks: [{ kind: 'pattern', pattern: '^[A-Z0-9-]{3,32}$', error: 'invalid_promo', message: 'invalid_promo' }]
+      },
+      exhibition: { label: { en: 'Exhibition', ar: 'المعرض' }, normalize: ['trim'] },
+      category: { label: { en: 'Space Category', ar: 'فئة المساحة' }, normalize: ['trim'] }
+    },
+
+    subscribe: {
+      email: {
+        label: { en: 'Email', ar: 'البريد الإلكتروني' },
+        required: true,
+        normalize: ['trim', 'lowercase'],
+        checks: [{ kind: 'email', error: 'invalid_email', message: 'email' }]
+      }
+    },
+
+    // Company Profile access gate (api/profile-access.js + js/profile-viewer.js)
+    profile_access: {
+      full_name: { label: { en: 'Full Name', ar: 'الاسم الكامل' }, required: true, normalize: ['trim', 'collapse_spaces'] },
+      company: { label: { en: 'Company Name', ar: 'اسم الشركة' }, required: true, normalize: ['trim', 'collapse_spaces'] },
+      email: {
+        label: { en: 'Email', ar: 'البريد الإلكتروني' },
+        required: true,
+        normalize: ['trim', 'lowercase'],
+        checks: [{ kind: 'email', error: 'invalid_email', message: 'email' }]
+      }
+    }
+  };
+
+  // Waitlist for a sold-out category (api/waitlist.js): the booking form without
+  // booths, promo code and documents; exhibition + category name the queue
+  const WAITLIST_FIELDS = [
+    'full_name', 'company', 'email', 'phone_country', 'phone_local', 'phone', 'city',
+    'size', 'cr', 'vat', 'type', 'category', 'notes', 'exhibition', 'privacy_consent'
+  ];
+  SCHEMAS.waitlist = {};
+  WAITLIST_FIELDS.forEach((field) => {
+    SCHEMAS.waitlist[field] = SCHEMAS.reserve[field];
+  });
+  SCHEMAS.waitlist.exhibition = Object.assign({}, SCHEMAS.reserve.exhibition, { required: true });
+
+  const pickLang = (lang) => (String(lang || '').toLowerCase().indexOf('ar') === 0 ? 'ar' : 'en');
+
+  const message = (key, lang, label) => {
+    const entry = MESSAGES[key] || MESSAGES.required;
+    return entry[pickLang(lang)].replace('{label}', label || '');
+  };
+
+  const getSchema = (name) => {
+    const schema = SCHEMAS[name];
+    if (!schema) throw new Error(`Unknown validation schema: ${name}`);
+    return schema;
+  };
+
+  const normalizeValue = (rule, raw) => {
+    if (typeof raw === 'boolean') return raw;
+    let v = String(raw == null ? '' : raw);
+    (rule.normalize || []).forEach((n) => {
+      if (NORMALIZERS[n]) v = NORMALIZERS[n](v);
+    });
+    return v;
+  };
+
+  const normalize = (schemaName, input) => {
+    const schema = getSchema(schemaName);
+    const data = input || {};
+    const values = {};
+    Object.keys(schema).forEach((field) => {
+      values[field] = normalizeValue(schema[field], data[field]);
+    });
+    return values;
+  };
+
+  const isEmpty = (v) => v === '' || v === false || v == null;
+
+  const isRequired = (rule, values) => {
+    if (rule.required === true) return true;
+    if (typeof rule.required === 'string' && CONDITIONS[rule.required]) return CONDITIONS[rule.required](values);
+    return false;
+  };
+
+  // Returns { field, code, error, message } or null.
+  // code is 'required' or the message key of the failed check.
+  const checkField = (schemaName, field, values, opts) => {
+    const rule = getSchema(schemaName)[field];
+    if (!rule) return null;
+    const lang = (opts && opts.lang) || 'en';
+    const label = rule.label ? rule.label[pickLang(lang)] : field;
+    const value = values[field];
+
+    if (isEmpty(value) && !(rule.checkEmpty && isRequired(rule, values))) {
+      if (!isRequired(rule, values)) return null;
+      return { field, code: 'required', error: 'missing_fields', message: message('required', lang, label) };
+    }
+
+    const checks = rule.checks || [];
+    for (let i = 0; i < checks.length; i += 1) {
+      const check = checks[i];
+      const fn = CHECKS[check.kind];
+      if (fn && !fn(typeof value === 'string' ? value : String(value), check, values)) {
+        return { field, code: check.message, error: check.error, message: message(check.message, lang, label) };
+      }
+    }
+    return null;
+  };
+
+  const validateField = (schemaName, field, input, opts) =>
+    checkField(schemaName, field, normalize(schemaName, input), opts);
+
+  /**
+   * Validate a whole payload.
+   *
+   * @returns {{ ok: boolean, values: object, errors: object, error: string|null, fields: string[] }}
+   *   errors maps field -> { code, error, message } (message in opts.lang)
+   */
+  const validate = (schemaName, input, opts) => {
+    const values = normalize(schemaName, input);
+    const errors = {};
+    const missing = [];
+    let formatError = null;
+
+    Object.keys(getSchema(schemaName)).forEach((field) => {
+      const result = checkField(schemaName, field, values, opts);
+      if (!result) return;
+      errors[field] = result;
+      if (result.error === 'missing_fields') missing.push(field);
+      else if (!formatError) formatError = result.error;
+    });
+
+    const error = formatError || (missing.length ? 'missing_fields' : null);
+    return { ok: !error, values, errors, error, fields: missing };
+  };
+
+  return {
+    SCHEMAS,
+    MESSAGES,
+    FILES,
+    detectFileType,
+    normalizeDigits,
+    truthy,
+    isKsa: CONDITIONS.ksa,
+    message,
+    normalize,
+    validate,
+    validateField
+  };
+});
@@ -6,6 +6,35 @@
  * - Keep only two actions: Download PDF + Fullscreen.
  * - Show a simple loader on first open.
  * - Provide a clear Exit Fullscreen button (and support Esc).
+ * - Page navigator: "Page 3 / 12", thumbnail rail, go-to-page input,
+ *   PageUp/PageDown/Home/End + arrows (reversed on Arabic pages), #page=5 deep links.
+ * - Zoom: pinch (Pointer Events), ctrl/cmd + wheel, double-tap / double-click,
+ *   drag to pan, "fit width" / "fit page"; sharper page-NNN@2x images when zoomed in.
+ * - Watermark: every page is redrawn through a canvas with a tiled diagonal
+ *   line naming the viewer and the time, so screenshots can be traced.
+ * - Access gate (data-gate="lead"): name, company and email before the pages
+ *   load and the download is enabled. api/profile-access logs the lead and
+ *   returns a short-lived token, kept for the browser session; api/profile-file
+ *   serves the pages and the PDF only with it. Runtime profiles without a
+ *   profile_access endpoint (local previews) open the profile as before.
+ *
+ * Watermark settings on [data-profile-viewer]:
+ *   data-watermark="off"          no watermark
+ *   data-watermark-text="…"       {id} = viewer (data-watermark-id, else a session ID), {time} = opened at (Riyadh)
+ *   data-watermark-opacity="0.14"
+ *   data-watermark-id="…"         the viewer's email when known
+ *
+ * Files of profile data-profile="en" come from the runtime config's
+ * "profile_file" endpoint: a folder ("/api/_lib/profile/" -> …/en/page-001.webp, local
+ * previews) or the gated handler (/api/profile-file or /profile-file.php
+ * ?profile=en&file=page-001.webp&token=…).
+ * Each folder has manifest.json, page-NNN.webp and company-profile.pdf.
+ *
+ * Pages come from manifest.json (scripts/profile-manifest.mjs):
+ *   { pages: [{ src: 'page-001.webp', width, height, sha256, hires?: { src: 'page-001@2x.webp', width, height, sha256 } }] }
+ * Every placeholder is laid out at its final aspect ratio before any image
+ * loads, and each image is checked against its hash before it is shown.
+ * Without a manifest the viewer probes page-001, page-002, … as before.
  */
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -15,10 +44,12 @@ document.addEventListener('DOMContentLoaded', () => {
   const lang = (document.documentElement.getAttribute('lang') || 'en').toLowerCase();
   const isArabic = lang.startsWith('ar');
 
-  const base = root.getAttribute('data-base') || '';
+  const profile = root.getAttribute('data-profile') || (lang.startsWith('ar') ? 'ar' : 'en');
   const ext = (root.getAttribute('data-ext') || 'webp').trim();
   const pad = Number(root.getAttribute('data-pad') || '3') || 3;
-  const downloadHref = root.getAttribute('data-download') || '';
+
+  // URL of one profile file; openProfile() points it at the runtime's file endpoint
+  let fileUrl = () => '';
 
   const stage = root.querySelector('.pf-stage');
   const pagesEl = document.getElementById('pfPages');
@@ -29,13 +60,13 @@ document.addEventListener('DOMContentLoaded', () => {
   const exitFsBtn = document.getElementById('pfExitFullscreen');
 
   if (!stage || !pagesEl) return;
-  if (downloadBtn && downloadHref) downloadBtn.setAttribute('href', downloadHref);
 
   const TOAST_TEXT = isArabic ? 'محمي بواسطة لين إليت' : 'Protected by Leen Elite';
   const LOADING_TEXT = isArabic ? 'جارٍ التحميل…' : 'Loading…';
 
   const padNum = (n) => String(n).padStart(pad, '0');
-  const srcFor = (n) => `${base}page-${padNum(n)}.${ext}`;
+  const srcFor = (n) => fileUrl(`page-${padNum(n)}.${ext}`);
+  const hiresSrcFor = (n) => fileUrl(`page-${padNum(n)}@2x.${ext}`);
 
   const showToast = () => {
     if (!toastEl) return;
@@ -75,17 +106,195 @@ document.addEventListener('DOMContentLoaded', () => {
     return MAX;
   };
 
+  // Page list from the profile folder's manifest.json; null = probe instead
+  const loadManifest = async () => {
+    try {
+      const res = await fetch(fileUrl('manifest.json'), { cache: 'no-store', headers: { Accept: 'application/json' } });
+      if (!res.ok) return null;
+      const data = await res.json();
+      const pages = (Array.isArray(data && data.pages) ? data.pages : []).filter((page) => page && page.src);
+      const entry = (page) => ({
+        src: fileUrl(page.src),
+        width: Number(page.width) || 0,
+        height: Number(page.height) || 0,
+        sha256: String(page.sha256 || '').toLowerCase()
+      });
+      return pages.length
+        ? pages.map((page) => ({ ...entry(page), hires: page.hires && page.hires.src ? entry(page.hires) : null }))
+        : null;
+    } catch (_) {
+      return null;
+    }
+  };
+
+  const canVerify = !!(window.crypto && window.crypto.subtle && window.fetch && window.URL && URL.createObjectURL);
+
+  const sha256 = async (buffer) =>
+    Array.from(new Uint8Array(await window.crypto.subtle.digest('SHA-256', buffer)))
+      .map((b) => b.toString(16).padStart(2, '0'))
+      .join('');
+
+  // ---------------------------------------------------------------------------
+  // Watermark
+  // ---------------------------------------------------------------------------
+
+  const WATERMARK_MAX_PIXELS = 16e6; // iOS canvas limit
+  const openedAt = new Date();
+
+  // One random ID per browser tab session when no email is known
+  const sessionId = () => {
+    const KEY = 'leenelite_pf_session';
+    try {
+      const saved = sessionStorage.getItem(KEY);
+      if (saved) return saved;
+    } catch (_) {}
+    const bytes = new Uint8Array(4);
+    if (window.crypto && window.crypto.getRandomValues) window.crypto.getRandomValues(bytes);
+    else bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+    const id = `S-${Array.from(bytes).map((b) => b.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+    try {
+      sessionStorage.setItem(KEY, id);
+    } catch (_) {}
+    return id;
+  };
+
+  // Read on every page render, so an email set after the gate is used from then on
+  const watermarkSettings = () => {
+    const opacity = Number(root.getAttribute('data-watermark-opacity'));
+    const stamp = `${openedAt.toLocaleString('sv-SE', {
+      timeZone: 'Asia/Riyadh',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    })} +03`;
+    const template = root.getAttribute('data-watermark-text') || (isArabic ? 'لين إليت · {id} · {time}' : 'Leen Elite · {id} · {time}');
+    return {
+      enabled: (root.getAttribute('data-watermark') || '').toLowerCase() !== 'off',
+      text: template.replace(/\{id\}/g, root.getAttribute('data-watermark-id') || sessionId()).replace(/\{time\}/g, stamp),
+      opacity: opacity > 0 ? Math.min(opacity, 1) : 0.14
+    };
+  };
+
+  const fontsReady = document.fonts && document.fonts.ready ? document.fonts.ready.catch(() => {}) : Promise.resolve();
+
+  const decodeImage = (src) =>
+    new Promise((resolve, reject) => {
+      const im = new Image();
+      im.decoding = 'async';
+      im.onload = () => resolve(im);
+      im.onerror = () => reject(new Error('image failed to load'));
+      im.src = src;
+    });
+
+  // Diagonal rows across the whole page; Arabic text runs right-to-left and rises to the left
+  const drawWatermark = (ctx, width, height, { text, opacity }) => {
+    const size = Math.max(14, Math.round(width / 42));
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.font = `700 ${size}px ${isArabic ? 'Cairo' : 'Inter'}, system-ui, sans-serif`;
+    ctx.direction = isArabic ? 'rtl' : 'ltr';
+    ctx.textAlign = 'start';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#000';
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = Math.max(1, size / 14);
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate(isArabic ? Math.PI / 6 : -Math.PI / 6);
+
+    const reach = Math.hypot(width, height) / 2;
+    const stepX = ctx.measureText(text).width + size * 3;
+    const stepY = size * 5;
+    for (let row = 0, y = -reach; y <= reach; row += 1, y += stepY) {
+      const shift = row % 2 ? stepX / 2 : 0;
+      for (let x = -reach - shift; x <= reach; x += stepX) {
+        const at = isArabic ? -x : x;
+        ctx.strokeText(text, at, y);
+        ctx.fillText(text, at, y);
+      }
+    }
+    ctx.restore();
+  };
+
+  const watermarked = async (src, settings) => {
+    const source = await decodeImage(src);
+    await fontsReady;
+    const scale = Math.min(1, Math.sqrt(WATERMARK_MAX_PIXELS / (source.naturalWidth * source.naturalHeight)));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(source.naturalWidth * scale);
+    canvas.height = Math.round(source.naturalHeight * scale);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('canvas unavailable');
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    drawWatermark(ctx, canvas.width, canvas.height, settings);
+    const blob = await new Promise((resolve, reject) =>
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('canvas export failed'))), 'image/jpeg', 0.9)
+    );
+    // Release the canvas memory right away (large pages)
+    canvas.width = 0;
+    canvas.height = 0;
+    return URL.createObjectURL(blob);
+  };
+
+  // Every page image goes through here: as-is, or redrawn with the watermark
+  const showImage = async (img, src) => {
+    const settings = watermarkSettings();
+    if (!settings.enabled) {
+      img.src = src;
+      return;
+    }
+    try {
+      img.src = await watermarked(src, settings);
+    } finally {
+      if (src.startsWith('blob:')) URL.revokeObjectURL(src);
+    }
+  };
+
+  // Fetch, compare with the manifest hash, then show the same bytes (no second request)
+  const loadVerified = async (img, page) => {
+    const res = await fetch(page.src, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const buffer = await res.arrayBuffer();
+    if ((await sha256(buffer)) !== page.sha256) throw new Error('hash mismatch');
+    await showImage(img, URL.createObjectURL(new Blob([buffer], { type: res.headers.get('Content-Type') || `image/${ext}` })));
+  };
+
+  // Pages below the fold start loading shortly before they scroll into view
+  const loaders = new WeakMap();
+  const observer =
+    'IntersectionObserver' in window
+      ? new IntersectionObserver(
+          (entries) => {
+            entries.forEach((entry) => {
+              if (!entry.isIntersecting) return;
+              observer.unobserve(entry.target);
+              loaders.get(entry.target)();
+            });
+          },
+          { root: stage, rootMargin: '800px 0px' }
+        )
+      : null;
+
+  let pageList = [];
+
   const buildPages = async () => {
     setLoading(true);
     pagesEl.innerHTML = '';
     stage.scrollTop = 0;
     stage.scrollLeft = 0;
 
-    const total = await detectTotal();
+    let pages = await loadManifest();
+    if (!pages) {
+      const count = await detectTotal();
+      pages = Array.from({ length: count }, (_, i) => ({ src: srcFor(i + 1), width: 0, height: 0, sha256: '', probed: true }));
+    }
+    pageList = pages;
 
     let firstImg = null;
 
-    for (let n = 1; n <= total; n += 1) {
+    pages.forEach((info, i) => {
+      const n = i + 1;
       const page = document.createElement('div');
       page.className = 'pf-page';
       page.dataset.page = String(n);
@@ -96,6 +305,13 @@ document.addEventListener('DOMContentLoaded', () => {
       img.setAttribute('draggable', 'false');
       img.classList.add('is-loading');
 
+      // Known size: the placeholder takes the page's final height (no layout shift)
+      if (info.width && info.height) {
+        img.width = info.width;
+        img.height = info.height;
+        img.style.aspectRatio = `${info.width} / ${info.height}`;
+      }
+
       // First page: prioritize loading so the user sees content quickly.
       if (n === 1) {
         img.loading = 'eager';
@@ -110,22 +326,545 @@ document.addEventListener('DOMContentLoaded', () => {
       img.addEventListener('load', () => {
         img.classList.remove('is-loading');
         if (n === 1) setLoading(false);
+        drawThumb(n, img);
       });
       img.addEventListener('error', () => {
         img.classList.remove('is-loading');
         if (n === 1) setLoading(false);
       });
 
-      img.src = srcFor(n);
-
       page.appendChild(img);
       pagesEl.appendChild(page);
-    }
+
+      const verify = !!info.sha256 && canVerify;
+      if (!verify && !watermarkSettings().enabled) {
+        img.src = info.src;
+        return;
+      }
+
+      const load = () =>
+        (verify ? loadVerified(img, info) : showImage(img, info.src)).catch(() => {
+          // Changed or missing file: leave the placeholder empty rather than show it
+          page.classList.add('is-broken');
+          img.classList.remove('is-loading');
+          if (n === 1) setLoading(false);
+        });
+      if (n === 1 || !observer) {
+        load();
+      } else {
+        loaders.set(page, load);
+        observer.observe(page);
+      }
+    });
 
     // If the first image is cached and already complete, hide the loader immediately.
-    if (firstImg && firstImg.complete) setLoading(false);
+    if (firstImg && firstImg.complete && firstImg.src) setLoading(false);
+    if (!pages.length) setLoading(false);
+
+    setupNavigator(pages);
+    applyZoom(zoomMode === 'custom' ? zoom : zoomMode);
   };
 
+  // ---------------------------------------------------------------------------
+  // Page navigator: counter, thumbnails, go to page, keys, #page=5 deep links
+  // ---------------------------------------------------------------------------
+
+  const navEl = document.getElementById('pfNav');
+  const counterEl = document.getElementById('pfCounter');
+  const gotoForm = document.getElementById('pfGoto');
+  const gotoInput = document.getElementById('pfGotoInput');
+  const thumbsEl = document.getElementById('pfThumbs');
+
+  const THUMB_WIDTH = 112;
+
+  let total = 0;
+  let current = 0;
+  const ratios = new Map();
+
+  const pageEl = (n) => pagesEl.querySelector(`.pf-page[data-page="${n}"]`);
+  const thumbEl = (n) => (thumbsEl ? thumbsEl.querySelector(`.pf-thumb[data-page="${n}"]`) : null);
+
+  const pageFromHash = () => {
+    const match = /(?:^#|&)page=(\d+)/.exec(window.location.hash || '');
+    return match ? Number(match[1]) : 0;
+  };
+
+  // Small canvas copy of a loaded page (no second download, little memory)
+  const drawThumb = (n, img) => {
+    const thumb = thumbEl(n);
+    const canvas = thumb ? thumb.querySelector('canvas') : null;
+    if (!canvas || !img.naturalWidth || thumb.classList.contains('is-ready')) return;
+    const scale = window.devicePixelRatio || 1;
+    canvas.width = Math.round(THUMB_WIDTH * scale);
+    canvas.height = Math.round((THUMB_WIDTH * scale * img.naturalHeight) / img.naturalWidth);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    thumb.classList.add('is-ready');
+  };
+
+  // Keep the active thumbnail in the middle of the rail (either direction)
+  const centerThumb = (thumb) => {
+    if (!thumbsEl || thumbsEl.hidden) return;
+    const rail = thumbsEl.getBoundingClientRect();
+    const box = thumb.getBoundingClientRect();
+    thumbsEl.scrollBy({ left: box.left - rail.left - (rail.width - box.width) / 2, behavior: 'smooth' });
+  };
+
+  const setCurrent = (n, { updateHash = true } = {}) => {
+    if (!n || n === current) return;
+    const previous = thumbEl(current);
+    if (previous) {
+      previous.classList.remove('is-active');
+      previous.removeAttribute('aria-current');
+    }
+    current = n;
+    if (counterEl) counterEl.textContent = isArabic ? `صفحة ${n} / ${total}` : `Page ${n} / ${total}`;
+    if (gotoInput && document.activeElement !== gotoInput) gotoInput.value = String(n);
+    const thumb = thumbEl(n);
+    if (thumb) {
+      thumb.classList.add('is-active');
+      thumb.setAttribute('aria-current', 'page');
+      centerThumb(thumb);
+    }
+    // Shareable position ("…/company-profile.html#page=5") without a history entry per page
+    if (updateHash && window.history && window.history.replaceState) {
+      window.history.replaceState(null, '', `#page=${n}`);
+    }
+  };
+
+  const goTo = (n, { smooth = true } = {}) => {
+    if (!total) return;
+    const target = Math.min(Math.max(1, Math.round(Number(n) || 1)), total);
+    const page = pageEl(target);
+    if (!page) return;
+    const gap = parseFloat(window.getComputedStyle(stage).paddingTop) || 0;
+    const top = stage.scrollTop + page.getBoundingClientRect().top - stage.getBoundingClientRect().top - gap;
+    stage.scrollTo({ top: Math.max(0, top), behavior: smooth ? 'smooth' : 'auto' });
+    setCurrent(target);
+  };
+
+  // Current page = the most visible one (the last one once the stage is scrolled to the end)
+  const pageObserver =
+    'IntersectionObserver' in window
+      ? new IntersectionObserver(
+          (entries) => {
+            entries.forEach((entry) => ratios.set(Number(entry.target.dataset.page), entry.intersectionRatio));
+            const atEnd = stage.scrollTop + stage.clientHeight >= stage.scrollHeight - 2;
+            let best = 0;
+            let bestRatio = 0;
+            ratios.forEach((ratio, n) => {
+              if (ratio <= 0) return;
+              if (ratio > bestRatio || (atEnd && n > best)) {
+                best = n;
+                bestRatio = ratio;
+              }
+            });
+            if (best) setCurrent(best);
+          },
+          { root: stage, threshold: [0, 0.25, 0.5, 0.75, 1] }
+        )
+      : null;
+
+  const buildThumbs = (pages) => {
+    if (!thumbsEl) return;
+    thumbsEl.innerHTML = '';
+    pages.forEach((info, i) => {
+      const n = i + 1;
+      const thumb = document.createElement('button');
+      thumb.type = 'button';
+      thumb.className = 'pf-thumb';
+      thumb.dataset.page = String(n);
+      thumb.setAttribute('aria-label', isArabic ? `الانتقال إلى الصفحة ${n}` : `Go to page ${n}`);
+
+      const canvas = document.createElement('canvas');
+      canvas.setAttribute('aria-hidden', 'true');
+      if (info.width && info.height) canvas.style.aspectRatio = `${info.width} / ${info.height}`;
+
+      const num = document.createElement('span');
+      num.className = 'pf-thumb__num';
+      num.textContent = String(n);
+
+      thumb.appendChild(canvas);
+      thumb.appendChild(num);
+      thumb.addEventListener('click', () => goTo(n));
+      thumbsEl.appendChild(thumb);
+    });
+    thumbsEl.hidden = pages.length < 2;
+  };
+
+  const setupNavigator = (pages) => {
+    total = pages.length;
+    current = 0;
+    ratios.clear();
+    if (!total) return;
+
+    buildThumbs(pages);
+    if (navEl) navEl.hidden = false;
+    if (gotoInput) gotoInput.max = String(total);
+
+    // Pages that loaded before their thumbnail existed
+    pagesEl.querySelectorAll('.pf-page img').forEach((img, i) => {
+      if (img.complete && img.naturalWidth) drawThumb(i + 1, img);
+    });
+
+    if (pageObserver) {
+      pageObserver.disconnect();
+      pagesEl.querySelectorAll('.pf-page').forEach((page) => pageObserver.observe(page));
+    }
+
+    // Deep link: open at #page=5 (after layout; probed pages move again once their image is in)
+    const wanted = pageFromHash();
+    if (wanted > 1) {
+      setCurrent(1, { updateHash: false });
+      window.requestAnimationFrame(() => goTo(wanted, { smooth: false }));
+      const img = pageEl(Math.min(wanted, total)).querySelector('img');
+      if (img && !img.getAttribute('width')) img.addEventListener('load', () => goTo(wanted, { smooth: false }), { once: true });
+    } else {
+      setCurrent(1, { updateHash: false });
+    }
+  };
+
+  if (gotoForm) {
+    gotoForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (gotoInput && gotoInput.value) goTo(gotoInput.value);
+    });
+  }
+
+  window.addEventListener('hashchange', () => {
+    const n = pageFromHash();
+    if (n) goTo(n);
+  });
+
+  // PageUp/PageDown/Home/End; Left/Right follow the reading direction (Arabic: Left = next)
+  document.addEventListener('keydown', (e) => {
+    if (!total || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    if (e.target && e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    const nextKey = isArabic ? 'ArrowLeft' : 'ArrowRight';
+    const prevKey = isArabic ? 'ArrowRight' : 'ArrowLeft';
+    let n = 0;
+    if (e.key === 'PageDown' || e.key === nextKey) n = current + 1;
+    else if (e.key === 'PageUp' || e.key === prevKey) n = current - 1;
+    else if (e.key === 'Home') n = 1;
+    else if (e.key === 'End') n = total;
+    if (!n) return;
+    e.preventDefault();
+    goTo(n);
+  });
+
+  // ---------------------------------------------------------------------------
+  // Zoom + pan
+  // --pf-zoom scales the page width (1 = the default layout). Touch input is
+  // handled here (pinch, drag with momentum, double-tap), so the stage turns
+  // off the browser's own touch panning once this is set up.
+  // ---------------------------------------------------------------------------
+
+  const zoomEl = document.getElementById('pfZoom');
+  const zoomLevelEl = document.getElementById('pfZoomLevel');
+
+  const MIN_ZOOM = 0.5;
+  const MAX_ZOOM = 4;
+  const ZOOM_STEP = 1.25;
+  const DOUBLE_TAP_ZOOM = 2.5;
+
+  let zoom = 1;
+  let zoomMode = 'custom'; // 'fit-width' | 'fit-page' keep fitting when the stage is resized
+  let lastPointerType = '';
+
+  const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+  const stageBox = () => {
+    const cs = window.getComputedStyle(stage);
+    return {
+      width: stage.clientWidth - (parseFloat(cs.paddingLeft) || 0) - (parseFloat(cs.paddingRight) || 0),
+      height: stage.clientHeight - (parseFloat(cs.paddingTop) || 0) - (parseFloat(cs.paddingBottom) || 0)
+    };
+  };
+
+  // Width of a page at zoom 1 (.pf-page box)
+  const baseWidth = () => {
+    const page = pagesEl.querySelector('.pf-page');
+    return (page && page.clientWidth) || stageBox().width || 1;
+  };
+
+  // Height / width of the first page (manifest size, else the loaded image)
+  const pageRatio = () => {
+    const info = pageList[0];
+    if (info && info.width && info.height) return info.height / info.width;
+    const img = pagesEl.querySelector('.pf-page img');
+    return img && img.naturalWidth ? img.naturalHeight / img.naturalWidth : 0;
+  };
+
+  const presetZoom = (mode) => {
+    const box = stageBox();
+    const fitWidth = box.width / baseWidth();
+    if (mode !== 'fit-page') return fitWidth;
+    const ratio = pageRatio();
+    return ratio ? Math.min(fitWidth, box.height / ratio / baseWidth()) : fitWidth;
+  };
+
+  // Page image under a point (the nearest one vertically)
+  const imageAt = (y) => {
+    let best = null;
+    let distance = Infinity;
+    pagesEl.querySelectorAll('.pf-page img').forEach((img) => {
+      const rect = img.getBoundingClientRect();
+      const d = y < rect.top ? rect.top - y : y > rect.bottom ? y - rect.bottom : 0;
+      if (d < distance) {
+        best = img;
+        distance = d;
+      }
+    });
+    return best;
+  };
+
+  const updateZoomUi = () => {
+    const wide = zoom * baseWidth() > stageBox().width + 1;
+    // Wider than the stage: start-align so the overflow on both sides stays scrollable
+    root.classList.toggle('is-zoomed-wide', wide);
+    stage.setAttribute('data-can-pan', wide || zoom > presetZoom('fit-page') + 0.01 ? 'true' : 'false');
+    if (zoomLevelEl) zoomLevelEl.textContent = `${Math.round(zoom * 100)}%`;
+    if (zoomEl) {
+      zoomEl.querySelectorAll('[data-zoom]').forEach((btn) => {
+        const action = btn.getAttribute('data-zoom');
+        if (action === 'in') btn.disabled = zoom >= MAX_ZOOM - 0.001;
+        else if (action === 'out') btn.disabled = zoom <= MIN_ZOOM + 0.001;
+        else btn.setAttribute('aria-pressed', zoomMode === action ? 'true' : 'false');
+      });
+    }
+  };
+
+  let hiresTimer = 0;
+
+  /**
+   * @param {number|'fit-width'|'fit-page'} value
+   * @param {{ x: number, y: number }} [anchor]  viewport point that stays put (default: stage centre)
+   */
+  const applyZoom = (value, anchor) => {
+    zoomMode = typeof value === 'string' ? value : 'custom';
+    const next = clamp(typeof value === 'string' ? presetZoom(value) : value, MIN_ZOOM, MAX_ZOOM);
+
+    const rect = stage.getBoundingClientRect();
+    const x = anchor ? anchor.x : rect.left + stage.clientWidth / 2;
+    const y = anchor ? anchor.y : rect.top + stage.clientHeight / 2;
+    const img = imageAt(y);
+    const before = img ? img.getBoundingClientRect() : null;
+    const fx = before && before.width ? (x - before.left) / before.width : 0;
+    const fy = before && before.height ? (y - before.top) / before.height : 0;
+
+    zoom = next;
+    root.style.setProperty('--pf-zoom', String(zoom));
+    updateZoomUi();
+
+    // Keep the same spot of the same page under the anchor
+    if (before) {
+      const after = img.getBoundingClientRect();
+      stage.scrollLeft += after.left + fx * after.width - x;
+      stage.scrollTop += after.top + fy * after.height - y;
+    }
+
+    window.clearTimeout(hiresTimer);
+    hiresTimer = window.setTimeout(loadHires, 250);
+  };
+
+  // Sharper tier once a page is shown larger than its image: page-NNN@2x from
+  // the manifest ("hires"); probed profiles try the file name and keep the
+  // standard image if it is missing
+  const loadHires = () => {
+    const scale = window.devicePixelRatio || 1;
+    ratios.forEach((ratio, n) => {
+      const info = pageList[n - 1];
+      const page = pageEl(n);
+      const img = page ? page.querySelector('img') : null;
+      if (ratio <= 0 || !info || info.hiresState || !img || !img.naturalWidth) return;
+      if (page.classList.contains('is-broken') || img.getBoundingClientRect().width * scale <= img.naturalWidth) return;
+
+      const hires = info.hires || (info.probed ? { src: hiresSrcFor(n), sha256: '' } : null);
+      if (!hires) {
+        info.hiresState = 'none';
+        return;
+      }
+      info.hiresState = 'loading';
+      const done = (ok) => {
+        info.hiresState = ok ? 'loaded' : 'none';
+      };
+      if (hires.sha256 && canVerify) {
+        loadVerified(img, hires).then(() => done(true), () => done(false));
+      } else {
+        // Probed first: a missing @2x file must not replace the page with a broken image
+        probeImage(hires.src)
+          .then((ok) => (ok ? showImage(img, hires.src) : Promise.reject(new Error('missing'))))
+          .then(() => done(true), () => done(false));
+      }
+    });
+  };
+
+  stage.addEventListener('scroll', () => {
+    if (zoom <= 1) return;
+    window.clearTimeout(hiresTimer);
+    hiresTimer = window.setTimeout(loadHires, 250);
+  }, { passive: true });
+
+  if (zoomEl) {
+    zoomEl.hidden = false;
+    zoomEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-zoom]');
+      if (!btn) return;
+      const action = btn.getAttribute('data-zoom');
+      if (action === 'in') applyZoom(zoom * ZOOM_STEP);
+      else if (action === 'out') applyZoom(zoom / ZOOM_STEP);
+      else applyZoom(action);
+    });
+  }
+
+  // ctrl/cmd + wheel (and trackpad pinch, which browsers report the same way)
+  stage.addEventListener(
+    'wheel',
+    (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+      applyZoom(zoom * Math.exp(-delta * 0.002), { x: e.clientX, y: e.clientY });
+    },
+    { passive: false }
+  );
+
+  // Double-click (mouse) / double-tap (touch): zoom in on that spot, or back to fit width
+  const toggleZoomAt = (point) => {
+    const fit = presetZoom('fit-width');
+    if (zoom > fit + 0.05) applyZoom('fit-width', point);
+    else applyZoom(Math.max(DOUBLE_TAP_ZOOM, fit * 2), point);
+  };
+
+  stage.addEventListener('dblclick', (e) => {
+    e.preventDefault();
+    // Touch double-taps are handled below (some browsers also report them as dblclick)
+    if (lastPointerType && lastPointerType !== 'mouse') return;
+    toggleZoomAt({ x: e.clientX, y: e.clientY });
+  });
+
+  if (window.PointerEvent) {
+    root.setAttribute('data-zoom-ready', 'true');
+
+    const pointers = new Map();
+    let pinch = null;
+    let drag = null;
+    let lastTap = null;
+    let glide = 0;
+
+    const midpoint = () => {
+      const [a, b] = Array.from(pointers.values());
+      return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.hypot(a.x - b.x, a.y - b.y) || 1 };
+    };
+
+    // Momentum after a touch drag
+    const startGlide = (vx, vy) => {
+      let last = performance.now();
+      const step = (now) => {
+        const dt = now - last;
+        last = now;
+        stage.scrollLeft -= vx * dt;
+        stage.scrollTop -= vy * dt;
+        const decay = Math.pow(0.95, dt / 16);
+        vx *= decay;
+        vy *= decay;
+        glide = Math.abs(vx) + Math.abs(vy) > 0.02 ? window.requestAnimationFrame(step) : 0;
+      };
+      glide = window.requestAnimationFrame(step);
+    };
+
+    stage.addEventListener('pointerdown', (e) => {
+      lastPointerType = e.pointerType;
+      if (e.pointerType === 'mouse' && (e.button !== 0 || stage.getAttribute('data-can-pan') !== 'true')) return;
+      window.cancelAnimationFrame(glide);
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      try {
+        stage.setPointerCapture(e.pointerId);
+      } catch (_) {}
+
+      if (pointers.size === 2) {
+        drag = null;
+        const mid = midpoint();
+        pinch = { zoom, distance: mid.distance, x: mid.x, y: mid.y };
+      } else if (pointers.size === 1) {
+        drag = { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY, t: e.timeStamp, vx: 0, vy: 0, touch: e.pointerType !== 'mouse' };
+        if (e.pointerType === 'mouse') stage.classList.add('is-dragging');
+      }
+    });
+
+    stage.addEventListener('pointermove', (e) => {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (pinch && pointers.size === 2) {
+        const mid = midpoint();
+        // Fingers moving together pan, spreading them zooms around their midpoint
+        stage.scrollLeft -= mid.x - pinch.x;
+        stage.scrollTop -= mid.y - pinch.y;
+        pinch.x = mid.x;
+        pinch.y = mid.y;
+        applyZoom((pinch.zoom * mid.distance) / pinch.distance, mid);
+        return;
+      }
+
+      if (drag) {
+        const dx = e.clientX - drag.x;
+        const dy = e.clientY - drag.y;
+        const dt = Math.max(1, e.timeStamp - drag.t);
+        stage.scrollLeft -= dx;
+        stage.scrollTop -= dy;
+        drag.vx = dx / dt;
+        drag.vy = dy / dt;
+        drag.x = e.clientX;
+        drag.y = e.clientY;
+        drag.t = e.timeStamp;
+      }
+    });
+
+    const endPointer = (e) => {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.delete(e.pointerId);
+      stage.classList.remove('is-dragging');
+
+      if (pinch) {
+        // One finger left after a pinch: no drag, no tap
+        if (pointers.size < 2) pinch = null;
+        return;
+      }
+      if (!drag) return;
+
+      const moved = Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY);
+      if (drag.touch && e.type === 'pointerup' && moved < 10) {
+        const tap = { x: e.clientX, y: e.clientY, t: e.timeStamp };
+        if (lastTap && tap.t - lastTap.t < 300 && Math.hypot(tap.x - lastTap.x, tap.y - lastTap.y) < 30) {
+          lastTap = null;
+          toggleZoomAt(tap);
+        } else {
+          lastTap = tap;
+        }
+      } else if (drag.touch && e.timeStamp - drag.t < 80) {
+        startGlide(drag.vx, drag.vy);
+      }
+      drag = null;
+    };
+
+    stage.addEventListener('pointerup', endPointer);
+    stage.addEventListener('pointercancel', endPointer);
+  }
+
+  // Fullscreen and window resizes change the stage: keep "fit" presets fitted
+  let resizeFrame = 0;
+  const refit = () => {
+    window.cancelAnimationFrame(resizeFrame);
+    resizeFrame = window.requestAnimationFrame(() => {
+      if (zoomMode !== 'custom') applyZoom(zoomMode);
+      else updateZoomUi();
+    });
+  };
+  window.addEventListener('resize', refit);
+  document.addEventListener('fullscreenchange', refit);
+
   // ---------------------------------------------------------------------------
   // Fullscreen controls
   // ---------------------------------------------------------------------------
@@ -177,10 +916,13 @@ document.addEventListener('DOMContentLoaded', () => {
   // Deterrence protections (viewer area only)
   // ---------------------------------------------------------------------------
 
+  // Form fields (go to page, access gate) keep their native behaviour
+  const isField = (target) => !!(target && target.closest && target.closest('input, textarea, select'));
+
   document.addEventListener(
     'contextmenu',
     (e) => {
-      if (!root.contains(e.target)) return;
+      if (!root.contains(e.target) || isField(e.target)) return;
       e.preventDefault();
       showToast();
     },
@@ -211,9 +953,183 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   root.addEventListener('selectstart', (e) => {
+    if (isField(e.target)) return;
     e.preventDefault();
   });
 
+  // ---------------------------------------------------------------------------
+  // Access gate: name, company and email before the pages and the download
+  // ---------------------------------------------------------------------------
+
+  const gateEl = document.getElementById('pfGate');
+  const gateForm = document.getElementById('pfGateForm');
+  const gateStatus = document.getElementById('pfGateStatus');
+  const gated = (root.getAttribute('data-gate') || '').toLowerCase() === 'lead' && !!gateEl && !!gateForm;
+
+  const ACCESS_KEY = 'leenelite_pf_access';
+  const formLang = isArabic ? 'ar' : 'en';
+  const validation = window.LeenEliteValidation || null;
+  const postJson = window.leenelitePostJson || (async () => ({ ok: false, status: 0, data: null }));
+  const formTarget = window.leeneliteFormTarget || (async () => ({ endpoint: '', mode: 'local' }));
+  const formErrorMessage = window.leeneliteFormErrorMessage || (() => null);
+
+  const GATE_TEXT = isArabic
+    ? { sending: 'جارٍ الإرسال…', failed: 'حدث خطأ. يرجى المحاولة مرة أخرى.' }
+    : { sending: 'Sending…', failed: 'Something went wrong. Please try again.' };
+
+  // { token, expires_at, email } from this tab session, while the token is valid
+  const savedAccess = () => {
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(ACCESS_KEY) || 'null');
+      return saved && saved.token && Date.parse(saved.expires_at) > Date.now() ? saved : null;
+    } catch (_) {
+      return null;
+    }
+  };
+
+  const saveAccess = (access) => {
+    try {
+      if (access) sessionStorage.setItem(ACCESS_KEY, JSON.stringify(access));
+      else sessionStorage.removeItem(ACCESS_KEY);
+    } catch (_) {}
+  };
+
+  // Only a token the server rejects asks again; network trouble keeps the session open
+  const accessAccepted = async (endpoint, access) => {
+    try {
+      const res = await fetch(`${endpoint}?token=${encodeURIComponent(access.token)}`, {
+        cache: 'no-store',
+        headers: { Accept: 'application/json' }
+      });
+      return res.status !== 400;
+    } catch (_) {
+      return true;
+    }
+  };
+
+  const setDownload = (enabled) => {
+    if (!downloadBtn) return;
+    if (enabled) {
+      downloadBtn.setAttribute('href', fileUrl('company-profile.pdf'));
+      downloadBtn.removeAttribute('aria-disabled');
+    } else {
+      downloadBtn.removeAttribute('href');
+      downloadBtn.setAttribute('aria-disabled', 'true');
+    }
+  };
+
+  const setGateStatus = (msg, kind) => {
+    if (!gateStatus) return;
+    gateStatus.textContent = msg || '';
+    gateStatus.hidden = !msg;
+    gateStatus.classList.toggle('is-error', kind === 'error');
+  };
+
+  let filesEndpoint = '';
+
+  // "/folder/" = static files (local previews); otherwise the file handler, which needs the token
+  const useFiles = (access) => {
+    const endpoint = filesEndpoint || '/api/_lib/profile/';
+    const token = encodeURIComponent(access ? access.token : '');
+    fileUrl = endpoint.endsWith('/')
+      ? (name) => `${endpoint}${profile}/${name}`
+      : (name) => `${endpoint}?profile=${encodeURIComponent(profile)}&file=${encodeURIComponent(name)}&token=${token}`;
+  };
+
+  const openProfile = (access) => {
+    useFiles(access);
+    // The watermark names the visitor instead of the session ID
+    if (access && access.email) root.setAttribute('data-watermark-id', access.email);
+    root.removeAttribute('data-gated');
+    if (gateEl) gateEl.hidden = true;
+    setDownload(true);
+    buildPages();
+  };
+
+  const showGate = (endpoint) => {
+    setLoading(false);
+    setDownload(false);
+    root.setAttribute('data-gated', 'true');
+    gateEl.hidden = false;
+    if (window.leeneliteEmbedFormToken) window.leeneliteEmbedFormToken(gateForm, 'profile_access');
+
+    const field = (name) => gateForm.querySelector(`[name="${name}"]`);
+    const submitBtn = gateForm.querySelector('button[type="submit"]');
+    const FIELDS = ['full_name', 'company', 'email'];
+
+    gateForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const values = {};
+      FIELDS.forEach((name) => {
+        values[name] = field(name) ? field(name).value : '';
+      });
+
+      if (validation) {
+        const check = validation.validate('profile_access', values, { lang: formLang });
+        const first = FIELDS.find((name) => check.errors[name]);
+        if (first) {
+          setGateStatus(check.errors[first].message, 'error');
+          if (field(first)) field(first).focus();
+          return;
+        }
+        Object.assign(values, check.values);
+      }
+
+      if (submitBtn) submitBtn.disabled = true;
+      setGateStatus(GATE_TEXT.sending);
+      try {
+        const { ok, data } = await postJson(endpoint, {
+          ...values,
+          // Honeypot (must stay empty)
+          website: field('website') ? field('website').value : '',
+          form_token: field('form_token') ? field('form_token').value : '',
+          lang: formLang,
+          page: String(window.location.pathname || '')
+        });
+        if (!ok || !data.token) {
+          setGateStatus(formErrorMessage(data && data.error, formLang) || GATE_TEXT.failed, 'error');
+          return;
+        }
+        const access = { token: data.token, expires_at: data.expires_at, email: values.email };
+        saveAccess(access);
+        if (window.leeneliteTrackConversion) {
+          window.leeneliteTrackConversion('profile_access', { lang: formLang, page: String(window.location.pathname || '') });
+        }
+        setGateStatus('');
+        openProfile(access);
+      } catch (_) {
+        setGateStatus(GATE_TEXT.failed, 'error');
+      } finally {
+        if (submitBtn) submitBtn.disabled = false;
+      }
+    });
+
+    const first = field('full_name');
+    if (first) first.focus({ preventScroll: true });
+  };
+
+  const start = async () => {
+    filesEndpoint = (await formTarget('profile_file')).endpoint;
+    if (!gated) {
+      openProfile(null);
+      return;
+    }
+    setLoading(true);
+    setDownload(false);
+    const target = await formTarget('profile_access');
+    if (!target.endpoint || target.mode === 'local') {
+      openProfile(null);
+      return;
+    }
+    const access = savedAccess();
+    if (access && (await accessAccepted(target.endpoint, access))) {
+      openProfile(access);
+      return;
+    }
+    saveAccess(null);
+    showGate(target.endpoint);
+  };
+
   // Initial
-  buildPages();
+  start();
 });
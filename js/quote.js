@@ -0,0 +1,92 @@
+/**
+ * Leen Elite – Booth price estimate (shared by the browser and the Node API)
+ *
+ * Rates live per exhibition in exhibitions.json ("pricing"):
+ *   {
+ *     currency: 'SAR',
+ *     vat_rate: 0.15,                 // applied when the Saudi rules are active
+ *     categories: {
+ *       sponsors: { rate: 2000, furnished_surcharge: 450, min_size: 18 }, …
+ *     }
+ *   }
+ * - rate:                per m², space only
+ * - furnished_surcharge: extra per m² for "furnished"
+ * - min_size:            smaller requests are billed at this size
+ *
+ * An optional discount (a promo code, api/_lib/promo-codes.js) comes off the
+ * space + furnishing amount before VAT:
+ *   { type: 'percent', value: 10 } or { type: 'fixed', value: 2500 } (never below 0)
+ *
+ * The browser loads this file with a classic <script> (window.LeenEliteQuote);
+ * api/reserve.js imports it, recomputes the quote and flags a mismatch with the
+ * one the form sent.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.LeenEliteQuote = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULT_VAT_RATE = 0.15;
+
+  // Halalas: round every amount to 2 decimals
+  const money = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+  const discountAmount = (gross, discount) => {
+    const value = Number(discount && discount.value) || 0;
+    if (!(value > 0)) return 0;
+    if (discount.type === 'percent') return money((gross * Math.min(value, 100)) / 100);
+    if (discount.type === 'fixed') return money(value);
+    return 0;
+  };
+
+  /**
+   * @param {object} pricing  the exhibition's "pricing" block
+   * @param {object} input    { category, type: 'space_only' | 'furnished', size (m²), ksa: boolean, discount? }
+   * @returns {object|null}   null when there is no rate for the category or no usable size
+   *   { currency, size, billable_size, min_size, min_applied, rate, furnished_rate,
+   *     space, furnishing, discount, subtotal (after discount), vat_rate, vat, total }
+   */
+  const compute = (pricing, input) => {
+    const rates = pricing && pricing.categories ? pricing.categories[input && input.category] : null;
+    // Decimal comma as in the form ("12,5"), the same reading as number_gt
+    const size = Number(String(input && input.size != null ? input.size : '').trim().replace(',', '.'));
+    if (!rates || !(size > 0)) return null;
+
+    const minSize = Number(rates.min_size) || 0;
+    const billable = Math.max(size, minSize);
+    const furnished = input.type === 'furnished';
+    const furnishedRate = furnished ? Number(rates.furnished_surcharge) || 0 : 0;
+
+    const space = money(billable * (Number(rates.rate) || 0));
+    const furnishing = money(billable * furnishedRate);
+    const gross = money(space + furnishing);
+    const discount = Math.min(gross, discountAmount(gross, input.discount));
+    const subtotal = money(gross - discount);
+    const vatRate = input.ksa ? (pricing.vat_rate != null ? Number(pricing.vat_rate) : DEFAULT_VAT_RATE) : 0;
+    const vat = money(subtotal * vatRate);
+
+    return {
+      currency: pricing.currency || 'SAR',
+      size,
+      billable_size: billable,
+      min_size: minSize,
+      min_applied: billable > size,
+      rate: Number(rates.rate) || 0,
+      furnished_rate: furnishedRate,
+      space,
+      furnishing,
+      discount,
+      subtotal,
+      vat_rate: vatRate,
+      vat,
+      total: money(subtotal + vat)
+    };
+  };
+
+  // Same totals within one halala (client and server round the same way)
+  const sameTotal = (a, b) => Math.abs(money(a) - money(b)) < 0.01;
+
+  return { DEFAULT_VAT_RATE, money, compute, sameTotal };
+});
@@ -80,15 +80,130 @@ document.addEventListener('DOMContentLoaded', () => {
 
   };
 
-  // Simple environment check (local file preview vs deployed)
-  const isLocalPreview = () => {
-    try {
-      const host = String(window.location.hostname || '');
-      const proto = String(window.location.protocol || '');
-      return proto === 'file:' || host === 'localhost' || host === '127.0.0.1';
-    } catch {
-      return true;
+  // Runtime config: one build runs on Vercel, Apache or a local server.
+  // /runtime-config.json maps each form to its endpoint and delivery mode per
+  // host profile:
+  // - live:  post to the endpoint, emails go out
+  // - demo:  post to the endpoint (validated + stored), the popup shows the demo note
+  // - local: nothing is sent, the form shows its success state
+  // <meta name="leenelite-runtime" content="vercel"> pins a profile for a page.
+  const RUNTIME_CONFIG_URL = '/runtime-config.json';
+
+  // file:// previews cannot fetch the config
+  const LOCAL_PROFILE = { name: 'local', mode: 'local', form_token: null, forms: {}, notes: null };
+
+  // Config missing on a server: keep sending to the PHP handlers rather than dropping leads
+  const FALLBACK_PROFILE = {
+    name: 'fallback',
+    mode: 'live',
+    form_token: null,
+    forms: {
+      contact: { endpoint: '/contact.php' },
+      reserve: { endpoint: '/reserve.php' },
+      subscribe: { endpoint: '/subscribe.php' },
+      exhibitions: { endpoint: '/exhibitions.json' }
+    },
+    notes: null
+  };
+
+  const hostMatches = (pattern, host) =>
+    pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+
+  const pickProfile = (config) => {
+    const profiles = (config && config.profiles) || {};
+    const meta = document.querySelector('meta[name="leenelite-runtime"]');
+    const pinned = meta ? String(meta.getAttribute('content') || '').trim() : '';
+    const host = String(window.location.hostname || '').toLowerCase();
+
+    let name = pinned && profiles[pinned] ? pinned : '';
+    if (!name) {
+      name =
+        Object.keys(profiles).find((key) =>
+          (profiles[key].hosts || []).some((pattern) => hostMatches(String(pattern).toLowerCase(), host))
+        ) || config.default_profile;
+    }
+    return profiles[name] ? { name, ...profiles[name] } : FALLBACK_PROFILE;
+  };
+
+  let runtimeRequest = null;
+  const getRuntime = () => {
+    if (runtimeRequest) return runtimeRequest;
+    if (String(window.location.protocol || '') === 'file:') {
+      runtimeRequest = Promise.resolve(LOCAL_PROFILE);
+      return runtimeRequest;
     }
+    runtimeRequest = fetch(RUNTIME_CONFIG_URL, { cache: 'no-cache' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((config) => (config ? pickProfile(config) : FALLBACK_PROFILE))
+      .catch(() => FALLBACK_PROFILE);
+    return runtimeRequest;
+  };
+
+  // Resolves to { endpoint, mode, note } for a form. A form without an
+  // endpoint in the active profile runs in local mode.
+  const formTarget = async (name) => {
+    const profile = await getRuntime();
+    const form = (profile.forms || {})[name] || {};
+    const isArabicPage = String(document.documentElement.getAttribute('lang') || '').toLowerCase().startsWith('ar');
+    const notes = profile.notes || {};
+    return {
+      endpoint: form.endpoint || '',
+      mode: form.endpoint ? form.mode || profile.mode || 'live' : 'local',
+      note: (isArabicPage ? notes.ar : notes.en) || ''
+    };
+  };
+
+  // Start loading at boot so submissions do not wait for it
+  getRuntime();
+
+  // Bot score: the Node handlers expect a signed render timestamp in each form
+  // (hidden "form_token" field), issued for that form (contact | subscribe |
+  // reserve | profile_access). Profiles without a form_token URL skip it.
+  const formTokenRequests = {};
+  const embedFormToken = (form, name) => {
+    if (!form || !name) return;
+    getRuntime().then((profile) => {
+      if (!profile.form_token) return;
+      let field = form.querySelector('input[name="form_token"]');
+      if (!field) {
+        field = document.createElement('input');
+        field.type = 'hidden';
+        field.name = 'form_token';
+        form.appendChild(field);
+      }
+      if (!formTokenRequests[name]) {
+        formTokenRequests[name] = fetch(`${profile.form_token}?form=${encodeURIComponent(name)}`, { cache: 'no-store' })
+          .then((res) => res.json())
+          .then((data) => (data && data.token) || '')
+          .catch(() => '');
+      }
+      formTokenRequests[name].then((token) => {
+        field.value = token;
+      });
+    });
+  };
+
+  // Message for server errors the visitor can act on; null = show the generic text
+  const ACTIONABLE_ERRORS = [
+    'rate_limited',
+    'category_unavailable',
+    'booth_taken',
+    'invalid_promo',
+    'promo_not_started',
+    'promo_expired',
+    'promo_exhausted',
+    'promo_not_applicable',
+    'invalid_file_type',
+    'file_too_large',
+    'invalid_attachment',
+    'category_sold_out',
+    'category_available',
+    'invalid_offer'
+  ];
+  const formErrorMessage = (error, lang) => {
+    const validation = window.LeenEliteValidation || null;
+    if (!ACTIONABLE_ERRORS.includes(error) || !validation) return null;
+    return validation.message(error, lang);
   };
 
   const postJson = async (url, payload) => {
@@ -105,8 +220,10 @@ document.addEventListener('DOMContentLoaded', () => {
   // Expose helpers for other modules on this page
   try {
     window.leeneliteTrackConversion = trackConversion;
-    window.leeneliteIsLocalPreview = isLocalPreview;
     window.leenelitePostJson = postJson;
+    window.leeneliteFormTarget = formTarget;
+    window.leeneliteEmbedFormToken = embedFormToken;
+    window.leeneliteFormErrorMessage = formErrorMessage;
   } catch {
     // ignore
   }
@@ -394,13 +511,8 @@ document.addEventListener('DOMContentLoaded', () => {
         ? 'شكرًا لك! تم استلام رسالتك وسنقوم بالتواصل معك قريبًا.'
         : 'Thank you! Your message has been received. We will contact you soon.';
 
-    const getFieldLabel = (form, input) => {
-      const id = input && input.id;
-      if (!id) return '';
-      const label = form.querySelector(`label[for="${id}"]`);
-      const raw = (label ? label.textContent : '').replace(/\*/g, '').trim();
-      return raw || (input.name || 'This field');
-    };
+    // Shared rules (js/form-validation.js) – same schema the api/ handlers use
+    const validation = window.LeenEliteValidation || null;
 
     const ensureStatusEl = (form) => {
       let el = form.querySelector('.form-status');
@@ -439,6 +551,8 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     contactForms.forEach((form) => {
+      embedFormToken(form, 'contact');
+
       const inputs = Array.from(form.querySelectorAll('input[required], textarea[required], select[required]'));
 
       inputs.forEach((input) => {
@@ -456,25 +570,21 @@ document.addEventListener('DOMContentLoaded', () => {
 
         let firstInvalid = null;
 
-        inputs.forEach((input) => {
-          const value = String(input.value || '').trim();
-          const label = getFieldLabel(form, input);
-
-          // Required
-          if (!value) {
-            const msg = isArabic ? `${label} مطلوب.` : `${label} is required.`;
-            setInputError(form, input, msg);
-            if (!firstInvalid) firstInvalid = input;
-            return;
-          }
-
-          // Format checks
-          if (input.type === 'email' && !input.checkValidity()) {
-            const msg = isArabic ? 'البريد الإلكتروني غير صحيح.' : 'Email address is invalid.';
-            setInputError(form, input, msg);
+        if (validation) {
+          const values = {};
+          inputs.forEach((input) => {
+            values[input.name] = input.value;
+          });
+          const { errors } = validation.validate('contact', values, { lang: isArabic ? 'ar' : 'en' });
+          inputs.forEach((input) => {
+            const err = errors[input.name];
+            if (!err) return;
+            setInputError(form, input, err.message);
             if (!firstInvalid) firstInvalid = input;
-          }
-        });
+          });
+        } else {
+          firstInvalid = inputs.find((input) => !input.checkValidity()) || null;
+        }
 
         if (firstInvalid) {
           firstInvalid.focus();
@@ -483,8 +593,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const statusEl = ensureStatusEl(form);
 
-        // Local preview: keep friendly placeholder without sending
-        if (isLocalPreview()) {
+        const target = await formTarget('contact');
+
+        // Local mode (runtime config): keep friendly placeholder without sending
+        if (target.mode === 'local') {
           statusEl.textContent = getSuccessMessage();
           statusEl.classList.add('is-success');
           trackConversion('contact_submit', { lang: isArabic ? 'ar' : 'en', page: String(window.location.pathname || ''), mode: 'local' });
@@ -492,7 +604,7 @@ document.addEventListener('DOMContentLoaded', () => {
           return;
         }
 
-        // Deployed (SiteGround): send to backend endpoint
+        // Live / demo: send to the endpoint from the runtime config
         statusEl.textContent = isArabic ? 'جارٍ الإرسال…' : 'Sending…';
         statusEl.classList.remove('is-success');
         statusEl.classList.remove('is-error');
@@ -504,19 +616,22 @@ document.addEventListener('DOMContentLoaded', () => {
           message: String(form.querySelector('[name="message"]')?.value || '').trim(),
           // Honeypot (must stay empty)
           website: String(form.querySelector('[name="website"]')?.value || '').trim(),
+          form_token: String(form.querySelector('[name="form_token"]')?.value || ''),
           lang: isArabic ? 'ar' : 'en',
           page: String(window.location.pathname || '')
         };
 
         try {
-          const { ok } = await postJson('/contact.php', payload);
-          if (!ok) throw new Error('send_failed');
+          const { ok, data } = await postJson(target.endpoint, payload);
+          if (!ok) throw new Error((data && data.error) || 'send_failed');
           statusEl.textContent = getSuccessMessage();
           statusEl.classList.add('is-success');
           trackConversion('contact_submit', { lang: isArabic ? 'ar' : 'en', page: String(window.location.pathname || ''), mode: 'server' });
           form.reset();
         } catch (err) {
-          statusEl.textContent = isArabic ? 'حدث خطأ أثناء الإرسال. حاول مرة أخرى.' : 'Something went wrong while sending. Please try again.';
+          statusEl.textContent =
+            formErrorMessage(err && err.message, isArabic ? 'ar' : 'en') ||
+            (isArabic ? 'حدث خطأ أثناء الإرسال. حاول مرة أخرى.' : 'Something went wrong while sending. Please try again.');
           statusEl.classList.add('is-error');
         }
       });
@@ -587,10 +702,20 @@ document.addEventListener('DOMContentLoaded', () => {
     const isHome = /(\/)(en|ar)(\/index\.html)?\/?$/.test(pathname);
     if (!isHome) return;
 
+    // Landing from the confirmation link (api/subscribe/confirm): ?subscription=confirmed|invalid
+    const confirmState = (() => {
+      try {
+        const v = new URLSearchParams(window.location.search).get('subscription') || '';
+        return v === 'confirmed' || v === 'invalid' ? v : '';
+      } catch {
+        return '';
+      }
+    })();
+
     // Avoid showing too often
     const SEEN_KEY = 'leenelite_newsletter_seen_v1';
     try {
-      if (localStorage.getItem(SEEN_KEY)) return;
+      if (!confirmState && localStorage.getItem(SEEN_KEY)) return;
     } catch {}
 
     const lang = (document.documentElement.getAttribute('lang') || 'en').toLowerCase();
@@ -601,12 +726,6 @@ document.addEventListener('DOMContentLoaded', () => {
       typeof window.matchMedia === 'function' &&
       window.matchMedia('(max-width: 680px)').matches;
 
-    const isVercelDemo =
-      typeof window.location === 'object' &&
-      (String(window.location.hostname || '').includes('vercel.app') ||
-        String(window.location.hostname || '') === 'localhost' ||
-        String(window.location.hostname || '') === '127.0.0.1');
-
     const copy = isArabic
       ? {
           title: 'اشترك ليصلك كل جديد',
@@ -617,8 +736,11 @@ document.addEventListener('DOMContentLoaded', () => {
           placeholder: 'اكتب بريدك الإلكتروني',
           submit: 'تأكيد الاشتراك',
           success: 'تم الاشتراك بنجاح ✅',
+          pending: 'تحقق من بريدك الإلكتروني ✉️',
+          notePending: 'أرسلنا لك رابط تأكيد. اضغط عليه لتفعيل الاشتراك (صالح لمدة 7 أيام).',
+          confirmed: 'تم تأكيد اشتراكك ✅',
+          invalidLink: 'رابط التأكيد غير صالح أو منتهي الصلاحية. يرجى الاشتراك مرة أخرى.',
           noteProd: 'سيصلك إشعار بأهم التحديثات فور صدورها.',
-          noteDemo: 'ملاحظة: إرسال البريد مفعل على نسخة الاستضافة الرسمية.',
           invalid: 'يرجى إدخال بريد إلكتروني صحيح.',
           failed: 'حدث خطأ. يرجى المحاولة مرة أخرى.',
           closeLabel: 'إغلاق'
@@ -632,15 +754,16 @@ document.addEventListener('DOMContentLoaded', () => {
           placeholder: 'Email address',
           submit: 'Confirm subscription',
           success: 'Subscribed successfully ✅',
+          pending: 'Check your inbox ✉️',
+          notePending: 'We sent you a confirmation link. Click it to activate your subscription (valid for 7 days).',
+          confirmed: 'Your subscription is confirmed ✅',
+          invalidLink: 'This confirmation link is invalid or has expired. Please subscribe again.',
           noteProd: 'You’ll receive important updates as they happen.',
-          noteDemo: 'Note: Email delivery is enabled on the live hosting version.',
           invalid: 'Please enter a valid email address.',
           failed: 'Something went wrong. Please try again.',
           closeLabel: 'Close'
         };
 
-    const deliveryNote = isVercelDemo ? copy.noteDemo : copy.noteProd;
-
     const modal = document.createElement('div');
     modal.className = `nl-modal${isMobile ? ' is-mobile' : ''}`;
     modal.setAttribute('aria-hidden', 'true');
@@ -657,6 +780,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         <div class="nl-step nl-step-2" hidden>
           <form class="nl-form" novalidate>
+            <input class="visually-hidden" autocomplete="off" name="website" tabindex="-1" type="text" value="" aria-hidden="true">
             <div class="nl-row is-stacked">
               <label class="nl-field">
                 <span class="nl-sr">${copy.placeholder}</span>
@@ -695,7 +819,12 @@ document.body.appendChild(modal);
     const successEl = modal.querySelector('.nl-success');
     const noteEl = modal.querySelector('.nl-note');
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+    embedFormToken(form, 'subscribe');
+
+    // Shared rules (js/form-validation.js) – same schema as api/subscribe.js
+    const validation = window.LeenEliteValidation || null;
+    const isEmailOk = (email) =>
+      validation ? !validation.validateField('subscribe', 'email', { email }) : !!(input && input.checkValidity());
 
     const showError = (msg) => {
       if (!errorEl) return;
@@ -734,7 +863,7 @@ document.body.appendChild(modal);
 
     const isValidEmail = () => {
       const email = (input && input.value ? String(input.value).trim() : '');
-      return emailRegex.test(email);
+      return !!email && isEmailOk(email);
     };
 
     const updateCtaState = () => {
@@ -812,7 +941,7 @@ document.body.appendChild(modal);
         clearSuccess();
 
         const email = (input && input.value ? String(input.value).trim().toLowerCase() : '');
-        if (!emailRegex.test(email)) {
+        if (!email || !isEmailOk(email)) {
           showError(copy.invalid);
           updateCtaState();
           return;
@@ -823,33 +952,58 @@ document.body.appendChild(modal);
           submitBtn.classList.add('is-loading');
         }
 
-        const endpoint = isVercelDemo ? '/api/subscribe' : '/subscribe.php';
+        // Demo / local builds show the note from the runtime config instead of
+        // promising emails that will not be delivered
+        const target = await formTarget('subscribe');
+        const deliveryNote = target.mode === 'live' ? copy.noteProd : target.note || copy.noteProd;
+
+        if (target.mode === 'local') {
+          showSuccess(copy.success);
+          showNote(deliveryNote);
+          window.setTimeout(close, 1800);
+          if (submitBtn) submitBtn.classList.remove('is-loading');
+          return;
+        }
 
         try {
-          const res = await fetch(endpoint, {
+          const res = await fetch(target.endpoint, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
               email,
               lang: isArabic ? 'ar' : 'en',
               page: String(window.location.pathname || ''),
-              source: 'newsletter_popup'
+              source: 'newsletter_popup',
+              // Honeypot (must stay empty) + render token for the bot score
+              website: String(form.querySelector('[name="website"]')?.value || ''),
+              form_token: String(form.querySelector('[name="form_token"]')?.value || '')
             })
           });
 
-          if (!res.ok) throw new Error('request_failed');
+          let data = null;
+          try { data = await res.json(); } catch { data = null; }
 
-          showSuccess(copy.success);
-          showNote(deliveryNote);
+          if (!res.ok) throw new Error((data && data.error) || 'request_failed');
 
-          // Auto close after a short moment
-          window.setTimeout(close, 1800);
+          // Double opt-in (api/subscribe): nothing is active until the emailed link is clicked
+          if (data && data.status === 'pending') {
+            showSuccess(copy.pending);
+            showNote(target.mode === 'live' ? copy.notePending : deliveryNote);
+            if (form) form.style.display = 'none';
+            window.setTimeout(close, 6000);
+          } else {
+            showSuccess(copy.success);
+            showNote(deliveryNote);
+
+            // Auto close after a short moment
+            window.setTimeout(close, 1800);
+          }
 
           if (typeof trackConversion === 'function') {
             trackConversion('newsletter_updates', { lang: isArabic ? 'ar' : 'en', page: String(window.location.pathname || ''), email });
           }
-        } catch {
-          showError(copy.failed);
+        } catch (err) {
+          showError(formErrorMessage(err && err.message, isArabic ? 'ar' : 'en') || copy.failed);
           if (submitBtn) submitBtn.disabled = false;
         } finally {
           if (submitBtn) submitBtn.classList.remove('is-loading');
@@ -858,6 +1012,25 @@ document.body.appendChild(modal);
       });
     }
 
+    if (confirmState) {
+      open();
+      if (confirmState === 'confirmed') {
+        if (step1) step1.classList.remove('is-active');
+        showSuccess(copy.confirmed);
+      } else {
+        // Keep the Subscribe button so the visitor can request a fresh link
+        showError(copy.invalidLink);
+      }
+
+      // Drop the query flag so a reload does not show the result again
+      try {
+        const url = new URL(window.location.href);
+        url.searchParams.delete('subscription');
+        window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+      } catch {}
+      return;
+    }
+
     // Show after a short delay (home only)
     window.setTimeout(open, 5000);
   };;
@@ -1179,18 +1352,20 @@ document.addEventListener('DOMContentLoaded', () => {
 ----------------------------------------------------------------------------- */
 document.addEventListener('DOMContentLoaded', () => {
   const modal = document.getElementById('reserveModal');
-  const openButtons = document.querySelectorAll('[data-open-reserve-modal]');
-  if (!modal || !openButtons.length) return;
+  if (!modal) return;
 
   // Reuse shared helpers (defined earlier in this script)
   const trackConversion = (window && window.leeneliteTrackConversion) ? window.leeneliteTrackConversion : (() => {});
-  const isLocalPreview = (window && window.leeneliteIsLocalPreview) ? window.leeneliteIsLocalPreview : (() => true);
   const postJson = (window && window.leenelitePostJson) ? window.leenelitePostJson : (async () => ({ ok: false }));
+  const formTarget = (window && window.leeneliteFormTarget) ? window.leeneliteFormTarget : (async () => ({ endpoint: '', mode: 'local', note: '' }));
+  const embedFormToken = (window && window.leeneliteEmbedFormToken) ? window.leeneliteEmbedFormToken : (() => {});
+  const formErrorMessage = (window && window.leeneliteFormErrorMessage) ? window.leeneliteFormErrorMessage : (() => null);
 
 
   const closeButtons = modal.querySelectorAll('[data-close-reserve-modal]');
   const form = modal.querySelector('#reserveForm');
   const hint = modal.querySelector('#reserveHint');
+  const pdfLink = modal.querySelector('#reservePdf');
   const privacy = modal.querySelector('#reservePrivacy');
   const error = modal.querySelector('#reserveError');
 
@@ -1208,23 +1383,16 @@ document.addEventListener('DOMContentLoaded', () => {
   const sizeInput = modal.querySelector('input[name="size"]');
   const crError = modal.querySelector('[data-error-for="cr"]');
   const isArabic = (document.documentElement.lang || '').toLowerCase().startsWith('ar');
-  const CR_RULE = /^[127]\d{9}$/;
-
-  // Field labels for consistent inline messages
-  const fieldLabels = {
-    full_name: isArabic ? 'الاسم الكامل' : 'Full Name',
-    company: isArabic ? 'اسم الشركة' : 'Company Name',
-    email: isArabic ? 'البريد الإلكتروني' : 'Email',
-    phone: isArabic ? 'رقم الجوال' : 'Phone',
-    city: isArabic ? 'المدينة' : 'City',
-    cr: isArabic ? 'السجل التجاري' : 'Commercial Registration',
-    vat: isArabic ? 'الرقم الضريبي' : 'VAT Number',
-    size: isArabic ? 'حجم المساحة' : 'Space Size',
-    type: isArabic ? 'نوع المشاركة' : 'Participation Type',
-    category: isArabic ? 'فئة المساحة' : 'Space Category'
-  };
+  const lang = isArabic ? 'ar' : 'en';
+
+  // Shared rules (js/form-validation.js) – same schema api/reserve.js enforces
+  const validation = window.LeenEliteValidation || null;
+  const reserveSchema = validation ? validation.SCHEMAS.reserve : {};
 
-  const getLabel = (name) => fieldLabels[name] || name;
+  // Signed render timestamp for the bot score (api/form-token); api/waitlist takes the same one
+  embedFormToken(form, 'reserve');
+
+  const getLabel = (name) => (reserveSchema[name] && reserveSchema[name].label ? reserveSchema[name].label[lang] : name);
 
   const setFieldError = (name, message, targetEl) => {
     const el = modal.querySelector(`[data-error-for="${name}"]`);
@@ -1255,15 +1423,49 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   };
 
-  const normalizeDigits = (value) => {
-    // Convert Arabic-Indic and Eastern Arabic-Indic digits to Latin digits
-    const map = {
-      '٠': '0', '١': '1', '٢': '2', '٣': '3', '٤': '4', '٥': '5', '٦': '6', '٧': '7', '٨': '8', '٩': '9',
-      '۰': '0', '۱': '1', '۲': '2', '۳': '3', '۴': '4', '۵': '5', '۶': '6', '۷': '7', '۸': '8', '۹': '9'
+  const normalizeDigits = validation ? validation.normalizeDigits : ((value) => String(value || ''));
+
+  // Current form values in the same shape as the reserve payload
+  const collectValues = () => {
+    if (!form) return {};
+    const val = (selector) => String(form.querySelector(selector)?.value || '').trim();
+    return {
+      full_name: val('[name="full_name"]'),
+      company: val('[name="company"]'),
+      email: val('[name="email"]'),
+      // Phone: prefer computed full phone if present, else try build from split
+      phone: (() => {
+        const full = val('[name="phone"]');
+        if (full) return full;
+        const cc = val('[name="phone_country"]');
+        const local = val('[name="phone_local"]');
+        return (cc || '') + (local ? ' ' + local : '');
+      })(),
+      phone_country: val('[name="phone_country"]'),
+      phone_local: val('[name="phone_local"]'),
+      city: val('[name="city"]'),
+      cr: val('[name="cr"]'),
+      vat: val('[name="vat"]'),
+      size: val('[name="size"]'),
+      type: val('input[name="type"]:checked'),
+      category: val('input[name="category"]:checked'),
+      notes: val('[name="notes"]'),
+      exhibition: val('[name="exhibition"]'),
+      booths: val('[name="booths"]'),
+      promo_code: val('[name="promo_code"]'),
+      attachments: val('[name="attachments"]'),
+      offer: val('[name="offer"]'),
+      privacy_consent: !!(privacy && privacy.checked),
+      website: val('[name="website"]'),
+      form_token: val('[name="form_token"]'),
+      lang,
+      page: String(window.location.pathname || '')
     };
-    return String(value || '').replace(/[٠-٩۰-۹]/g, (d) => map[d] || d);
   };
 
+  // Returns { code, message } for the first failed rule of a field, or null
+  const fieldError = (name) => (validation ? validation.validateField('reserve', name, collectValues(), { lang }) : null);
+
     // ---------------------------------------------------------------------------
   // Country code dropdown (Phone) – custom dropdown with FLAG IMAGES
   // ---------------------------------------------------------------------------
@@ -1707,36 +1909,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     sanitizeCRInput();
 
-    const value = normalizeDigits(crInput.value).replace(/\D/g, '');
-    const messages = {
-      required: isArabic ? 'السجل التجاري مطلوب.' : 'Commercial Registration is required.',
-      length: isArabic ? 'السجل التجاري يجب أن يتكون من 10 أرقام.' : 'Commercial Registration must be exactly 10 digits.',
-      start: isArabic ? 'يجب أن يبدأ السجل التجاري بـ 1 أو 2 أو 7.' : 'Commercial Registration must start with 1, 2, or 7.',
-      invalid: isArabic ? 'صيغة السجل التجاري غير صحيحة.' : 'Commercial Registration format is invalid.'
-    };
-
-    if (!value) {
-      // Optional when the selected country is not Saudi Arabia
-      if (crInput && !crInput.required) {
-        setCrError('');
-        return true;
-      }
-      if (showMessage) setCrError(messages.required);
-      return false;
-    }
-
-    if (value.length !== 10) {
-      if (showMessage) setCrError(messages.length);
-      return false;
-    }
-
-    if (!/^[127]/.test(value)) {
-      if (showMessage) setCrError(messages.start);
-      return false;
-    }
-
-    if (!CR_RULE.test(value)) {
-      if (showMessage) setCrError(messages.invalid);
+    // Optional when the selected country is not Saudi Arabia (see applyKsaRequirements)
+    const err = fieldError('cr');
+    if (err) {
+      if (showMessage) setCrError(err.message);
       return false;
     }
 
@@ -1751,8 +1927,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
       // If the user attempted an invalid character/start, show a clear warning.
       if (crInput.value !== before) {
-        const msg = isArabic ? 'يُسمح بـ 10 أرقام فقط ويجب أن يبدأ بـ 1 أو 2 أو 7.' : 'Only 10 digits are allowed and it must start with 1, 2, or 7.';
-        setCrError(msg);
+        setCrError(validation ? validation.message('cr_input', lang) : '');
       } else if (crError && !crError.hidden) {
         validateCR(true);
       }
@@ -1762,200 +1937,1118 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
 
-  const openModal = () => {
-    modal.classList.add('is-open');
-    modal.setAttribute('aria-hidden', 'false');
-    document.body.classList.add('modal-open');
+  // Catalog cards bind the form to their exhibition: the request names the show
+  // and only that exhibition's open categories can be picked.
+  const exhibitionInput = modal.querySelector('input[name="exhibition"]');
+  const exhibitionLabel = modal.querySelector('[data-reserve-exhibition]');
+  const categoryInputs = Array.from(modal.querySelectorAll('input[name="category"]'));
+
+  const bindExhibition = (btn) => {
+    const id = (btn && btn.getAttribute('data-exhibition')) || '';
+    const name = (btn && btn.getAttribute('data-exhibition-name')) || '';
+    const list = (attr) =>
+      String((btn && btn.getAttribute(attr)) || '')
+        .split(',')
+        .map((c) => c.trim())
+        .filter(Boolean);
+    const open = list('data-exhibition-categories');
+
+    if (exhibitionInput) exhibitionInput.value = id;
+    if (exhibitionLabel) {
+      exhibitionLabel.textContent = id && name ? `${isArabic ? 'المعرض:' : 'Exhibition:'} ${name}` : '';
+      exhibitionLabel.hidden = !(id && name);
+    }
 
-    const focusTarget = modal.querySelector('.reserve-form input, .reserve-form select, .reserve-form textarea');
-    if (focusTarget) focusTarget.focus();
-  };
+    categoryInputs.forEach((input) => {
+      const available = !open.length || open.includes(input.value);
+      input.disabled = !available;
+      const opt = input.closest('.cat-opt');
+      if (opt) opt.classList.toggle('is-unavailable', !available);
+    });
+    const checked = categoryInputs.find((input) => input.checked);
+    if (checked && checked.disabled) {
+      const first = categoryInputs.find((input) => !input.disabled);
+      if (first) first.checked = true;
+    }
+    // Sold-out categories: waitlist instead of booking (or bookable with an offer link)
+    waitlist.bind(id, list('data-exhibition-sold-out'));
 
-  const closeModal = () => {
-    modal.classList.remove('is-open');
-    modal.setAttribute('aria-hidden', 'true');
-    document.body.classList.remove('modal-open');
-    if (hint) hint.hidden = true;
-    if (error) error.hidden = true;
-    if (form) form.reset();
-    // Reset the custom country dropdown UI (hidden input is reset by form.reset, UI is not)
-    resetCountryDropdown();
-    clearReserveErrors();
-    setCrError('');
+    floorplan.bind(id, btn && btn.getAttribute('data-exhibition-floorplan'));
+    estimate.bind(id);
+    promo.check();
   };
 
-  openButtons.forEach((btn) => btn.addEventListener('click', openModal));
-  closeButtons.forEach((btn) => btn.addEventListener('click', closeModal));
-
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && modal.classList.contains('is-open')) closeModal();
-  });
-
-  if (privacy) {
-    privacy.addEventListener('change', () => {
-      if (error) error.hidden = true;
-      privacy.classList.remove('is-invalid');
-    });
-  }
+  // ---------------------------------------------------------------------------
+  // Booth floor plan (SVG) – shown for exhibitions with a floorplans/<id>.json.
+  // Picking booths fills size + category; api/reserve holds them atomically.
+  // ---------------------------------------------------------------------------
+  const floorplan = (() => {
+    const root = modal.querySelector('[data-floorplan]');
+    const viewport = root ? root.querySelector('[data-floorplan-viewport]') : null;
+    const summary = root ? root.querySelector('[data-floorplan-selection]') : null;
+    const boothsInput = form ? form.querySelector('input[name="booths"]') : null;
+    const SVG_NS = 'http://www.w3.org/2000/svg';
 
-  if (form) {
-    // Live-clear inline errors when the user edits fields
-    const hasPhoneSplit = !!(form.querySelector('[name="phone_country"]') && form.querySelector('[name="phone_local"]'));
-    const simpleFieldNames = hasPhoneSplit
-      ? ['full_name', 'company', 'email', 'city']
-      : ['full_name', 'company', 'email', 'phone', 'city'];
-    simpleFieldNames.forEach((name) => {
-      const input = form.querySelector(`[name="${name}"]`);
-      if (!input) return;
-      const clear = () => setFieldError(name, '', input);
-      input.addEventListener('input', clear);
-      input.addEventListener('change', clear);
-    });
+    const copy = isArabic
+      ? {
+          none: 'لم يتم اختيار جناح. يمكنك الاختيار من المخطط أو إدخال المساحة يدويًا.',
+          picked: (ids, size) => `الأجنحة المختارة: ${ids.join('، ')} – ${size} م²`,
+          statuses: { available: 'متاح', pending: 'قيد الطلب', booked: 'محجوز', blocked: 'غير متاح' }
+        }
+      : {
+          none: 'No booth selected. Pick booths on the plan or enter the size yourself.',
+          picked: (ids, size) => `Selected booths: ${ids.join(', ')} – ${size} m²`,
+          statuses: { available: 'Available', pending: 'Requested', booked: 'Booked', blocked: 'Unavailable' }
+        };
 
-    const updatePhoneFull = () => {
-      if (!hasPhoneSplit || !phoneFull) return;
-      const cc = String(phoneCountry?.value || '').trim();
-      const local = normalizeDigits(phoneLocal?.value || '').trim();
-      phoneFull.value = cc && local ? `${cc} ${local}`.trim() : '';
+    let plan = null;
+    let exhibition = '';
+    let staticUrl = '';
+    let svg = null;
+    let view = null;
+    const selected = new Set();
+    let filledSize = false;
+
+    // Category colours come from the reserve form's own dots
+    const categoryColour = (category) => {
+      const input = categoryInputs.find((i) => i.value === category);
+      const opt = input ? input.closest('.cat-opt') : null;
+      return (opt && opt.style.getPropertyValue('--dot').trim()) || '#D3B44E';
     };
 
-    const sanitizeDigitsOnly = (el, maxLen) => {
-      if (!el) return;
-      const raw = normalizeDigits(el.value);
-      let digits = String(raw || '').replace(/\D/g, '');
-      if (typeof maxLen === 'number' && maxLen > 0 && digits.length > maxLen) digits = digits.slice(0, maxLen);
-      if (digits !== el.value) el.value = digits;
+    const categoryName = (category) => {
+      const input = categoryInputs.find((i) => i.value === category);
+      const label = input ? input.closest('.cat-opt') : null;
+      const name = label ? label.querySelector('.cat-name') : null;
+      return name ? name.textContent.trim() : category;
     };
 
-    const validateVAT = (showMessage = true) => {
-      if (!vatInput) return true;
-      sanitizeDigitsOnly(vatInput, 15);
-      const value = String(vatInput.value || '').trim();
-      const msgRequired = isArabic ? 'الرقم الضريبي مطلوب.' : 'VAT number is required.';
-      const msgInvalid = isArabic ? 'الرقم الضريبي يجب أن يتكون من 15 رقمًا.' : 'VAT number must be 15 digits.';
-      if (!value) {
-        // Optional when the selected country is not Saudi Arabia
-        if (vatInput && !vatInput.required) {
-          setFieldError('vat', '', vatInput);
-          return true;
+    const boothById = (id) => (plan ? plan.booths.find((b) => b.id === id) : null);
+
+    const sync = () => {
+      const ids = Array.from(selected);
+      if (boothsInput) boothsInput.value = ids.join(',');
+
+      if (ids.length) {
+        const booths = ids.map(boothById).filter(Boolean);
+        const size = booths.reduce((sum, b) => sum + Number(b.size || 0), 0);
+        if (sizeInput) {
+          sizeInput.value = String(size);
+          sizeInput.readOnly = true;
         }
-        if (showMessage) setFieldError('vat', msgRequired, vatInput);
-        return false;
+        filledSize = true;
+        const radio = categoryInputs.find((i) => i.value === booths[0].category);
+        if (radio) radio.checked = true;
+        if (summary) summary.textContent = copy.picked(ids, size);
+      } else {
+        if (sizeInput) {
+          if (filledSize) sizeInput.value = '';
+          sizeInput.readOnly = false;
+        }
+        filledSize = false;
+        if (summary) summary.textContent = copy.none;
       }
-      if (!/^\d{15}$/.test(value)) {
-        if (showMessage) setFieldError('vat', msgInvalid, vatInput);
-        return false;
+
+      if (svg) {
+        svg.querySelectorAll('[data-booth]').forEach((g) => {
+          const on = selected.has(g.getAttribute('data-booth'));
+          g.classList.toggle('is-selected', on);
+          if (g.getAttribute('role') === 'button') g.setAttribute('aria-pressed', on ? 'true' : 'false');
+        });
       }
-      setFieldError('vat', '', vatInput);
-      return true;
+      // Size and category were set without input events
+      estimate.update();
+      promo.check();
     };
 
-    const validateSize = (showMessage = true) => {
-      if (!sizeInput) return true;
-      const raw = String(sizeInput.value || '').trim();
-      const msgRequired = isArabic ? 'حجم المساحة مطلوب.' : 'Space size is required.';
-      const msgInvalid = isArabic ? 'يرجى إدخال رقم أكبر من 0.' : 'Please enter a number greater than 0.';
-      if (!raw) {
-        if (showMessage) setFieldError('size', msgRequired, sizeInput);
-        return false;
-      }
-      const num = Number(raw);
-      if (!Number.isFinite(num) || num <= 0) {
-        if (showMessage) setFieldError('size', msgInvalid, sizeInput);
-        return false;
-      }
-      setFieldError('size', '', sizeInput);
-      return true;
+    const toggle = (id) => {
+      const booth = boothById(id);
+      if (!booth || booth.status !== 'available') return;
+      // One category per request: a booth from another category starts a new selection
+      const first = boothById(Array.from(selected)[0]);
+      if (first && first.category !== booth.category) selected.clear();
+      if (selected.has(id)) selected.delete(id);
+      else selected.add(id);
+      sync();
     };
 
-    const validatePhoneLocal = (showMessage = true) => {
-      if (!hasPhoneSplit) return true;
-      if (!phoneCountry || !phoneLocal) return true;
+    // --- Zoom + pan (viewBox) -------------------------------------------------
+    const applyView = () => {
+      if (svg && view) svg.setAttribute('viewBox', `${view.x} ${view.y} ${view.w} ${view.h}`);
+    };
 
-      sanitizeDigitsOnly(phoneLocal, 14);
-      const cc = String(phoneCountry.value || '').trim();
-      const local = String(phoneLocal.value || '').trim();
+    const clampView = () => {
+      const minW = plan.width / 4;
+      view.w = Math.min(plan.width, Math.max(minW, view.w));
+      view.h = view.w * (plan.height / plan.width);
+      view.x = Math.min(plan.width - view.w, Math.max(0, view.x));
+      view.y = Math.min(plan.height - view.h, Math.max(0, view.y));
+    };
 
-      const msgRequired = isArabic ? 'رقم الجوال مطلوب.' : 'Phone is required.';
-      const msgInvalid = isArabic ? 'يرجى إدخال رقم جوال صحيح.' : 'Please enter a valid phone number.';
+    // factor < 1 zooms in; (cx, cy) stays under the pointer
+    const zoom = (factor, cx = view.x + view.w / 2, cy = view.y + view.h / 2) => {
+      if (!view) return;
+      const w = view.w * factor;
+      const h = view.h * factor;
+      view.x = cx - ((cx - view.x) * w) / view.w;
+      view.y = cy - ((cy - view.y) * h) / view.h;
+      view.w = w;
+      view.h = h;
+      clampView();
+      applyView();
+    };
 
-      if (!cc || !local) {
-        if (showMessage) {
-          if (!cc) {
-            if (countryDD) countryDD.classList.add('is-invalid');
-            if (countryBtn) countryBtn.classList.add('is-invalid');
-          }
-          if (!local) phoneLocal.classList.add('is-invalid');
-          if (phoneCombo) phoneCombo.classList.add('is-invalid');
-          setFieldError('phone', msgRequired, phoneCombo || phoneLocal || countryBtn || countryDD);
-        }
-        return false;
-      }
+    const resetView = () => {
+      if (!plan) return;
+      view = { x: 0, y: 0, w: plan.width, h: plan.height };
+      applyView();
+    };
 
-      // Basic numeric length check (most countries: 6-14 digits for national number)
-      if (!/^\d{6,14}$/.test(local)) {
-        if (showMessage) {
-          phoneLocal.classList.add('is-invalid');
-          if (phoneCombo) phoneCombo.classList.add('is-invalid');
-          setFieldError('phone', msgInvalid, phoneCombo || phoneLocal);
+    const toPlan = (clientX, clientY) => {
+      const rect = svg.getBoundingClientRect();
+      return {
+        x: view.x + ((clientX - rect.left) / rect.width) * view.w,
+        y: view.y + ((clientY - rect.top) / rect.height) * view.h
+      };
+    };
+
+    const enablePanZoom = () => {
+      let drag = null;
+      let moved = false;
+
+      svg.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const p = toPlan(e.clientX, e.clientY);
+        zoom(e.deltaY > 0 ? 1.2 : 1 / 1.2, p.x, p.y);
+      }, { passive: false });
+
+      svg.addEventListener('pointerdown', (e) => {
+        drag = { x: e.clientX, y: e.clientY, vx: view.x, vy: view.y };
+        moved = false;
+      });
+
+      svg.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const dx = e.clientX - drag.x;
+        const dy = e.clientY - drag.y;
+        if (!moved && Math.hypot(dx, dy) < 4) return;
+        if (!moved) {
+          moved = true;
+          try { svg.setPointerCapture(e.pointerId); } catch {}
         }
-        return false;
-      }
+        const rect = svg.getBoundingClientRect();
+        view.x = drag.vx - (dx / rect.width) * view.w;
+        view.y = drag.vy - (dy / rect.height) * view.h;
+        clampView();
+        applyView();
+      });
 
-      // Optional KSA heuristic: mobile starts with 5 and 9 digits (5XXXXXXXX)
-      if (cc === '+966' && !/^5\d{8}$/.test(local)) {
-        if (showMessage) {
-          phoneLocal.classList.add('is-invalid');
-          if (phoneCombo) phoneCombo.classList.add('is-invalid');
-          setFieldError('phone', msgInvalid, phoneCombo || phoneLocal);
+      const endDrag = () => { drag = null; };
+      svg.addEventListener('pointerup', endDrag);
+      svg.addEventListener('pointercancel', endDrag);
+
+      // A drag is not a booth click
+      svg.addEventListener('click', (e) => {
+        if (moved) {
+          moved = false;
+          return;
         }
-        return false;
-      }
+        const g = e.target.closest ? e.target.closest('[data-booth]') : null;
+        if (g) toggle(g.getAttribute('data-booth'));
+      });
 
-      clearPhoneError();
-      updatePhoneFull();
-      return true;
+      svg.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        const g = e.target.closest ? e.target.closest('[data-booth]') : null;
+        if (!g) return;
+        e.preventDefault();
+        toggle(g.getAttribute('data-booth'));
+      });
     };
 
+    // --- Rendering ------------------------------------------------------------
+    const svgEl = (tag, attrs = {}) => {
+      const node = document.createElementNS(SVG_NS, tag);
+      Object.keys(attrs).forEach((key) => node.setAttribute(key, String(attrs[key])));
+      return node;
+    };
 
+    const render = () => {
+      if (!viewport) return;
+      viewport.innerHTML = '';
+      svg = svgEl('svg', { class: 'floorplan__svg', preserveAspectRatio: 'xMidYMid meet' });
+      // Booth ids and coordinates are not mirrored in RTL
+      svg.setAttribute('direction', 'ltr');
+      svg.appendChild(svgEl('rect', { class: 'floorplan__hall', x: 0, y: 0, width: plan.width, height: plan.height, rx: 12 }));
+
+      (plan.labels || []).forEach((label) => {
+        const text = svgEl('text', { class: 'floorplan__label', x: label.x, y: label.y, 'text-anchor': 'middle' });
+        text.textContent = (label.text && (label.text[lang] || label.text.en)) || '';
+        svg.appendChild(text);
+      });
 
-    const clearPhoneError = () => {
-      if (!hasPhoneSplit) return;
-      if (countryDD) countryDD.classList.remove('is-invalid');
-      if (countryBtn) countryBtn.classList.remove('is-invalid');
-      if (phoneLocal) phoneLocal.classList.remove('is-invalid');
-      if (phoneCombo) phoneCombo.classList.remove('is-invalid');
-      setFieldError('phone', '', phoneCombo || phoneLocal || phoneCountry);
+      plan.booths.forEach((booth) => {
+        const status = booth.status || 'available';
+        const g = svgEl('g', { class: `floorplan__booth is-${status}`, 'data-booth': booth.id });
+        const description = `${booth.id} – ${booth.size} ${isArabic ? 'م²' : 'm²'} – ${categoryName(booth.category)} – ${copy.statuses[status] || status}`;
+        if (status === 'available') {
+          g.setAttribute('role', 'button');
+          g.setAttribute('tabindex', '0');
+          g.setAttribute('aria-pressed', 'false');
+        }
+        g.setAttribute('aria-label', description);
+        const title = svgEl('title');
+        title.textContent = description;
+        g.appendChild(title);
+        g.appendChild(svgEl('rect', { x: booth.x, y: booth.y, width: booth.w, height: booth.h, rx: 4, fill: categoryColour(booth.category) }));
+        const text = svgEl('text', { x: booth.x + booth.w / 2, y: booth.y + booth.h / 2, 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+        text.textContent = booth.id;
+        g.appendChild(text);
+        svg.appendChild(g);
+      });
+
+      viewport.appendChild(svg);
+      enablePanZoom();
+      resetView();
+      sync();
     };
 
-    if (hasPhoneSplit) {
-      initCountryDropdown();
-      updatePhoneFull();
+    const load = async () => {
+      const { endpoint } = await formTarget('floorplan');
+      const url = endpoint ? `${endpoint}?exhibition=${encodeURIComponent(exhibition)}` : staticUrl;
+      if (!url) return null;
+      const res = await fetch(url, { headers: { Accept: 'application/json' }, cache: 'no-store' });
+      const data = res.ok ? await res.json() : null;
+      const loaded = data && (data.plan || data);
+      return loaded && Array.isArray(loaded.booths) ? loaded : null;
+    };
 
-      const setReq = (el, required) => {
-        if (!el) return;
-        el.required = !!required;
-        el.setAttribute('aria-required', required ? 'true' : 'false');
-      };
+    const clear = () => {
+      selected.clear();
+      sync();
+    };
 
-      const toggleReqStars = (selector, on) => {
-        modal.querySelectorAll(selector).forEach((el) => {
-          el.style.display = on ? '' : 'none';
+    // Re-read availability (after a booking or a booth_taken answer)
+    const refresh = async () => {
+      if (!exhibition || !root) return;
+      const requested = exhibition;
+      try {
+        const loaded = await load();
+        if (!loaded || requested !== exhibition) return;
+        plan = loaded;
+        // Drop booths that are no longer available
+        Array.from(selected).forEach((id) => {
+          const booth = boothById(id);
+          if (!booth || booth.status !== 'available') selected.delete(id);
         });
-      };
+        render();
+        root.hidden = false;
+      } catch {
+        root.hidden = true;
+      }
+    };
 
-      const applyKsaRequirements = () => {
-        const cc = String(phoneCountry?.value || '').trim();
-        const isKsa = cc === '+966';
+    const bind = (id, url) => {
+      exhibition = id || '';
+      staticUrl = url || '';
+      plan = null;
+      svg = null;
+      selected.clear();
+      if (viewport) viewport.innerHTML = '';
+      if (root) root.hidden = true;
+      sync();
+      // Only exhibitions with a plan in the catalog get the picker
+      if (exhibition && staticUrl && root) refresh();
+    };
 
-        // CR + VAT required ONLY for Saudi numbers
-        setReq(crInput, isKsa);
-        setReq(vatInput, isKsa);
+    if (root) {
+      root.querySelectorAll('[data-floorplan-zoom]').forEach((btn) => {
+        btn.addEventListener('click', () => {
+          const action = btn.getAttribute('data-floorplan-zoom');
+          if (action === 'in') zoom(1 / 1.4);
+          else if (action === 'out') zoom(1.4);
+          else resetView();
+        });
+      });
+    }
 
-        toggleReqStars('[data-req-cr]', isKsa);
-        toggleReqStars('[data-req-vat]', isKsa);
+    // Picking another category by hand drops the booth selection
+    categoryInputs.forEach((input) => {
+      input.addEventListener('change', () => {
+        const first = boothById(Array.from(selected)[0]);
+        if (first && first.category !== input.value) clear();
+      });
+    });
 
-        // If not required, clear visible errors (but still validate if user typed)
+    return { bind, refresh, clear };
+  })();
+
+  // ---------------------------------------------------------------------------
+  // Promo code – checked live against api/promo (hidden without that endpoint).
+  // The confirmed discount feeds the estimate; api/reserve checks the code again.
+  // ---------------------------------------------------------------------------
+  const promo = (() => {
+    const root = modal.querySelector('[data-reserve-promo]');
+    const input = form ? form.querySelector('input[name="promo_code"]') : null;
+    const applyBtn = root ? root.querySelector('[data-reserve-promo-apply]') : null;
+    const status = root ? root.querySelector('[data-reserve-promo-status]') : null;
+
+    const copy = isArabic
+      ? {
+          checking: 'جارٍ التحقق من الرمز…',
+          applied: (p) => (p.type === 'percent' ? `تم تطبيق الرمز ${p.code}: خصم ${p.value}٪` : `تم تطبيق الرمز ${p.code}: خصم ${p.value} ر.س`),
+          failed: 'تعذر التحقق من الرمز الآن. حاول مرة أخرى.'
+        }
+      : {
+          checking: 'Checking code…',
+          applied: (p) => (p.type === 'percent' ? `Code ${p.code} applied: ${p.value}% off` : `Code ${p.code} applied: SAR ${p.value} off`),
+          failed: 'The code could not be checked right now. Please try again.'
+        };
+
+    let endpoint = '';
+    let applied = null; // { code, type, value, label } as confirmed by api/promo
+    let checkedKey = '';
+    let timer = null;
+
+    const setStatus = (message, kind) => {
+      if (!status) return;
+      status.textContent = message || '';
+      status.hidden = !message;
+      status.classList.toggle('is-success', kind === 'success');
+    };
+
+    const setApplied = (value) => {
+      applied = value;
+      estimate.update();
+    };
+
+    const check = async () => {
+      if (!input || !endpoint) return;
+      const values = collectValues();
+      const code = values.promo_code.replace(/\s+/g, '').toUpperCase();
+      const key = [code, values.exhibition, values.category].join('|');
+      if (key === checkedKey) return;
+      checkedKey = key;
+
+      setFieldError('promo_code', '', input);
+      if (!code) {
+        setStatus('');
+        setApplied(null);
+        return;
+      }
+
+      const formatError = validation ? validation.validateField('promo', 'code', { code }, { lang }) : null;
+      if (formatError) {
+        setStatus('');
+        setFieldError('promo_code', formatError.message, input);
+        setApplied(null);
+        return;
+      }
+
+      setStatus(copy.checking);
+      try {
+        const { ok, data } = await postJson(endpoint, { code, exhibition: values.exhibition, category: values.category });
+        if (checkedKey !== key) return;
+        if (!ok) {
+          setStatus('');
+          setFieldError('promo_code', formErrorMessage(data && data.error, lang) || copy.failed, input);
+          setApplied(null);
+          // Only a verdict on the code itself is final for this combination
+          if (!/promo/.test((data && data.error) || '')) checkedKey = '';
+          return;
+        }
+        setStatus(copy.applied(data), 'success');
+        setApplied({ code: data.code, type: data.type, value: data.value });
+      } catch {
+        if (checkedKey !== key) return;
+        checkedKey = '';
+        setStatus('');
+        setFieldError('promo_code', copy.failed, input);
+        setApplied(null);
+      }
+    };
+
+    const schedule = () => {
+      window.clearTimeout(timer);
+      timer = window.setTimeout(check, 600);
+    };
+
+    formTarget('promo').then((target) => {
+      if (!target.endpoint || target.mode === 'local') return;
+      endpoint = target.endpoint;
+      if (root) root.hidden = false;
+    });
+
+    if (input) {
+      input.addEventListener('input', schedule);
+      input.addEventListener('blur', check);
+      input.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        check();
+      });
+    }
+    if (applyBtn) applyBtn.addEventListener('click', check);
+
+    // Category / exhibition restrictions: check again when either changes
+    categoryInputs.forEach((radio) => radio.addEventListener('change', () => applied && check()));
+
+    const reset = () => {
+      window.clearTimeout(timer);
+      checkedKey = '';
+      setStatus('');
+      if (input) setFieldError('promo_code', '', input);
+      setApplied(null);
+    };
+
+    return { check, reset, discount: () => applied };
+  })();
+
+  // ---------------------------------------------------------------------------
+  // Company documents (api/upload). Type and size are checked here with the
+  // same rules as the server (FILES in js/form-validation.js, first bytes of the
+  // file); each file is uploaded right away and the request only carries the
+  // returned ids ("attachments").
+  // ---------------------------------------------------------------------------
+  const documents = (() => {
+    const root = modal.querySelector('[data-reserve-docs]');
+    const idsInput = form ? form.querySelector('input[name="attachments"]') : null;
+    const rules = validation ? validation.FILES : null;
+
+    const copy = isArabic
+      ? {
+          uploading: 'جارٍ رفع الملف…',
+          uploaded: 'تم رفع الملف',
+          failed: 'تعذر رفع الملف الآن. حاول مرة أخرى.',
+          busy: 'يرجى الانتظار حتى يكتمل رفع المستندات.',
+          units: ['ك.ب', 'م.ب']
+        }
+      : {
+          uploading: 'Uploading…',
+          uploaded: 'Uploaded',
+          failed: 'The file could not be uploaded right now. Please try again.',
+          busy: 'Please wait until your documents have finished uploading.',
+          units: ['KB', 'MB']
+        };
+
+    let endpoint = '';
+
+    const slots = root
+      ? Array.from(root.querySelectorAll('[data-reserve-drop]')).map((el) => ({
+          el,
+          kind: el.getAttribute('data-reserve-drop'),
+          input: el.querySelector('input[type="file"]'),
+          zone: el.querySelector('[data-reserve-drop-zone]'),
+          file: el.querySelector('[data-reserve-drop-file]'),
+          preview: el.querySelector('[data-reserve-drop-preview]'),
+          name: el.querySelector('[data-reserve-drop-name]'),
+          status: el.querySelector('[data-reserve-drop-status]'),
+          id: '',
+          fileName: '',
+          previewUrl: '',
+          request: 0,
+          busy: false
+        }))
+      : [];
+
+    const formatSize = (bytes) =>
+      bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} ${copy.units[1]}` : `${Math.max(1, Math.round(bytes / 1024))} ${copy.units[0]}`;
+
+    const sync = () => {
+      if (idsInput) idsInput.value = slots.filter((slot) => slot.id).map((slot) => slot.id).join(',');
+      if (slots.some((slot) => slot.busy)) return;
+      setFieldError('attachments', '', null);
+    };
+
+    const setStatus = (slot, message, kind) => {
+      if (!slot.status) return;
+      slot.status.textContent = message || '';
+      slot.status.hidden = !message;
+      slot.status.classList.toggle('is-success', kind === 'success');
+      slot.status.classList.toggle('is-error', kind === 'error');
+    };
+
+    const clearSlot = (slot) => {
+      slot.request += 1; // an upload still running is ignored when it answers
+      slot.id = '';
+      slot.fileName = '';
+      slot.busy = false;
+      if (slot.previewUrl) URL.revokeObjectURL(slot.previewUrl);
+      slot.previewUrl = '';
+      if (slot.input) slot.input.value = '';
+      if (slot.preview) slot.preview.innerHTML = '';
+      if (slot.file) slot.file.hidden = true;
+      if (slot.zone) slot.zone.hidden = false;
+      slot.el.classList.remove('is-busy', 'is-done');
+      setStatus(slot, '');
+      sync();
+    };
+
+    const showFile = (slot, file, detected) => {
+      if (slot.preview) {
+        if (detected.ext === 'pdf') {
+          slot.preview.textContent = 'PDF';
+        } else {
+          slot.previewUrl = URL.createObjectURL(file);
+          const img = document.createElement('img');
+          img.src = slot.previewUrl;
+          img.alt = '';
+          slot.preview.appendChild(img);
+        }
+      }
+      if (slot.name) slot.name.textContent = `${file.name} (${formatSize(file.size)})`;
+      if (slot.file) slot.file.hidden = false;
+      if (slot.zone) slot.zone.hidden = true;
+    };
+
+    const upload = async (slot, file) => {
+      clearSlot(slot);
+      if (!file) return;
+
+      if (rules && file.size > rules.max_bytes) {
+        setStatus(slot, validation.message('file_too_large', lang), 'error');
+        return;
+      }
+      // The extension proves nothing: look at the first bytes like api/upload does
+      let detected = null;
+      try {
+        detected = validation ? validation.detectFileType(new Uint8Array(await file.slice(0, 16).arrayBuffer())) : null;
+      } catch {
+        detected = null;
+      }
+      if (!detected) {
+        setStatus(slot, validation ? validation.message('invalid_file_type', lang) : copy.failed, 'error');
+        return;
+      }
+
+      const request = slot.request;
+      showFile(slot, file, detected);
+      slot.busy = true;
+      slot.el.classList.add('is-busy');
+      setStatus(slot, copy.uploading);
+
+      try {
+        const body = new FormData();
+        body.append('kind', slot.kind);
+        body.append('file', file, file.name);
+        const res = await fetch(endpoint, { method: 'POST', body });
+        let data = null;
+        try { data = await res.json(); } catch { data = null; }
+        if (request !== slot.request) return;
+        if (!data || !data.ok) {
+          clearSlot(slot);
+          setStatus(slot, formErrorMessage(data && data.error, lang) || copy.failed, 'error');
+          return;
+        }
+        slot.id = data.id;
+        slot.fileName = file.name;
+        slot.busy = false;
+        slot.el.classList.remove('is-busy');
+        slot.el.classList.add('is-done');
+        setStatus(slot, copy.uploaded, 'success');
+        sync();
+      } catch {
+        if (request !== slot.request) return;
+        clearSlot(slot);
+        setStatus(slot, copy.failed, 'error');
+      }
+    };
+
+    slots.forEach((slot) => {
+      if (slot.input) slot.input.addEventListener('change', () => upload(slot, slot.input.files && slot.input.files[0]));
+      slot.el.querySelector('[data-reserve-drop-remove]')?.addEventListener('click', () => {
+        clearSlot(slot);
+        if (slot.input) slot.input.focus();
+      });
+      if (!slot.zone) return;
+      ['dragenter', 'dragover'].forEach((type) =>
+        slot.zone.addEventListener(type, (e) => {
+          e.preventDefault();
+          slot.zone.classList.add('is-dragover');
+        })
+      );
+      slot.zone.addEventListener('dragleave', () => slot.zone.classList.remove('is-dragover'));
+      slot.zone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        slot.zone.classList.remove('is-dragover');
+        const file = e.dataTransfer && e.dataTransfer.files ? e.dataTransfer.files[0] : null;
+        if (file) upload(slot, file);
+      });
+    });
+
+    // Uploads need the server; static hosts keep the block hidden
+    formTarget('upload').then((target) => {
+      if (!target.endpoint || target.mode === 'local') return;
+      endpoint = target.endpoint;
+      if (root) root.hidden = false;
+    });
+
+    // { message, el } while an upload is still running, else null
+    const pending = () => {
+      const slot = slots.find((item) => item.busy);
+      return slot ? { message: copy.busy, el: slot.input } : null;
+    };
+
+    // "CR certificate: cr.pdf" lines for the review step
+    const summary = () =>
+      slots
+        .filter((slot) => slot.id)
+        .map((slot) => `${slot.el.querySelector('.reserve-drop__label')?.textContent.trim() || slot.kind}: ${slot.fileName}`);
+
+    const reset = () => slots.forEach(clearSlot);
+
+    return { pending, summary, reset };
+  })();
+
+  // ---------------------------------------------------------------------------
+  // Live price estimate (js/quote.js + the exhibition's "pricing" block).
+  // The quote goes out with the request; api/reserve recomputes and compares.
+  // ---------------------------------------------------------------------------
+  const estimate = (() => {
+    const quoteEngine = window.LeenEliteQuote || null;
+    const root = modal.querySelector('[data-reserve-quote]');
+    const rows = root ? root.querySelector('[data-reserve-quote-rows]') : null;
+
+    const copy = isArabic
+      ? {
+          space: (q) => `المساحة (${q.billable_size} م² × ${money(q.rate, q.currency)})`,
+          furnishing: (q) => `التأثيث (${q.billable_size} م² × ${money(q.furnished_rate, q.currency)})`,
+          discount: (p) => `الخصم (${p.code})`,
+          subtotal: 'المجموع قبل الضريبة',
+          vat: (q) => `ضريبة القيمة المضافة (${Math.round(q.vat_rate * 100)}٪)`,
+          total: 'الإجمالي التقديري',
+          minimum: (q) => `الحد الأدنى لهذه الفئة ${q.min_size} م²، لذا يُحتسب السعر على ${q.billable_size} م².`
+        }
+      : {
+          space: (q) => `Space (${q.billable_size} m² × ${money(q.rate, q.currency)})`,
+          furnishing: (q) => `Furnishing (${q.billable_size} m² × ${money(q.furnished_rate, q.currency)})`,
+          discount: (p) => `Discount (${p.code})`,
+          subtotal: 'Subtotal',
+          vat: (q) => `VAT (${Math.round(q.vat_rate * 100)}%)`,
+          total: 'Estimated total',
+          minimum: (q) => `This category has a ${q.min_size} m² minimum, so the price is based on ${q.billable_size} m².`
+        };
+
+    function money(value, currency) {
+      try {
+        return new Intl.NumberFormat(isArabic ? 'ar-u-nu-latn' : 'en-US', { style: 'currency', currency: currency || 'SAR' }).format(value);
+      } catch {
+        return `${Number(value).toFixed(2)} ${currency || 'SAR'}`;
+      }
+    }
+
+    let catalogRequest = null;
+    let pricing = null;
+    let exhibition = '';
+    let current = null;
+
+    // Same catalog the cards come from (api/exhibitions or the static exhibitions.json)
+    const loadPricing = async (id) => {
+      if (!catalogRequest) {
+        catalogRequest = formTarget('exhibitions')
+          .then(({ endpoint }) => (endpoint ? fetch(endpoint, { headers: { Accept: 'application/json' } }) : null))
+          .then((res) => (res && res.ok ? res.json() : null))
+          .catch(() => null);
+      }
+      const data = await catalogRequest;
+      const found = data && Array.isArray(data.exhibitions) ? data.exhibitions.find((e) => e.id === id) : null;
+      return (found && found.pricing) || null;
+    };
+
+    const row = (label, value, className) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      if (className) {
+        dt.className = className;
+        dd.className = className;
+      }
+      rows.appendChild(dt);
+      rows.appendChild(dd);
+    };
+
+    const update = () => {
+      if (!root || !rows || !quoteEngine) return;
+      const values = collectValues();
+      current = pricing
+        ? quoteEngine.compute(pricing, {
+            category: values.category,
+            type: values.type,
+            size: normalizeDigits(values.size),
+            ksa: validation ? validation.isKsa(values) : values.phone_country === '+966',
+            discount: promo.discount()
+          })
+        : null;
+
+      rows.innerHTML = '';
+      root.hidden = !current;
+      if (!current) return;
+
+      row(copy.space(current), money(current.space, current.currency));
+      if (current.furnishing) row(copy.furnishing(current), money(current.furnishing, current.currency));
+      if (current.discount) row(copy.discount(promo.discount()), `−${money(current.discount, current.currency)}`, 'is-discount');
+      if (current.vat_rate || current.discount) row(copy.subtotal, money(current.subtotal, current.currency));
+      if (current.vat_rate) row(copy.vat(current), money(current.vat, current.currency));
+      row(copy.total, money(current.total, current.currency), 'is-total');
+
+      let minimum = root.querySelector('.reserve-quote__minimum');
+      if (current.min_applied) {
+        if (!minimum) {
+          minimum = document.createElement('p');
+          minimum.className = 'reserve-quote__minimum';
+          rows.insertAdjacentElement('afterend', minimum);
+        }
+        minimum.textContent = copy.minimum(current);
+      } else if (minimum) {
+        minimum.remove();
+      }
+    };
+
+    const bind = async (id) => {
+      exhibition = id || '';
+      pricing = null;
+      update();
+      if (!exhibition) return;
+      const found = await loadPricing(exhibition);
+      if (exhibition !== id) return;
+      pricing = found;
+      update();
+    };
+
+    if (form) {
+      form.addEventListener('input', update);
+      form.addEventListener('change', update);
+    }
+
+    // Sent with the request as { total, subtotal, discount, vat, currency }
+    const payload = () =>
+      current
+        ? { total: current.total, subtotal: current.subtotal, discount: current.discount, vat: current.vat, currency: current.currency }
+        : null;
+
+    // "12,345.00 SAR" for the review step, '' without an estimate
+    const totalText = () => (current ? money(current.total, current.currency) : '');
+
+    return { bind, update, payload, totalText };
+  })();
+
+  // ---------------------------------------------------------------------------
+  // Waitlist (api/waitlist). Categories listed in the exhibition's "sold_out"
+  // stay selectable as "Join waitlist": picking one turns the request into a
+  // waitlist entry (same fields; booths, promo code and documents are not sent).
+  // Offer links from api/admin/waitlist (?offer=…&exhibition=…&category=…) make
+  // that one category bookable again; the catalog opens the form for them.
+  // ---------------------------------------------------------------------------
+  const waitlist = (() => {
+    const note = modal.querySelector('[data-reserve-waitlist]');
+    const offerInput = form ? form.querySelector('input[name="offer"]') : null;
+    const submitBtn = form ? form.querySelector('.reserve-submit') : null;
+    const submitText = submitBtn ? submitBtn.textContent : '';
+
+    const copy = isArabic
+      ? {
+          badge: 'مكتملة – قائمة الانتظار',
+          soldOut: 'مكتملة',
+          offered: 'عرض متاح لك',
+          submit: 'الانضمام إلى قائمة الانتظار',
+          joined: (d) =>
+            d.existing
+              ? `أنت مسجل بالفعل في قائمة الانتظار ✅ ترتيبك: ${d.place}`
+              : `تمت إضافتك إلى قائمة الانتظار ✅ ترتيبك: ${d.place}. سنراسلك عند توفر مساحة.`
+        }
+      : {
+          badge: 'Sold out – join waitlist',
+          soldOut: 'Sold out',
+          offered: 'Offered to you',
+          submit: 'Join Waitlist',
+          joined: (d) =>
+            d.existing
+              ? `You are already on the waitlist ✅ Your place: ${d.place}`
+              : `You are on the waitlist ✅ Your place: ${d.place}. We will email you when a space frees up.`
+        };
+
+    // From the offer email; kept for the page's lifetime until it is used
+    let offer = (() => {
+      const params = new URLSearchParams(window.location.search);
+      const token = params.get('offer') || '';
+      return token ? { token, exhibition: params.get('exhibition') || '', category: params.get('category') || '' } : null;
+    })();
+
+    let endpoint = '';
+    let soldOut = [];
+
+    const badgeFor = (input) => {
+      const opt = input.closest('.cat-opt');
+      if (!opt) return null;
+      let badge = opt.querySelector('.cat-badge');
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'cat-badge';
+        const name = opt.querySelector('.cat-name');
+        if (name) name.insertAdjacentElement('afterend', badge);
+        else opt.appendChild(badge);
+      }
+      return badge;
+    };
+
+    const checkedCategory = () => {
+      const input = categoryInputs.find((i) => i.checked);
+      return input ? input.value : '';
+    };
+
+    const active = () => !!endpoint && soldOut.includes(checkedCategory());
+
+    const sync = () => {
+      const joining = active();
+      if (form) form.classList.toggle('is-waitlist', joining);
+      if (note) note.hidden = !joining;
+      if (submitBtn) submitBtn.textContent = joining ? copy.submit : submitText;
+    };
+
+    const bind = (id, list) => {
+      const offered = offer && id && offer.exhibition === id ? offer.category : '';
+      soldOut = list.filter((category) => category !== offered);
+      if (offerInput) offerInput.value = offered ? offer.token : '';
+
+      categoryInputs.forEach((input) => {
+        const opt = input.closest('.cat-opt');
+        const existing = opt ? opt.querySelector('.cat-badge') : null;
+        if (existing) existing.remove();
+        if (opt) opt.classList.remove('is-sold-out', 'is-offered');
+        if (input.disabled) return;
+
+        if (input.value === offered) {
+          if (opt) opt.classList.add('is-offered');
+          const badge = badgeFor(input);
+          if (badge) badge.textContent = copy.offered;
+        } else if (soldOut.includes(input.value)) {
+          // Without a waitlist endpoint (static hosts) sold out means unavailable
+          if (!endpoint) {
+            input.disabled = true;
+            if (opt) opt.classList.add('is-unavailable');
+          }
+          if (opt) opt.classList.add('is-sold-out');
+          const badge = badgeFor(input);
+          if (badge) badge.textContent = endpoint ? copy.badge : copy.soldOut;
+        }
+      });
+
+      // Start on a bookable category; the offered one when there is an offer
+      const preferred = categoryInputs.find((input) => input.value === offered && !input.disabled);
+      const current = categoryInputs.find((input) => input.checked);
+      if (preferred) preferred.checked = true;
+      else if (!current || current.disabled || soldOut.includes(current.value)) {
+        const first = categoryInputs.find((input) => !input.disabled && !soldOut.includes(input.value));
+        if (first) first.checked = true;
+      }
+      sync();
+    };
+
+    formTarget('waitlist').then((target) => {
+      if (!target.endpoint || target.mode === 'local') return;
+      endpoint = target.endpoint;
+    });
+
+    categoryInputs.forEach((radio) => radio.addEventListener('change', sync));
+
+    // The booking took up the offer: the link cannot be used twice
+    const done = () => {
+      offer = null;
+      if (offerInput) offerInput.value = '';
+    };
+
+    return {
+      bind,
+      sync,
+      active,
+      done,
+      label: () => copy.badge,
+      joined: (data) => copy.joined(data || {})
+    };
+  })();
+
+  // Booking wizard + drafts, set up with the form below
+  let wizard = { open: () => {}, close: () => {}, done: () => {} };
+
+  const openModal = (btn) => {
+    bindExhibition(btn);
+    modal.classList.add('is-open');
+    modal.setAttribute('aria-hidden', 'false');
+    document.body.classList.add('modal-open');
+
+    // First step + focus, and the "resume your booking" prompt for a saved draft
+    wizard.open();
+  };
+
+  const closeModal = () => {
+    // Keep an unfinished request before the form is reset
+    wizard.close();
+    modal.classList.remove('is-open');
+    modal.setAttribute('aria-hidden', 'true');
+    document.body.classList.remove('modal-open');
+    if (hint) hint.hidden = true;
+    if (pdfLink) pdfLink.hidden = true;
+    if (error) error.hidden = true;
+    if (form) form.reset();
+    // Reset the custom country dropdown UI (hidden input is reset by form.reset, UI is not)
+    resetCountryDropdown();
+    clearReserveErrors();
+    setCrError('');
+    promo.reset();
+    documents.reset();
+    // Hidden inputs keep their value through form.reset()
+    bindExhibition(null);
+  };
+
+  // Delegated: catalog cards are rendered after load
+  document.addEventListener('click', (e) => {
+    const btn = e.target.closest ? e.target.closest('[data-open-reserve-modal]') : null;
+    if (btn) openModal(btn);
+  });
+  closeButtons.forEach((btn) => btn.addEventListener('click', closeModal));
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.classList.contains('is-open')) closeModal();
+  });
+
+  if (privacy) {
+    privacy.addEventListener('change', () => {
+      if (error) error.hidden = true;
+      privacy.classList.remove('is-invalid');
+    });
+  }
+
+  if (form) {
+    // Live-clear inline errors when the user edits fields
+    const hasPhoneSplit = !!(form.querySelector('[name="phone_country"]') && form.querySelector('[name="phone_local"]'));
+    const simpleFieldNames = hasPhoneSplit
+      ? ['full_name', 'company', 'email', 'city']
+      : ['full_name', 'company', 'email', 'phone', 'city'];
+    simpleFieldNames.forEach((name) => {
+      const input = form.querySelector(`[name="${name}"]`);
+      if (!input) return;
+      const clear = () => setFieldError(name, '', input);
+      input.addEventListener('input', clear);
+      input.addEventListener('change', clear);
+    });
+
+    const updatePhoneFull = () => {
+      if (!hasPhoneSplit || !phoneFull) return;
+      const cc = String(phoneCountry?.value || '').trim();
+      const local = normalizeDigits(phoneLocal?.value || '').trim();
+      phoneFull.value = cc && local ? `${cc} ${local}`.trim() : '';
+    };
+
+    const sanitizeDigitsOnly = (el, maxLen) => {
+      if (!el) return;
+      const raw = normalizeDigits(el.value);
+      let digits = String(raw || '').replace(/\D/g, '');
+      if (typeof maxLen === 'number' && maxLen > 0 && digits.length > maxLen) digits = digits.slice(0, maxLen);
+      if (digits !== el.value) el.value = digits;
+    };
+
+    const validateVAT = (showMessage = true) => {
+      if (!vatInput) return true;
+      sanitizeDigitsOnly(vatInput, 15);
+      // Optional when the selected country is not Saudi Arabia
+      const err = fieldError('vat');
+      if (err) {
+        if (showMessage) setFieldError('vat', err.message, vatInput);
+        return false;
+      }
+      setFieldError('vat', '', vatInput);
+      return true;
+    };
+
+    const validateSize = (showMessage = true) => {
+      if (!sizeInput) return true;
+      const err = fieldError('size');
+      if (err) {
+        if (showMessage) setFieldError('size', err.message, sizeInput);
+        return false;
+      }
+      setFieldError('size', '', sizeInput);
+      return true;
+    };
+
+    const validatePhoneLocal = (showMessage = true) => {
+      if (!hasPhoneSplit) return true;
+      if (!phoneCountry || !phoneLocal) return true;
+
+      sanitizeDigitsOnly(phoneLocal, 14);
+      const cc = String(phoneCountry.value || '').trim();
+      const local = String(phoneLocal.value || '').trim();
+
+      if (!cc || !local) {
+        if (showMessage) {
+          if (!cc) {
+            if (countryDD) countryDD.classList.add('is-invalid');
+            if (countryBtn) countryBtn.classList.add('is-invalid');
+          }
+          if (!local) phoneLocal.classList.add('is-invalid');
+          if (phoneCombo) phoneCombo.classList.add('is-invalid');
+          const msgRequired = validation ? validation.message('required', lang, getLabel('phone')) : '';
+          setFieldError('phone', msgRequired, phoneCombo || phoneLocal || countryBtn || countryDD);
+        }
+        return false;
+      }
+
+      // 6-14 digits for the national number; Saudi mobiles must be 5XXXXXXXX
+      const err = fieldError('phone_local');
+      if (err) {
+        if (showMessage) {
+          phoneLocal.classList.add('is-invalid');
+          if (phoneCombo) phoneCombo.classList.add('is-invalid');
+          setFieldError('phone', err.message, phoneCombo || phoneLocal);
+        }
+        return false;
+      }
+
+      clearPhoneError();
+      updatePhoneFull();
+      return true;
+    };
+
+
+
+    const clearPhoneError = () => {
+      if (!hasPhoneSplit) return;
+      if (countryDD) countryDD.classList.remove('is-invalid');
+      if (countryBtn) countryBtn.classList.remove('is-invalid');
+      if (phoneLocal) phoneLocal.classList.remove('is-invalid');
+      if (phoneCombo) phoneCombo.classList.remove('is-invalid');
+      setFieldError('phone', '', phoneCombo || phoneLocal || phoneCountry);
+    };
+
+    if (hasPhoneSplit) {
+      initCountryDropdown();
+      updatePhoneFull();
+
+      const setReq = (el, required) => {
+        if (!el) return;
+        el.required = !!required;
+        el.setAttribute('aria-required', required ? 'true' : 'false');
+      };
+
+      const toggleReqStars = (selector, on) => {
+        modal.querySelectorAll(selector).forEach((el) => {
+          el.style.display = on ? '' : 'none';
+        });
+      };
+
+      const applyKsaRequirements = () => {
+        const cc = String(phoneCountry?.value || '').trim();
+        const isKsa = cc === '+966';
+
+        // CR + VAT required ONLY for Saudi numbers
+        setReq(crInput, isKsa);
+        setReq(vatInput, isKsa);
+
+        toggleReqStars('[data-req-cr]', isKsa);
+        toggleReqStars('[data-req-vat]', isKsa);
+
+        // If not required, clear visible errors (but still validate if user typed)
         if (!isKsa) {
           setCrError('');
           setFieldError('vat', '', vatInput);
@@ -2017,82 +3110,95 @@ document.addEventListener('DOMContentLoaded', () => {
     form.querySelectorAll('input[name="type"]').forEach((el) => el.addEventListener('change', () => clearGroupError('type', '.reserve-options--type')));
     form.querySelectorAll('input[name="category"]').forEach((el) => el.addEventListener('change', () => clearGroupError('category', '.reserve-category')));
 
-    form.addEventListener('submit', async (e) => {
-      e.preventDefault();
+    // Wizard step each validated field belongs to (the data-reserve-step sections)
+    const STEP_FIELDS = {
+      company: ['company', 'city', 'cr', 'vat', 'attachments'],
+      contact: ['full_name', 'email', 'phone'],
+      space: ['type', 'category', 'size', 'promo_code'],
+      review: ['privacy_consent']
+    };
 
-      if (hint) hint.hidden = true;
-      if (error) error.hidden = true;
-      clearReserveErrors();
+    // Validate some fields (do NOT stop at the first error; highlight everything).
+    // Returns the first invalid element, or null.
+    const validateFields = (names) => {
+      const inScope = (name) => names.includes(name);
       let firstInvalid = null;
 
-      // Validate fields (do NOT stop at the first error; highlight everything)
-
       // Validate required simple fields (all except notes)
-      simpleFieldNames.forEach((name) => {
+      simpleFieldNames.filter(inScope).forEach((name) => {
         const input = form.querySelector(`[name="${name}"]`);
         if (!input) return;
-        const value = String(input.value || '').trim();
-
-        if (!value) {
-          const msg = isArabic ? `${getLabel(name)} مطلوب.` : `${getLabel(name)} is required.`;
-          setFieldError(name, msg, input);
-          if (!firstInvalid) firstInvalid = input;
-          return;
-        }
-
-        if (name === 'email' && !input.checkValidity()) {
-          const msg = isArabic ? 'البريد الإلكتروني غير صحيح.' : 'Email address is invalid.';
-          setFieldError(name, msg, input);
-          if (!firstInvalid) firstInvalid = input;
-        }
+        const err = fieldError(name);
+        if (!err) return;
+        setFieldError(name, err.message, input);
+        if (!firstInvalid) firstInvalid = input;
       });
       // Validate phone
-      if (hasPhoneSplit) {
+      if (hasPhoneSplit && inScope('phone')) {
         const ok = validatePhoneLocal(true);
         if (!ok && !firstInvalid) {
           const cc = String(phoneCountry?.value || '').trim();
-          firstInvalid = !cc ? (phoneCountry || phoneLocal) : (phoneLocal || phoneCountry);
+          firstInvalid = !cc ? (countryBtn || phoneLocal) : (phoneLocal || countryBtn);
         }
       }
 
       // Validate Commercial Registration (CR)
-      const crOk = validateCR(true);
-      if (!crOk && !firstInvalid && crInput) firstInvalid = crInput;
+      if (inScope('cr')) {
+        const crOk = validateCR(true);
+        if (!crOk && !firstInvalid && crInput) firstInvalid = crInput;
+      }
 
       // Validate VAT format (15 digits)
-      const vatOk = validateVAT(true);
-      if (!vatOk && !firstInvalid && vatInput) firstInvalid = vatInput;
+      if (inScope('vat')) {
+        const vatOk = validateVAT(true);
+        if (!vatOk && !firstInvalid && vatInput) firstInvalid = vatInput;
+      }
 
       // Validate size (> 0)
-      const sizeOk = validateSize(true);
-      if (!sizeOk && !firstInvalid && sizeInput) firstInvalid = sizeInput;
+      if (inScope('size')) {
+        const sizeOk = validateSize(true);
+        if (!sizeOk && !firstInvalid && sizeInput) firstInvalid = sizeInput;
+      }
+
+      // Promo code format (api/promo already answered for the code itself)
+      const promoInput = form.querySelector('input[name="promo_code"]');
+      const promoErr = promoInput && inScope('promo_code') ? fieldError('promo_code') : null;
+      if (promoErr) {
+        setFieldError('promo_code', promoErr.message, promoInput);
+        if (!firstInvalid) firstInvalid = promoInput;
+      }
+
+      // Documents: wait for running uploads (api/upload)
+      if (inScope('attachments')) {
+        const uploading = documents.pending();
+        if (uploading) {
+          setFieldError('attachments', uploading.message, null);
+          if (!firstInvalid && uploading.el) firstInvalid = uploading.el;
+        }
+      }
 
       // Legacy single phone field format (if present)
-      if (!hasPhoneSplit) {
+      if (!hasPhoneSplit && inScope('phone')) {
         const legacy = form.querySelector('input[name="phone"]');
-        if (legacy) {
-          const val = normalizeDigits(String(legacy.value || '')).replace(/\s+/g, '');
-          if (val && !/^\+?\d{6,16}$/.test(val)) {
-            const msg = isArabic ? 'يرجى إدخال رقم جوال صحيح.' : 'Please enter a valid phone number.';
-            setFieldError('phone', msg, legacy);
-            if (!firstInvalid) firstInvalid = legacy;
-          }
+        const err = legacy ? fieldError('phone') : null;
+        if (err) {
+          setFieldError('phone', err.message, legacy);
+          if (!firstInvalid) firstInvalid = legacy;
         }
       }
 
       // Validate radio groups (defensive)
       const validateRadioGroup = (name, containerSelector) => {
         const radios = Array.from(form.querySelectorAll(`input[name="${name}"]`));
-        if (!radios.length) return;
-        const ok = radios.some((r) => r.checked);
-        if (ok) {
+        if (!radios.length || !inScope(name)) return;
+        const err = fieldError(name);
+        if (!err) {
           clearGroupError(name, containerSelector);
           return;
         }
         const container = form.querySelector(containerSelector);
         if (container) container.classList.add('is-invalid');
-        const msg = isArabic ? `${getLabel(name)} مطلوب.` : `${getLabel(name)} is required.`;
-        setFieldError(name, msg, container);
+        setFieldError(name, err.message, container);
         if (!firstInvalid) firstInvalid = radios[0];
       };
 
@@ -2100,78 +3206,403 @@ document.addEventListener('DOMContentLoaded', () => {
       validateRadioGroup('category', '.reserve-category');
 
       // Require privacy consent (demo logic)
-      if (privacy && !privacy.checked) {
+      if (privacy && inScope('privacy_consent') && !privacy.checked) {
         if (error) error.hidden = false;
         privacy.classList.add('is-invalid');
         if (!firstInvalid) firstInvalid = privacy;
       }
 
-      if (firstInvalid) {
-        firstInvalid.focus();
+      return firstInvalid;
+    };
+
+    // -------------------------------------------------------------------------
+    // Booking wizard: company -> contact -> space -> review. "Next" checks every
+    // step up to the current one (CR/VAT depend on the phone country chosen in
+    // the contact step) and goes back to the first step with an error.
+    // -------------------------------------------------------------------------
+    const steps = Array.from(form.querySelectorAll('[data-reserve-step]'));
+    const stepNames = steps.map((el) => el.getAttribute('data-reserve-step'));
+    const stepNav = modal.querySelector('[data-reserve-steps]');
+    const stepNavItems = stepNav ? Array.from(stepNav.querySelectorAll('[data-reserve-step-nav]')) : [];
+    const backBtn = form.querySelector('[data-reserve-back]');
+    const nextBtn = form.querySelector('[data-reserve-next]');
+    const submitControl = form.querySelector('.reserve-submit');
+    const review = form.querySelector('[data-reserve-review]');
+    let currentStep = 0;
+
+    const reviewCopy = isArabic
+      ? { edit: 'تعديل', total: 'الإجمالي التقديري', none: '—', unit: 'م²' }
+      : { edit: 'Edit', total: 'Estimated total', none: '—', unit: 'm²' };
+
+    const checkedLabel = (name) => {
+      const input = form.querySelector(`input[name="${name}"]:checked`);
+      const label = input ? input.closest('label') : null;
+      const text = label ? label.querySelector('.cat-name') || label.querySelector('span') : null;
+      return text ? text.textContent.trim() : '';
+    };
+
+    const renderReview = () => {
+      if (!review) return;
+      const values = collectValues();
+      // Waitlist entries carry no promo code or price (see waitlist above)
+      const joining = waitlist.active();
+      const groups = {
+        company: [
+          [getLabel('company'), values.company],
+          [getLabel('city'), values.city],
+          [getLabel('cr'), values.cr],
+          [getLabel('vat'), values.vat],
+          ...(documents.summary().length ? [[getLabel('attachments'), documents.summary().join('\n')]] : [])
+        ],
+        contact: [
+          [getLabel('full_name'), values.full_name],
+          [getLabel('email'), values.email],
+          [getLabel('phone'), values.phone]
+        ],
+        space: [
+          [getLabel('type'), checkedLabel('type')],
+          [getLabel('category'), joining ? `${checkedLabel('category')} (${waitlist.label()})` : checkedLabel('category')],
+          ...(values.booths ? [[getLabel('booths'), values.booths.split(',').join(', ')]] : []),
+          [getLabel('size'), values.size ? `${values.size} ${reviewCopy.unit}` : ''],
+          ...(values.promo_code && !joining ? [[getLabel('promo_code'), values.promo_code.toUpperCase()]] : []),
+          ...(estimate.totalText() && !joining ? [[reviewCopy.total, estimate.totalText()]] : []),
+          [getLabel('notes'), values.notes]
+        ]
+      };
+
+      review.innerHTML = '';
+      Object.keys(groups).forEach((step) => {
+        const index = stepNames.indexOf(step);
+        const section = steps[index];
+        const group = document.createElement('div');
+        group.className = 'reserve-review__group';
+
+        const head = document.createElement('div');
+        head.className = 'reserve-review__head';
+        const title = document.createElement('p');
+        title.className = 'reserve-review__title';
+        title.textContent = section ? section.querySelector('.reserve-step__title')?.textContent || '' : '';
+        const edit = document.createElement('button');
+        edit.type = 'button';
+        edit.className = 'reserve-review__edit';
+        edit.textContent = reviewCopy.edit;
+        edit.addEventListener('click', () => showStep(index));
+        head.appendChild(title);
+        head.appendChild(edit);
+
+        const list = document.createElement('dl');
+        groups[step].forEach(([label, value]) => {
+          const dt = document.createElement('dt');
+          dt.textContent = label;
+          const dd = document.createElement('dd');
+          dd.textContent = value || reviewCopy.none;
+          list.appendChild(dt);
+          list.appendChild(dd);
+        });
+
+        group.appendChild(head);
+        group.appendChild(list);
+        review.appendChild(group);
+      });
+    };
+
+    const showStep = (index, { focus = true } = {}) => {
+      if (!steps.length) return;
+      currentStep = Math.max(0, Math.min(index, steps.length - 1));
+      const last = currentStep === steps.length - 1;
+
+      steps.forEach((el, i) => {
+        el.hidden = i !== currentStep;
+      });
+      stepNavItems.forEach((item, i) => {
+        item.classList.toggle('is-current', i === currentStep);
+        item.classList.toggle('is-done', i < currentStep);
+        if (i === currentStep) item.setAttribute('aria-current', 'step');
+        else item.removeAttribute('aria-current');
+      });
+      if (backBtn) backBtn.hidden = currentStep === 0;
+      if (nextBtn) nextBtn.hidden = last;
+      if (submitControl) submitControl.hidden = !last;
+      waitlist.sync();
+      if (stepNames[currentStep] === 'review') renderReview();
+
+      if (focus) {
+        const section = steps[currentStep];
+        const field = section.querySelector('input:not([type="hidden"]):not([disabled]):not([readonly]), textarea, .country-dd__btn');
+        if (field && stepNames[currentStep] !== 'review') field.focus();
+        else {
+          const title = section.querySelector('.reserve-step__title');
+          if (title) {
+            title.tabIndex = -1;
+            title.focus();
+          }
+        }
+      }
+      drafts.schedule();
+    };
+
+    // Validate steps 0..upTo; returns true or shows the first step with an error
+    const validateSteps = (upTo) => {
+      clearReserveErrors();
+      if (error) error.hidden = true;
+      let firstInvalid = null;
+      let firstStep = -1;
+      // Without step sections (older markup) everything is checked at once
+      const groups = steps.length ? stepNames.slice(0, upTo + 1) : Object.keys(STEP_FIELDS);
+      groups.forEach((step, i) => {
+        const invalid = validateFields(STEP_FIELDS[step] || []);
+        if (invalid && !firstInvalid) {
+          firstInvalid = invalid;
+          firstStep = i;
+        }
+      });
+      if (!firstInvalid) return true;
+      if (steps.length && firstStep !== currentStep) showStep(firstStep, { focus: false });
+      firstInvalid.focus();
+      return false;
+    };
+
+    if (steps.length) {
+      if (stepNav) stepNav.hidden = false;
+      if (backBtn) backBtn.addEventListener('click', () => showStep(currentStep - 1));
+      if (nextBtn) {
+        nextBtn.addEventListener('click', () => {
+          if (validateSteps(currentStep)) showStep(currentStep + 1);
+        });
+      }
+    }
+
+    // -------------------------------------------------------------------------
+    // Drafts: an unfinished request survives closing the modal or the page
+    // (localStorage on this device, 7 days). Consent and booths are not kept:
+    // consent is given again and booth availability may have changed.
+    // -------------------------------------------------------------------------
+    const drafts = (() => {
+      const KEY = 'leenelite_reserve_draft_v1';
+      const TTL_MS = 7 * 24 * 60 * 60 * 1000;
+      const TEXT_FIELDS = ['company', 'city', 'cr', 'vat', 'full_name', 'email', 'phone_local', 'size', 'notes', 'promo_code'];
+      const RADIO_FIELDS = ['type', 'category'];
+      const prompt = modal.querySelector('[data-reserve-resume]');
+      const promptText = prompt ? prompt.querySelector('[data-reserve-resume-text]') : null;
+      const promptBase = promptText ? promptText.textContent : '';
+      let timer = null;
+      let pending = null; // draft offered in the prompt; nothing is saved until it is answered
+
+      const read = () => {
+        try {
+          const draft = JSON.parse(localStorage.getItem(KEY) || 'null');
+          if (draft && draft.values && Number(draft.expires_at) > Date.now()) return draft;
+          if (draft) localStorage.removeItem(KEY);
+        } catch {}
+        return null;
+      };
+
+      const remove = () => {
+        window.clearTimeout(timer);
+        try {
+          localStorage.removeItem(KEY);
+        } catch {}
+      };
+
+      const save = () => {
+        window.clearTimeout(timer);
+        if (pending || !modal.classList.contains('is-open')) return;
+        const values = collectValues();
+        if (!TEXT_FIELDS.some((name) => values[name])) {
+          remove();
+          return;
+        }
+        const now = Date.now();
+        const draft = {
+          saved_at: now,
+          expires_at: now + TTL_MS,
+          step: currentStep,
+          phone_iso: (countryBtn && countryBtn.getAttribute('data-iso')) || '',
+          values: Object.fromEntries([...TEXT_FIELDS, ...RADIO_FIELDS, 'phone_country'].map((name) => [name, values[name] || '']))
+        };
+        try {
+          localStorage.setItem(KEY, JSON.stringify(draft));
+        } catch {}
+      };
+
+      const schedule = () => {
+        window.clearTimeout(timer);
+        timer = window.setTimeout(save, 400);
+      };
+
+      const hidePrompt = () => {
+        pending = null;
+        if (prompt) prompt.hidden = true;
+      };
+
+      const restore = (draft) => {
+        const values = draft.values || {};
+        TEXT_FIELDS.forEach((name) => {
+          const el = form.querySelector(`[name="${name}"]`);
+          if (el && values[name]) el.value = values[name];
+        });
+        RADIO_FIELDS.forEach((name) => {
+          const radio = Array.from(form.querySelectorAll(`input[name="${name}"]`)).find((el) => el.value === values[name]);
+          if (radio && !radio.disabled) radio.checked = true;
+        });
+        if (values.phone_country || draft.phone_iso) setCountryValue(draft.phone_iso ? '' : values.phone_country, draft.phone_iso);
+        updatePhoneFull();
+        estimate.update();
+        promo.check();
+        showStep(Number(draft.step) || 0);
+      };
+
+      // Called when the modal opens: offer the saved draft, if any
+      const offer = () => {
+        const draft = read();
+        if (!draft || !prompt) return;
+        pending = draft;
+        if (promptText) {
+          let when = '';
+          try {
+            when = new Date(draft.saved_at).toLocaleString(isArabic ? 'ar-SA-u-nu-latn' : 'en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+          } catch {}
+          promptText.textContent = when ? `${promptBase} (${when})` : promptBase;
+        }
+        prompt.hidden = false;
+      };
+
+      if (prompt) {
+        prompt.querySelector('[data-reserve-resume-apply]')?.addEventListener('click', () => {
+          const draft = pending;
+          hidePrompt();
+          if (draft) restore(draft);
+        });
+        prompt.querySelector('[data-reserve-resume-discard]')?.addEventListener('click', () => {
+          hidePrompt();
+          remove();
+          showStep(0);
+        });
+      }
+
+      form.addEventListener('input', schedule);
+      form.addEventListener('change', schedule);
+      window.addEventListener('pagehide', save);
+
+      return { offer, save, schedule, remove, hidePrompt };
+    })();
+
+    wizard = {
+      open: () => {
+        showStep(0);
+        drafts.offer();
+      },
+      // Before the form is reset: keep what was typed
+      close: () => {
+        drafts.save();
+        drafts.hidePrompt();
+      },
+      done: () => {
+        drafts.remove();
+        showStep(0, { focus: false });
+      }
+    };
+    showStep(0, { focus: false });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      if (hint) hint.hidden = true;
+      if (pdfLink) pdfLink.hidden = true;
+      if (error) error.hidden = true;
+
+      // Enter in a field of an earlier step moves on instead of sending
+      if (steps.length && currentStep < steps.length - 1) {
+        if (validateSteps(currentStep)) showStep(currentStep + 1);
         return;
       }
 
-      // Local preview: show success UI without sending
-      if (isLocalPreview()) {
+      if (!validateSteps(steps.length - 1)) return;
+
+      // Sold-out category: the same details go to the waitlist instead
+      const joining = waitlist.active();
+      const target = await formTarget(joining ? 'waitlist' : 'reserve');
+
+      // Local mode (runtime config): show success UI without sending
+      if (target.mode === 'local') {
         if (hint) {
           hint.textContent = isArabic ? 'تم استلام طلبك ✅ (وضع المعاينة المحلية)' : 'Request received ✅ (local preview)';
           hint.hidden = false;
         }
         trackConversion('reserve_submit', { lang: isArabic ? 'ar' : 'en', page: String(window.location.pathname || ''), mode: 'local' });
         try { form.reset(); } catch {}
+        promo.reset();
+        documents.reset();
+        floorplan.clear();
+        wizard.done();
         return;
       }
 
-      // Deployed (SiteGround): send to backend endpoint
+      // Live / demo: send to the endpoint from the runtime config
       const submitBtn = form.querySelector('.reserve-submit');
       if (submitBtn) submitBtn.disabled = true;
 
-      const payload = {
-        full_name: String(form.querySelector('[name="full_name"]')?.value || '').trim(),
-        company: String(form.querySelector('[name="company"]')?.value || '').trim(),
-        email: String(form.querySelector('[name="email"]')?.value || '').trim(),
-        // Phone: prefer computed full phone if present, else try build from split
-        phone: (() => {
-          const full = String(form.querySelector('[name="phone"]')?.value || '').trim();
-          if (full) return full;
-          const cc = String(form.querySelector('[name="phone_country"]')?.value || '').trim();
-          const local = String(form.querySelector('[name="phone_local"]')?.value || '').trim();
-          return (cc || '') + (local ? ' ' + local : '');
-        })(),
-        phone_country: String(form.querySelector('[name="phone_country"]')?.value || '').trim(),
-        phone_local: String(form.querySelector('[name="phone_local"]')?.value || '').trim(),
-        city: String(form.querySelector('[name="city"]')?.value || '').trim(),
-        cr: String(form.querySelector('[name="cr"]')?.value || '').trim(),
-        vat: String(form.querySelector('[name="vat"]')?.value || '').trim(),
-        size: String(form.querySelector('[name="size"]')?.value || '').trim(),
-        type: String(form.querySelector('input[name="type"]:checked')?.value || '').trim(),
-        category: String(form.querySelector('input[name="category"]:checked')?.value || '').trim(),
-        notes: String(form.querySelector('[name="notes"]')?.value || '').trim(),
-        privacy_consent: !!(privacy && privacy.checked),
-        website: String(form.querySelector('[name="website"]')?.value || '').trim(),
-        lang: isArabic ? 'ar' : 'en',
-        page: String(window.location.pathname || '')
-      };
+      const payload = collectValues();
+      const quote = joining ? null : estimate.payload();
+      if (quote) payload.quote = quote;
 
       try {
         if (hint) {
           hint.textContent = isArabic ? 'جارٍ إرسال الطلب…' : 'Sending request…';
           hint.hidden = false;
         }
-        const { ok } = await postJson('/reserve.php', payload);
-        if (!ok) throw new Error('send_failed');
+        const { ok, data } = await postJson(target.endpoint, payload);
+        if (!ok) throw new Error((data && data.error) || 'send_failed');
+
+        if (joining) {
+          if (hint) {
+            hint.textContent = waitlist.joined(data);
+            hint.hidden = false;
+          }
+          trackConversion('waitlist_join', { lang: isArabic ? 'ar' : 'en', page: String(window.location.pathname || ''), category: payload.category });
+          try { form.reset(); } catch {}
+          promo.reset();
+          documents.reset();
+          floorplan.clear();
+          wizard.done();
+          return;
+        }
 
         if (hint) {
-          hint.textContent = isArabic ? 'تم استلام طلب الحجز بنجاح ✅' : 'Booking request received successfully ✅';
+          const reference = (data && data.reference) || '';
+          hint.textContent = isArabic
+            ? `تم استلام طلب الحجز بنجاح ✅${reference ? ` رقم الحجز: ${reference}` : ''}`
+            : `Booking request received successfully ✅${reference ? ` Your booking reference: ${reference}` : ''}`;
           hint.hidden = false;
         }
+        // Confirmation / pro-forma quotation (api/booking-pdf, signed link)
+        if (pdfLink && data && data.pdf_url) {
+          const proforma = !!(data.quote && data.quote.total != null);
+          pdfLink.href = data.pdf_url;
+          pdfLink.textContent = isArabic
+            ? (proforma ? 'تنزيل عرض السعر المبدئي (PDF)' : 'تنزيل تأكيد الحجز (PDF)')
+            : (proforma ? 'Download pro-forma quotation (PDF)' : 'Download booking confirmation (PDF)');
+          pdfLink.hidden = false;
+        }
         trackConversion('reserve_submit', { lang: isArabic ? 'ar' : 'en', page: String(window.location.pathname || ''), mode: 'server' });
         try { form.reset(); } catch {}
+        promo.reset();
+        documents.reset();
+        // The booked booths now show as requested
+        floorplan.clear();
+        floorplan.refresh();
+        if (payload.offer) waitlist.done();
+        wizard.done();
       } catch (err) {
         if (error) {
-          error.textContent = isArabic ? 'حدث خطأ أثناء الإرسال. حاول مرة أخرى.' : 'Something went wrong while sending. Please try again.';
+          error.textContent =
+            formErrorMessage(err && err.message, lang) ||
+            (isArabic ? 'حدث خطأ أثناء الإرسال. حاول مرة أخرى.' : 'Something went wrong while sending. Please try again.');
           error.hidden = false;
         }
+        if (err && err.message === 'booth_taken') floorplan.refresh();
+        // Expired or already used uploads: the fields ask for the files again
+        if (err && err.message === 'invalid_attachment') documents.reset();
       } finally {
         if (submitBtn) submitBtn.disabled = false;
       }
@@ -2202,8 +3633,7 @@ document.addEventListener('DOMContentLoaded', () => {
 ----------------------------------------------------------------------------- */
 document.addEventListener('DOMContentLoaded', () => {
   const modal = document.getElementById('brochureModal');
-  const openButtons = document.querySelectorAll('[data-open-pdf-modal]');
-  if (!modal || !openButtons.length) return;
+  if (!modal) return;
 
   const closeTriggers = modal.querySelectorAll('[data-close-pdf-modal]');
   const frame = modal.querySelector('[data-pdf-frame]');
@@ -2251,7 +3681,11 @@ document.addEventListener('DOMContentLoaded', () => {
     syncBodyModalOpen();
   };
 
-  openButtons.forEach((btn) => btn.addEventListener('click', () => openModal(btn)));
+  // Delegated: catalog cards are rendered after load
+  document.addEventListener('click', (e) => {
+    const btn = e.target.closest ? e.target.closest('[data-open-pdf-modal]') : null;
+    if (btn) openModal(btn);
+  });
   closeTriggers.forEach((el) => el.addEventListener('click', closeModal));
 
   document.addEventListener('keydown', (e) => {
@@ -2273,3 +3707,671 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 });
+
+
+/* -----------------------------------------------------------------------------
+   Newsletter preference center (preferences.html?token=…)
+   Reads and updates per-topic opt-ins through api/preferences (endpoint from
+   the runtime config).
+----------------------------------------------------------------------------- */
+document.addEventListener('DOMContentLoaded', () => {
+  const root = document.querySelector('[data-preferences]');
+  if (!root) return;
+
+  const isArabic = (document.documentElement.lang || '').toLowerCase().startsWith('ar');
+  const postJson = (window && window.leenelitePostJson) ? window.leenelitePostJson : (async () => ({ ok: false }));
+  const formTarget = (window && window.leeneliteFormTarget) ? window.leeneliteFormTarget : (async () => ({ endpoint: '' }));
+
+  // Resolved from the runtime config in load(); the preference center only exists on the Node side
+  let endpoint = '/api/preferences';
+
+  const token = (() => {
+    try {
+      return new URLSearchParams(window.location.search).get('token') || '';
+    } catch {
+      return '';
+    }
+  })();
+
+  // Keep the token when switching language
+  const langLink = document.querySelector('.lang-switch a');
+  if (langLink && token) langLink.setAttribute('href', `${langLink.getAttribute('href')}?token=${encodeURIComponent(token)}`);
+
+  const copy = isArabic
+    ? {
+        intro: 'اختر المواضيع التي تود أن تصلك عبر البريد الإلكتروني:',
+        topics: {
+          updates: 'التحديثات',
+          events: 'الفعاليات',
+          exhibitions: 'المعارض',
+          offers: 'العروض الخاصة'
+        },
+        save: 'حفظ التفضيلات',
+        unsubscribe: 'إلغاء الاشتراك من جميع الرسائل',
+        resubscribe: 'إعادة الاشتراك',
+        saved: 'تم حفظ تفضيلاتك ✅',
+        unsubscribed: 'تم إلغاء اشتراكك. لن تصلك رسائل النشرة بعد الآن.',
+        pending: 'اشتراكك بانتظار التأكيد. يمكنك تفعيله من هنا مباشرة.',
+        invalid: 'رابط الإدارة غير صالح. استخدم الرابط الموجود في آخر رسالة وصلتك منا.',
+        failed: 'حدث خطأ. يرجى المحاولة مرة أخرى.',
+        saving: 'جارٍ الحفظ…'
+      }
+    : {
+        intro: 'Choose what you would like to receive by email:',
+        topics: {
+          updates: 'Updates',
+          events: 'Events',
+          exhibitions: 'Exhibitions',
+          offers: 'Offers'
+        },
+        save: 'Save preferences',
+        unsubscribe: 'Unsubscribe from all emails',
+        resubscribe: 'Subscribe again',
+        saved: 'Your preferences have been saved ✅',
+        unsubscribed: 'You are unsubscribed and will no longer receive our newsletter.',
+        pending: 'Your subscription is waiting for confirmation. You can activate it right here.',
+        invalid: 'This link is not valid. Please use the link from the latest email we sent you.',
+        failed: 'Something went wrong. Please try again.',
+        saving: 'Saving…'
+      };
+
+  const setStatus = (msg, kind) => {
+    let el = root.querySelector('[data-prefs-status]');
+    if (!el) {
+      el = document.createElement('p');
+      el.className = 'prefs-status';
+      el.setAttribute('data-prefs-status', '');
+      root.appendChild(el);
+    }
+    el.textContent = msg || '';
+    el.classList.toggle('is-error', kind === 'error');
+    el.classList.toggle('is-success', kind === 'success');
+  };
+
+  const render = (data) => {
+    root.innerHTML = '';
+
+    const email = document.createElement('p');
+    email.className = 'prefs-email';
+    email.textContent = data.email || '';
+    root.appendChild(email);
+
+    if (data.status === 'unsubscribed') {
+      setStatus(copy.unsubscribed);
+      const again = document.createElement('button');
+      again.type = 'button';
+      again.className = 'prefs-btn';
+      again.textContent = copy.resubscribe;
+      again.addEventListener('click', () => send({ action: 'resubscribe' }, copy.saved));
+      root.appendChild(again);
+      return;
+    }
+
+    const form = document.createElement('form');
+    form.className = 'prefs-form';
+    form.noValidate = true;
+
+    const intro = document.createElement('p');
+    intro.className = 'prefs-intro';
+    intro.textContent = copy.intro;
+    form.appendChild(intro);
+
+    (data.available_topics || Object.keys(copy.topics)).forEach((topic) => {
+      const label = document.createElement('label');
+      label.className = 'prefs-topic';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = topic;
+      input.checked = !!(data.topics && data.topics[topic]);
+      const span = document.createElement('span');
+      span.textContent = copy.topics[topic] || topic;
+      label.appendChild(input);
+      label.appendChild(span);
+      form.appendChild(label);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'prefs-actions';
+
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.className = 'prefs-btn';
+    save.textContent = copy.save;
+
+    const leave = document.createElement('button');
+    leave.type = 'button';
+    leave.className = 'prefs-btn prefs-btn--ghost';
+    leave.textContent = copy.unsubscribe;
+
+    actions.appendChild(save);
+    actions.appendChild(leave);
+    form.appendChild(actions);
+    root.appendChild(form);
+
+    const readTopics = () => {
+      const topics = {};
+      form.querySelectorAll('.prefs-topic input').forEach((input) => {
+        topics[input.name] = input.checked;
+      });
+      return topics;
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      // Saving from a pending subscription also activates it (the token proves the mailbox)
+      send({ action: data.status === 'pending' ? 'resubscribe' : 'update', topics: readTopics() }, copy.saved);
+    });
+    leave.addEventListener('click', () => send({ action: 'unsubscribe' }, ''));
+
+    if (data.status === 'pending') setStatus(copy.pending);
+  };
+
+  const send = async (body, successMsg) => {
+    setStatus(copy.saving);
+    try {
+      const { ok, data } = await postJson(endpoint, { token, ...body });
+      if (!ok) throw new Error((data && data.error) || 'request_failed');
+      render(data);
+      if (successMsg) setStatus(successMsg, 'success');
+    } catch {
+      setStatus(copy.failed, 'error');
+    }
+  };
+
+  const load = async () => {
+    if (!token) {
+      setStatus(copy.invalid, 'error');
+      return;
+    }
+    try {
+      endpoint = (await formTarget('preferences')).endpoint || endpoint;
+      const res = await fetch(`${endpoint}?token=${encodeURIComponent(token)}`, { headers: { Accept: 'application/json' } });
+      let data = null;
+      try { data = await res.json(); } catch { data = null; }
+      if (!data || !data.ok) {
+        setStatus(data && data.error === 'invalid_token' ? copy.invalid : copy.failed, 'error');
+        return;
+      }
+      render(data);
+    } catch {
+      setStatus(copy.failed, 'error');
+    }
+  };
+
+  load();
+});
+
+
+/* -----------------------------------------------------------------------------
+   Booking status lookup (upcoming-exhibitions.html#booking-status)
+   Reference + email -> status through api/booking-status. Hidden unless the
+   runtime config has a booking_status endpoint (the PHP hosts do not).
+----------------------------------------------------------------------------- */
+document.addEventListener('DOMContentLoaded', () => {
+  const root = document.querySelector('[data-booking-status]');
+  if (!root) return;
+
+  const form = root.querySelector('form');
+  const result = root.querySelector('[data-booking-status-result]');
+  if (!form || !result) return;
+
+  const isArabic = (document.documentElement.lang || '').toLowerCase().startsWith('ar');
+  const lang = isArabic ? 'ar' : 'en';
+  const validation = window.LeenEliteValidation || null;
+  const postJson = (window && window.leenelitePostJson) ? window.leenelitePostJson : (async () => ({ ok: false }));
+  const formTarget = (window && window.leeneliteFormTarget) ? window.leeneliteFormTarget : (async () => ({ endpoint: '', mode: 'local' }));
+  const formErrorMessage = (window && window.leeneliteFormErrorMessage) ? window.leeneliteFormErrorMessage : (() => null);
+
+  const copy = isArabic
+    ? {
+        statuses: {
+          received: 'تم الاستلام',
+          under_review: 'قيد المراجعة',
+          allocated: 'تم تخصيص المساحة',
+          declined: 'مرفوض'
+        },
+        status: (reference, label) => `حالة الحجز ${reference}: ${label}`,
+        notFound: 'لم نجد حجزاً بهذا الرقم والبريد الإلكتروني. تأكد من البيانات وحاول مرة أخرى.',
+        failed: 'حدث خطأ. يرجى المحاولة مرة أخرى.',
+        checking: 'جارٍ البحث…'
+      }
+    : {
+        statuses: {
+          received: 'Received',
+          under_review: 'Under review',
+          allocated: 'Space allocated',
+          declined: 'Declined'
+        },
+        status: (reference, label) => `Booking ${reference}: ${label}`,
+        notFound: 'We could not find a booking with this reference and email. Please check and try again.',
+        failed: 'Something went wrong. Please try again.',
+        checking: 'Checking…'
+      };
+
+  const referenceInput = form.querySelector('input[name="reference"]');
+  const emailInput = form.querySelector('input[name="email"]');
+  const submitBtn = form.querySelector('button[type="submit"]');
+
+  const setResult = (msg, kind) => {
+    result.textContent = msg || '';
+    result.hidden = !msg;
+    result.classList.toggle('is-error', kind === 'error');
+    result.classList.toggle('is-success', kind === 'success');
+    result.removeAttribute('data-booking-state');
+  };
+
+  // Links from the confirmation email carry ?ref=LE-…
+  try {
+    const ref = new URLSearchParams(window.location.search).get('ref');
+    if (ref && referenceInput) referenceInput.value = ref;
+  } catch {
+    // ignore
+  }
+
+  let endpoint = '';
+  formTarget('booking_status').then((target) => {
+    if (!target.endpoint || target.mode === 'local') return;
+    endpoint = target.endpoint;
+    root.hidden = false;
+    if (window.location.hash === '#booking-status') {
+      root.scrollIntoView({ block: 'start' });
+      if (referenceInput && referenceInput.value && emailInput) emailInput.focus();
+    }
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    if (!endpoint) return;
+
+    const values = {
+      reference: referenceInput ? referenceInput.value : '',
+      email: emailInput ? emailInput.value : ''
+    };
+
+    if (validation) {
+      const check = validation.validate('booking_status', values, { lang });
+      const first = ['reference', 'email'].find((field) => check.errors[field]);
+      if (first) {
+        setResult(check.errors[first].message, 'error');
+        const input = first === 'reference' ? referenceInput : emailInput;
+        if (input) input.focus();
+        return;
+      }
+      Object.assign(values, check.values);
+    }
+
+    if (submitBtn) submitBtn.disabled = true;
+    setResult(copy.checking);
+    try {
+      const { ok, status, data } = await postJson(endpoint, values);
+      if (!ok) {
+        if (status === 404) {
+          setResult(copy.notFound, 'error');
+          return;
+        }
+        throw new Error((data && data.error) || 'request_failed');
+      }
+      setResult(copy.status(data.reference, copy.statuses[data.status] || data.status), 'success');
+      result.setAttribute('data-booking-state', data.status);
+    } catch (err) {
+      setResult(formErrorMessage(err && err.message, lang) || copy.failed, 'error');
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  });
+});
+
+
+/* -----------------------------------------------------------------------------
+   Exhibitions catalog (upcoming-exhibitions.html)
+   Renders exhibitions.json (api/exhibitions on Vercel) as filterable cards.
+   "Book Your Space Now" opens the reserve modal bound to that exhibition.
+   Without the catalog the static Leen World card stays in place.
+----------------------------------------------------------------------------- */
+document.addEventListener('DOMContentLoaded', () => {
+  const root = document.querySelector('[data-exhibitions]');
+  if (!root) return;
+
+  const list = root.querySelector('[data-exhibitions-list]');
+  const empty = root.querySelector('[data-exhibitions-empty]');
+  const filters = Array.from(root.querySelectorAll('[data-exhibitions-filter]'));
+  const fallback = document.querySelector('[data-exhibitions-fallback]');
+  if (!list) return;
+
+  const isArabic = (document.documentElement.lang || '').toLowerCase().startsWith('ar');
+  const lang = isArabic ? 'ar' : 'en';
+  const formTarget = (window && window.leeneliteFormTarget) ? window.leeneliteFormTarget : (async () => ({ endpoint: '' }));
+  const calendar = window.LeenEliteCalendar || null;
+
+  const copy = isArabic
+    ? {
+        tba: 'الموعد يُعلن قريبًا',
+        venueTba: 'المكان يُعلن قريبًا',
+        view: 'عرض',
+        download: 'تحميل',
+        book: 'احجز مساحتك الآن',
+        closed: 'الحجز مغلق',
+        categories: 'الفئات المتاحة',
+        soldOut: 'مكتملة',
+        addToCalendar: 'أضف إلى التقويم',
+        ics: 'ملف التقويم (.ics)',
+        google: 'تقويم Google',
+        outlook: 'Outlook'
+      }
+    : {
+        tba: 'Dates to be announced',
+        venueTba: 'Venue to be announced',
+        view: 'View',
+        download: 'Download',
+        book: 'Book Your Space Now',
+        closed: 'Booking closed',
+        categories: 'Open categories',
+        soldOut: 'Sold out',
+        addToCalendar: 'Add to calendar',
+        ics: 'Calendar file (.ics)',
+        google: 'Google Calendar',
+        outlook: 'Outlook'
+      };
+
+  // Gregorian calendar in Arabic too (ar-SA defaults to Hijri)
+  const locale = isArabic ? 'ar-u-ca-gregory' : 'en-GB';
+  const dayFormat = new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const monthFormat = new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  const pick = (value) => (value && typeof value === 'object' ? value[lang] || value.en || '' : String(value || ''));
+  const toDate = (day) => new Date(`${day}T00:00:00Z`);
+
+  const formatDates = (exhibition) => {
+    if (!exhibition.start_date) return copy.tba;
+    const start = toDate(exhibition.start_date);
+    const end = toDate(exhibition.end_date || exhibition.start_date);
+    if (typeof dayFormat.formatRange === 'function') return dayFormat.formatRange(start, end);
+    return start.getTime() === end.getTime() ? dayFormat.format(start) : `${dayFormat.format(start)} – ${dayFormat.format(end)}`;
+  };
+
+  // YYYY-MM keys of every month an exhibition runs in
+  const monthsOf = (exhibition) => {
+    if (!exhibition.start_date) return [];
+    const months = [];
+    const end = (exhibition.end_date || exhibition.start_date).slice(0, 7);
+    let [year, month] = exhibition.start_date.slice(0, 7).split('-').map(Number);
+    for (let key = exhibition.start_date.slice(0, 7); key <= end && months.length < 24; ) {
+      months.push(key);
+      month += 1;
+      if (month > 12) { month = 1; year += 1; }
+      key = `${year}-${String(month).padStart(2, '0')}`;
+    }
+    return months;
+  };
+
+  let catalog = { categories: {}, exhibitions: [] };
+
+  const addOptions = (select, options) => {
+    options.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  };
+
+  const fillFilters = () => {
+    const cities = new Map();
+    const months = new Set();
+    const categories = new Set();
+    catalog.exhibitions.forEach((exhibition) => {
+      if (exhibition.city && exhibition.city.id) cities.set(exhibition.city.id, pick(exhibition.city));
+      monthsOf(exhibition).forEach((m) => months.add(m));
+      (exhibition.categories || []).forEach((c) => categories.add(c));
+    });
+
+    filters.forEach((select) => {
+      if (select.name === 'city') addOptions(select, Array.from(cities.entries()));
+      if (select.name === 'month') addOptions(select, Array.from(months).sort().map((m) => [m, monthFormat.format(toDate(`${m}-01`))]));
+      if (select.name === 'category') addOptions(select, Array.from(categories).map((c) => [c, pick(catalog.categories[c]) || c]));
+      // Nothing to choose from: hide the filter
+      const label = select.closest('label');
+      if (label) label.hidden = select.options.length <= 1;
+    });
+  };
+
+  const currentFilter = () => {
+    const filter = {};
+    filters.forEach((select) => { filter[select.name] = select.value; });
+    return filter;
+  };
+
+  const matches = (exhibition, { city = '', month = '', category = '' }) => {
+    if (city && !(exhibition.city && exhibition.city.id === city)) return false;
+    if (month && !monthsOf(exhibition).includes(month)) return false;
+    if (category && !(exhibition.categories || []).includes(category)) return false;
+    return true;
+  };
+
+  const el = (tag, className, text) => {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  };
+
+  const renderCard = (exhibition) => {
+    const name = pick(exhibition.name);
+    const card = el('article', 'placeholder-card exhibition-card');
+
+    if (exhibition.cover) {
+      const visual = el('div', 'ph-visual ph-visual--contain');
+      visual.setAttribute('aria-hidden', 'true');
+      const img = el('img');
+      img.src = exhibition.cover;
+      img.alt = name;
+      img.loading = 'lazy';
+      img.draggable = false;
+      visual.appendChild(img);
+      card.appendChild(visual);
+    }
+
+    card.appendChild(el('h3', 'exhibition-card__name', name));
+
+    const where = [pick(exhibition.venue), pick(exhibition.city)].filter(Boolean).join(isArabic ? '، ' : ', ');
+    const meta = el('p', 'exhibition-card__meta');
+    meta.appendChild(el('span', 'exhibition-card__dates', formatDates(exhibition)));
+    meta.appendChild(el('span', 'exhibition-card__venue', where || copy.venueTba));
+    card.appendChild(meta);
+
+    if (exhibition.summary) card.appendChild(el('p', 'exhibition-card__summary', pick(exhibition.summary)));
+
+    const categories = exhibition.categories || [];
+    if (categories.length) {
+      const chips = el('ul', 'exhibition-card__categories');
+      chips.setAttribute('aria-label', copy.categories);
+      categories.forEach((key) => {
+        const info = catalog.categories[key] || {};
+        const soldOut = (exhibition.sold_out || []).includes(key);
+        const chip = el('li', `exhibition-card__category${soldOut ? ' is-sold-out' : ''}`, pick(info) || key);
+        if (soldOut) chip.appendChild(el('span', 'exhibition-card__sold-out', copy.soldOut));
+        if (info.colour) chip.style.setProperty('--dot', info.colour);
+        chips.appendChild(chip);
+      });
+      card.appendChild(chips);
+    }
+
+    const brochure = exhibition.brochure;
+    if (brochure && brochure.url) {
+      const title = pick(brochure.title) || name;
+      const actions = el('div', 'brochure-actions brochure-actions--compact');
+      const view = el('button', 'brochure-view', copy.view);
+      view.type = 'button';
+      view.setAttribute('data-open-pdf-modal', '');
+      view.setAttribute('data-pdf-src', brochure.url);
+      view.setAttribute('data-pdf-title', title);
+      view.setAttribute('aria-label', `${copy.view} ${title} (PDF)`);
+      const download = el('a', 'brochure-download', copy.download);
+      download.href = brochure.url;
+      download.setAttribute('download', '');
+      actions.appendChild(view);
+      actions.appendChild(download);
+      card.appendChild(actions);
+    }
+
+    const book = el('button', 'reserve-btn', exhibition.booking_open === false ? copy.closed : copy.book);
+    book.type = 'button';
+    if (exhibition.booking_open === false) {
+      book.disabled = true;
+    } else {
+      book.setAttribute('data-open-reserve-modal', '');
+      book.setAttribute('data-exhibition', exhibition.id);
+      book.setAttribute('data-exhibition-name', name);
+      book.setAttribute('data-exhibition-categories', categories.join(','));
+      book.setAttribute('data-exhibition-sold-out', (exhibition.sold_out || []).join(','));
+      if (exhibition.floorplan) book.setAttribute('data-exhibition-floorplan', exhibition.floorplan);
+    }
+    card.appendChild(book);
+
+    return card;
+  };
+
+  // Countdown + add-to-calendar links (js/calendar.js); nothing while the dates are TBA
+  const renderCalendar = (exhibition, card) => {
+    const times = calendar ? calendar.eventTimes(exhibition) : null;
+    if (!times) return;
+
+    const countdown = el('p', 'exhibition-card__countdown');
+    countdown.setAttribute('data-countdown', '');
+    countdown.setAttribute('data-start', times.start.toISOString());
+    countdown.setAttribute('data-end', times.end.toISOString());
+    countdown.hidden = true;
+    card.querySelector('.exhibition-card__meta').after(countdown);
+
+    const opts = { lang, siteUrl: window.location.origin };
+    const links = el('div', 'exhibition-card__calendar');
+    links.setAttribute('role', 'group');
+    links.setAttribute('aria-label', `${copy.addToCalendar}: ${pick(exhibition.name)}`);
+    links.appendChild(el('span', 'exhibition-card__calendar-label', copy.addToCalendar));
+
+    // Built on click, so DTSTAMP is the time of the download
+    const ics = el('a', 'exhibition-card__calendar-link', copy.ics);
+    ics.href = '#';
+    ics.setAttribute('download', calendar.fileName(exhibition));
+    ics.addEventListener('click', () => {
+      const blob = new Blob([calendar.toIcs(exhibition, opts)], { type: 'text/calendar;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      ics.href = url;
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+    });
+    links.appendChild(ics);
+
+    [[copy.google, calendar.googleUrl(exhibition, opts)], [copy.outlook, calendar.outlookUrl(exhibition, opts)]].forEach(([label, href]) => {
+      const link = el('a', 'exhibition-card__calendar-link', label);
+      link.href = href;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      links.appendChild(link);
+    });
+
+    card.querySelector('.reserve-btn').before(links);
+  };
+
+  const render = () => {
+    const filter = currentFilter();
+    const shown = catalog.exhibitions.filter((exhibition) => matches(exhibition, filter));
+    list.innerHTML = '';
+    shown.forEach((exhibition) => {
+      const card = renderCard(exhibition);
+      renderCalendar(exhibition, card);
+      list.appendChild(card);
+    });
+    if (empty) empty.hidden = shown.length > 0;
+    if (window.leeneliteCountdowns) window.leeneliteCountdowns();
+  };
+
+  const load = async () => {
+    const { endpoint } = await formTarget('exhibitions');
+    if (!endpoint) return;
+    try {
+      const res = await fetch(endpoint, { headers: { Accept: 'application/json' } });
+      const data = res.ok ? await res.json() : null;
+      if (!data || !Array.isArray(data.exhibitions)) return;
+
+      // Static exhibitions.json is unfiltered: drop shows that have ended
+      const today = new Date().toISOString().slice(0, 10);
+      catalog = {
+        categories: data.categories || {},
+        exhibitions: data.exhibitions.filter((exhibition) => !exhibition.end_date || exhibition.end_date >= today)
+      };
+
+      fillFilters();
+      render();
+      root.hidden = false;
+      if (fallback) fallback.hidden = true;
+
+      // Waitlist offer link (?offer=…&exhibition=…): open that exhibition's booking form
+      const params = new URLSearchParams(window.location.search);
+      if (params.get('offer') && params.get('exhibition')) {
+        const book = Array.from(list.querySelectorAll('[data-open-reserve-modal]')).find(
+          (btn) => btn.getAttribute('data-exhibition') === params.get('exhibition')
+        );
+        if (book) book.click();
+      }
+    } catch {
+      // keep the static card
+    }
+  };
+
+  filters.forEach((select) => select.addEventListener('change', render));
+  load();
+});
+
+/* -----------------------------------------------------------------------------
+   Exhibition countdown (upcoming-exhibitions.html catalog cards)
+   [data-countdown][data-start][data-end] (ISO times, from js/calendar.js):
+   "Opens in 12 days 5 hours" before the show, "Happening now" while it runs,
+   hidden once it has ended. Arabic labels follow Arabic plural rules.
+----------------------------------------------------------------------------- */
+document.addEventListener('DOMContentLoaded', () => {
+  const calendar = window.LeenEliteCalendar;
+  if (!calendar) return;
+
+  const isArabic = (document.documentElement.lang || '').toLowerCase().startsWith('ar');
+
+  // Arabic: 1 يوم واحد, 2 يومان, 3–10 أيام, 11–99 يومًا, 100+ يوم
+  const AR_UNITS = {
+    days: { one: 'يوم واحد', two: 'يومان', few: 'أيام', many: 'يومًا', other: 'يوم' },
+    hours: { one: 'ساعة واحدة', two: 'ساعتان', few: 'ساعات', many: 'ساعة', other: 'ساعة' }
+  };
+  const EN_UNITS = {
+    days: { one: 'day', other: 'days' },
+    hours: { one: 'hour', other: 'hours' }
+  };
+  const plural = new Intl.PluralRules(isArabic ? 'ar' : 'en');
+
+  const unit = (count, key) => {
+    const forms = (isArabic ? AR_UNITS : EN_UNITS)[key];
+    const form = plural.select(count);
+    // "يوم واحد" / "يومان" carry the number in the word itself
+    if (isArabic && (form === 'one' || form === 'two')) return forms[form];
+    return `${count} ${forms[form] || forms.other}`;
+  };
+
+  const label = ({ state, days, hours }) => {
+    if (state === 'live') return isArabic ? 'يقام الآن' : 'Happening now';
+    const parts = [days && unit(days, 'days'), hours && unit(hours, 'hours')].filter(Boolean);
+    if (!parts.length) return isArabic ? 'يفتح خلال أقل من ساعة' : 'Opens in less than an hour';
+    return isArabic ? `يفتح بعد ${parts.join(' و')}` : `Opens in ${parts.join(' ')}`;
+  };
+
+  const refresh = () => {
+    const now = new Date();
+    document.querySelectorAll('[data-countdown]').forEach((node) => {
+      const status = calendar.countdown({ start: node.getAttribute('data-start'), end: node.getAttribute('data-end') }, now);
+      node.hidden = status.state === 'ended';
+      node.classList.toggle('is-live', status.state === 'live');
+      if (!node.hidden) node.textContent = label(status);
+    });
+  };
+
+  // The catalog renders its cards after this block runs and on every filter change
+  window.leeneliteCountdowns = refresh;
+  refresh();
+  setInterval(refresh, 60 * 1000);
+});
@@ -0,0 +1,37 @@
+<?php
+// Signed, expiring tokens – the PHP side of api/_lib/tokens.js.
+// Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256)
+// Payload keys: p (purpose), exp (unix seconds, optional) + caller data.
+// With the same secret (config/form-config.php "token_secret" = TOKEN_SECRET
+// on Vercel) both sides accept each other's tokens.
+
+function leenelite_b64url(string $bin): string {
+  return rtrim(strtr(base64_encode($bin), '+/', '-_'), '=');
+}
+
+function leenelite_b64url_decode(string $text) {
+  return base64_decode(strtr($text, '-_', '+/'), true);
+}
+
+function leenelite_sign_token(string $secret, string $purpose, array $data = [], int $ttlSeconds = 0): string {
+  $payload = $data;
+  $payload['p'] = $purpose;
+  if ($ttlSeconds > 0) $payload['exp'] = time() + $ttlSeconds;
+  $body = leenelite_b64url(json_encode($payload, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES));
+  return $body . '.' . leenelite_b64url(hash_hmac('sha256', $body, $secret, true));
+}
+
+// Payload array, or null when the token is malformed, forged, expired or for another purpose
+function leenelite_verify_token(string $secret, string $purpose, string $token): ?array {
+  $parts = explode('.', $token);
+  if ($secret === '' || count($parts) !== 2 || $parts[0] === '' || $parts[1] === '') return null;
+  [$body, $sig] = $parts;
+
+  if (!hash_equals(leenelite_b64url(hash_hmac('sha256', $body, $secret, true)), $sig)) return null;
+
+  $json = leenelite_b64url_decode($body);
+  $payload = $json === false ? null : json_decode($json, true);
+  if (!is_array($payload) || ($payload['p'] ?? null) !== $purpose) return null;
+  if (isset($payload['exp']) && $payload['exp'] < time()) return null;
+  return $payload;
+}
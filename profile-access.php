@@ -0,0 +1,100 @@
+<?php
+// Leen Elite – Company Profile access gate (SiteGround / Apache)
+// Same contract as api/profile-access.js:
+//   POST { full_name, company, email, lang, page } -> { ok, token, expires_at }
+//   GET  ?token=…                                  -> { ok, expires_at } | 400 invalid_token
+// profile-file.php serves the pages and the PDF only with the token.
+header('Content-Type: application/json; charset=UTF-8');
+header('Cache-Control: no-store');
+
+require_once __DIR__ . '/lib/tokens.php';
+
+$cfg = @include __DIR__ . '/config/form-config.php';
+if (!is_array($cfg)) $cfg = [];
+
+$secret = (string)($cfg['token_secret'] ?? '');
+$honeypot = $cfg['honeypot_field'] ?? 'website';
+
+// Long enough to read the profile in one sitting
+$ttl = 2 * 60 * 60;
+
+if ($secret === '') {
+  // Without a secret no token could be checked: keep the profile closed
+  http_response_code(500);
+  echo json_encode(['ok' => false, 'error' => 'server_error']);
+  exit;
+}
+
+if ($_SERVER['REQUEST_METHOD'] === 'GET') {
+  $payload = leenelite_verify_token($secret, 'profile_access', (string)($_GET['token'] ?? ''));
+  if (!$payload) {
+    http_response_code(400);
+    echo json_encode(['ok' => false, 'error' => 'invalid_token']);
+    exit;
+  }
+  echo json_encode(['ok' => true, 'expires_at' => gmdate('Y-m-d\TH:i:s.000\Z', (int)$payload['exp'])]);
+  exit;
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+  http_response_code(405);
+  echo json_encode(['ok' => false, 'error' => 'method_not_allowed']);
+  exit;
+}
+
+$raw = file_get_contents('php://input');
+$data = json_decode($raw, true);
+if (!is_array($data)) $data = [];
+
+$get = function ($key) use ($data) {
+  return trim(preg_replace('/\s+/', ' ', (string)($data[$key] ?? '')));
+};
+
+$full_name = $get('full_name');
+$company   = $get('company');
+$email     = strtolower($get('email'));
+$lang      = $get('lang');
+$page      = $get('page');
+
+$missing = [];
+if ($full_name === '') $missing[] = 'full_name';
+if ($company === '') $missing[] = 'company';
+if ($email === '') $missing[] = 'email';
+
+if ($email !== '' && !filter_var($email, FILTER_VALIDATE_EMAIL)) {
+  http_response_code(400);
+  echo json_encode(['ok' => false, 'error' => 'invalid_email']);
+  exit;
+}
+
+if (count($missing)) {
+  http_response_code(400);
+  echo json_encode(['ok' => false, 'error' => 'missing_fields', 'fields' => $missing]);
+  exit;
+}
+
+$token = leenelite_sign_token($secret, 'profile_access', ['e' => $email], $ttl);
+$response = ['ok' => true, 'token' => $token, 'expires_at' => gmdate('Y-m-d\TH:i:s.000\Z', time() + $ttl)];
+
+// Bots get a token too, so the check is not given away, just no lead record
+if (!empty($data[$honeypot])) {
+  echo json_encode($response);
+  exit;
+}
+
+// Best-effort CSV log, like the newsletter leads (storage/ is blocked by .htaccess)
+try {
+  $dir = __DIR__ . '/storage';
+  if (!is_dir($dir)) {
+    @mkdir($dir, 0755, true);
+  }
+  $fp = @fopen($dir . '/profile_access_leads.csv', 'a');
+  if ($fp) {
+    @fputcsv($fp, [date('c'), $full_name, $company, $email, $lang, $page, $_SERVER['REMOTE_ADDR'] ?? '']);
+    @fclose($fp);
+  }
+} catch (Exception $e) {
+  // ignore logging errors
+}
+
+echo json_encode($response);
@@ -0,0 +1,56 @@
+<?php
+// Leen Elite – Company Profile files behind the access gate (SiteGround / Apache)
+// Same contract as api/profile-file.js:
+//   GET ?profile=en&file=page-001.webp&token=…
+//   file: manifest.json | page-NNN.webp (or @2x, png, jpg) | company-profile.pdf
+//   -> the file (no-store, noindex); 400 invalid_token; 404 not_found
+// The files stay in api/_lib/profile/<profile>/, which .htaccess blocks.
+
+require_once __DIR__ . '/lib/tokens.php';
+
+header('Cache-Control: private, no-store');
+header('X-Robots-Tag: noindex, noarchive, nosnippet');
+
+$fail = function (int $code, string $error) {
+  http_response_code($code);
+  header('Content-Type: application/json; charset=UTF-8');
+  echo json_encode(['ok' => false, 'error' => $error]);
+  exit;
+};
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') $fail(405, 'method_not_allowed');
+
+$cfg = @include __DIR__ . '/config/form-config.php';
+if (!is_array($cfg)) $cfg = [];
+
+$token = (string)($_GET['token'] ?? '');
+if (!leenelite_verify_token((string)($cfg['token_secret'] ?? ''), 'profile_access', $token)) {
+  $fail(400, 'invalid_token');
+}
+
+$profile = (string)($_GET['profile'] ?? '');
+$file    = (string)($_GET['file'] ?? '');
+if (!preg_match('/^(en|ar)$/', $profile) || !preg_match('/^(manifest\.json|company-profile\.pdf|page-\d{1,4}(@2x)?\.(webp|png|jpe?g))$/', $file)) {
+  $fail(404, 'not_found');
+}
+
+$path = __DIR__ . '/api/_lib/profile/' . $profile . '/' . $file;
+if (!is_file($path)) $fail(404, 'not_found');
+
+$types = [
+  'json' => 'application/json; charset=utf-8',
+  'pdf'  => 'application/pdf',
+  'webp' => 'image/webp',
+  'png'  => 'image/png',
+  'jpg'  => 'image/jpeg',
+  'jpeg' => 'image/jpeg',
+];
+$ext = strtolower(pathinfo($file, PATHINFO_EXTENSION));
+
+header('Content-Type: ' . $types[$ext]);
+header('X-Content-Type-Options: nosniff');
+header('Content-Length: ' . filesize($path));
+if ($ext === 'pdf') {
+  header('Content-Disposition: attachment; filename="LeenElite-Company-Profile-' . strtoupper($profile) . '.pdf"');
+}
+readfile($path);
@@ -58,6 +58,16 @@ $size      = $get('size');
 $type      = $get('type');
 $category  = $get('category');
 $notes     = $get('notes');
+// Exhibition id from exhibitions.json (set by the catalog card that opened the form)
+$exhibition = $get('exhibition');
+// Booth ids from the floor plan ("L3,L4"); availability is only enforced by api/reserve
+$booths = $get('booths');
+// Price estimate computed in the browser ({ total, subtotal, vat, currency }); not rechecked here
+$quote = is_array($data['quote'] ?? null) ? $data['quote'] : [];
+$quote_total = is_numeric($quote['total'] ?? null) ? number_format((float)$quote['total'], 2, '.', ',') : '';
+$quote_currency = preg_match('/^[A-Z]{3}$/', (string)($quote['currency'] ?? '')) ? $quote['currency'] : 'SAR';
+// Promo code as typed; only api/reserve checks codes (PROMO_CODES)
+$promo_code = strtoupper(preg_replace('/\s+/', '', $get('promo_code')));
 $lang      = $get('lang');
 $page      = $get('page');
 
@@ -76,6 +86,7 @@ $cr_digits  = preg_replace('/\D/', '', $normalizeDigits($cr));
 $vat_digits = preg_replace('/\D/', '', $normalizeDigits($vat));
 
 // --- Validation ------------------------------------------------------------
+// Keep in sync with the "reserve" schema in js/form-validation.js (browser + api/)
 $missing = [];
 if ($full_name === '') $missing[] = 'full_name';
 if ($company === '') $missing[] = 'company';
@@ -157,6 +168,10 @@ $smtpEnabled = (bool)($smtp['enabled'] ?? false);
 $subject = 'Leen Elite – New Space Booking Request';
 
 $body = "New space booking request:\n\n"
+      . ($exhibition !== '' ? "Exhibition: {$exhibition}\n" : '')
+      . ($booths !== '' ? "Booths: {$booths}\n" : '')
+      . ($promo_code !== '' ? "Promo Code (not verified): {$promo_code}\n" : '')
+      . ($quote_total !== '' ? "Estimate (form, not verified): {$quote_total} {$quote_currency}\n" : '')
       . "Full Name: {$full_name}\n"
       . "Company: {$company}\n"
       . "Email: {$email}\n"
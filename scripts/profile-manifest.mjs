@@ -0,0 +1,102 @@
+// Leen Elite – manifest.json for the Company Profile page images
+//
+//   node scripts/profile-manifest.mjs           write api/_lib/profile/<folder>/manifest.json
+//   node scripts/profile-manifest.mjs --check   fail when a manifest is missing or out of date (no writes)
+//
+// One manifest per profile folder (api/_lib/profile/en/, api/_lib/profile/ar/):
+//   { "version": 1, "pages": [{ "src": "page-001.webp", "width": 4375, "height": 2500, "sha256": "…" }] }
+// An optional sharper copy next to a page (page-001@2x.webp) is listed as its
+// "hires" entry (same fields); the viewer loads it when zoomed in past the
+// standard image's resolution.
+// js/profile-viewer.js lays out every page from it before the images load and
+// checks each image against its hash. Run it after replacing the page images;
+// the Vercel build runs it too (vercel.json).
+
+import crypto from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const PF_DIR = fileURLToPath(new URL('../api/_lib/profile/', import.meta.url));
+const PAGE_RE = /^page-(\d+)\.(webp|png|jpe?g)$/i;
+const HIRES_RE = /^page-(\d+)@2x\.(webp|png|jpe?g)$/i;
+
+// Pixel size from the file header (WebP, PNG, JPEG)
+const imageSize = (buf) => {
+  if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buf.toString('ascii', 12, 16);
+    if (chunk === 'VP8X') return { width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+    if (chunk === 'VP8 ') return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      const bits = buf.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+  }
+  if (buf.readUInt32BE(0) === 0x89504e47) return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buf.length && buf[offset] === 0xff) {
+      const marker = buf[offset + 1];
+      // SOF0…SOF15 without DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buf.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+};
+
+const describe = async (dir, name) => {
+  const buf = await fs.readFile(`${dir}${name}`);
+  const size = imageSize(buf);
+  if (!size) throw new Error(`${dir}${name}: unknown image format`);
+  return { src: name, ...size, sha256: crypto.createHash('sha256').update(buf).digest('hex') };
+};
+
+const buildManifest = async (dir) => {
+  const names = await fs.readdir(dir);
+  const files = names
+    .filter((name) => PAGE_RE.test(name))
+    .sort((a, b) => Number(a.match(PAGE_RE)[1]) - Number(b.match(PAGE_RE)[1]));
+  const pages = [];
+  for (const name of files) {
+    const page = await describe(dir, name);
+    const number = Number(name.match(PAGE_RE)[1]);
+    const hires = names.find((other) => HIRES_RE.test(other) && Number(other.match(HIRES_RE)[1]) === number);
+    if (hires) page.hires = await describe(dir, hires);
+    pages.push(page);
+  }
+  return `${JSON.stringify({ version: 1, pages }, null, 2)}\n`;
+};
+
+const main = async () => {
+  const check = process.argv.includes('--check');
+  const folders = (await fs.readdir(PF_DIR, { withFileTypes: true })).filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+
+  const stale = [];
+  for (const folder of folders) {
+    const dir = `${PF_DIR}${folder}/`;
+    const file = `${dir}manifest.json`;
+    const next = await buildManifest(dir);
+    const current = await fs.readFile(file, 'utf8').catch(() => '');
+    const count = JSON.parse(next).pages.length;
+    if (current === next) {
+      console.log(`api/_lib/profile/${folder}: ${count} page(s), up to date`);
+    } else if (check) {
+      stale.push(`api/_lib/profile/${folder}/manifest.json`);
+    } else {
+      await fs.writeFile(file, next);
+      console.log(`api/_lib/profile/${folder}: ${count} page(s) written`);
+    }
+  }
+
+  if (stale.length) {
+    console.error(`Out of date: ${stale.join(', ')}. Run node scripts/profile-manifest.mjs and commit the manifests.`);
+    process.exit(1);
+  }
+};
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,228 @@
+// Leen Elite – schema.org ExhibitionEvent markup for the exhibitions catalog
+//
+//   node scripts/structured-data.mjs           validate + write the markup into the pages
+//   node scripts/structured-data.mjs --check   validate + fail when a page is out of date (no writes)
+//   --catalog <file>                           read another catalog (tests); default exhibitions.json
+//
+// Reads exhibitions.json and writes one JSON-LD block per language between the
+// "exhibition-events" markers of en/ and ar/upcoming-exhibitions.html (next to
+// the hand-written Organization block). Every event is validated before
+// anything is written; a missing required property stops the build with exit
+// code 1 and a list of what is missing. Only exhibitions marked
+// "status": "tba" get no event (Google needs a start date) and are reported;
+// any other exhibition without dates fails the validation.
+//
+// Runs as the Vercel build command (vercel.json); run it by hand before
+// uploading to Apache after every change to exhibitions.json.
+
+import { promises as fs } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import calendar from '../js/calendar.js';
+import quote from '../js/quote.js';
+
+const ROOT = fileURLToPath(new URL('../', import.meta.url));
+const CATALOG_FILE = `${ROOT}exhibitions.json`;
+
+// Canonical host of the pages (their <link rel="canonical">), not the deployment's
+const SITE_URL = 'https://www.leenelite.com';
+const LANGS = ['en', 'ar'];
+const PAGE = 'upcoming-exhibitions.html';
+const DEFAULT_COUNTRY = 'SA';
+
+const START_MARKER = '<!-- exhibition-events:start (generated by scripts/structured-data.mjs from exhibitions.json, do not edit) -->';
+const END_MARKER = '<!-- exhibition-events:end -->';
+
+const ORGANIZER = { '@type': 'Organization', name: 'Leen Elite', url: SITE_URL };
+
+const pick = (value, lang) => (value && typeof value === 'object' ? value[lang] || value.en || '' : String(value || ''));
+
+const absolute = (path) => (!path || /^https?:\/\//.test(path) ? path || '' : `${SITE_URL}${path.startsWith('/') ? '' : '/'}${path}`);
+
+const pageUrl = (lang) => `${SITE_URL}/${lang}/${PAGE}`;
+
+// Dates only for all-day shows; opening / closing time in Riyadh with "hours"
+const eventDates = (exhibition) => {
+  const times = calendar.eventTimes(exhibition);
+  if (!times) return null;
+  if (times.allDay) return { startDate: exhibition.start_date, endDate: exhibition.end_date || exhibition.start_date };
+  return { startDate: `${times.startLocal}+03:00`, endDate: `${times.endLocal}+03:00` };
+};
+
+// One offer per booth package: the smallest space-only booth of the category, before VAT
+const offers = (exhibition, categories, lang) => {
+  const pricing = exhibition.pricing;
+  if (!pricing || !pricing.categories) return [];
+  return (exhibition.categories || [])
+    .map((key) => {
+      const rates = pricing.categories[key];
+      const minSize = rates ? Number(rates.min_size) || 1 : 0;
+      const estimate = rates ? quote.compute(pricing, { category: key, type: 'space_only', size: minSize, ksa: false }) : null;
+      if (!estimate) return null;
+      return {
+        '@type': 'Offer',
+        name: pick(categories[key], lang) || key,
+        price: estimate.subtotal,
+        priceCurrency: estimate.currency,
+        eligibleQuantity: { '@type': 'QuantitativeValue', minValue: estimate.billable_size, unitCode: 'MTK' },
+        availability:
+          exhibition.booking_open === false || (exhibition.sold_out || []).includes(key) ? 'https://schema.org/SoldOut' : 'https://schema.org/InStock',
+        url: pageUrl(lang)
+      };
+    })
+    .filter(Boolean);
+};
+
+export const isTba = (exhibition) => exhibition.status === 'tba';
+
+/**
+ * ExhibitionEvent for one exhibition in one language, or null for "status": "tba".
+ * Missing catalog values (dates included) come out empty; validateEvent() reports them.
+ */
+export const exhibitionEvent = (exhibition, categories, lang) => {
+  if (isTba(exhibition)) return null;
+  const dates = eventDates(exhibition) || { startDate: '', endDate: '' };
+  const city = exhibition.city || {};
+  const event = {
+    '@type': 'ExhibitionEvent',
+    '@id': `${pageUrl(lang)}#${exhibition.id}`,
+    name: pick(exhibition.name, lang),
+    description: pick(exhibition.summary, lang),
+    ...dates,
+    eventStatus: 'https://schema.org/EventScheduled',
+    eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+    location: {
+      '@type': 'Place',
+      name: pick(exhibition.venue, lang),
+      address: {
+        '@type': 'PostalAddress',
+        addressLocality: pick(city, lang),
+        addressCountry: city.country || DEFAULT_COUNTRY
+      }
+    },
+    image: exhibition.cover ? [absolute(exhibition.cover)] : [],
+    url: pageUrl(lang),
+    inLanguage: lang,
+    organizer: ORGANIZER
+  };
+  const list = offers(exhibition, categories, lang);
+  if (list.length) event.offers = list;
+  return event;
+};
+
+// --- Validation ----------------------------------------------------------------
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?([+-]\d{2}:\d{2}|Z))?$/;
+
+const REQUIRED = [
+  'name',
+  'startDate',
+  'endDate',
+  'eventStatus',
+  'eventAttendanceMode',
+  'location.name',
+  'location.address.addressLocality',
+  'location.address.addressCountry',
+  'image',
+  'url',
+  'inLanguage',
+  'organizer.name',
+  'organizer.url'
+];
+
+const OFFER_REQUIRED = ['name', 'price', 'priceCurrency', 'availability', 'url'];
+
+const valueAt = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const isMissing = (value) => value == null || value === '' || (Array.isArray(value) && !value.length);
+
+/**
+ * @param {object} event  from exhibitionEvent()
+ * @returns {string[]}    problems, e.g. 'location.name is missing'; empty when the event is complete
+ */
+export const validateEvent = (event) => {
+  const problems = REQUIRED.filter((path) => isMissing(valueAt(event, path))).map((path) => `${path} is missing`);
+  ['startDate', 'endDate'].forEach((key) => {
+    if (!isMissing(event[key]) && !DATE_RE.test(event[key])) problems.push(`${key} "${event[key]}" is not an ISO 8601 date`);
+  });
+  if (DATE_RE.test(event.startDate || '') && DATE_RE.test(event.endDate || '') && Date.parse(event.endDate) < Date.parse(event.startDate)) {
+    problems.push('endDate is before startDate');
+  }
+  (event.offers || []).forEach((offer, index) => {
+    OFFER_REQUIRED.filter((key) => isMissing(offer[key])).forEach((key) => problems.push(`offers[${index}].${key} is missing`));
+    if (!isMissing(offer.price) && !(Number(offer.price) >= 0)) problems.push(`offers[${index}].price "${offer.price}" is not a number`);
+  });
+  return problems;
+};
+
+// --- Pages -----------------------------------------------------------------------
+
+const markupBlock = (events) => {
+  if (!events.length) return `${START_MARKER}\n${END_MARKER}`;
+  // "<" escaped so catalog text can never close the <script> element
+  const json = JSON.stringify({ '@context': 'https://schema.org', '@graph': events }, null, 2).replace(/</g, '\\u003c');
+  return `${START_MARKER}\n<script type="application/ld+json">\n${json}\n</script>\n${END_MARKER}`;
+};
+
+const replaceBlock = (html, block, file) => {
+  const start = html.indexOf(START_MARKER);
+  const end = html.indexOf(END_MARKER);
+  if (start === -1 || end < start) throw new Error(`${file}: exhibition-events markers not found`);
+  return html.slice(0, start) + block + html.slice(end + END_MARKER.length);
+};
+
+const main = async () => {
+  const check = process.argv.includes('--check');
+  const catalogIndex = process.argv.indexOf('--catalog');
+  const catalogFile = catalogIndex === -1 ? CATALOG_FILE : process.argv[catalogIndex + 1];
+  const catalog = JSON.parse(await fs.readFile(catalogFile, 'utf8'));
+  const categories = catalog.categories || {};
+  const exhibitions = Array.isArray(catalog.exhibitions) ? catalog.exhibitions : [];
+
+  const errors = [];
+  const pages = LANGS.map((lang) => {
+    const events = [];
+    exhibitions.forEach((exhibition) => {
+      const event = exhibitionEvent(exhibition, categories, lang);
+      if (!event) return;
+      validateEvent(event).forEach((problem) => errors.push(`${exhibition.id} (${lang}): ${problem}`));
+      events.push(event);
+    });
+    return { lang, events };
+  });
+
+  exhibitions.filter(isTba).forEach((exhibition) => console.log(`${exhibition.id}: status "tba", no event markup`));
+
+  if (errors.length) {
+    console.error(`ExhibitionEvent markup is incomplete (${errors.length} problem${errors.length === 1 ? '' : 's'}):`);
+    errors.forEach((error) => console.error(`  - ${error}`));
+    console.error('Fill in the missing values in exhibitions.json (or mark an unannounced show "status": "tba").');
+    process.exit(1);
+  }
+
+  const stale = [];
+  for (const { lang, events } of pages) {
+    const file = `${ROOT}${lang}/${PAGE}`;
+    const html = await fs.readFile(file, 'utf8');
+    const next = replaceBlock(html, markupBlock(events), `${lang}/${PAGE}`);
+    if (next === html) {
+      console.log(`${lang}/${PAGE}: ${events.length} event(s), up to date`);
+    } else if (check) {
+      stale.push(`${lang}/${PAGE}`);
+    } else {
+      await fs.writeFile(file, next);
+      console.log(`${lang}/${PAGE}: ${events.length} event(s) written`);
+    }
+  }
+
+  if (stale.length) {
+    console.error(`Out of date: ${stale.join(', ')}. Run node scripts/structured-data.mjs and commit the pages.`);
+    process.exit(1);
+  }
+};
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,94 @@
+// Booking status changes through api/admin/bookings.
+//
+//   node --test test/*.test.mjs
+
+import assert from 'node:assert/strict';
+import { before, test } from 'node:test';
+import handler from '../api/admin/bookings.js';
+import { createBooking, findBooking } from '../api/_lib/bookings.js';
+import { floorplanView } from '../api/_lib/floorplans.js';
+import { createMemoryStorage, setStorage } from '../api/_lib/storage.js';
+import { call } from './helpers.mjs';
+
+const auth = { authorization: 'Bearer test-admin-token' };
+
+let reference;
+
+before(async () => {
+  process.env.ADMIN_API_TOKEN = 'test-admin-token';
+  setStorage(createMemoryStorage());
+  const created = await createBooking({ full_name: 'Sara', company: 'ACME', email: 'sara@example.com', category: 'sponsors' });
+  reference = created.booking.reference;
+});
+
+test('refuses requests without the admin token', async () => {
+  const res = await call(handler, { body: { reference, status: 'allocated' } });
+  assert.equal(res.status, 401);
+});
+
+test('validates the status value', async () => {
+  const res = await call(handler, { body: { reference, status: 'approved' }, headers: auth });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'invalid_status');
+  assert.equal((await findBooking(reference, 'sara@example.com')).status, 'received');
+});
+
+test('unknown references answer not_found', async () => {
+  const res = await call(handler, { body: { reference: 'LE-2000-000001', status: 'declined' }, headers: auth });
+  assert.equal(res.status, 404);
+});
+
+test('changes the status the lookup shows and keeps the history', async () => {
+  const res = await call(handler, { body: { reference, status: 'under_review' }, headers: auth });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.booking.status, 'under_review');
+
+  const booking = await findBooking(reference, 'sara@example.com');
+  assert.equal(booking.status, 'under_review');
+  assert.deepEqual(booking.history.map((entry) => entry.status), ['received', 'under_review']);
+
+  const list = await call(handler, { method: 'GET', query: { status: 'under_review' }, headers: auth });
+  assert.deepEqual(list.body.bookings.map((entry) => entry.reference), [reference]);
+});
+
+test('declining frees the booths; re-opening fails once another booking holds them', async () => {
+  const exhibition = 'leen-world-2026';
+  const values = (email) => ({ full_name: 'Omar', company: 'ACME', email, category: 'sponsors', exhibition, booths: 'S1' });
+  const first = (await createBooking(values('omar@example.com'))).booking;
+  assert.equal((await floorplanView(exhibition)).booths.find((booth) => booth.id === 'S1').status, 'pending');
+
+  const declined = await call(handler, { body: { reference: first.reference, status: 'declined' }, headers: auth });
+  assert.equal(declined.status, 200);
+  assert.equal((await floorplanView(exhibition)).booths.find((booth) => booth.id === 'S1').status, 'available');
+
+  const second = await createBooking(values('lina@example.com'));
+  assert.equal(second.ok, true);
+  const allocated = await call(handler, { body: { reference: second.booking.reference, status: 'allocated' }, headers: auth });
+  assert.equal(allocated.status, 200);
+  assert.equal((await floorplanView(exhibition)).booths.find((booth) => booth.id === 'S1').status, 'booked');
+
+  const reopened = await call(handler, { body: { reference: first.reference, status: 'under_review' }, headers: auth });
+  assert.equal(reopened.status, 409);
+  assert.equal(reopened.body.error, 'booth_taken');
+  assert.deepEqual(reopened.body.booths, ['S1']);
+  assert.equal((await findBooking(first.reference, 'omar@example.com')).status, 'declined');
+});
+
+test('declining gives the promo code use back; re-opening needs a free use', async () => {
+  process.env.PROMO_CODES = JSON.stringify([{ code: 'ONCE', type: 'percent', value: 10, max_uses: 1 }]);
+  const values = (email) => ({ full_name: 'Huda', company: 'ACME', email, category: 'sponsors' });
+  const promo = { code: 'ONCE', type: 'percent', value: 10 };
+
+  const first = await createBooking(values('huda@example.com'), { promo });
+  assert.equal(first.ok, true);
+  assert.equal((await createBooking(values('nora@example.com'), { promo })).error, 'promo_exhausted');
+
+  await call(handler, { body: { reference: first.booking.reference, status: 'declined' }, headers: auth });
+  const second = await createBooking(values('nora@example.com'), { promo });
+  assert.equal(second.ok, true);
+
+  const reopened = await call(handler, { body: { reference: first.booking.reference, status: 'received' }, headers: auth });
+  assert.equal(reopened.status, 409);
+  assert.equal(reopened.body.error, 'promo_exhausted');
+  assert.equal((await findBooking(first.booking.reference, 'huda@example.com')).status, 'declined');
+});
@@ -0,0 +1,44 @@
+// Bot score: render tokens are required and only count for their form and IP.
+//
+//   node --test test/*.test.mjs
+
+import assert from 'node:assert/strict';
+import { before, test } from 'node:test';
+import { botScore, issueFormToken } from '../api/_lib/bot-score.js';
+import { getFormConfig } from '../api/_lib/form-config.js';
+import { signToken } from '../api/_lib/tokens.js';
+
+const IP = '203.0.113.20';
+const cfg = () => ({ ...getFormConfig(), min_fill_seconds: 0 });
+
+before(() => {
+  process.env.TOKEN_SECRET = 'test-token-secret';
+  delete process.env.FORM_TOKEN_OPTIONAL;
+});
+
+test('a token issued for the form and IP passes', () => {
+  const result = botScore({ form_token: issueFormToken('contact', IP) }, cfg(), { form: 'contact', ip: IP });
+  assert.deepEqual(result.reasons, []);
+  assert.equal(result.isBot, false);
+});
+
+test('a missing token marks a bot unless the deployment opts out', () => {
+  assert.equal(botScore({}, cfg(), { form: 'contact', ip: IP }).isBot, true);
+
+  const optional = botScore({}, { ...cfg(), form_token_optional: true }, { form: 'contact', ip: IP });
+  assert.deepEqual(optional.reasons, ['no_form_token']);
+  assert.equal(optional.isBot, false);
+});
+
+test('a token replayed for another form or from another IP marks a bot', () => {
+  const token = issueFormToken('contact', IP);
+  assert.deepEqual(botScore({ form_token: token }, cfg(), { form: 'reserve', ip: IP }).reasons, ['invalid_form_token']);
+  assert.equal(botScore({ form_token: token }, cfg(), { form: 'contact', ip: '198.51.100.7' }).isBot, true);
+  assert.equal(botScore({ form_token: signToken('form_render', { t: Date.now() }) }, cfg(), { form: 'contact', ip: IP }).isBot, true);
+});
+
+test('a fresh token submitted too fast marks a bot', () => {
+  const result = botScore({ form_token: issueFormToken('subscribe', IP) }, { ...cfg(), min_fill_seconds: 60 }, { form: 'subscribe', ip: IP });
+  assert.deepEqual(result.reasons, ['too_fast']);
+  assert.equal(result.isBot, true);
+});
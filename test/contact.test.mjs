@@ -0,0 +1,30 @@
+// Contact form: same error precedence and response shape as contact.php.
+//
+//   node --test test/*.test.mjs
+
+import assert from 'node:assert/strict';
+import { before, test } from 'node:test';
+import handler from '../api/contact.js';
+import { issueFormToken } from '../api/_lib/bot-score.js';
+import { createMemoryStorage, setStorage } from '../api/_lib/storage.js';
+import { call } from './helpers.mjs';
+
+const IP = '203.0.113.30';
+const post = (body) => call(handler, { body: { ...body, form_token: issueFormToken('contact', IP) }, ip: IP });
+
+before(() => {
+  process.env.FORM_MIN_FILL_SECONDS = '0';
+  setStorage(createMemoryStorage());
+});
+
+test('missing fields win over an invalid email, without a field list', async () => {
+  const res = await post({ name: 'Rana', email: 'not-an-email', phone: '', message: 'Hello' });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body, { ok: false, error: 'missing_fields' });
+});
+
+test('a complete form with a bad email answers invalid_email', async () => {
+  const res = await post({ name: 'Rana', email: 'not-an-email', phone: '0500000000', message: 'Hello' });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body, { ok: false, error: 'invalid_email' });
+});
@@ -0,0 +1,34 @@
+// Shared schemas answer like the PHP handlers.
+//
+//   node --test test/*.test.mjs
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import validation from '../js/form-validation.js';
+
+const reserve = {
+  full_name: 'Sara',
+  company: 'ACME',
+  email: 'sara@example.com',
+  phone: '+971 50 123 4567',
+  phone_country: '+971',
+  phone_local: '501234567',
+  city: 'Dubai',
+  size: '18',
+  type: 'space_only',
+  category: 'sponsors',
+  privacy_consent: true
+};
+
+test('reserve: size must be greater than 0, empty included (reserve.php)', () => {
+  for (const size of ['', '0', '-3', 'abc']) {
+    const result = validation.validate('reserve', { ...reserve, size });
+    assert.equal(result.error, 'invalid_size', `size "${size}"`);
+  }
+  assert.equal(validation.validate('reserve', { ...reserve, size: '12,5' }).ok, true);
+});
+
+test('reserve: an empty size wins over other missing fields, as in reserve.php', () => {
+  const result = validation.validate('reserve', { ...reserve, size: '', city: '' });
+  assert.equal(result.error, 'invalid_size');
+});
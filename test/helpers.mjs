@@ -0,0 +1,32 @@
+// Calls a Vercel-style handler with a minimal req / res pair.
+//
+//   const res = await call(handler, { method: 'POST', body: {…}, query: {…}, ip: '203.0.113.1' });
+//   res.status, res.body, res.headers['cache-control']
+
+export const call = async (handler, { method = 'POST', body = {}, query = {}, headers = {}, ip = '203.0.113.1' } = {}) => {
+  const out = { status: 200, body: null, headers: {} };
+  const res = {
+    status(code) {
+      out.status = code;
+      return this;
+    },
+    json(data) {
+      out.body = data;
+      return this;
+    },
+    send(data) {
+      out.body = data;
+      return this;
+    },
+    end(data) {
+      if (data !== undefined) out.body = data;
+      return this;
+    },
+    setHeader(name, value) {
+      out.headers[String(name).toLowerCase()] = value;
+      return this;
+    }
+  };
+  await handler({ method, body, query, headers, socket: { remoteAddress: ip } }, res);
+  return out;
+};
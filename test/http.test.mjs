@@ -0,0 +1,30 @@
+// Request helpers (api/_lib/http.js).
+//
+//   node --test test/*.test.mjs
+
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+import { clientIp } from '../api/_lib/http.js';
+
+const request = (headers, remoteAddress = '10.0.0.1') => ({ headers, socket: { remoteAddress } });
+
+afterEach(() => {
+  delete process.env.VERCEL;
+});
+
+test('uses the hop the proxy appended, not the client-supplied X-Forwarded-For values', () => {
+  assert.equal(clientIp(request({ 'x-forwarded-for': '1.1.1.1, 2.2.2.2, 198.51.100.7' })), '198.51.100.7');
+  assert.equal(clientIp(request({ 'x-forwarded-for': '198.51.100.7' })), '198.51.100.7');
+});
+
+test('falls back to the socket address', () => {
+  assert.equal(clientIp(request({})), '10.0.0.1');
+});
+
+test('on Vercel trusts the edge headers only', () => {
+  const spoofed = { 'x-forwarded-for': '1.1.1.1, 198.51.100.7', 'x-real-ip': '198.51.100.8', 'x-vercel-forwarded-for': '198.51.100.9' };
+  assert.equal(clientIp(request(spoofed)), '198.51.100.7');
+  process.env.VERCEL = '1';
+  assert.equal(clientIp(request(spoofed)), '198.51.100.9');
+  assert.equal(clientIp(request({ 'x-real-ip': '198.51.100.8' })), '198.51.100.8');
+});
@@ -0,0 +1,49 @@
+// Company Profile files only with the access token.
+//
+//   node --test test/*.test.mjs
+
+import assert from 'node:assert/strict';
+import { before, test } from 'node:test';
+import handler from '../api/profile-file.js';
+import { signToken } from '../api/_lib/tokens.js';
+import { call } from './helpers.mjs';
+
+let token;
+
+before(() => {
+  process.env.TOKEN_SECRET = 'test-token-secret';
+  token = signToken('profile_access', { e: 'visitor@example.com' }, 60);
+});
+
+test('no file without a valid token', async () => {
+  for (const query of [{}, { token: 'forged' }, { token: signToken('booking_pdf', { r: 'x' }, 60) }]) {
+    const res = await call(handler, { method: 'GET', query: { profile: 'en', file: 'page-001.webp', ...query } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'invalid_token');
+  }
+});
+
+test('serves the pages and the manifest with the token', async () => {
+  const manifest = await call(handler, { method: 'GET', query: { profile: 'ar', file: 'manifest.json', token } });
+  assert.equal(manifest.status, 200);
+  assert.ok(JSON.parse(manifest.body.toString('utf8')).pages.length > 0);
+
+  const page = await call(handler, { method: 'GET', query: { profile: 'en', file: 'page-001.webp', token } });
+  assert.equal(page.status, 200);
+  assert.equal(page.headers['content-type'], 'image/webp');
+  assert.equal(page.headers['cache-control'], 'private, no-store');
+});
+
+test('sends the PDF as a download', async () => {
+  const res = await call(handler, { method: 'GET', query: { profile: 'en', file: 'company-profile.pdf', token } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.subarray(0, 5).toString('ascii'), '%PDF-');
+  assert.equal(res.headers['content-disposition'], 'attachment; filename="LeenElite-Company-Profile-EN.pdf"');
+});
+
+test('only profile files can be named', async () => {
+  for (const query of [{ profile: '..', file: 'tokens.js' }, { profile: 'en', file: '../../tokens.js' }, { profile: 'en', file: 'page-999.webp' }]) {
+    const res = await call(handler, { method: 'GET', query: { ...query, token } });
+    assert.equal(res.status, 404);
+  }
+});
@@ -0,0 +1,23 @@
+// Price estimate sizes as typed in the reserve form.
+//
+//   node --test test/*.test.mjs
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import quote from '../js/quote.js';
+import validation from '../js/form-validation.js';
+
+const pricing = { currency: 'SAR', categories: { sponsors: { rate: 1000, min_size: 0 } } };
+
+test('a decimal comma prices the same as a decimal point', () => {
+  const comma = quote.compute(pricing, { category: 'sponsors', size: '12,5' });
+  assert.equal(comma.size, 12.5);
+  assert.equal(comma.space, 12500);
+  assert.deepEqual(comma, quote.compute(pricing, { category: 'sponsors', size: '12.5' }));
+});
+
+test('the reserve schema stores the size with a decimal point', () => {
+  const result = validation.validate('reserve', { size: '١٢,٥' });
+  assert.equal(result.values.size, '12.5');
+  assert.ok(!result.errors.size);
+});
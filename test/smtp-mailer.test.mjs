@@ -0,0 +1,74 @@
+// SMTP mailer against the in-process sink (api/_lib/smtp-sink.js).
+//
+//   node --test test/*.test.mjs
+
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { after, before, test } from 'node:test';
+import { startSmtpSink } from '../api/_lib/smtp-sink.js';
+import { sendSmtp } from '../api/_lib/smtp-mailer.js';
+
+let sink;
+let smtp;
+
+before(async () => {
+  sink = await startSmtpSink({ rejectRecipients: ['blocked@example.com'] });
+  smtp = { host: sink.host, port: sink.port, encryption: '', timeout: 5, helo: 'test.local' };
+});
+
+after(() => sink.close());
+
+const message = {
+  fromEmail: 'info@leenelite.com',
+  fromName: 'لين إليت',
+  to: 'visitor@example.com',
+  subject: 'تأكيد الطلب – Booking LE-2026-000123',
+  text: 'Line one\n.starts with a dot',
+  html: '<p>مرحبًا</p>',
+  headers: { 'Reply-To': 'info@leenelite.com' },
+  attachments: [{ filename: 'booking.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF-1.4 test') }]
+};
+
+test('delivers the exact message: subject, parts, headers and attachments', async () => {
+  sink.reset();
+  const result = await sendSmtp(smtp, message);
+  assert.deepEqual(result, { ok: true, error: '', debug: '' });
+
+  assert.equal(sink.messages.length, 1);
+  const [mail] = sink.messages;
+  assert.equal(mail.from, 'info@leenelite.com');
+  assert.deepEqual(mail.to, ['visitor@example.com']);
+  assert.equal(mail.subject, message.subject);
+  assert.equal(mail.headers['reply-to'], 'info@leenelite.com');
+  assert.equal(mail.text, 'Line one\n.starts with a dot');
+  assert.equal(mail.html, '<p>مرحبًا</p>');
+  assert.equal(mail.attachments.length, 1);
+  assert.equal(mail.attachments[0].filename, 'booking.pdf');
+  assert.equal(mail.attachments[0].type, 'application/pdf');
+  assert.equal(mail.attachments[0].content.toString(), '%PDF-1.4 test');
+});
+
+test('a rejected recipient fails with smtp_rcpt_to_failed and nothing is queued', async () => {
+  sink.reset();
+  const result = await sendSmtp(smtp, { ...message, to: 'blocked@example.com' });
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'smtp_rcpt_to_failed');
+  assert.equal(sink.messages.length, 0);
+});
+
+test('a host that never completes the connection times out', async () => {
+  // Accepts TCP but never answers the TLS handshake
+  const sockets = new Set();
+  const silent = net.createServer((socket) => sockets.add(socket));
+  await new Promise((resolve) => silent.listen(0, '127.0.0.1', resolve));
+  try {
+    const started = Date.now();
+    const result = await sendSmtp({ ...smtp, port: silent.address().port, encryption: 'ssl', timeout: 0.3 }, message);
+    assert.equal(result.error, 'smtp_connect_failed');
+    assert.match(result.debug, /connect timeout/);
+    assert.ok(Date.now() - started < 3000);
+  } finally {
+    sockets.forEach((socket) => socket.destroy());
+    await new Promise((resolve) => silent.close(resolve));
+  }
+});
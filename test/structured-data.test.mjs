@@ -0,0 +1,54 @@
+// ExhibitionEvent build: incomplete catalog entries fail with exit code 1.
+//
+//   node --test test/*.test.mjs
+
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, test } from 'node:test';
+
+const SCRIPT = fileURLToPath(new URL('../scripts/structured-data.mjs', import.meta.url));
+const dir = mkdtempSync(join(tmpdir(), 'structured-data-'));
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const exhibition = (values) => ({
+  id: 'fixture-expo',
+  name: { en: 'Fixture Expo', ar: 'معرض تجريبي' },
+  summary: { en: 'Test show', ar: 'معرض للاختبار' },
+  start_date: '2026-11-10',
+  end_date: '2026-11-12',
+  venue: { en: 'Riyadh Front', ar: 'واجهة الرياض' },
+  city: { id: 'riyadh', en: 'Riyadh', ar: 'الرياض' },
+  cover: '/images/upcoming-exhibitions-cover.png',
+  categories: [],
+  hours: null,
+  ...values
+});
+
+// --check never writes the pages, and stops before reading them when validation fails
+const check = (entry) => {
+  const file = join(dir, `${entry.id}-${Math.random().toString(36).slice(2)}.json`);
+  writeFileSync(file, JSON.stringify({ categories: {}, exhibitions: [entry] }));
+  return spawnSync(process.execPath, [SCRIPT, '--check', '--catalog', file], { encoding: 'utf8', timeout: 30000 });
+};
+
+test('a dated exhibition without venue and city fails the build', () => {
+  const run = check(exhibition({ venue: null, city: null }));
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /fixture-expo \(en\): location\.name is missing/);
+  assert.match(run.stderr, /fixture-expo \(ar\): location\.address\.addressLocality is missing/);
+});
+
+test('an exhibition without dates fails unless it is marked tba', () => {
+  const undated = check(exhibition({ start_date: null, end_date: null }));
+  assert.equal(undated.status, 1);
+  assert.match(undated.stderr, /fixture-expo \(en\): startDate is missing/);
+
+  const tba = check(exhibition({ status: 'tba', start_date: null, end_date: null, venue: null, city: null }));
+  assert.equal(tba.status, 0, tba.stderr);
+  assert.match(tba.stdout, /fixture-expo: status "tba", no event markup/);
+});
@@ -0,0 +1,40 @@
+// Newsletter signup email: preference / unsubscribe links and the RFC 8058 headers.
+//
+//   node --test test/*.test.mjs
+
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import handler from '../api/subscribe.js';
+import { issueFormToken } from '../api/_lib/bot-score.js';
+import { startSmtpSink } from '../api/_lib/smtp-sink.js';
+import { createMemoryStorage, setStorage } from '../api/_lib/storage.js';
+import { call } from './helpers.mjs';
+
+let sink;
+
+before(async () => {
+  sink = await startSmtpSink();
+  Object.assign(process.env, sink.env, { SITE_URL: 'https://www.leenelite.com', FORM_MIN_FILL_SECONDS: '0' });
+  setStorage(createMemoryStorage());
+});
+
+after(() => sink.close());
+
+test('the confirmation email carries List-Unsubscribe headers and manage links', async () => {
+  const res = await call(handler, { body: { email: 'visitor@example.com', lang: 'ar', form_token: issueFormToken('subscribe', '203.0.113.10') }, ip: '203.0.113.10' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user_mail_sent, true);
+
+  assert.equal(sink.messages.length, 1);
+  const [mail] = sink.messages;
+  assert.deepEqual(mail.to, ['visitor@example.com']);
+
+  const unsubscribe = (mail.headers['list-unsubscribe'].match(/<(https:[^>]+)>/) || [])[1];
+  assert.match(unsubscribe, /^https:\/\/www\.leenelite\.com\/api\/unsubscribe\?token=/);
+  assert.match(mail.headers['list-unsubscribe'], /<mailto:[^>]+\?subject=unsubscribe>/);
+  assert.equal(mail.headers['list-unsubscribe-post'], 'List-Unsubscribe=One-Click');
+
+  assert.ok(mail.text.includes(unsubscribe));
+  assert.match(mail.text, /https:\/\/www\.leenelite\.com\/ar\/preferences\.html\?token=/);
+  assert.ok(mail.html.includes('إلغاء الاشتراك'));
+});
@@ -0,0 +1,54 @@
+// Uploads are claimed by exactly one booking.
+//
+//   node --test test/*.test.mjs
+
+import assert from 'node:assert/strict';
+import { before, test } from 'node:test';
+import { createBooking } from '../api/_lib/bookings.js';
+import { createMemoryStorage, getStorage, setStorage } from '../api/_lib/storage.js';
+import { setUploadStore, saveUpload, uploadView } from '../api/_lib/uploads.js';
+
+// Smallest PNG signature the type check accepts
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+const values = (email) => ({ full_name: 'Reem', company: 'ACME', email, category: 'sponsors' });
+
+before(() => {
+  setStorage(createMemoryStorage());
+  const files = new Map();
+  setUploadStore({
+    write: async (id, data) => files.set(id, data),
+    read: async (id) => files.get(id) || null,
+    remove: async (id) => files.delete(id)
+  });
+});
+
+test('two bookings sent at once cannot claim the same upload', async () => {
+  const { upload } = await saveUpload({ kind: 'logo', filename: 'logo.png', data: PNG });
+  const attachments = [uploadView(upload)];
+
+  const results = await Promise.all([
+    createBooking(values('reem@example.com'), { attachments }),
+    createBooking(values('dana@example.com'), { attachments })
+  ]);
+  const won = results.filter((result) => result.ok);
+  assert.equal(won.length, 1);
+  assert.deepEqual(results.find((result) => !result.ok), { ok: false, error: 'invalid_attachment' });
+
+  const stored = await getStorage().get('uploads', upload.id);
+  assert.equal(stored.status, 'attached');
+  assert.equal(stored.reference, won[0].booking.reference);
+});
+
+test('a failed claim gives the other uploads back and stores nothing', async () => {
+  const logo = (await saveUpload({ kind: 'logo', filename: 'logo.png', data: PNG })).upload;
+  const cr = (await saveUpload({ kind: 'cr_certificate', filename: 'cr.png', data: PNG })).upload;
+  await getStorage().update('uploads', cr.id, (current) => ({ ...current, status: 'expired' }));
+
+  const result = await createBooking(values('maha@example.com'), { attachments: [uploadView(logo), uploadView(cr)] });
+  assert.equal(result.error, 'invalid_attachment');
+  const stored = await getStorage().get('uploads', logo.id);
+  assert.equal(stored.status, 'pending');
+  assert.equal(stored.reference, '');
+  assert.equal((await getStorage().list('bookings')).some((booking) => booking.email === 'maha@example.com'), false);
+});
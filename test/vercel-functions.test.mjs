@@ -0,0 +1,79 @@
+// vercel.json: every function bundles the files its code reads (includeFiles).
+//
+//   node --test test/*.test.mjs
+
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { test } from 'node:test';
+
+const ROOT = fileURLToPath(new URL('../', import.meta.url));
+
+// Module (or function) -> files it reads at runtime
+const READS = {
+  'api/_lib/exhibitions.js': 'exhibitions.json',
+  'api/_lib/floorplans.js': 'floorplans/**',
+  'api/_lib/pdf.js': 'api/_lib/fonts/**',
+  'api/_lib/booking-pdf.js': 'api/_lib/fonts/**',
+  'api/profile-file.js': 'api/_lib/profile/**'
+};
+
+// api/**/*.js outside _lib, as Vercel deploys them
+const functionFiles = (dir = 'api') =>
+  readdirSync(join(ROOT, dir), { withFileTypes: true }).flatMap((entry) => {
+    const path = `${dir}/${entry.name}`;
+    if (entry.isDirectory()) return entry.name.startsWith('_') ? [] : functionFiles(path);
+    return entry.name.endsWith('.js') ? [path] : [];
+  });
+
+// The file and every local module it imports, directly or not
+const importGraph = (file, seen = new Set()) => {
+  if (seen.has(file)) return seen;
+  seen.add(file);
+  const source = readFileSync(join(ROOT, file), 'utf8');
+  for (const [, spec] of source.matchAll(/(?:from|import)\s*\(?\s*'(\.[^']+)'/g)) {
+    importGraph(relative(ROOT, join(ROOT, dirname(file), spec)).split('\\').join('/'), seen);
+  }
+  return seen;
+};
+
+// Enough glob for vercel.json: {a,b}, ** and *
+const globRegExp = (pattern) =>
+  new RegExp(
+    `^${pattern
+      .replace(/[.+^$()|[\]\\]/g, '\\$&')
+      .replace(/\{([^}]*)\}/g, (_, list) => `(${list.split(',').join('|')})`)
+      .replace(/\*\*\//g, '\u0000')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\u0000/g, '(.*/)?')}$`
+  );
+
+const includeList = (includeFiles = '') => {
+  const match = includeFiles.match(/^\{(.*)\}$/);
+  return match ? match[1].split(',') : [includeFiles];
+};
+
+test('every function that reads bundled files has them in includeFiles', () => {
+  const { functions } = JSON.parse(readFileSync(join(ROOT, 'vercel.json'), 'utf8'));
+  const patterns = Object.entries(functions);
+  const problems = [];
+
+  for (const file of functionFiles()) {
+    const needs = [...new Set([...importGraph(file)].map((module) => READS[module]).filter(Boolean))];
+    if (!needs.length) continue;
+    // Vercel applies the first pattern that matches
+    const entry = patterns.find(([pattern]) => globRegExp(pattern).test(file));
+    const included = entry ? includeList(entry[1].includeFiles) : [];
+    needs.filter((path) => !included.includes(path)).forEach((path) => problems.push(`${file} reads ${path}`));
+  }
+
+  assert.deepEqual(problems, []);
+});
+
+test('the glob helper matches the way the config is written', () => {
+  assert.ok(globRegExp('api/{booking-pdf,reserve}.js').test('api/reserve.js'));
+  assert.ok(globRegExp('api/**/*.js').test('api/admin/bookings.js'));
+  assert.ok(globRegExp('api/**/*.js').test('api/contact.js'));
+  assert.ok(!globRegExp('api/{booking-pdf,reserve}.js').test('api/reserve-x.js'));
+});
@@ -0,0 +1,26 @@
+// Joining a waitlist queue.
+//
+//   node --test test/*.test.mjs
+
+import assert from 'node:assert/strict';
+import { before, test } from 'node:test';
+import { createMemoryStorage, setStorage } from '../api/_lib/storage.js';
+import { joinWaitlist, listWaitlist } from '../api/_lib/waitlist.js';
+
+const values = (email) => ({ exhibition: 'leen-world-2026', category: 'sponsors', full_name: 'Rana', company: 'ACME', email });
+
+before(() => setStorage(createMemoryStorage()));
+
+test('the same email sent twice at once joins once', async () => {
+  const [first, second] = await Promise.all([joinWaitlist(values('rana@example.com')), joinWaitlist(values('Rana@example.com'))]);
+  assert.equal(first.existing, false);
+  assert.equal(second.existing, true);
+  assert.equal(second.entry.id, first.entry.id);
+  assert.equal((await listWaitlist({ category: 'sponsors' })).length, 1);
+});
+
+test('companies get consecutive places', async () => {
+  const [a, b] = await Promise.all([joinWaitlist(values('a@example.com')), joinWaitlist(values('b@example.com'))]);
+  assert.deepEqual([a.entry.position, b.entry.position], [2, 3]);
+  assert.deepEqual([a.place, b.place], [2, 3]);
+});